@@ -1,4 +1,3 @@
-import PicoDB from 'picodb';
 import { MongoishClient } from '../mongoish.js';
 
 example1();
@@ -8,9 +7,6 @@ async function example1() {
     // be useful if you to switch between `MongoishClient` and `MongoClient`.
     const mongoishClient = new MongoishClient('mongodb://localhost');
 
-    // Inject a MongoDB-like in-memory database into `MongoishClient`.
-    mongoishClient.injectEngine(PicoDB);
-
     // Connecting to an in-memory database is not actually necessary. But again,
     // useful if you end up swapping-out `MongoishClient` for `MongoClient`.
     await mongoishClient.connect();
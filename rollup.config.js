@@ -15,6 +15,9 @@ export default {
     ),
     external: [
         '@0bdx/ainta',
+        'node:fs/promises',
+        'node:os',
+        'node:path',
         'picodb',
     ],
     plugins: [ nodeResolve(), fixJSDoc() ],
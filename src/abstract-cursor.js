@@ -0,0 +1,257 @@
+import { aintaFunction, aintaNumber } from '@0bdx/ainta';
+
+/**
+ * ### The parts of a cursor which `FindCursor` and `AggregationCursor` share,
+ * like the `mongodb` `AbstractCursor`.
+ *
+ * The documents are not loaded until the cursor is first read, for example
+ * using `next()`, `toArray()` or `for await...of`. Until then, methods like
+ * `map()` can be chained to change what is read. After that, calling them
+ * throws an `Error`.
+ */
+export default class AbstractCursor {
+
+    // Functions added by `map()`, which transform each document as it is read.
+    /** @type {(function(any):any)[]} */
+    _transforms = [];
+
+    // The documents which have not been read yet. This is `null` until the
+    // cursor is first read.
+    /** @type {object[]|null} */
+    _buffer = null;
+
+    // The `Promise` from `_load()` while the documents are loading, so that
+    // reads which start at the same time share it.
+    /** @type {Promise<object[]>|null} */
+    _loading = null;
+
+    // Set by `close()`.
+    _isClosed = false;
+
+    /**
+     * ### `true` if the cursor has been closed.
+     *
+     * @type {boolean}
+     */
+    get closed() { return this._isClosed }
+
+    /**
+     * ### Sets the number of documents per batch. Has no effect in Mongoish.
+     *
+     * @param {number} value
+     *    The batch size, which must be a non-negative integer.
+     * @returns {this}
+     *    Returns this cursor, so that calls can be chained.
+     * @throws
+     *    Throws an `Error` if `value` is invalid, or the cursor has been read.
+     */
+    batchSize(value) {
+        this._throwIfInitialized('batchSize()');
+        this._validateInteger('batchSize()', 'batchSize', value);
+        return this;
+    }
+
+    /**
+     * ### Closes the cursor, so that it cannot be read any more.
+     *
+     * @returns {Promise<void>}
+     *    Returns a `Promise` which does not resolve to anything.
+     */
+    async close() {
+        this._isClosed = true;
+        this._buffer = [];
+    }
+
+    /**
+     * ### Calls a function for every remaining document.
+     *
+     * @param {function(any):any} iterator
+     *    Called with each document. If it returns `false`, iteration stops.
+     * @returns {Promise<void>}
+     *    Returns a `Promise` which does not resolve to anything.
+     * @throws
+     *    Throws an `Error` if `iterator` is not a function, or the cursor has
+     *    been closed.
+     */
+    async forEach(iterator) {
+        const begin = 'forEach()';
+        const aIterator = aintaFunction(iterator, 'iterator', { begin });
+        if (aIterator) throw Error(aIterator);
+        this._throwIfClosed(begin);
+        for await (const document of this)
+            if (iterator(document) === false) break;
+    }
+
+    /**
+     * ### Determines whether there are any documents left to read.
+     *
+     * @returns {Promise<boolean>}
+     *    Returns a `Promise` which resolves to `true` if `next()` would
+     *    resolve to a document.
+     */
+    async hasNext() {
+        if (this._isClosed) return false;
+        await this._initialize();
+        return this._buffer.length > 0 || this._more(true);
+    }
+
+    /**
+     * ### Adds a function which transforms each document as it is read.
+     *
+     * @param {function(any):any} transform
+     *    Called with each document, and returns the value to read instead.
+     * @returns {this}
+     *    Returns this cursor, so that calls can be chained.
+     * @throws
+     *    Throws an `Error` if `transform` is not a function, or the cursor has
+     *    been read.
+     */
+    map(transform) {
+        const begin = 'map()';
+        this._throwIfInitialized(begin);
+        const aTransform = aintaFunction(transform, 'transform', { begin });
+        if (aTransform) throw Error(aTransform);
+        this._transforms.push(transform);
+        return this;
+    }
+
+    /**
+     * ### Reads the next document.
+     *
+     * @returns {Promise<any>}
+     *    Returns a `Promise` which resolves to the next document, or `null` if
+     *    there are no more documents.
+     * @throws
+     *    Throws an `Error` if the cursor has been closed.
+     */
+    async next() {
+        this._throwIfClosed('next()');
+        await this._initialize();
+        if (!this._buffer.length && !await this._more(true)) return null;
+        return this._transform(this._buffer.shift());
+    }
+
+    /**
+     * ### Resets the cursor, so that the documents load again when it is read.
+     *
+     * @returns {void}
+     *    Does not return anything.
+     */
+    rewind() {
+        this._buffer = null;
+        this._loading = null;
+        this._isClosed = false;
+    }
+
+    /**
+     * ### Reads every remaining document into an array.
+     *
+     * @returns {Promise<any[]>}
+     *    Returns a `Promise` which resolves to an array of documents.
+     * @throws
+     *    Throws an `Error` if the cursor has been closed.
+     */
+    async toArray() {
+        this._throwIfClosed('toArray()');
+        await this._initialize();
+        await this._more(false);
+        const documents = this._buffer.splice(0);
+        return documents.map(document => this._transform(document));
+    }
+
+    /**
+     * ### Reads the next document, like `next()`, but without waiting for a
+     * tailable cursor's next document.
+     *
+     * @returns {Promise<any>}
+     *    Returns a `Promise` which resolves to the next document, or `null` if
+     *    there are no more documents yet.
+     * @throws
+     *    Throws an `Error` if the cursor has been closed.
+     */
+    async tryNext() {
+        this._throwIfClosed('tryNext()');
+        await this._initialize();
+        if (!this._buffer.length && !await this._more(false)) return null;
+        return this._transform(this._buffer.shift());
+    }
+
+    /**
+     * ### Allows the cursor to be read using `for await...of`.
+     *
+     * @returns {AsyncGenerator<any>}
+     *    Returns an async generator, which yields each remaining document.
+     */
+    async *[Symbol.asyncIterator]() {
+        if (this._isClosed) return;
+        await this._initialize();
+        while (this._buffer.length || await this._more(true))
+            yield this._transform(this._buffer.shift());
+    }
+
+    /**
+     * ### Loads the documents, the first time the cursor is read.
+     *
+     * If loading fails, the cursor is left unread, so the next read tries
+     * again, and throws the error again if it fails again.
+     *
+     * @returns {Promise<void>}
+     *    Returns a `Promise` which does not resolve to anything.
+     */
+    async _initialize() {
+        if (this._buffer) return;
+        const loading = this._loading || (this._loading = this._load());
+        try {
+            const documents = await loading;
+            if (!this._buffer) this._buffer = documents;
+        } finally {
+            if (this._loading === loading) this._loading = null;
+        }
+    }
+
+    /**
+     * ### Loads every document the cursor will read. Subclasses override this.
+     *
+     * @returns {Promise<object[]>}
+     *    Returns a `Promise` which resolves to an array of documents.
+     */
+    async _load() {
+        throw Error('_load(): Must be implemented by a subclass');
+    }
+
+    /**
+     * ### Reads more documents into the empty buffer, eg for a tailable
+     * cursor. Subclasses can override this.
+     *
+     * @param {boolean} wait
+     *    Whether to wait for more documents, if the cursor can.
+     * @returns {Promise<boolean>}
+     *    Returns a `Promise` which resolves to `true` if documents were read.
+     */
+    async _more(wait) {
+        return false;
+    }
+
+    // Applies the `map()` functions to a document.
+    _transform(document) {
+        return this._transforms.reduce((value, fn) => fn(value), document);
+    }
+
+    // Throws the `mongodb` package's error, if the cursor has been read.
+    _throwIfInitialized(begin) {
+        if (this._buffer || this._loading || this._isClosed) throw Error(
+            `${begin}: Cursor is already initialized`);
+    }
+
+    // Throws the `mongodb` package's error, if the cursor has been closed.
+    _throwIfClosed(begin) {
+        if (this._isClosed) throw Error(`${begin}: Cursor is exhausted`);
+    }
+
+    // Throws an `Error` if `value` is not a non-negative integer.
+    _validateInteger(begin, identifier, value, allowNegative = false) {
+        const aValue = aintaNumber(value, identifier,
+            { begin, mod:1, gte:allowNegative ? -Infinity : 0 });
+        if (aValue) throw Error(aValue);
+    }
+}
@@ -0,0 +1,162 @@
+import { aintaObject } from '@0bdx/ainta';
+import { toExtendedJson } from './extended-json.js';
+import { matchesFilter } from './query.js';
+
+/**
+ * ### Server-wide operations, like the `mongodb` `Admin` class.
+ *
+ * Use `client.db().admin()` to get one.
+ */
+export default class Admin {
+    /**
+     * ### Creates an `Admin` for a client.
+     *
+     * @param {import('./mongoish-client.js').default} client
+     *    A reference to the `MongoishClient` whose databases are managed.
+     * @throws
+     *    Throws an `Error` if the `client` argument is invalid.
+     */
+    constructor(client) {
+        const begin = 'new Admin()';
+
+        // Validate the `client` argument.
+        const aClient = aintaObject(client, 'client', { begin, open:true,
+            schema: {
+            _databases: { types:['object'], open:true },
+            _isConnected: { types:['boolean'] },
+        }});
+        if (aClient) throw Error(aClient);
+
+        // Store a reference to the `MongoishClient` instance.
+        this._client = client;
+    }
+
+    /**
+     * ### Lists the databases which contain at least one collection.
+     *
+     * Like MongoDB, a database only exists once it has a collection, so a
+     * database which `db()` has just created, or which has been dropped, is
+     * not listed.
+     *
+     * `sizeOnDisk` is the size of the database's documents as Extended JSON,
+     * which is roughly what `persistDir` would store.
+     *
+     * @param {{filter?:object,nameOnly?:boolean}} [options={}]
+     *    `filter` selects databases by `name`, `sizeOnDisk` or `empty`.
+     *    If `nameOnly` is `true`, only each database's `name` is returned.
+     * @returns {Promise<{databases:{name:string,sizeOnDisk?:number,
+     *    empty?:boolean}[],totalSize?:number,totalSizeMb?:number,ok:1}>}
+     *    Returns a `Promise` which resolves to the databases, sorted by name.
+     * @throws
+     *    Throws an `Error` if `options` is invalid, or if the client is not
+     *    currently connected.
+     */
+    async listDatabases(options = {}) {
+        const begin = 'listDatabases()';
+
+        // Validate the `options` argument.
+        const aOptions = aintaObject(options, 'options', { begin, schema:{
+            filter: { types:['object','undefined'], open:true },
+            nameOnly: { types:['boolean','undefined'] },
+        } });
+        if (aOptions) throw Error(aOptions);
+
+        // Check that the client is currently connected.
+        if (!this._client._isConnected) throw Error(
+            begin + ': Client must be connected before running operations');
+
+        // Measure each database which has at least one collection.
+        const databases = [];
+        for (const name of Object.keys(this._client._databases).sort()) {
+            const { _collections } = this._client._databases[name];
+            if (!Object.keys(_collections).length) continue;
+            let sizeOnDisk = 0;
+            let count = 0;
+            for (const collectionName in _collections) {
+                const { documents } =
+                    await _collections[collectionName]._snapshot();
+                sizeOnDisk += Buffer.byteLength(
+                    JSON.stringify(toExtendedJson(documents)));
+                count += documents.length;
+            }
+            const database = { name, sizeOnDisk, empty:!count };
+            if (!options.filter || matchesFilter(database, options.filter))
+                databases.push(database);
+        }
+
+        // Return a result like the `listDatabases` command's.
+        if (options.nameOnly)
+            return { databases:databases.map(({ name }) => ({ name })), ok:1 };
+        const totalSize = databases.reduce((sum, d) => sum + d.sizeOnDisk, 0);
+        return { databases, totalSize,
+            totalSizeMb:Math.floor(totalSize / 1024 / 1024), ok:1 };
+    }
+}
+
+
+/* ---------------------------------- Tests --------------------------------- */
+
+/**
+ * ### `Admin` unit tests.
+ *
+ * @param {typeof Admin} C
+ *    The `Admin` class to test.
+ * @returns {Promise<void>}
+ *    Returns a `Promise` which does not resolve to anything.
+ * @throws
+ *    Throws an `Error` if a test fails.
+ */
+export async function adminTest(C) {
+    const e2l = e => (e.stack.split('\n')[2].match(/([^\/]+\.js:\d+):\d+\)?$/)||[])[1];
+    const equal = (actual, expected) => { if (actual === expected) return;
+        try { throw Error() } catch(err) { throw Error(`actual:\n${actual}\n` +
+            `!== expected:\n${expected}\n...at ${e2l(err)}\n`) } };
+    const throws = async (actual, expected) => { try { const result = actual();
+            if (result instanceof Promise) await result } catch (err) {
+        if (err.message !== expected) { throw Error(`actual message:\n${err.message
+            }\n!== expected message:\n${expected}\n...at ${e2l(err)}\n`)} return }
+        throw Error(`expected message:\n${expected}\nbut nothing was thrown\n`) };
+    const toStr = value => JSON.stringify(value);
+
+    // Mock a `MongoishClient` instance, with databases of mock collections.
+    const mockCollection = documents => ({ _snapshot: async () => ({
+        indexes:[], documents }) });
+    const mcMock = { _isConnected:false, _databases:{
+        zoo: { _collections:{ frogs:mockCollection([ { _id:1 }, { _id:2 } ]),
+            toads:mockCollection([ { _id:'t' } ]) } },
+        app: { _collections:{ users:mockCollection([]) } },
+        unused: { _collections:{} },
+    } };
+
+    // Instantiating an `Admin` with an invalid `client` should fail.
+    // @ts-expect-error
+    throws(()=>new C(),
+        "new Admin(): `client` is type 'undefined' not 'object'");
+    // @ts-expect-error
+    throws(()=>new C({ _databases:{} }),
+        "new Admin(): `client._isConnected` is type 'undefined', not the `options.types` 'boolean'");
+
+    // @ts-expect-error
+    const admin = new C(mcMock);
+
+    // `listDatabases()` should fail when disconnected, or with bad options.
+    await throws(()=>admin.listDatabases(),
+        'listDatabases(): Client must be connected before running operations');
+    mcMock._isConnected = true;
+    // @ts-expect-error
+    await throws(()=>admin.listDatabases({ nameOnly:1 }),
+        "listDatabases(): `options.nameOnly` is type 'number', not one of the `options.types` 'boolean:undefined'");
+
+    // Databases without collections should not be listed. The others should
+    // be sorted by name, and measured.
+    equal(toStr(await admin.listDatabases()), toStr({ databases:[
+        { name:'app', sizeOnDisk:2, empty:true },
+        { name:'zoo', sizeOnDisk:34, empty:false },
+    ], totalSize:36, totalSizeMb:0, ok:1 }));
+
+    // `filter` and `nameOnly` should be respected.
+    equal(toStr(await admin.listDatabases({ filter:{ empty:false },
+        nameOnly:true })), toStr({ databases:[ { name:'zoo' } ], ok:1 }));
+    equal(toStr((await admin.listDatabases({ filter:{ name:/^a/ } }))
+        .databases.map(d => d.name)), toStr([ 'app' ]));
+}
@@ -0,0 +1,732 @@
+import { evaluate, isExpressionOperator } from './expression.js';
+import { compileProjection } from './projection.js';
+import { matchesFilter } from './query.js';
+import { compileSort } from './sort.js';
+import {
+    cloneValue,
+    compareValues,
+    equalValues,
+    getPath,
+    inspectValue,
+    isPlainObject,
+    resolvePath,
+    typeAlias,
+} from './values.js';
+
+/**
+ * ### The `$group` accumulators which `runPipeline()` understands.
+ *
+ * Each accumulator has an `init()` function which returns its starting state,
+ * an `add()` function which returns the state after adding a value (which is
+ * `undefined` if a field path is missing), and a `result()` function.
+ *
+ * @type {Object<string,{init:function():any,add:function(any,any):any,result:function(any):any}>}
+ */
+export const groupAccumulators = {
+    $addToSet: {
+        init: () => [],
+        add: (set, value) => value === void 0 ||
+            set.some(item => equalValues(item, value)) ? set : [ ...set, value ],
+        result: set => set,
+    },
+    $avg: {
+        init: () => ({ sum:0, count:0 }),
+        add: (avg, value) => typeof value !== 'number' ? avg
+            : { sum:avg.sum + value, count:avg.count + 1 },
+        result: avg => avg.count ? avg.sum / avg.count : null,
+    },
+    $first: {
+        init: () => ({ seen:false, value:null }),
+        add: (first, value) => first.seen ? first
+            : { seen:true, value:value === void 0 ? null : value },
+        result: first => first.value,
+    },
+    $last: {
+        init: () => null,
+        add: (last, value) => value === void 0 ? null : value,
+        result: last => last,
+    },
+    $max: {
+        init: () => null,
+        add: (max, value) => value === void 0 || value === null ? max
+            : max === null || compareValues(value, max) > 0 ? value : max,
+        result: max => max,
+    },
+    $min: {
+        init: () => null,
+        add: (min, value) => value === void 0 || value === null ? min
+            : min === null || compareValues(value, min) < 0 ? value : min,
+        result: min => min,
+    },
+    $push: {
+        init: () => [],
+        add: (list, value) => value === void 0 ? list : [ ...list, value ],
+        result: list => list,
+    },
+    $sum: {
+        init: () => 0,
+        add: (sum, value) => typeof value === 'number' ? sum + value : sum,
+        result: sum => sum,
+    },
+};
+
+/**
+ * ### The aggregation pipeline stages which `runPipeline()` understands.
+ *
+ * Each stage is called with the documents output by the previous stage, the
+ * stage's specification, the name of the calling method, and the
+ * `PipelineContext`. It returns (or resolves to) a new array, and never
+ * modifies the documents it was passed.
+ *
+ * @type {Object<string,function(object[],any,string,PipelineContext):object[]|Promise<object[]>>}
+ */
+export const pipelineStages = {
+    $addFields: addFields,
+    $count: count,
+    $facet: facet,
+    $graphLookup: graphLookup,
+    $group: group,
+    $limit: limit,
+    $lookup: lookup,
+    $match: match,
+    $merge: merge,
+    $out: out,
+    $project: project,
+    $replaceRoot: replaceRoot,
+    $set: addFields,
+    $skip: skip,
+    $sort: sort,
+    $sortByCount: sortByCount,
+    $unionWith: unionWith,
+    $unset: unset,
+    $unwind: unwind,
+};
+
+/**
+ * ### What a pipeline can refer to, apart from its input documents.
+ *
+ * @typedef {Object} PipelineContext
+ * @property {import('./database.js').default|null} db
+ *    The database which `$lookup`, `$out` and similar stages read and write,
+ *    or `null` if the pipeline is not running in a database.
+ * @property {Object<string,any>} variables
+ *    The values of `$$` variables, eg from the `let` option of `$lookup`.
+ */
+
+/**
+ * ### Runs an aggregation pipeline over an array of documents.
+ *
+ * @param {object[]} documents
+ *    The input documents, which are not modified.
+ * @param {object[]} pipeline
+ *    The stages, eg `[ { $match:{ kind:'frog' } }, { $count:'frogs' } ]`.
+ * @param {string} begin
+ *    The name of the calling method, used to begin any error message.
+ * @param {PipelineContext} [context={ db:null, variables:{} }]
+ *    The database, and any variables.
+ * @returns {Promise<object[]>}
+ *    Returns a `Promise` which resolves to the output documents.
+ * @throws
+ *    Throws an `Error` if a stage is unknown or invalid.
+ */
+export async function runPipeline(documents, pipeline, begin,
+    context = { db:null, variables:{} }) {
+    let current = documents;
+    for (let i = 0; i < pipeline.length; i++) {
+        const stage = pipeline[i];
+        if (!isPlainObject(stage)) throw Error(`${begin}: Each element of ` +
+            "the 'pipeline' array must be an object");
+        const names = Object.keys(stage);
+        if (names.length !== 1) throw Error(`${begin}: A pipeline stage ` +
+            'specification object must contain exactly one field.');
+        const run = pipelineStages[names[0]];
+        if (!run) throw Error(`${begin}: Unrecognized pipeline stage name: ` +
+            `'${names[0]}'`);
+        if ((names[0] === '$out' || names[0] === '$merge') &&
+            i !== pipeline.length - 1) throw Error(`${begin}: ${names[0]} ` +
+            'can only be the final stage in the pipeline');
+        current = await run(current, stage[names[0]], begin, context);
+    }
+    return current;
+}
+
+
+/* ---------------------------------- Private ------------------------------- */
+
+// `$addFields` and its alias `$set`.
+function addFields(documents, spec, begin, { variables }) {
+    if (!isPlainObject(spec)) throw Error(`${begin}: $addFields ` +
+        `specification stage must be an object, got ${typeAlias(spec)}`);
+    const assign = (target, spec, document) => {
+        for (const path of Object.keys(spec)) {
+            const expression = spec[path];
+            if (isPlainObject(expression) && Object.keys(expression).length &&
+                !isExpressionOperator(expression)) {
+                const existing = getPath(target, path);
+                const nested = isPlainObject(existing) ? existing : {};
+                assign(nested, expression, document);
+                setField(target, path, nested);
+                continue;
+            }
+            const value = evaluate(expression, document, begin, variables);
+            if (value !== void 0) setField(target, path, value);
+        }
+    };
+    return documents.map(document => {
+        const result = cloneValue(document);
+        assign(result, spec, document);
+        return result;
+    });
+}
+
+// `$count`.
+function count(documents, field, begin) {
+    if (typeof field !== 'string' || !field) throw Error(
+        `${begin}: the count field must be a non-empty string`);
+    if (field[0] === '$') throw Error(
+        `${begin}: the count field cannot be a $-prefixed path`);
+    if (field.includes('.')) throw Error(
+        `${begin}: the count field cannot contain '.'`);
+    return documents.length ? [ { [field]:documents.length } ] : [];
+}
+
+// `$facet`, which runs several sub-pipelines on the same input documents.
+async function facet(documents, spec, begin, context) {
+    if (!isPlainObject(spec) || !Object.keys(spec).length) throw Error(
+        `${begin}: the $facet specification must be a non-empty object`);
+    const result = {};
+    for (const name of Object.keys(spec)) {
+        const pipeline = spec[name];
+        if (!Array.isArray(pipeline)) throw Error(`${begin}: arguments to ` +
+            `$facet must be arrays, ${name} is type ${typeAlias(pipeline)}`);
+        if (pipeline.some(stage => isPlainObject(stage) && '$facet' in stage))
+            throw Error(`${begin}: $facet is not allowed to be used within a ` +
+                '$facet stage');
+        result[name] = await runPipeline(documents, pipeline, begin, context);
+    }
+    return [ result ];
+}
+
+// `$graphLookup`, which recursively joins documents from another collection.
+async function graphLookup(documents, spec, begin, context) {
+    if (!isPlainObject(spec)) throw Error(`${begin}: the $graphLookup ` +
+        `specification must be an object, got ${typeAlias(spec)}`);
+    for (const option of [ 'from', 'startWith', 'connectFromField',
+        'connectToField', 'as' ]) if (spec[option] === void 0) throw Error(
+        `${begin}: missing '${option}' option to $graphLookup stage ` +
+        'specification');
+    const { as, connectFromField, connectToField, depthField, from, maxDepth,
+        restrictSearchWithMatch = {}, startWith } = spec;
+    if (maxDepth !== void 0 && (typeof maxDepth !== 'number' || maxDepth < 0
+        || maxDepth % 1)) throw Error(`${begin}: maxDepth requires a ` +
+        `nonnegative argument, found: ${inspectValue(maxDepth)}`);
+
+    // Read the other collection once, and then search it breadth-first, from
+    // each input document's `startWith` values.
+    const foreign = (await collectionFor(from, begin, context).find({})
+        .toArray()).filter(d => matchesFilter(d, restrictSearchWithMatch));
+    return documents.map(document => {
+        const found = [];
+        const seen = new Set();
+        let values = flatten([ evaluate(startWith, document, begin,
+            context.variables) ]).filter(value => value !== void 0);
+        for (let depth = 0; values.length &&
+            (maxDepth === void 0 || depth <= maxDepth); depth++) {
+            const next = [];
+            foreign.forEach((candidate, i) => {
+                if (seen.has(i) || !matchesFilter(candidate,
+                    { [connectToField]:{ $in:values } })) return;
+                seen.add(i);
+                const result = cloneValue(candidate);
+                if (depthField) setField(result, depthField, depth);
+                found.push(result);
+                next.push(...flatten(resolvePath(candidate, connectFromField)));
+            });
+            values = next.filter(value => value !== void 0);
+        }
+        const result = cloneValue(document);
+        setField(result, as, found);
+        return result;
+    });
+}
+
+// `$group`.
+function group(documents, spec, begin, { variables }) {
+    if (!isPlainObject(spec)) throw Error(`${begin}: a group's fields must ` +
+        'be specified in an object');
+    if (!('_id' in spec)) throw Error(
+        `${begin}: a group specification must include an _id`);
+    const fields = Object.keys(spec).filter(field => field !== '_id')
+        .map(field => {
+            const accumulator = spec[field];
+            if (!isExpressionOperator(accumulator)) throw Error(`${begin}: ` +
+                `The field '${field}' must be an accumulator object`);
+            const [ name ] = Object.keys(accumulator);
+            const definition = groupAccumulators[name];
+            if (!definition) throw Error(
+                `${begin}: unknown group operator '${name}'`);
+            return { field, definition, expression:accumulator[name] };
+        });
+
+    // Find or create each document's group, then add to its accumulators.
+    const groups = [];
+    for (const document of documents) {
+        let id = evaluate(spec._id, document, begin, variables);
+        if (id === void 0) id = null;
+        let found = groups.find(g => equalValues(g.id, id));
+        if (!found) groups.push(found = { id, states:fields.map(
+            ({ definition }) => definition.init()) });
+        fields.forEach(({ definition, expression }, i) => {
+            found.states[i] = definition.add(found.states[i],
+                evaluate(expression, document, begin, variables));
+        });
+    }
+    return groups.map(({ id, states }) => fields.reduce(
+        (result, { field, definition }, i) =>
+            ({ ...result, [field]:definition.result(states[i]) }),
+        { _id:id }));
+}
+
+// `$limit`.
+function limit(documents, value, begin) {
+    if (typeof value !== 'number' || value % 1) throw Error(
+        `${begin}: the limit must be specified as a number`);
+    if (value <= 0) throw Error(`${begin}: the limit must be positive`);
+    return documents.slice(0, value);
+}
+
+// `$lookup`, which joins documents from another collection, using equality
+// between `localField` and `foreignField`, or a `pipeline`, or both.
+async function lookup(documents, spec, begin, context) {
+    if (!isPlainObject(spec)) throw Error(`${begin}: the $lookup ` +
+        `specification must be an object, got ${typeAlias(spec)}`);
+    const { as, foreignField, from, localField, pipeline } = spec;
+    if (typeof from !== 'string') throw Error(`${begin}: missing 'from' ` +
+        'option to $lookup stage specification');
+    if (typeof as !== 'string') throw Error(
+        `${begin}: must specify 'as' field for a $lookup`);
+    const byField = localField !== void 0 || foreignField !== void 0;
+    if ((byField && (typeof localField !== 'string' ||
+        typeof foreignField !== 'string')) || (!byField && !pipeline) ||
+        (pipeline && !Array.isArray(pipeline))) throw Error(`${begin}: ` +
+        "$lookup requires either 'pipeline' or both 'localField' and " +
+        "'foreignField' to be specified");
+    if (spec.let !== void 0 && !isPlainObject(spec.let)) throw Error(
+        `${begin}: $lookup argument 'let' must be an object`);
+
+    const foreign = await collectionFor(from, begin, context).find({})
+        .toArray();
+    const joined = [];
+    for (const document of documents) {
+        let matched = foreign;
+
+        // Like MongoDB, a missing `localField` matches a missing or null
+        // `foreignField`, and an array matches any of its items.
+        if (byField) {
+            const values = flatten(resolvePath(document, localField))
+                .map(value => value === void 0 ? null : value);
+            matched = matched.filter(candidate => matchesFilter(candidate,
+                { [foreignField]:{ $in:values } }));
+        }
+
+        // The `let` variables are evaluated against the input document.
+        if (pipeline) {
+            const variables = { ...context.variables };
+            for (const name in spec.let) variables[name] = evaluate(
+                spec.let[name], document, begin, context.variables);
+            matched = await runPipeline(matched, pipeline, begin,
+                { ...context, variables });
+        }
+
+        const result = cloneValue(document);
+        setField(result, as, matched.map(cloneValue));
+        joined.push(result);
+    }
+    return joined;
+}
+
+// `$match`, which uses the same filter semantics as `find()`.
+function match(documents, filter, begin, { variables }) {
+    if (!isPlainObject(filter)) throw Error(
+        `${begin}: the match filter must be an expression in an object`);
+    return documents.filter(document =>
+        matchesFilter(document, filter, variables));
+}
+
+// `$merge`, which writes the documents into another collection, combining
+// them with any existing documents that have the same `on` fields.
+async function merge(documents, spec, begin, context) {
+    const options = typeof spec === 'string' ? { into:spec } : spec;
+    if (!isPlainObject(options)) throw Error(`${begin}: $merge requires a ` +
+        `string or object argument, but found ${typeAlias(spec)}`);
+    const { into, on = '_id', whenMatched = 'merge',
+        whenNotMatched = 'insert' } = options;
+    const name = isPlainObject(into) ? into.coll : into;
+    if (typeof name !== 'string') throw Error(`${begin}: $merge 'into' field ` +
+        `must be either a string or an object, but found ${typeAlias(into)}`);
+    const fields = typeof on === 'string' ? [ on ] : on;
+    if (!Array.isArray(fields) || !fields.length ||
+        fields.some(field => typeof field !== 'string')) throw Error(`${begin}: ` +
+        "$merge 'on' field must be either a string or an array of strings, " +
+        `but found ${typeAlias(on)}`);
+    for (const [ option, value, allowed ] of [
+        [ 'whenMatched', whenMatched, [ 'fail','keepExisting','merge','replace' ] ],
+        [ 'whenNotMatched', whenNotMatched, [ 'discard','fail','insert' ] ],
+    ]) if (!allowed.includes(value)) throw Error(`${begin}: Enumeration ` +
+        `value '${value}' for field '${option}' is not a valid value.`);
+
+    const target = collectionFor(name, begin, context);
+    for (const document of documents) {
+        const filter = {};
+        for (const field of fields) {
+            const value = getPath(document, field);
+            if ((value === null || value === void 0 || Array.isArray(value))
+                && field !== '_id') throw Error(`${begin}: $merge write ` +
+                `error: 'on' field '${field}' cannot be missing, null, ` +
+                'undefined or an array');
+            filter[field] = value;
+        }
+        const existing = filter._id === void 0 && fields.includes('_id')
+            ? null : await target.findOne(filter);
+
+        // Combine with an existing document, keeping its `_id`.
+        if (existing) {
+            if (whenMatched === 'fail') throw Error(`${begin}: $merge with ` +
+                'whenMatched: fail found an existing document with the same ' +
+                "values for the 'on' fields");
+            if (whenMatched === 'keepExisting') continue;
+            const { _id, ...replacement } = document;
+            if (whenMatched === 'replace')
+                await target.replaceOne({ _id:existing._id }, replacement);
+            else if (Object.keys(replacement).length)
+                await target.updateOne({ _id:existing._id }, { $set:replacement });
+            continue;
+        }
+
+        // Otherwise, insert the document.
+        if (whenNotMatched === 'fail') throw Error(`${begin}: $merge could ` +
+            'not find a matching document in the target collection for at ' +
+            'least one document in the source collection');
+        if (whenNotMatched === 'insert')
+            await target.insertOne(cloneValue(document));
+    }
+    return [];
+}
+
+// `$out`, which replaces the contents of another collection.
+async function out(documents, spec, begin, context) {
+    const name = isPlainObject(spec) ? spec.coll : spec;
+    if (typeof name !== 'string') throw Error(`${begin}: $out stage ` +
+        `requires a string or object argument, but found ${typeAlias(spec)}`);
+    if (isPlainObject(spec) && spec.db !== void 0) throw Error(`${begin}: ` +
+        'Mongoish only supports $out to a collection in the same database');
+    const target = collectionFor(name, begin, context);
+
+    // Check for duplicate `_id`s before the target collection is changed.
+    const ids = documents.map(d => d._id).filter(_id => _id !== void 0);
+    ids.forEach((_id, i) => {
+        if (ids.slice(0, i).some(other => equalValues(other, _id))) throw Error(
+            `${begin}: E11000 duplicate key error collection: ${name}.` +
+            `documents index: _id_ dup key: { _id: "${_id}" }`);
+    });
+
+    await target._replaceAll(begin, documents.map(cloneValue));
+    return [];
+}
+
+// `$project`, which supports inclusion, exclusion and computed fields.
+function project(documents, spec, begin, { variables }) {
+    const invalid = `${begin}: Invalid $project :: caused by :: `;
+    if (!isPlainObject(spec) || !Object.keys(spec).length) throw Error(
+        invalid + 'projection specification must have at least one field');
+
+    // Flatten the specification into dot-notation flags and computed fields.
+    /** @type {Object<string,0|1>} */
+    const flags = {};
+    const computed = [];
+    const flatten = (spec, prefix) => {
+        for (const key of Object.keys(spec)) {
+            const value = spec[key];
+            if (typeof value === 'number' || typeof value === 'boolean')
+                flags[prefix + key] = value ? 1 : 0;
+            else if (isPlainObject(value) && Object.keys(value).length &&
+                !isExpressionOperator(value)) flatten(value, prefix + key + '.');
+            else computed.push({ path:prefix + key, expression:value });
+        }
+    };
+    flatten(spec, '');
+    const paths = Object.keys(flags).filter(path => path !== '_id');
+    const excluding = paths.some(path => !flags[path]) ||
+        (!paths.length && !computed.length && flags._id === 0);
+    if (excluding && computed.length) throw Error(invalid +
+        'Cannot use expression other than $meta in exclusion projection');
+
+    // Use `compileProjection()` for the flags, then add the computed fields.
+    const base = excluding || paths.length ? compileProjection(flags, begin)
+        : flags._id === 0 ? () => ({}) : compileProjection({ _id:1 }, begin);
+    return documents.map(document => {
+        const result = base(document);
+        for (const { path, expression } of computed) {
+            const value = evaluate(expression, document, begin, variables);
+            if (value !== void 0) setField(result, path, value);
+        }
+        return result;
+    });
+}
+
+// `$replaceRoot`.
+function replaceRoot(documents, spec, begin, { variables }) {
+    if (!isPlainObject(spec) || !('newRoot' in spec)) throw Error(
+        `${begin}: no newRoot specified for the $replaceRoot stage`);
+    return documents.map(document => {
+        const root = evaluate(spec.newRoot, document, begin, variables);
+        if (!isPlainObject(root)) throw Error(`${begin}: 'newRoot' expression ` +
+            'must evaluate to an object, but resulting value was: ' +
+            `${root === void 0 ? 'MISSING' : inspectValue(root)}. Type of ` +
+            `resulting value: '${typeAlias(root)}'. Input document: ` +
+            inspectValue(document));
+        return root;
+    });
+}
+
+// `$skip`.
+function skip(documents, value, begin) {
+    if (typeof value !== 'number' || value % 1) throw Error(
+        `${begin}: invalid argument to $skip stage: Expected a number`);
+    if (value < 0) throw Error(`${begin}: invalid argument to $skip stage: ` +
+        'Expected a non-negative number');
+    return documents.slice(value);
+}
+
+// `$sort`.
+function sort(documents, spec, begin) {
+    if (!isPlainObject(spec) || !Object.keys(spec).length) throw Error(
+        `${begin}: $sort stage must have at least one sort key`);
+    return documents.slice().sort(compileSort(spec, begin));
+}
+
+// `$sortByCount`, which is `$group` with a count, then `$sort` by that count.
+function sortByCount(documents, expression, begin, context) {
+    if (!(typeof expression === 'string' && expression[0] === '$') &&
+        !isExpressionOperator(expression)) throw Error(`${begin}: the sortBy ` +
+        'field must be defined as a $-prefixed path or an expression');
+    return sort(group(documents, { _id:expression, count:{ $sum:1 } }, begin,
+        context), { count:-1 }, begin);
+}
+
+// `$unionWith`, which appends the documents from another collection, after
+// running them through an optional pipeline.
+async function unionWith(documents, spec, begin, context) {
+    const { coll, pipeline = [] } = isPlainObject(spec) ? spec : { coll:spec };
+    if (typeof coll !== 'string') throw Error(`${begin}: $unionWith requires ` +
+        "a collection name, or an object with a 'coll' field");
+    if (!Array.isArray(pipeline)) throw Error(`${begin}: $unionWith ` +
+        `'pipeline' must be an array, but found ${typeAlias(pipeline)}`);
+    const foreign = await collectionFor(coll, begin, context).find({})
+        .toArray();
+    return [ ...documents,
+        ...await runPipeline(foreign, pipeline, begin, context) ];
+}
+
+// `$unset`, which is an exclusion `$project`.
+function unset(documents, spec, begin) {
+    const fields = typeof spec === 'string' ? [ spec ] : spec;
+    if (!Array.isArray(fields) || !fields.length ||
+        fields.some(field => typeof field !== 'string' || !field)) throw Error(
+        `${begin}: $unset specification must be a string or an array ` +
+        'containing only string values');
+    const exclude = compileProjection(
+        Object.fromEntries(fields.map(field => [ field, 0 ])), begin);
+    return documents.map(exclude);
+}
+
+// `$unwind`, which outputs a document for each item of an array field.
+function unwind(documents, spec, begin) {
+    const options = typeof spec === 'string' ? { path:spec } : spec;
+    if (!isPlainObject(options) || typeof options.path !== 'string') throw Error(
+        `${begin}: expected either a string or an object as specification ` +
+        `for $unwind stage, got ${typeAlias(spec)}`);
+    const { includeArrayIndex, path, preserveNullAndEmptyArrays } = options;
+    if (path[0] !== '$') throw Error(`${begin}: path option to $unwind ` +
+        `stage should be prefixed with a '$': ${path}`);
+    const field = path.slice(1);
+
+    const unwound = [];
+    const output = (result, index) => {
+        if (includeArrayIndex) setField(result, includeArrayIndex, index);
+        unwound.push(result);
+    };
+    for (const document of documents) {
+        const value = getPath(document, field);
+        if (Array.isArray(value) && value.length) value.forEach((item, i) => {
+            const result = cloneValue(document);
+            setField(result, field, cloneValue(item));
+            output(result, i);
+        });
+        else if (!Array.isArray(value) && value !== null && value !== void 0)
+            output(cloneValue(document), null);
+        else if (preserveNullAndEmptyArrays) output(Array.isArray(value)
+            ? compileProjection({ [field]:0 }, begin)(document)
+            : cloneValue(document), null);
+    }
+    return unwound;
+}
+
+// Sets a dot-notation field, creating sub-documents as needed, in place.
+function setField(document, path, value) {
+    const parts = path.split('.');
+    let target = document;
+    for (const part of parts.slice(0, -1)) {
+        if (!isPlainObject(target[part])) target[part] = {};
+        target = target[part];
+    }
+    target[parts[parts.length - 1]] = value;
+}
+
+// Gets a collection in the pipeline's database, for stages like `$lookup`.
+function collectionFor(name, begin, { db }) {
+    if (!db) throw Error(`${begin}: Collection '${name}' cannot be used, ` +
+        'because the pipeline is not running in a database');
+    return db.collection(name);
+}
+
+// Replaces each array in a list of values with its items.
+function flatten(values) {
+    return values.flatMap(value => Array.isArray(value) ? value : [ value ]);
+}
+
+
+/* ---------------------------------- Tests --------------------------------- */
+
+/**
+ * ### `aggregate.js` unit tests.
+ *
+ * @returns {Promise<void>}
+ *    Returns a `Promise` which does not resolve to anything.
+ * @throws
+ *    Throws an `Error` if a test fails.
+ */
+export async function aggregateTest() {
+    const e2l = e => (e.stack.split('\n')[2].match(/([^\/]+\.js:\d+):\d+\)?$/)||[])[1];
+    const equal = (actual, expected) => { if (actual === expected) return;
+        try { throw Error() } catch(err) { throw Error(`actual:\n${actual}\n` +
+            `!== expected:\n${expected}\n...at ${e2l(err)}\n`) } };
+    const throws = async (actual, expected) => { try { const result = actual();
+            if (result instanceof Promise) await result } catch (err) {
+        if (err.message !== expected) { throw Error(`actual message:\n${err.message
+            }\n!== expected message:\n${expected}\n...at ${e2l(err)}\n`)} return }
+        throw Error(`expected message:\n${expected}\nbut nothing was thrown\n`) };
+    const toStr = value => JSON.stringify(value);
+    const run = async pipeline => toStr(await runPipeline(docs, pipeline, 'test()'));
+
+    const docs = [
+        { _id:1, kind:'frog', legs:4, tags:['green','small'], o:{ p:1 } },
+        { _id:2, kind:'toad', legs:4, tags:['brown'] },
+        { _id:3, kind:'frog', legs:3, tags:[] },
+        { _id:4, kind:'newt', tags:null },
+    ];
+
+    // Invalid pipelines should fail.
+    await throws(()=>runPipeline(docs, [ 'x' ], 'test()'),
+        "test(): Each element of the 'pipeline' array must be an object");
+    await throws(()=>runPipeline(docs, [ { $match:{}, $limit:1 } ], 'test()'),
+        'test(): A pipeline stage specification object must contain exactly ' +
+        'one field.');
+    await throws(()=>runPipeline(docs, [ { $nope:1 } ], 'test()'),
+        "test(): Unrecognized pipeline stage name: '$nope'");
+
+    // `$match`, `$sort`, `$skip` and `$limit`.
+    equal(await run([ { $match:{ tags:'brown' } } ]), toStr([ docs[1] ]));
+    equal(await run([ { $sort:{ legs:1, _id:-1 } }, { $skip:1 }, { $limit:2 },
+        { $project:{ _id:1 } } ]), toStr([ { _id:3 }, { _id:2 } ]));
+    await throws(()=>runPipeline(docs, [ { $limit:0 } ], 'test()'),
+        'test(): the limit must be positive');
+    await throws(()=>runPipeline(docs, [ { $skip:-1 } ], 'test()'),
+        'test(): invalid argument to $skip stage: Expected a non-negative number');
+
+    // `$project`, `$addFields`, `$set` and `$unset`.
+    equal(await run([ { $limit:1 }, { $project:{ _id:0, kind:1, o:{ p:1 },
+        l:'$legs', c:{ $literal:'$x' } } } ]),
+        toStr([ { kind:'frog', o:{ p:1 }, l:4, c:'$x' } ]));
+    equal(await run([ { $limit:1 }, { $project:{ tags:0, 'o.p':0 } } ]),
+        toStr([ { _id:1, kind:'frog', legs:4, o:{} } ]));
+    equal(await run([ { $limit:1 }, { $project:{ _id:0, k:'$kind' } } ]),
+        toStr([ { k:'frog' } ]));
+    await throws(()=>runPipeline(docs, [ { $project:{ a:0, b:'$c' } } ], 'test()'),
+        'test(): Invalid $project :: caused by :: Cannot use expression other ' +
+        'than $meta in exclusion projection');
+    equal(await run([ { $limit:1 }, { $addFields:{ k:'$kind', o:{ q:2 } } },
+        { $set:{ legs:5 } }, { $unset:[ 'tags', 'kind' ] } ]),
+        toStr([ { _id:1, legs:5, o:{ p:1, q:2 }, k:'frog' } ]));
+
+    // `$group` and its accumulators.
+    equal(await run([ { $group:{ _id:'$kind', n:{ $sum:1 }, legs:{ $sum:'$legs' },
+        avg:{ $avg:'$legs' }, min:{ $min:'$legs' }, max:{ $max:'$legs' },
+        ids:{ $push:'$_id' }, tags:{ $addToSet:'$tags' },
+        first:{ $first:'$legs' }, last:{ $last:'$legs' } } } ]), toStr([
+        { _id:'frog', n:2, legs:7, avg:3.5, min:3, max:4, ids:[1,3],
+            tags:[['green','small'],[]], first:4, last:3 },
+        { _id:'toad', n:1, legs:4, avg:4, min:4, max:4, ids:[2],
+            tags:[['brown']], first:4, last:4 },
+        { _id:'newt', n:1, legs:0, avg:null, min:null, max:null, ids:[4],
+            tags:[null], first:null, last:null },
+    ]));
+    equal(await run([ { $group:{ _id:{ k:'$kind', l:'$legs' } } },
+        { $sort:{ '_id.l':-1, '_id.k':1 } }, { $limit:2 } ]),
+        toStr([ { _id:{ k:'frog', l:4 } }, { _id:{ k:'toad', l:4 } } ]));
+    await throws(()=>runPipeline(docs, [ { $group:{ n:{ $sum:1 } } } ], 'test()'),
+        'test(): a group specification must include an _id');
+    await throws(()=>runPipeline(docs, [ { $group:{ _id:null, n:{ $nope:1 } } } ],
+        'test()'), "test(): unknown group operator '$nope'");
+
+    // `$unwind`.
+    equal(await run([ { $unwind:'$tags' }, { $project:{ tags:1 } } ]), toStr([
+        { _id:1, tags:'green' }, { _id:1, tags:'small' }, { _id:2, tags:'brown' },
+    ]));
+    equal(await run([ { $unwind:{ path:'$tags', includeArrayIndex:'i',
+        preserveNullAndEmptyArrays:true } }, { $project:{ tags:1, i:1 } } ]),
+        toStr([ { _id:1, tags:'green', i:0 }, { _id:1, tags:'small', i:1 },
+        { _id:2, tags:'brown', i:0 }, { _id:3, i:null },
+        { _id:4, tags:null, i:null } ]));
+    await throws(()=>runPipeline(docs, [ { $unwind:'tags' } ], 'test()'),
+        "test(): path option to $unwind stage should be prefixed with a '$': tags");
+
+    // `$count`, `$sortByCount`, `$facet` and `$replaceRoot`.
+    equal(await run([ { $match:{ legs:4 } }, { $count:'fourLegs' } ]),
+        toStr([ { fourLegs:2 } ]));
+    equal(await run([ { $match:{ legs:9 } }, { $count:'n' } ]), toStr([]));
+    equal(await run([ { $sortByCount:'$kind' } ]), toStr([ { _id:'frog',
+        count:2 }, { _id:'toad', count:1 }, { _id:'newt', count:1 } ]));
+    equal(await run([ { $facet:{ n:[ { $count:'n' } ],
+        kinds:[ { $group:{ _id:'$kind' } }, { $sort:{ _id:1 } } ] } } ]),
+        toStr([ { n:[ { n:4 } ], kinds:[ { _id:'frog' }, { _id:'newt' },
+        { _id:'toad' } ] } ]));
+    equal(await run([ { $limit:1 }, { $replaceRoot:{ newRoot:'$o' } } ]),
+        toStr([ { p:1 } ]));
+    await throws(()=>runPipeline(docs, [ { $replaceRoot:{ newRoot:'$legs' } } ],
+        'test()'), "test(): 'newRoot' expression must evaluate to an object, " +
+        "but resulting value was: 4. Type of resulting value: 'int'. Input " +
+        'document: {_id: 1, kind: "frog", legs: 4, tags: ["green", "small"], ' +
+        'o: {p: 1}}');
+
+    // `$project`, `$group` and `$match` should share the expression language.
+    equal(await run([ { $match:{ $expr:{ $gte:[ { $size:{ $ifNull:[ '$tags',
+        [] ] } }, 1 ] } } }, { $project:{ _id:0, label:{ $concat:[
+        { $toUpper:'$kind' }, ':', { $toString:'$legs' } ] }, big:{ $cond:[
+        { $gt:[ '$legs', 3 ] }, 'yes', 'no' ] } } } ]), toStr([
+        { label:'FROG:4', big:'yes' }, { label:'TOAD:4', big:'yes' } ]));
+    equal(await run([ { $group:{ _id:{ $mod:[ '$_id', 2 ] },
+        legs:{ $sum:{ $multiply:[ { $ifNull:[ '$legs', 0 ] }, 10 ] } },
+        docs:{ $push:'$$ROOT._id' } } } ]), toStr([
+        { _id:1, legs:70, docs:[1,3] }, { _id:0, legs:40, docs:[2,4] } ]));
+    equal(toStr(await runPipeline(docs, [ { $match:{ $expr:{ $eq:[ '$kind',
+        '$$want' ] } } }, { $count:'n' } ], 'test()', { db:null,
+        variables:{ want:'frog' } })), toStr([ { n:2 } ]));
+    await throws(()=>runPipeline(docs, [ { $project:{ x:{ $add:[ '$kind',
+        1 ] } } } ], 'test()'),
+        'test(): $add only supports numeric or date types, not string');
+
+    // The input documents should not be modified.
+    equal(toStr(docs[0]), toStr({ _id:1, kind:'frog', legs:4,
+        tags:['green','small'], o:{ p:1 } }));
+}
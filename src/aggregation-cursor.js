@@ -0,0 +1,210 @@
+import { aintaArray, aintaFunction, aintaObject } from '@0bdx/ainta';
+import AbstractCursor from './abstract-cursor.js';
+
+/**
+ * ### A cursor over the results of `aggregate()`, like the `mongodb`
+ * `AggregationCursor`.
+ *
+ * The pipeline is not run until the cursor is first read. Until then, methods
+ * like `match()` and `group()` can be chained to add stages to the pipeline.
+ * After that, calling them throws an `Error`.
+ */
+export default class AggregationCursor extends AbstractCursor {
+    /**
+     * ### Creates a cursor which will run a pipeline when it is first read.
+     *
+     * @param {function(object[]):Promise<object[]>} fetch
+     *    An async function which runs a pipeline over the collection, and
+     *    resolves to the output documents.
+     * @param {object[]} [pipeline=[]]
+     *    The initial stages of the pipeline.
+     * @throws
+     *    Throws an `Error` if either of the arguments are invalid.
+     */
+    constructor(fetch, pipeline = []) {
+        super();
+        const begin = 'new AggregationCursor()';
+
+        // Validate the arguments.
+        const aFetch = aintaFunction(fetch, 'fetch', { begin });
+        if (aFetch) throw Error(aFetch);
+        const aPipeline = aintaArray(pipeline, 'pipeline', { begin,
+            types:['object'] });
+        if (aPipeline) throw Error(aPipeline);
+
+        // Store the function which runs the pipeline, and a copy of the stages.
+        this._fetch = fetch;
+        this._pipeline = pipeline.slice();
+    }
+
+    /**
+     * ### The stages of the pipeline.
+     *
+     * @type {object[]}
+     */
+    get pipeline() { return this._pipeline }
+
+    /**
+     * ### Adds any stage to the end of the pipeline.
+     *
+     * @param {object} stage
+     *    The stage, eg `{ $sortByCount:'$kind' }`.
+     * @returns {AggregationCursor}
+     *    Returns this cursor, so that calls can be chained.
+     * @throws
+     *    Throws an `Error` if `stage` is not an object, or the cursor has been
+     *    read.
+     */
+    addStage(stage) {
+        const begin = 'addStage()';
+        this._throwIfInitialized(begin);
+        const aStage = aintaObject(stage, 'stage', { begin, open:true });
+        if (aStage) throw Error(aStage);
+        this._pipeline.push(stage);
+        return this;
+    }
+
+    /**
+     * ### Creates a new, unread cursor with the same pipeline.
+     *
+     * @returns {AggregationCursor}
+     *    Returns a new cursor.
+     */
+    clone() {
+        const cursor = new AggregationCursor(this._fetch, this._pipeline);
+        cursor._transforms = this._transforms.slice();
+        return cursor;
+    }
+
+    /**
+     * ### Adds a `$group` stage to the pipeline.
+     *
+     * @param {object} spec
+     *    The stage's specification, eg `{ _id:'$kind', n:{ $sum:1 } }`.
+     * @returns {AggregationCursor}
+     *    Returns this cursor, so that calls can be chained.
+     */
+    group(spec) { return this.addStage({ $group:spec }) }
+
+    /**
+     * ### Adds a `$limit` stage to the pipeline.
+     *
+     * @param {number} value
+     *    The maximum number of documents to output.
+     * @returns {AggregationCursor}
+     *    Returns this cursor, so that calls can be chained.
+     */
+    limit(value) { return this.addStage({ $limit:value }) }
+
+    /**
+     * ### Adds a `$match` stage to the pipeline.
+     *
+     * @param {object} filter
+     *    The search criteria, as used by `find()`.
+     * @returns {AggregationCursor}
+     *    Returns this cursor, so that calls can be chained.
+     */
+    match(filter) { return this.addStage({ $match:filter }) }
+
+    /**
+     * ### Adds a `$project` stage to the pipeline.
+     *
+     * @param {object} spec
+     *    The stage's specification, eg `{ _id:0, name:1, n:'$count' }`.
+     * @returns {AggregationCursor}
+     *    Returns this cursor, so that calls can be chained.
+     */
+    project(spec) { return this.addStage({ $project:spec }) }
+
+    /**
+     * ### Adds a `$skip` stage to the pipeline.
+     *
+     * @param {number} value
+     *    The number of documents to skip.
+     * @returns {AggregationCursor}
+     *    Returns this cursor, so that calls can be chained.
+     */
+    skip(value) { return this.addStage({ $skip:value }) }
+
+    /**
+     * ### Adds a `$sort` stage to the pipeline.
+     *
+     * @param {Object<string,1|-1>} spec
+     *    The sort order, eg `{ age:-1, name:1 }`.
+     * @returns {AggregationCursor}
+     *    Returns this cursor, so that calls can be chained.
+     */
+    sort(spec) { return this.addStage({ $sort:spec }) }
+
+    /**
+     * ### Adds an `$unwind` stage to the pipeline.
+     *
+     * @param {string|object} spec
+     *    The field path, eg `'$tags'`, or an object with a `path`.
+     * @returns {AggregationCursor}
+     *    Returns this cursor, so that calls can be chained.
+     */
+    unwind(spec) { return this.addStage({ $unwind:spec }) }
+
+    /**
+     * ### Runs the pipeline.
+     *
+     * @returns {Promise<object[]>}
+     *    Returns a `Promise` which resolves to an array of documents.
+     */
+    async _load() {
+        return this._fetch(this._pipeline);
+    }
+}
+
+
+/* ---------------------------------- Tests --------------------------------- */
+
+/**
+ * ### `AggregationCursor` unit tests.
+ *
+ * @param {typeof AggregationCursor} C
+ *    The `AggregationCursor` class to test.
+ * @returns {Promise<void>}
+ *    Returns a `Promise` which does not resolve to anything.
+ * @throws
+ *    Throws an `Error` if a test fails.
+ */
+export async function aggregationCursorTest(C) {
+    const e2l = e => (e.stack.split('\n')[2].match(/([^\/]+\.js:\d+):\d+\)?$/)||[])[1];
+    const equal = (actual, expected) => { if (actual === expected) return;
+        try { throw Error() } catch(err) { throw Error(`actual:\n${actual}\n` +
+            `!== expected:\n${expected}\n...at ${e2l(err)}\n`) } };
+    const throws = async (actual, expected) => { try { const result = actual();
+            if (result instanceof Promise) await result } catch (err) {
+        if (err.message !== expected) { throw Error(`actual message:\n${err.message
+            }\n!== expected message:\n${expected}\n...at ${e2l(err)}\n`)} return }
+        throw Error(`expected message:\n${expected}\nbut nothing was thrown\n`) };
+    const toStr = value => JSON.stringify(value);
+
+    // Mock the function which runs a pipeline, so it just echoes the stages.
+    const fetch = async pipeline => pipeline.map((stage, i) => ({ i, stage }));
+
+    // Instantiating an `AggregationCursor` with invalid arguments should fail.
+    // @ts-expect-error
+    throws(()=>new C(fetch, {}),
+        "new AggregationCursor(): `pipeline` is type 'object' not an array");
+    throws(()=>new C(fetch, [ 1 ]),
+        "new AggregationCursor(): `pipeline[0]` is type 'number', not the " +
+        "`options.types` 'object'");
+
+    // Chained methods should add stages, until the cursor is read.
+    const pipeline = [ { $match:{ a:1 } } ];
+    const cursor = new C(fetch, pipeline).group({ _id:'$a' }).sort({ _id:1 })
+        .skip(1).limit(2).project({ _id:1 }).unwind('$b').match({ c:1 })
+        .addStage({ $count:'n' }).map(({ stage }) => Object.keys(stage)[0]);
+    equal(pipeline.length, 1);
+    equal(toStr(await cursor.toArray()), toStr([ '$match', '$group', '$sort',
+        '$skip', '$limit', '$project', '$unwind', '$match', '$count' ]));
+    throws(()=>cursor.limit(1),
+        'addStage(): Cursor is already initialized');
+    equal(cursor.pipeline.length, 9);
+
+    // A clone should run the same pipeline again.
+    equal((await cursor.clone().next()), '$match');
+}
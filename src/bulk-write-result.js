@@ -0,0 +1,135 @@
+/**
+ * ### An operation in a `bulkWrite()` which failed.
+ *
+ * @typedef {Object} WriteError
+ * @property {number} index
+ *    The position of the operation in the `bulkWrite()` array.
+ * @property {number} code
+ *    A MongoDB error code, eg `11000` for a duplicate key.
+ * @property {string} errmsg
+ *    The error message.
+ * @property {object} op
+ *    The operation, eg `{ insertOne:{ document:{ _id:1 } } }`.
+ */
+
+/**
+ * ### The result of `bulkWrite()`, like the `mongodb` `BulkWriteResult`.
+ *
+ * Ids are keyed by the position of their operation in the `bulkWrite()` array,
+ * so `insertedIds[2]` is the `_id` inserted by the third operation.
+ */
+export default class BulkWriteResult {
+    /** @type {number} */
+    deletedCount = 0;
+
+    /** @type {number} */
+    insertedCount = 0;
+
+    /** @type {Object<number,any>} */
+    insertedIds = {};
+
+    /** @type {number} */
+    matchedCount = 0;
+
+    /** @type {number} */
+    modifiedCount = 0;
+
+    /** @type {number} */
+    upsertedCount = 0;
+
+    /** @type {Object<number,any>} */
+    upsertedIds = {};
+
+    /** @type {WriteError[]} */
+    _writeErrors = [];
+
+    /**
+     * ### `1` if there were no write errors, otherwise `0`.
+     *
+     * @type {0|1}
+     */
+    get ok() { return this._writeErrors.length ? 0 : 1 }
+
+    /**
+     * ### Returns one of the write errors.
+     *
+     * @param {number} index
+     *    The position in the list of write errors, not of the operation.
+     * @returns {WriteError|undefined}
+     *    Returns the write error, or `undefined` if there is none.
+     */
+    getWriteErrorAt(index) { return this._writeErrors[index] }
+
+    /**
+     * ### Returns the number of operations which failed.
+     *
+     * @returns {number}
+     *    Returns `0` if every operation succeeded.
+     */
+    getWriteErrorCount() { return this._writeErrors.length }
+
+    /**
+     * ### Returns the operations which failed.
+     *
+     * @returns {WriteError[]}
+     *    Returns a copy of the list of write errors.
+     */
+    getWriteErrors() { return this._writeErrors.slice() }
+
+    /**
+     * ### Determines whether any of the operations failed.
+     *
+     * @returns {boolean}
+     *    Returns `true` if there is at least one write error.
+     */
+    hasWriteErrors() { return this._writeErrors.length > 0 }
+
+    /**
+     * ### Determines whether every operation succeeded.
+     *
+     * @returns {boolean}
+     *    Returns `true` if there are no write errors.
+     */
+    isOk() { return !this._writeErrors.length }
+}
+
+
+/* ---------------------------------- Tests --------------------------------- */
+
+/**
+ * ### `BulkWriteResult` unit tests.
+ *
+ * @param {typeof BulkWriteResult} C
+ *    The `BulkWriteResult` class to test.
+ * @returns {void}
+ *    Does not return anything.
+ * @throws
+ *    Throws an `Error` if a test fails.
+ */
+export function bulkWriteResultTest(C) {
+    const e2l = e => (e.stack.split('\n')[2].match(/([^\/]+\.js:\d+):\d+\)?$/)||[])[1];
+    const equal = (actual, expected) => { if (actual === expected) return;
+        try { throw Error() } catch(err) { throw Error(`actual:\n${actual}\n` +
+            `!== expected:\n${expected}\n...at ${e2l(err)}\n`) } };
+    const toStr = value => JSON.stringify(value);
+
+    // A new `BulkWriteResult` should have zero counts and no write errors.
+    const result = new C();
+    equal(toStr(result), toStr({ deletedCount:0, insertedCount:0,
+        insertedIds:{}, matchedCount:0, modifiedCount:0, upsertedCount:0,
+        upsertedIds:{}, _writeErrors:[] }));
+    equal(result.ok, 1);
+    equal(result.isOk(), true);
+    equal(result.hasWriteErrors(), false);
+
+    // Write errors should be reported by the accessor methods.
+    const writeError = { index:3, code:11000, errmsg:'E11000', op:{} };
+    result._writeErrors.push(writeError);
+    equal(result.ok, 0);
+    equal(result.isOk(), false);
+    equal(result.hasWriteErrors(), true);
+    equal(result.getWriteErrorCount(), 1);
+    equal(result.getWriteErrorAt(0), writeError);
+    equal(result.getWriteErrors()[0], writeError);
+    equal(result.getWriteErrors() !== result._writeErrors, true);
+}
@@ -0,0 +1,635 @@
+import { EventEmitter } from 'node:events';
+import { aintaArray, aintaObject } from '@0bdx/ainta';
+import { runPipeline } from './aggregate.js';
+import { MongoServerError } from './errors.js';
+import ObjectId from './object-id.js';
+import { cloneValue, equalValues, isPlainObject } from './values.js';
+
+/**
+ * ### A change event, like those which the `mongodb` `ChangeStream` emits.
+ *
+ * Mongoish has no BSON `Timestamp` type, so `clusterTime` is an object with
+ * the seconds `t` and the increment `i`, like a `Timestamp`'s Extended JSON.
+ *
+ * @typedef {Object} ChangeEvent
+ * @property {{_data:string}} _id
+ *    The resume token, which can be passed as the `resumeAfter` option.
+ * @property {'delete'|'drop'|'dropDatabase'|'insert'|'invalidate'|'rename'|'replace'|'update'} operationType
+ *    The kind of change.
+ * @property {{t:number,i:number}} clusterTime
+ *    When the change was made, in seconds, and its position in the history.
+ * @property {Date} wallTime
+ *    When the change was made.
+ * @property {object} [fullDocument]
+ *    The new document, for 'insert' and 'replace', and for 'update' if the
+ *    `fullDocument` option is 'updateLookup'.
+ * @property {{db:string,coll?:string}} [ns]
+ *    The database and collection which changed. Not set for 'invalidate'.
+ * @property {{db:string,coll:string}} [to]
+ *    The new name of the collection, for 'rename'.
+ * @property {{_id:any}} [documentKey]
+ *    The `_id` of the document, for 'delete', 'insert', 'replace' and 'update'.
+ * @property {{updatedFields:object,removedFields:string[],truncatedArrays:any[]}} [updateDescription]
+ *    The fields which an 'update' changed, as dotted paths.
+ * @property {{id:string}} [lsid]
+ *    The session which committed the change, if it was in a transaction.
+ * @property {number} [txnNumber]
+ *    The number of that transaction within the session.
+ */
+
+/**
+ * ### The options which `watch()` understands.
+ *
+ * @typedef {Object} ChangeStreamOptions
+ * @property {'default'|'updateLookup'} [fullDocument='default']
+ *    If 'updateLookup', 'update' events include the document as it was just
+ *    after the update.
+ * @property {{_data:string}} [resumeAfter]
+ *    Starts after the change with this resume token, so that changes made
+ *    while no stream was open are not missed.
+ */
+
+/**
+ * ### The recent changes made through a client, which its change streams
+ * read.
+ *
+ * Like MongoDB's oplog, only a limited number of changes are kept, so a
+ * stream cannot resume from a token which is too old.
+ */
+export class ChangeHistory {
+    /**
+     * ### Creates an empty history.
+     *
+     * @param {number} [maxSize=1000]
+     *    The number of changes to keep.
+     */
+    constructor(maxSize = 1000) {
+        this._maxSize = maxSize;
+    }
+
+    // The start of every resume token from this history, so that a token from
+    // another client is not mistaken for one of these.
+    _prefix = new ObjectId().toHexString();
+
+    // The number of changes ever published.
+    _sequence = 0;
+
+    // The most recent changes. `fullDocument` is the document just after an
+    // 'update', for streams which use `fullDocument:'updateLookup'`.
+    /** @type {{event:ChangeEvent,fullDocument:object|null}[]} */
+    _entries = [];
+
+    /**
+     * ### The change streams which are open.
+     *
+     * @type {Set<ChangeStream>}
+     */
+    streams = new Set();
+
+    /**
+     * ### The resume token for the current position, after every change so
+     * far.
+     *
+     * @type {{_data:string}}
+     */
+    get token() { return this._token(this._sequence) }
+
+    /**
+     * ### Closes every open change stream, eg when the client is closed.
+     *
+     * @returns {Promise<void>}
+     *    Returns a `Promise` which does not resolve to anything.
+     */
+    async closeStreams() {
+        for (const stream of Array.from(this.streams)) await stream.close();
+    }
+
+    /**
+     * ### Records a change, and passes it to every open stream.
+     *
+     * @param {ChangeEvent['operationType']} operationType
+     *    The kind of change.
+     * @param {object} fields
+     *    The rest of the event, eg `ns` and `documentKey`, which is copied.
+     * @param {object|null} [fullDocument=null]
+     *    For an 'update', the document just after the update.
+     */
+    publish(operationType, fields, fullDocument = null) {
+        const sequence = ++this._sequence;
+        const wallTime = new Date();
+        const entry = {
+            event: { _id:this._token(sequence), operationType, clusterTime:{
+                t:Math.floor(wallTime.getTime() / 1000), i:sequence },
+                wallTime, ...cloneValue(fields) },
+            fullDocument: fullDocument && cloneValue(fullDocument),
+        };
+        this._entries.push(entry);
+        if (this._entries.length > this._maxSize) this._entries.shift();
+        this.streams.forEach(stream => stream._push(entry));
+    }
+
+    /**
+     * ### Finds the changes made after a resume token.
+     *
+     * @param {string} begin
+     *    The name of the calling method, used to begin any error message.
+     * @param {any} token
+     *    A resume token from this history.
+     * @returns {{event:ChangeEvent,fullDocument:object|null}[]}
+     *    Returns the changes made since the token, oldest first.
+     * @throws
+     *    Throws a `MongoServerError` if the token is not from this history,
+     *    or if changes made after it are no longer kept.
+     */
+    since(begin, token) {
+        const data = isPlainObject(token) && typeof token._data === 'string'
+            ? token._data : '';
+        const sequence = data.startsWith(this._prefix)
+            ? parseInt(data.slice(this._prefix.length), 16) : NaN;
+        if (!(sequence >= 0 && sequence <= this._sequence)) throw new
+            MongoServerError(`${begin}: cannot resume stream; the resume ` +
+            `token was not found. ${JSON.stringify(token)}`,
+            { code:280, codeName:'ChangeStreamFatalError' });
+        const oldest = this._sequence - this._entries.length;
+        if (sequence < oldest) throw new MongoServerError(`${begin}: Resume ` +
+            'of change stream was not possible, as the resume point may no ' +
+            'longer be in the oplog.',
+            { code:286, codeName:'ChangeStreamHistoryLost' });
+        return this._entries.slice(sequence - oldest);
+    }
+
+    // Returns the resume token for the change with a sequence number.
+    _token(sequence) {
+        return { _data:this._prefix + sequence.toString(16).padStart(8, '0') };
+    }
+}
+
+/**
+ * ### A stream of the changes to a collection or database, like the `mongodb`
+ * `ChangeStream`.
+ *
+ * Use `collection.watch()` or `db.watch()` to get one. It can be read either
+ * as an `EventEmitter`, by listening for 'change' events, or as an iterator,
+ * using `next()` or `for await...of`, but not both. Breaking out of a
+ * `for await...of` loop closes the stream.
+ *
+ * A collection's stream ends with an 'invalidate' event after the collection
+ * is dropped or renamed, and a database's stream after the database is
+ * dropped.
+ */
+export default class ChangeStream extends EventEmitter {
+    /**
+     * ### Creates a change stream, which starts with changes made after it
+     * was created, or after `options.resumeAfter`.
+     *
+     * It is only created by `watch()`, which begins any error messages.
+     *
+     * @param {ChangeHistory} history
+     *    The client's recent changes, which the stream subscribes to.
+     * @param {{db:string,coll?:string}} ns
+     *    The database to watch, and the collection, unless the whole database
+     *    is watched.
+     * @param {object[]} pipeline
+     *    `$addFields`, `$match`, `$project`, `$replaceRoot`, `$set` and
+     *    `$unset` stages, which filter and modify each change event.
+     * @param {ChangeStreamOptions} options
+     *    The `fullDocument` and `resumeAfter` options. Other options of the
+     *    `mongodb` package, like `batchSize`, are ignored.
+     * @throws
+     *    Throws an `Error` if any of the arguments are invalid.
+     */
+    constructor(history, ns, pipeline, options) {
+        super();
+        const begin = 'watch()';
+
+        // Validate the arguments.
+        const aPipeline = aintaArray(pipeline, 'pipeline', { begin,
+            types:['object'] });
+        if (aPipeline) throw Error(aPipeline);
+        for (const stage of pipeline) {
+            const [ name ] = Object.keys(stage);
+            if (name && !changeStreamStages.includes(name)) throw Error(
+                `${begin}: ${name} is not permitted in a $changeStream pipeline`);
+        }
+        const aOptions = aintaObject(options, 'options', { begin, open:true,
+            schema:{
+                fullDocument: { types:['string','undefined'],
+                    is:['default','updateLookup'] },
+                resumeAfter: { types:['object','undefined'], open:true },
+            } });
+        if (aOptions) throw Error(aOptions);
+
+        // Store the arguments.
+        this._history = history;
+        this._ns = { ...ns };
+        this._pipeline = pipeline.slice();
+        this._fullDocument = options.fullDocument || 'default';
+        this._resumeToken = options.resumeAfter || history.token;
+
+        // Listening for 'change' events means the stream cannot be used as an
+        // iterator. The listener is added after this, so events which are
+        // already buffered are emitted later.
+        this.on('newListener', event => {
+            if (event !== 'change') return;
+            this._use('on()', 'emitter');
+            setImmediate(() => this._emitBuffered());
+        });
+
+        // Catch up on the changes made since `options.resumeAfter`, and then
+        // subscribe to new ones. If that is not possible, the error is thrown
+        // when the stream is read, or emitted as an 'error' event.
+        try {
+            const missed = options.resumeAfter
+                ? history.since(begin, options.resumeAfter) : [];
+            history.streams.add(this);
+            for (const entry of missed) this._push(entry);
+        } catch (err) {
+            this._error = err;
+            this._end();
+        }
+    }
+
+    // The changes which are ready to be read, oldest first.
+    /** @type {ChangeEvent[]} */
+    _buffer = [];
+
+    // The error to throw once the buffer is empty, if the stream failed.
+    /** @type {Error|null} */
+    _error = null;
+
+    // Set by `close()`, or after an 'invalidate' event.
+    _isClosed = false;
+
+    // Whether the stream is being used as an 'emitter' or an 'iterator'.
+    /** @type {'emitter'|'iterator'|null} */
+    _mode = null;
+
+    // Each change runs through the pipeline after the one before.
+    /** @type {Promise<void>} */
+    _processing = Promise.resolve();
+
+    // Functions which wake up readers waiting for a change.
+    /** @type {(function(any=):void)[]} */
+    _wakers = [];
+
+    /**
+     * ### `true` if the stream has been closed, or was invalidated.
+     *
+     * @type {boolean}
+     */
+    get closed() { return this._isClosed }
+
+    /**
+     * ### The resume token of the last change that was read, or of the
+     * stream's starting point if none has been read yet.
+     *
+     * @type {{_data:string}}
+     */
+    get resumeToken() { return this._resumeToken }
+
+    /**
+     * ### Closes the stream, discarding any changes which have not been read.
+     *
+     * @returns {Promise<void>}
+     *    Returns a `Promise` which does not resolve to anything.
+     */
+    async close() {
+        this._buffer = [];
+        this._end();
+    }
+
+    /**
+     * ### Checks whether there is another change, waiting for one if needed.
+     *
+     * @returns {Promise<boolean>}
+     *    Returns a `Promise` which resolves to `true` once a change can be
+     *    read, or `false` if the stream is closed.
+     * @throws
+     *    Throws an `Error` if the stream is being used as an `EventEmitter`,
+     *    or the stream failed, eg because `resumeAfter` was too old.
+     */
+    async hasNext() {
+        return this._wait('hasNext()');
+    }
+
+    /**
+     * ### Reads the next change, waiting for one if needed.
+     *
+     * @returns {Promise<ChangeEvent>}
+     *    Returns a `Promise` which resolves to the next change.
+     * @throws
+     *    Throws an `Error` if the stream is closed, if it is being used as an
+     *    `EventEmitter`, or if it failed.
+     */
+    async next() {
+        if (!await this._wait('next()'))
+            throw Error('next(): ChangeStream is closed');
+        return this._take();
+    }
+
+    /**
+     * ### Reads the next change, without waiting for one.
+     *
+     * @returns {Promise<ChangeEvent|null>}
+     *    Returns a `Promise` which resolves to the next change, or `null` if
+     *    there is none yet.
+     * @throws
+     *    Throws an `Error` if the stream is closed, if it is being used as an
+     *    `EventEmitter`, or if it failed.
+     */
+    async tryNext() {
+        const begin = 'tryNext()';
+        this._use(begin, 'iterator');
+        await this._processing;
+        if (this._buffer.length) return this._take();
+        if (this._error) throw this._error;
+        if (this._isClosed) throw Error(`${begin}: ChangeStream is closed`);
+        return null;
+    }
+
+    /**
+     * ### Allows the stream to be read with `for await...of`.
+     *
+     * @returns {AsyncGenerator<ChangeEvent>}
+     *    Returns an async iterator over the changes, which ends when the
+     *    stream is closed, and closes the stream if the loop is left early.
+     */
+    async *[Symbol.asyncIterator]() {
+        try {
+            while (await this._wait('[Symbol.asyncIterator]()'))
+                yield this._take();
+        } finally {
+            await this.close();
+        }
+    }
+
+    // Delivers a change which has been through the pipeline.
+    _deliver(change) {
+        if (this._mode === 'emitter') {
+            this._resumeToken = change._id;
+            this.emit('change', change);
+        } else {
+            this._buffer.push(change);
+            this._wake();
+        }
+    }
+
+    // Emits the changes which arrived before the first 'change' listener.
+    _emitBuffered() {
+        for (const change of this._buffer.splice(0)) {
+            this._resumeToken = change._id;
+            this.emit('change', change);
+        }
+        if (this._error && this.listenerCount('error'))
+            this.emit('error', this._error);
+    }
+
+    // Stops receiving changes, and wakes up any waiting readers.
+    _end() {
+        if (this._isClosed) return;
+        this._isClosed = true;
+        this._history.streams.delete(this);
+        this._wake();
+        this.emit('close');
+    }
+
+    // Closes the stream after an error, which is emitted if the stream is
+    // being used as an `EventEmitter`, and otherwise thrown by the next read.
+    _fail(err) {
+        this._error = err;
+        if (this._mode === 'emitter' && this.listenerCount('error'))
+            this.emit('error', err);
+        this._end();
+    }
+
+    // Runs a change through the pipeline, if it is in the stream's namespace.
+    // A 'drop' or 'rename' of the watched collection, or a 'dropDatabase' of
+    // the watched database, is followed by an 'invalidate' event, which ends
+    // the stream.
+    _push({ event, fullDocument }) {
+        const { db, coll } = this._ns;
+        if (!event.ns || event.ns.db !== db ||
+            (coll !== void 0 && event.ns.coll !== coll)) return;
+        this._processing = this._processing.then(async () => {
+            if (this._isClosed) return;
+            const change = cloneValue(event);
+            if (fullDocument && this._fullDocument === 'updateLookup')
+                change.fullDocument = cloneValue(fullDocument);
+            const [ output ] = await runPipeline([ change ], this._pipeline,
+                'watch()');
+            if (output && !equalValues(output._id, event._id)) throw Error(
+                'watch(): Encountered an event whose _id field, which ' +
+                'contains the resume token, was modified by the pipeline');
+            if (output) this._deliver(output);
+            if ((coll === void 0 ? [ 'dropDatabase' ] : [ 'drop', 'rename' ])
+                .includes(event.operationType)) {
+                this._deliver({ _id:cloneValue(event._id),
+                    operationType:'invalidate',
+                    clusterTime:cloneValue(event.clusterTime),
+                    wallTime:cloneValue(event.wallTime) });
+                this._end();
+            }
+        }).catch(err => this._fail(err));
+    }
+
+    // Reads the oldest buffered change.
+    _take() {
+        const change = this._buffer.shift();
+        this._resumeToken = change._id;
+        return change;
+    }
+
+    // Checks that the stream is not also being used the other way.
+    _use(begin, mode) {
+        if (this._mode && this._mode !== mode) throw Error(mode === 'emitter'
+            ? `${begin}: ChangeStream cannot be used as an EventEmitter after being used as an iterator`
+            : `${begin}: ChangeStream cannot be used as an iterator after being used as an EventEmitter`);
+        this._mode = mode;
+    }
+
+    // Waits until there is a change to read, or the stream is closed. Resolves
+    // to `true` if there is a change, and throws the error if the stream
+    // failed.
+    async _wait(begin) {
+        this._use(begin, 'iterator');
+        while (!this._buffer.length && !this._isClosed)
+            await new Promise(wake => this._wakers.push(wake));
+        if (!this._buffer.length && this._error) throw this._error;
+        return this._buffer.length > 0;
+    }
+
+    // Wakes up every reader waiting for a change.
+    _wake() {
+        for (const wake of this._wakers.splice(0)) wake();
+    }
+}
+
+/**
+ * ### Describes how an update changed a document, like the
+ * `updateDescription` of a change event.
+ *
+ * Changed fields of nested objects are described by their dotted paths, but
+ * arrays which changed are always given in full.
+ *
+ * @param {object} before
+ *    The document before the update.
+ * @param {object} after
+ *    The document after the update.
+ * @returns {{updatedFields:object,removedFields:string[],truncatedArrays:any[]}}
+ *    Returns the new values of added or changed fields, and the paths of
+ *    removed fields.
+ */
+export function describeUpdate(before, after) {
+    const updatedFields = {};
+    const removedFields = [];
+    const compare = (a, b, prefix) => {
+        for (const key of Object.keys(b)) {
+            if (isPlainObject(a[key]) && isPlainObject(b[key]))
+                compare(a[key], b[key], `${prefix}${key}.`);
+            else if (!(key in a) || !equalValues(a[key], b[key]))
+                updatedFields[prefix + key] = cloneValue(b[key]);
+        }
+        for (const key of Object.keys(a))
+            if (!(key in b)) removedFields.push(prefix + key);
+    };
+    compare(before, after, '');
+    return { updatedFields, removedFields, truncatedArrays:[] };
+}
+
+
+/* ---------------------------------- Private ------------------------------- */
+
+// The stages which a change stream's pipeline may contain.
+const changeStreamStages =
+    [ '$addFields', '$match', '$project', '$replaceRoot', '$set', '$unset' ];
+
+
+/* ---------------------------------- Tests --------------------------------- */
+
+/**
+ * ### `ChangeStream` unit tests.
+ *
+ * @param {typeof ChangeStream} C
+ *    The `ChangeStream` class to test.
+ * @returns {Promise<void>}
+ *    Returns a `Promise` which does not resolve to anything.
+ * @throws
+ *    Throws an `Error` if a test fails.
+ */
+export async function changeStreamTest(C) {
+    const e2l = e => (e.stack.split('\n')[2].match(/([^\/]+\.js:\d+):\d+\)?$/)||[])[1];
+    const equal = (actual, expected) => { if (actual === expected) return;
+        try { throw Error() } catch(err) { throw Error(`actual:\n${actual}\n` +
+            `!== expected:\n${expected}\n...at ${e2l(err)}\n`) } };
+    const throws = async (actual, expected) => { try { const result = actual();
+            if (result instanceof Promise) await result } catch (err) {
+        if (err.message !== expected) { throw Error(`actual message:\n${err.message
+            }\n!== expected message:\n${expected}\n...at ${e2l(err)}\n`)} return }
+        throw Error(`expected message:\n${expected}\nbut nothing was thrown\n`) };
+    const toStr = value => JSON.stringify(value);
+    const brief = ({ operationType, ns = null, documentKey = null }) =>
+        `${operationType}:${ns ? ns.coll || ns.db : ''}:${documentKey ? documentKey._id : ''}`;
+
+    // `describeUpdate()` should give dotted paths for nested changes.
+    equal(toStr(describeUpdate(
+        { _id:1, a:1, b:{ c:1, d:2 }, e:[ 1 ], f:'x' },
+        { _id:1, a:2, b:{ c:1, g:3 }, e:[ 1, 2 ], h:null })), toStr({
+        updatedFields:{ a:2, 'b.g':3, e:[ 1, 2 ], h:null },
+        removedFields:[ 'b.d', 'f' ], truncatedArrays:[] }));
+
+    // Invalid pipelines and options should fail.
+    const history = new ChangeHistory(4);
+    const ns = { db:'zoo', coll:'frogs' };
+    await throws(()=>new C(history, ns, [ { $group:{ _id:null } } ], {}),
+        'watch(): $group is not permitted in a $changeStream pipeline');
+    // @ts-expect-error
+    await throws(()=>new C(history, ns, [], { fullDocument:'always' }),
+        "watch(): `options.fullDocument` 'always' is not in 'default:updateLookup'");
+    equal(history.streams.size, 0);
+
+    // A stream should only see changes in its namespace, made after it was
+    // created, and should be readable as an iterator.
+    history.publish('insert', { ns, documentKey:{ _id:0 } });
+    const start = history.token;
+    const stream = new C(history, ns, [ { $match:{ operationType:{
+        $ne:'delete' } } } ], {});
+    equal(toStr(stream.resumeToken), toStr(start));
+    history.publish('insert', { fullDocument:{ _id:1 }, ns,
+        documentKey:{ _id:1 } });
+    history.publish('insert', { ns:{ db:'zoo', coll:'toads' },
+        documentKey:{ _id:2 } });
+    history.publish('delete', { ns, documentKey:{ _id:1 } });
+    history.publish('update', { ns, documentKey:{ _id:3 }, updateDescription:
+        { updatedFields:{ n:1 }, removedFields:[], truncatedArrays:[] } },
+        { _id:3, n:1 });
+    const first = await stream.next();
+    equal(toStr(Object.keys(first)), toStr([ '_id', 'operationType',
+        'clusterTime', 'wallTime', 'fullDocument', 'ns', 'documentKey' ]));
+    equal(first.wallTime instanceof Date, true);
+    equal(toStr(stream.resumeToken), toStr(first._id));
+    equal(await stream.hasNext(), true);
+    equal(brief(await stream.tryNext()), 'update:frogs:3');
+    equal(await stream.tryNext(), null);
+
+    // It cannot also be used as an `EventEmitter`.
+    await throws(()=>stream.on('change', () => {}),
+        'on(): ChangeStream cannot be used as an EventEmitter after being used as an iterator');
+
+    // Resuming should replay the changes after the token, unless the token
+    // is unknown or too old.
+    const resumed = new C(history, ns, [], { resumeAfter:start,
+        fullDocument:'updateLookup' });
+    equal(toStr((await resumed.tryNext()).fullDocument), toStr({ _id:1 }));
+    equal(brief(await resumed.tryNext()), 'delete:frogs:1');
+    equal(toStr((await resumed.tryNext()).fullDocument), toStr({ _id:3, n:1 }));
+    await resumed.close();
+    await throws(()=>resumed.next(), 'next(): ChangeStream is closed');
+    history.publish('insert', { ns, documentKey:{ _id:4 } });
+    await throws(()=>new C(history, ns, [], { resumeAfter:start }).next(),
+        'watch(): Resume of change stream was not possible, as the resume ' +
+        'point may no longer be in the oplog.');
+    await throws(()=>new C(history, ns, [], { resumeAfter:{ _data:'123' } })
+        .tryNext(), 'watch(): cannot resume stream; the resume token was not found. {"_data":"123"}');
+
+    // As an `EventEmitter`, a database's stream should emit its changes, and
+    // then 'invalidate' and 'close' once the database is dropped.
+    const emitted = [];
+    const dbStream = new C(history, { db:'zoo' }, [ { $project:{
+        operationType:1, ns:1, documentKey:1 } } ], {});
+    dbStream.on('change', change => emitted.push(brief(change)));
+    const closed = new Promise(resolve => dbStream.on('close', resolve));
+    history.publish('insert', { ns:{ db:'other', coll:'frogs' },
+        documentKey:{ _id:5 } });
+    history.publish('drop', { ns });
+    history.publish('dropDatabase', { ns:{ db:'zoo' } });
+    await closed;
+    equal(toStr(emitted), toStr([ 'drop:frogs:', 'dropDatabase:zoo:',
+        'invalidate::' ]));
+    equal(dbStream.closed, true);
+
+    // The collection's stream should end with 'invalidate' after the drop.
+    equal(brief(await stream.next()), 'insert:frogs:4');
+    equal(brief(await stream.next()), 'drop:frogs:');
+    equal(brief(await stream.next()), 'invalidate::');
+    equal(await stream.hasNext(), false);
+    equal(history.streams.size, 0);
+
+    // Removing the resume token should make the stream fail.
+    const broken = new C(history, ns, [ { $unset:'_id' } ], {});
+    history.publish('insert', { ns, documentKey:{ _id:6 } });
+    await throws(()=>broken.next(), 'watch(): Encountered an event whose ' +
+        '_id field, which contains the resume token, was modified by the pipeline');
+
+    // `for await...of` should read the changes, and close the stream when the
+    // loop is left.
+    const looped = new C(history, ns, [], {});
+    setImmediate(() => [ 7, 8, 9 ].forEach(_id =>
+        history.publish('insert', { ns, documentKey:{ _id } })));
+    const ids = [];
+    for await (const change of looped) {
+        ids.push(change.documentKey._id);
+        if (ids.length === 2) break;
+    }
+    equal(toStr(ids), '[7,8]');
+    equal(looped.closed, true);
+}
@@ -0,0 +1,477 @@
+import { randomUUID } from 'node:crypto';
+import { aintaFunction, aintaObject } from '@0bdx/ainta';
+import { MongoServerError, MongoTransactionError } from './errors.js';
+
+/**
+ * ### A session, like the `mongodb` `ClientSession`, which groups operations
+ * into multi-document transactions.
+ *
+ * Pass it to any `Collection` method as the `session` option. While a
+ * transaction is in progress, its writes go to its own copy of each
+ * collection, which readers outside the transaction do not see until
+ * `commitTransaction()`. `abortTransaction()` simply throws the copies away.
+ */
+export default class ClientSession {
+    /**
+     * ### Creates a session. Use `client.startSession()` rather than calling
+     * this directly.
+     *
+     * @param {import('./mongoish-client.js').default} client
+     *    The `MongoishClient` that started the session.
+     * @throws
+     *    Throws an `Error` if the `client` argument is invalid.
+     */
+    constructor(client) {
+        const begin = 'new ClientSession()';
+
+        // Validate the `client` argument.
+        const aClient = aintaObject(client, 'client', { begin, open:true,
+            schema:{
+            _isConnected: { types:['boolean'] },
+            db: { types:['function'] },
+        } });
+        if (aClient) throw Error(aClient);
+
+        // Store a reference to the parent `MongoishClient` instance.
+        this._client = client;
+    }
+
+    /**
+     * ### The session's id, which change events made by its transactions
+     * include as `lsid`.
+     *
+     * @type {{id:string}}
+     */
+    id = { id:randomUUID() };
+
+    // 'none' until the first `startTransaction()`, and then the state of the
+    // latest transaction.
+    /** @type {'none'|'in progress'|'committed'|'aborted'} */
+    _state = 'none';
+
+    // The latest transaction, and how many have been started.
+    /** @type {Transaction|null} */
+    _transaction = null;
+    _txnNumber = 0;
+
+    // Set by `endSession()`, after which the session cannot be used.
+    _hasEnded = false;
+
+    /**
+     * ### Whether `endSession()` has been called.
+     *
+     * @type {boolean}
+     */
+    get hasEnded() { return this._hasEnded }
+
+    /**
+     * ### Checks whether the session has a transaction in progress.
+     *
+     * @returns {boolean}
+     *    Returns `true` between `startTransaction()` and its commit or abort.
+     */
+    inTransaction() {
+        return this._state === 'in progress';
+    }
+
+    /**
+     * ### Starts a transaction.
+     *
+     * @param {object} [options={}]
+     *    Accepted for compatibility with `mongodb`, eg `readConcern`, but has
+     *    no effect.
+     * @returns {void}
+     *    Does not return anything.
+     * @throws
+     *    Throws an `Error` if `options` is invalid or the session has ended,
+     *    or a `MongoTransactionError` if a transaction is already in progress.
+     */
+    startTransaction(options = {}) {
+        const begin = 'startTransaction()';
+
+        // Validate the `options` argument.
+        const aOptions = aintaObject(options, 'options', { begin, open:true });
+        if (aOptions) throw Error(aOptions);
+
+        // Check that the session can start a new transaction.
+        if (this._hasEnded) throw Error(
+            `${begin}: Cannot use a session that has ended`);
+        if (this._state === 'in progress') throw new MongoTransactionError(
+            `${begin}: Transaction already in progress`);
+
+        this._txnNumber += 1;
+        this._transaction = new Transaction(this);
+        this._state = 'in progress';
+    }
+
+    /**
+     * ### Commits the transaction, so that its writes can be seen outside it,
+     * and their change events are published.
+     *
+     * Committing a transaction which is already committed does nothing.
+     *
+     * @returns {Promise<void>}
+     *    Returns a `Promise` which resolves once every write has been made.
+     * @throws
+     *    Throws a `MongoTransactionError` if no transaction was started, or
+     *    it was aborted. Throws a `MongoServerError` if the transaction hit a
+     *    `WriteConflict`, in which case it should be aborted and retried.
+     */
+    async commitTransaction() {
+        const begin = 'commitTransaction()';
+
+        // Check that there is a transaction to commit.
+        if (this._state === 'none') throw new MongoTransactionError(
+            `${begin}: No transaction started`);
+        if (this._state === 'aborted') throw new MongoTransactionError(
+            `${begin}: Cannot call commitTransaction after calling abortTransaction`);
+        if (this._state === 'committed') return;
+
+        // Make the transaction's writes. If that fails, the transaction is
+        // still in progress, but can only be aborted.
+        await this._transactionFor(begin, this._client).commit(begin);
+        this._state = 'committed';
+    }
+
+    /**
+     * ### Aborts the transaction, throwing away all of its writes.
+     *
+     * @returns {Promise<void>}
+     *    Returns a `Promise` which does not resolve to anything.
+     * @throws
+     *    Throws a `MongoTransactionError` if no transaction was started, or
+     *    it was already committed or aborted.
+     */
+    async abortTransaction() {
+        const begin = 'abortTransaction()';
+
+        // Check that there is a transaction to abort.
+        if (this._state === 'none') throw new MongoTransactionError(
+            `${begin}: No transaction started`);
+        if (this._state === 'committed') throw new MongoTransactionError(
+            `${begin}: Cannot call abortTransaction after calling commitTransaction`);
+        if (this._state === 'aborted') throw new MongoTransactionError(
+            `${begin}: Cannot call abortTransaction twice`);
+
+        this._transaction.release();
+        this._state = 'aborted';
+    }
+
+    /**
+     * ### Runs a function in a transaction, and commits it.
+     *
+     * If the function throws, the transaction is aborted, so none of its
+     * writes are kept. Like the `mongodb` package, the whole transaction is
+     * retried, for up to 120 seconds, if the error has the label
+     * 'TransientTransactionError', eg a `WriteConflict`.
+     *
+     * @template T
+     * @param {function(ClientSession):Promise<T>} fn
+     *    The function, which is passed the session, and should pass it to
+     *    every operation as the `session` option.
+     * @param {object} [options={}]
+     *    Passed on to `startTransaction()`.
+     * @returns {Promise<T>}
+     *    Returns a `Promise` which resolves to whatever `fn` resolves to, once
+     *    the transaction has been committed.
+     * @throws
+     *    Throws an `Error` if the arguments are invalid, or rethrows the last
+     *    error from `fn` or `commitTransaction()`.
+     */
+    async withTransaction(fn, options = {}) {
+        const begin = 'withTransaction()';
+
+        // Validate the `fn` argument. `options` is validated when it is used.
+        const aFn = aintaFunction(fn, 'fn', { begin });
+        if (aFn) throw Error(aFn);
+
+        const started = Date.now();
+        for (;;) {
+            this.startTransaction(options);
+            try {
+                const result = await fn(this);
+                if (this.inTransaction()) await this.commitTransaction();
+                return result;
+            } catch (err) {
+                if (this.inTransaction()) await this.abortTransaction();
+                if (!(err instanceof MongoServerError) ||
+                    !err.hasErrorLabel('TransientTransactionError') ||
+                    Date.now() - started >= 120000) throw err;
+            }
+
+            // Let the conflicting transaction finish before retrying.
+            await new Promise(resolve => setImmediate(resolve));
+        }
+    }
+
+    /**
+     * ### Ends the session, aborting any transaction in progress.
+     *
+     * @returns {Promise<void>}
+     *    Returns a `Promise` which does not resolve to anything.
+     */
+    async endSession() {
+        if (this.inTransaction()) await this.abortTransaction();
+        this._hasEnded = true;
+    }
+
+    /**
+     * ### Finds the transaction that an operation passed this session to.
+     *
+     * @param {string} begin
+     *    The name of the public method, used to begin any error message.
+     * @param {import('./mongoish-client.js').default} client
+     *    The client of the collection which the operation is on.
+     * @returns {Transaction|null}
+     *    Returns the transaction in progress, or `null` if there is none.
+     * @throws
+     *    Throws an `Error` if the session has ended, or belongs to another
+     *    client. Throws a `MongoServerError` if the transaction hit a
+     *    `WriteConflict`, so that it can only be aborted.
+     */
+    _transactionFor(begin, client) {
+        if (this._hasEnded) throw Error(
+            `${begin}: Cannot use a session that has ended`);
+        if (client !== this._client) throw Error(
+            `${begin}: ClientSession must be from the same MongoClient`);
+        if (this._state !== 'in progress') return null;
+        if (this._transaction.failed) throw new MongoServerError(`${begin}: ` +
+            `Transaction with { txnNumber: ${this._txnNumber} } has been aborted.`,
+            { code:251, codeName:'NoSuchTransaction',
+            errorLabels:[ 'TransientTransactionError' ] });
+        return this._transaction;
+    }
+}
+
+/**
+ * ### The state of one transaction: its copy of each collection it has used,
+ * and the change events it will publish when committed.
+ */
+export class Transaction {
+    /**
+     * ### Creates an empty transaction.
+     *
+     * @param {ClientSession} session
+     *    The session which started the transaction.
+     */
+    constructor(session) {
+        this._session = session;
+        this._txnNumber = session._txnNumber;
+    }
+
+    /**
+     * ### The transaction's copy of each collection, keyed by the collection.
+     * See `Collection._shadow()`.
+     *
+     * @type {Map<import('./collection.js').default,import('./collection.js').Shadow>}
+     */
+    shadows = new Map();
+
+    /**
+     * ### The change events of the transaction's writes, with the collection
+     * which will publish each one.
+     *
+     * @type {[import('./collection.js').default,any[]][]}
+     */
+    changes = [];
+
+    /**
+     * ### Whether the transaction hit a `WriteConflict`, after which it can
+     * only be aborted.
+     *
+     * @type {boolean}
+     */
+    failed = false;
+
+    /**
+     * ### Marks the transaction as failed, and creates a `WriteConflict`
+     * error to throw.
+     *
+     * @param {string} begin
+     *    The name of the public method, used to begin the error message.
+     * @returns {MongoServerError}
+     *    Returns the error, labelled 'TransientTransactionError'.
+     */
+    conflict(begin) {
+        this.fail();
+        return new MongoServerError(`${begin}: WriteConflict error: this ` +
+            'operation conflicted with another operation. Please retry your ' +
+            'operation or multi-document transaction.', { code:112,
+            codeName:'WriteConflict',
+            errorLabels:[ 'TransientTransactionError' ] });
+    }
+
+    /**
+     * ### Marks the transaction as failed, and throws away its copies.
+     *
+     * @returns {void}
+     *    Does not return anything.
+     */
+    fail() {
+        this.failed = true;
+        this.release();
+    }
+
+    /**
+     * ### Makes the transaction's writes, and publishes their change events.
+     *
+     * @param {string} begin
+     *    The name of the public method, used to begin any error message.
+     * @returns {Promise<void>}
+     *    Returns a `Promise` which resolves once every write has been made.
+     * @throws
+     *    Throws a `MongoServerError` if a document which the transaction wrote
+     *    has since been changed outside it, or if a write would violate a
+     *    unique index.
+     */
+    async commit(begin) {
+        // Hold every collection's lock while checking all of them, so that
+        // no write can slip in between, and nothing is written unless every
+        // collection can take its changes. Locking in name order stops two
+        // commits from each waiting for a lock which the other holds.
+        const name = collection => (collection._db
+            ? collection._db._dbName : '') + '.' + collection._collectionName;
+        const shadows = Array.from(this.shadows).sort(([ a ], [ b ]) =>
+            name(a) < name(b) ? -1 : 1);
+        const locked = shadows.reduceRight((operation, [ collection ]) =>
+            () => collection._exclusive(operation), async () => {
+                for (const [ , shadow ] of shadows)
+                    if (Array.from(shadow._written.keys()).some(key =>
+                        shadow._stale.has(key))) throw this.conflict(begin);
+                for (const [ collection, shadow ] of shadows)
+                    await collection._checkCommit(begin, shadow);
+                for (const [ collection, shadow ] of shadows)
+                    await collection._commit(begin, shadow);
+            });
+        try {
+            await locked();
+        } catch (err) {
+            this.fail();
+            throw err;
+        }
+        const lsid = this._session.id;
+        for (const [ collection, [ operationType, fields, updated ] ] of this.changes)
+            collection._publish(operationType, { ...fields, lsid,
+                txnNumber:this._txnNumber }, updated);
+        this.release();
+    }
+
+    /**
+     * ### Throws away the transaction's copies, so that other writes no longer
+     * need to check them for conflicts.
+     *
+     * @returns {void}
+     *    Does not return anything.
+     */
+    release() {
+        this.shadows.forEach((shadow, collection) =>
+            collection._shadows.delete(shadow));
+        this.shadows.clear();
+    }
+}
+
+
+/* ---------------------------------- Tests --------------------------------- */
+
+/**
+ * ### `ClientSession` unit tests.
+ *
+ * Transactions on real collections are tested in 'mongoish-client.js'.
+ *
+ * @param {typeof ClientSession} C
+ *    The `ClientSession` class to test.
+ * @returns {Promise<void>}
+ *    Returns a `Promise` which does not resolve to anything.
+ * @throws
+ *    Throws an `Error` if a test fails.
+ */
+export async function clientSessionTest(C) {
+    const e2l = e => (e.stack.split('\n')[2].match(/([^\/]+\.js:\d+):\d+\)?$/)||[])[1];
+    const equal = (actual, expected) => { if (actual === expected) return;
+        try { throw Error() } catch(err) { throw Error(`actual:\n${actual}\n` +
+            `!== expected:\n${expected}\n...at ${e2l(err)}\n`) } };
+    const throws = async (actual, expected) => { try { const result = actual();
+            if (result instanceof Promise) await result } catch (err) {
+        if (err.message !== expected) { throw Error(`actual message:\n${err.message
+            }\n!== expected message:\n${expected}\n...at ${e2l(err)}\n`)} return }
+        throw Error(`expected message:\n${expected}\nbut nothing was thrown\n`) };
+
+    // Mock a `MongoishClient` instance, with just the members used here.
+    /** @type import('./mongoish-client').default */
+    // @ts-expect-error
+    const mcMock = { _isConnected:true, db:() => {} };
+
+    // Instantiating a `ClientSession` with an invalid `client` should fail.
+    // @ts-expect-error
+    await throws(()=>new C(),
+        "new ClientSession(): `client` is type 'undefined' not 'object'");
+
+    const session = new C(mcMock);
+    equal(typeof session.id.id, 'string');
+    equal(session.inTransaction(), false);
+
+    // Committing or aborting without a transaction should fail.
+    await throws(()=>session.commitTransaction(),
+        'commitTransaction(): No transaction started');
+    await throws(()=>session.abortTransaction(),
+        'abortTransaction(): No transaction started');
+
+    // A transaction should only be found for the session's own client.
+    session.startTransaction();
+    equal(session.inTransaction(), true);
+    equal(session._transactionFor('find()', mcMock), session._transaction);
+    // @ts-expect-error
+    await throws(()=>session._transactionFor('find()', {}),
+        'find(): ClientSession must be from the same MongoClient');
+    await throws(()=>session.startTransaction(),
+        'startTransaction(): Transaction already in progress');
+
+    // Once committed, it can be committed again, but not aborted.
+    await session.commitTransaction();
+    await session.commitTransaction();
+    equal(session._transactionFor('find()', mcMock), null);
+    await throws(()=>session.abortTransaction(),
+        'abortTransaction(): Cannot call abortTransaction after calling commitTransaction');
+
+    // Once aborted, it can neither be committed nor aborted again.
+    session.startTransaction();
+    await session.abortTransaction();
+    await throws(()=>session.commitTransaction(),
+        'commitTransaction(): Cannot call commitTransaction after calling abortTransaction');
+    await throws(()=>session.abortTransaction(),
+        'abortTransaction(): Cannot call abortTransaction twice');
+
+    // After a `WriteConflict`, the transaction can only be aborted.
+    session.startTransaction();
+    const conflict = session._transaction.conflict('updateOne()');
+    equal(conflict.code, 112);
+    equal(conflict.hasErrorLabel('TransientTransactionError'), true);
+    await throws(()=>session._transactionFor('find()', mcMock),
+        'find(): Transaction with { txnNumber: 3 } has been aborted.');
+    await session.abortTransaction();
+
+    // `withTransaction()` should retry transient errors, and abort on others.
+    let tries = 0;
+    equal(await session.withTransaction(async s => {
+        if (++tries < 3) throw s._transaction.conflict('insertOne()');
+        return 'ok';
+    }), 'ok');
+    equal(tries, 3);
+    equal(session._state, 'committed');
+    await throws(()=>session.withTransaction(async () => {
+        throw Error('Oops') }), 'Oops');
+    equal(session._state, 'aborted');
+    // @ts-expect-error
+    await throws(()=>session.withTransaction(),
+        "withTransaction(): `fn` is type 'undefined' not 'function'");
+
+    // Ending the session should abort its transaction.
+    session.startTransaction();
+    await session.endSession();
+    equal(session.hasEnded, true);
+    equal(session._state, 'aborted');
+    await throws(()=>session._transactionFor('find()', mcMock),
+        'find(): Cannot use a session that has ended');
+    await throws(()=>session.startTransaction(),
+        'startTransaction(): Cannot use a session that has ended');
+}
@@ -1,204 +1,2289 @@
 import { aintaArray, aintaObject, aintaString } from '@0bdx/ainta';
+import { runPipeline } from './aggregate.js';
+import AggregationCursor from './aggregation-cursor.js';
+import BulkWriteResult from './bulk-write-result.js';
+import ChangeStream, { describeUpdate } from './change-stream.js';
+import { DocumentStore } from './document-store.js';
+import { MongoBulkWriteError, MongoServerError } from './errors.js';
+import { toExtendedJson } from './extended-json.js';
+import FindCursor from './find-cursor.js';
+import {
+    createIndexSpec,
+    findDuplicateKey,
+    formatIndexKey,
+} from './indexes.js';
+import ListIndexesCursor from './list-indexes-cursor.js';
+import ObjectId from './object-id.js';
+import { compileProjection } from './projection.js';
+import { matchesFilter } from './query.js';
+import { compileSort } from './sort.js';
+import {
+    applyReplacement,
+    applyUpdate,
+    documentFromFilter,
+    validateReplacement,
+    validateUpdate,
+} from './update.js';
+import {
+    cloneValue,
+    compareValues,
+    equalValues,
+    inspectValue,
+    resolvePath,
+} from './values.js';
+import { explainValidation } from './validator.js';
 
 /**
- * ### The object returned by `find()`.
+ * ### The options which `findOneAndDelete()`, `findOneAndReplace()` and
+ * `findOneAndUpdate()` understand.
+ *
+ * @typedef {Object} FindAndModifyOptions
+ * @property {Object} [projection]
+ *    Which fields of the returned document to include, eg `{ _id:0, seq:1 }`.
+ * @property {'after'|'before'} [returnDocument='before']
+ *    Whether to return the document as it was before or after modification.
+ * @property {import('./client-session.js').default} [session]
+ *    The session, whose transaction the document is modified in.
+ * @property {Object} [sort]
+ *    If several documents match, the first in this order is modified.
+ * @property {boolean} [upsert=false]
+ *    If `true` and no documents match, a new document is inserted.
+ */
+
+/**
+ * ### The object returned by `findOneAndDelete()`, `findOneAndReplace()` and
+ * `findOneAndUpdate()`.
+ *
+ * @typedef {Object} FindAndModifyResult
+ * @property {object|null} value
+ *    The document before or after modification, or `null` if there was none.
+ * @property {1} ok
+ *    Always `1`, because failures throw an `Error`.
+ * @property {{n:number,updatedExisting?:boolean,upserted?:any}} lastErrorObject
+ *    The number of documents affected, whether an existing document was
+ *    updated, and the `_id` of any upserted document.
+ */
+
+/**
+ * ### A transaction's copy of a collection, made by `_shadow()`, which also
+ * records the transaction's writes until they are committed.
+ *
+ * @typedef {Collection & {_records:Omit<import('./journal.js').JournalRecord,'collection'>[],_stale:Set<string>,_written:Map<string,any>}} Shadow
+ */
+
+/**
+ * ### The options which `createCollection()` and the `collMod` command set.
+ *
+ * @typedef {Object} CollectionOptions
+ * @property {boolean} [capped]
+ *    If `true`, the oldest documents are evicted once there are more than
+ *    `max`, or they take up more than `size` bytes. See `_cap()`.
+ * @property {number} [size]
+ *    The maximum number of bytes in a capped collection.
+ * @property {number} [max]
+ *    The maximum number of documents in a capped collection, if not `0`.
+ * @property {object} [validator]
+ *    A query filter, which may use `$jsonSchema`, that every inserted or
+ *    updated document must match.
+ * @property {'moderate'|'off'|'strict'} [validationLevel]
+ *    Which writes are validated. 'moderate' skips updates to documents which
+ *    were already invalid.
+ * @property {'error'|'warn'} [validationAction]
+ *    Whether an invalid write is rejected. MongoDB only logs a warning on the
+ *    server for 'warn', so Mongoish allows the write silently.
+ */
+
+/**
+ * ### The object returned by `updateOne()` and `updateMany()`.
  * 
- * @typedef {Object} Cursor
- * @property {function} toArray
+ * @typedef {Object} UpdateResult
+ * @property {true} acknowledged
+ *    Always `true`, because Mongoish has no unacknowledged write concern.
+ * @property {number} matchedCount
+ *    The number of documents that matched the filter.
+ * @property {number} modifiedCount
+ *    The number of documents that were actually changed.
+ * @property {number} upsertedCount
+ *    `1` if a document was upserted, otherwise `0`.
+ * @property {any} upsertedId
+ *    The `_id` of the upserted document, or `null` if there was no upsert.
  */
 
 /**
- * ### An in-memory Mongo-like collection, based on `picodb`.
+ * ### An in-memory Mongo-like collection.
  */
 export default class Collection {
     /**
-     * ### Creates an in-memory Mongo-like collection, based on `picodb`.
+     * ### Creates an in-memory Mongo-like collection.
      * 
      * @param {import('./mongoish-client.js').default} client
      *    A reference to the `MongoishClient` that instantiated the `Database`
      *    that instantiated this `Collection`.
      * @param {string} collectionName
      *    The name of the collection.
+     * @param {import('./database.js').default} [db]
+     *    A reference to the `Database` that instantiated this `Collection`,
+     *    which aggregation stages like `$lookup` use to find other collections.
      * @throws
      *    Throws an `Error` if the `collectionName` arguments is invalid.
      */
-    constructor(client, collectionName) {
+    constructor(client, collectionName, db) {
         const begin = 'new Collection()';
 
         // Validate the arguments.
         // @TODO maybe validate fully
-        const aClient = aintaObject(client, 'client', { begin, schema: {
-            _Engine: { types:['function'], open:true },
+        const aClient = aintaObject(client, 'client', { begin, open:true,
+            schema: {
             _isConnected: { types:['boolean'] },
             close: { types:['function'] },
             connect: { types:['function'] },
             db: { types:['function'] },
-            injectEngine: { types:['function'] },
         }});
         if (aClient) throw Error(aClient);
         const aCollectionName = aintaString(
             collectionName, 'collectionName', { begin });
         if (aCollectionName) throw Error(aCollectionName);
+        if (db !== void 0) {
+            const aDb = aintaObject(db, 'db', { begin, open:true, schema: {
+                collection: { types:['function'] },
+            }});
+            if (aDb) throw Error(aDb);
+        }
 
         // Store a reference to the grandparent `MongoishClient` instance.
         this._client = client;
 
+        // Store a reference to the parent `Database` instance, if there is one.
+        this._db = db || null;
+
         // Store the collection's name, for better error messages.
         this._collectionName = collectionName;
 
-        // Create an instance of the actual business-logic for the collection.
-        // If `injectEngine(PicoDB)` was called on `MongoishClient`, then this
-        // line is effectively `this._engine = new PicoDB()`.
-        this._engine = new client._Engine();
+        // Like MongoDB, every collection starts with a unique index on `_id`.
+        /** @type {import('./indexes.js').IndexSpec[]} */
+        this._indexes = [ { v:2, key:{ _id:1 }, name:'_id_' } ];
+
+        // The collection's documents, kept by `_id`, with the secondary
+        // indexes, so that queries do not have to scan every document.
+        this._store = new DocumentStore(this._indexes);
+
+        // Every operation which reads or writes the store waits in this queue,
+        // so that operations on the collection never interleave. See
+        // `_exclusive()`.
+        /** @type {Promise<any>} */
+        this._queue = Promise.resolve();
+
+        // The options which `createCollection()` or a `collMod` command set,
+        // eg a `validator`. See `_checkValid()`.
+        /** @type {CollectionOptions} */
+        this._options = {};
+
+        // Like MongoDB, the collection only exists, eg for `listCollections()`,
+        // once something has been written to it. Dropping or renaming it
+        // makes it not exist again. See `_log()`.
+        this._exists = false;
+
+        // Functions which wake up tailable cursors waiting for a write. See
+        // `find()`.
+        /** @type {(function(any=):void)[]} */
+        this._wakers = [];
+
+        // The copies of the collection which open transactions are using.
+        // See `_shadow()`.
+        /** @type {Set<Shadow>} */
+        this._shadows = new Set();
+    }
+
+    /**
+     * ### Inserts several documents into the collection.
+     * 
+     * @param {object[]} documents
+     *    The arrays of documents to insert into the collection.
+     * @param {{session?:import('./client-session.js').default}} [options={}]
+     *    Optional `session`, whose transaction the documents are inserted in.
+     * @returns {Promise<{acknowledged:true,insertedCount:number,insertedIds:Object<string,any>}>}
+     *    Returns a `Promise` which resolves to an array of results-objects.
+     * @throws
+     *    Throws an `Error` if any of the arguments are invalid,
+     *    or if the client is not currently connected. Throws a
+     *    `MongoServerError` with `code` 11000 and `writeErrors` if an `_id` or
+     *    other unique key would be duplicated.
+     */
+    async insertMany(documents, options = {}) {
+        const begin = 'insertMany()';
+
+        // Validate the arguments.
+        const aDocuments = aintaArray(documents, 'documents', { begin,
+            types:['object'] });
+        if (aDocuments) throw Error(aDocuments);
+        const aOptions = aintaObject(options, 'options', { begin, open:true,
+            schema:{ session:sessionSchema } });
+        if (aOptions) throw Error(aOptions);
+
+        // Check that the client is currently connected.
+        if (!this._client._isConnected) throw Error(
+            begin + ': Client must be connected before running operations');
+
+        // In a transaction, the session's copy of the collection is used.
+        const shadow = await this._forSession(begin, options.session);
+        if (shadow) return shadow.insertMany(documents);
+
+        // Check for duplicate `_ids` within the `documents` argument. They are
+        // compared by value, so two ObjectIds with the same hex are the same.
+        const encountered = new Set();
+        for (let index = 0; index < documents.length; index++) {
+            const { _id } = documents[index];
+            if (_id === void 0) continue;
+            const key = inspectValue(_id);
+            if (encountered.has(key)) throw withWriteErrors(
+                this._duplicateKey(begin, this._indexes[0], { _id }, index),
+                documents);
+            encountered.add(key);
+        }
+
+        // Like the `mongodb` package, give an ObjectId to each document which
+        // does not have an `_id`.
+        const withIds = documents.map(withObjectId);
+
+        await this._exclusive(async () => {
+
+            // Check for `_ids` which already exist in the collection.
+            const index = withIds.findIndex(({ _id }) => this._store.has(_id));
+            if (index !== -1) throw withWriteErrors(this._duplicateKey(begin,
+                this._indexes[0], { _id:withIds[index]._id }, index), withIds);
+
+            // Check that the documents are valid, and that no unique index
+            // would be violated.
+            this._checkValid(begin, withIds);
+            await this._checkUnique(begin, withIds).catch(err => {
+                throw withWriteErrors(err, withIds) });
+
+            // Insert the documents.
+            for (const document of withIds) this._store.insert(document);
+            await this._log(begin, { op:'insert', documents:withIds });
+            for (const document of withIds) this._publishInsert(document);
+            await this._cap(begin);
+        });
+
+        // Return an array of results-objects:
+        // - `acknowledged: true` indicates that `insertMany()` succeeded
+        // - `insertedId` is the unique identifier of the inserted document
+        return {
+            acknowledged: true,
+            insertedCount: withIds.length,
+            insertedIds: withIds.reduce((a,d,i) => ({ ...a, [i]:d._id}), {}),
+        };
+    }
+
+    /**
+     * ### Inserts a single document into the collection.
+     * 
+     * @param {object} document
+     *    The document to insert into the collection.
+     * @param {{session?:import('./client-session.js').default}} [options={}]
+     *    Optional `session`, whose transaction the document is inserted in.
+     * @returns {Promise<{acknowledged:true,insertedId:any}>}
+     *    Returns a `Promise` which resolves to a simple results-object.
+     * @throws
+     *    Throws an `Error` if any of the arguments are invalid,
+     *    or if the client is not currently connected.
+     */
+    async insertOne(document, options = {}) {
+        return this._insert('insertOne()', document, options);
+    }
+
+    /**
+     * ### Implements `insertOne()`, and the `insertOne` operation of
+     * `bulkWrite()`.
+     *
+     * @param {string} begin
+     *    The name of the public method, used to begin any error message.
+     * @param {object} document
+     *    The document to insert into the collection.
+     * @param {{session?:import('./client-session.js').default}} [options={}]
+     *    The `session` option.
+     * @returns {Promise<{acknowledged:true,insertedId:any}>}
+     *    Returns a `Promise` which resolves to a simple results-object.
+     */
+    async _insert(begin, document, options = {}) {
+
+        // Validate the arguments.
+        const aDocument = aintaObject(document, 'document', { begin, open:true });
+        if (aDocument) throw Error(aDocument);
+        const aOptions = aintaObject(options, 'options', { begin, open:true,
+            schema:{ session:sessionSchema } });
+        if (aOptions) throw Error(aOptions);
+
+        // Check that the client is currently connected.
+        if (!this._client._isConnected) throw Error(
+            begin + ': Client must be connected before running operations');
+
+        // In a transaction, the session's copy of the collection is used.
+        const shadow = await this._forSession(begin, options.session);
+        if (shadow) return shadow._insert(begin, document);
+
+        // Like the `mongodb` package, generate an ObjectId if there is no `_id`.
+        const withId = withObjectId(document);
+
+        await this._exclusive(async () => {
+
+            // If `document._id` has been set, check it does not already exist.
+            if (document._id !== void 0 && this._store.has(document._id))
+                throw this._duplicateKey(begin, this._indexes[0],
+                    { _id:document._id });
+            this._checkValid(begin, [ withId ]);
+            await this._checkUnique(begin, [ withId ]);
+
+            // Insert the document.
+            this._store.insert(withId);
+            await this._log(begin, { op:'insert', documents:[ withId ] });
+            this._publishInsert(withId);
+            await this._cap(begin);
+        });
+
+        // Return a simple results-object:
+        // - `acknowledged: true` indicates that `insertOne()` succeeded
+        // - `insertedId` is the unique identifier of the inserted document
+        return {
+            acknowledged: true,
+            insertedId: withId._id,
+        };
+    }
+
+    /**
+     * ### Creates a cursor for a filter that can be used to find documents.
+     *
+     * Use `findOne()` to retrieve just the first matching document.
+     *
+     * The query does not run until the cursor is first read, so chained
+     * calls like `find({}).sort({ age:-1 }).limit(5)` are cheap.
+     *
+     * On a capped collection, `tailable:true` returns a cursor which carries
+     * on reading documents as they are inserted, until it is closed.
+     *
+     * @param {object} filter
+     *    The search criteria.
+     * @param {import('./find-cursor.js').FindOptions} [options={}]
+     *    Optional `sort`, `skip`, `limit`, `projection`, `batchSize`,
+     *    `tailable` and `awaitData`.
+     * @returns {FindCursor}
+     *    Returns a cursor object.
+     * @throws
+     *    Throws an `Error` if any of the arguments are invalid, if a tailable
+     *    cursor is requested in a transaction, or if the client is not
+     *    currently connected.
+     */
+    find(filter, options = {}) {
+        const begin = 'find()';
+
+        // Validate the arguments.
+        const aFilter = aintaObject(filter, 'filter', { begin, open:true });
+        if (aFilter) throw Error(aFilter);
+        const aOptions = aintaObject(options, 'options', { begin, open:true,
+            schema:{
+                awaitData: { types:['boolean','undefined'] },
+                batchSize: { types:['number','undefined'], gte:0, mod:1 },
+                limit: { types:['number','undefined'], mod:1 },
+                projection: { types:['object','undefined'], open:true },
+                session: sessionSchema,
+                skip: { types:['number','undefined'], gte:0, mod:1 },
+                sort: { types:['object','undefined'], open:true },
+                tailable: { types:['boolean','undefined'] },
+            } });
+        if (aOptions) throw Error(aOptions);
+        if (options.awaitData && !options.tailable) throw Error(
+            `${begin}: \`options.awaitData\` cannot be set without \`options.tailable\``);
+
+        // Check that the client is currently connected.
+        if (!this._client._isConnected) throw Error(
+            begin + ': Client must be connected before running operations');
+        if (options.tailable)
+            this._notInTransaction(begin, options.session, 'find');
+
+        // A tailable cursor reads on from a position in the store, and can
+        // wait for the next write. It is killed if the collection is dropped
+        // or renamed, which replaces the store.
+        let tailed = null;
+        const tail = (position, wake) => this._exclusive(async () => {
+            if (tailed && tailed !== this._store) throw new MongoServerError(
+                `${begin}: collection dropped`,
+                { code:175, codeName:'QueryPlanKilled' });
+            if (!this._options.capped) throw new MongoServerError(`${begin}: ` +
+                'tailable cursor requested on non capped collection',
+                { code:2, codeName:'BadValue' });
+            tailed = this._store;
+            if (wake) this._wakers.push(wake);
+            return { documents:this._store.find(filter, position),
+                position:this._store.position };
+        });
+
+        // The cursor runs the query when it is first read, and then does the
+        // sorting, skipping, limiting and projection itself. In a transaction,
+        // the query runs on the session's copy of the collection.
+        return new FindCursor(async () => {
+            const source = await this._forSession(begin, options.session) || this;
+            return source._exclusive(() => source._match(filter));
+        }, options, tail);
+    }
+
+    /**
+     * ### Retrieves the first document that matches a filter.
+     *
+     * The sorting, skipping and projection are done the same way as by
+     * `find()`.
+     *
+     * @param {object} filter
+     *    The search criteria.
+     * @param {{projection?:Object,session?:import('./client-session.js').default,skip?:number,sort?:Object}} [options={}]
+     *    Optional `projection`, eg `{ _id:0, name:1 }`, `sort`, eg
+     *    `{ age:-1 }`, `skip`, the number of matching documents to skip, and
+     *    `session`.
+     * @returns {Promise<object|null>}
+     *    Returns a `Promise` which resolves to the first matching document,
+     *    or `null` if there is no match.
+     * @throws
+     *    Throws an `Error` if any of the arguments are invalid, or if the
+     *    client is not currently connected.
+     */
+    async findOne(filter, options = {}) {
+        const begin = 'findOne()';
+
+        // Validate the arguments.
+        const aFilter = aintaObject(filter, 'filter', { begin, open:true });
+        if (aFilter) throw Error(aFilter);
+        const aOptions = aintaObject(options, 'options', { begin, open:true,
+            schema:{
+                projection: { types:['object','undefined'], open:true },
+                session: sessionSchema,
+                skip: { types:['number','undefined'], gte:0, mod:1 },
+                sort: { types:['object','undefined'], open:true },
+            } });
+        if (aOptions) throw Error(aOptions);
+        const { projection, skip, sort } = options;
+        const compare = sort && compileSort(sort, begin);
+        const project = projection && compileProjection(projection, begin);
+
+        // Check that the client is currently connected.
+        if (!this._client._isConnected) throw Error(
+            begin + ': Client must be connected before running operations');
+
+        // In a transaction, the session's copy of the collection is used.
+        const shadow = await this._forSession(begin, options.session);
+        if (shadow) return shadow.findOne(filter, { ...options, session:void 0 });
+
+        // Find every matching document, then sort, skip and project.
+        const found = await this._exclusive(() => this._match(filter));
+        if (compare) found.sort(compare);
+        const document = found[skip || 0];
+        if (!document) return null;
+        return project ? project(document) : document;
+    }
+
+    /**
+     * ### Atomically finds a document, deletes it, and returns it.
+     *
+     * @param {object} filter
+     *    The search criteria.
+     * @param {FindAndModifyOptions} [options={}]
+     *    Optional `sort`, to choose which matching document is deleted, and
+     *    `projection`. The `upsert` and `returnDocument` options are ignored.
+     * @returns {Promise<FindAndModifyResult>}
+     *    Returns a `Promise` which resolves to a results-object, whose `value`
+     *    is the deleted document, or `null` if nothing matched.
+     * @throws
+     *    Throws an `Error` if any of the arguments are invalid, or if the
+     *    client is not currently connected.
+     */
+    async findOneAndDelete(filter, options = {}) {
+        return this._findAndModify(
+            'findOneAndDelete()', 'delete', filter, null, options);
+    }
+
+    /**
+     * ### Atomically finds a document, replaces it, and returns it.
+     *
+     * @param {object} filter
+     *    The search criteria.
+     * @param {object} replacement
+     *    The new document, which must not contain update operators. It may
+     *    only contain an `_id` if it is the same as the replaced document's.
+     * @param {FindAndModifyOptions} [options={}]
+     *    Optional `sort`, `projection`, `upsert` and `returnDocument`.
+     * @returns {Promise<FindAndModifyResult>}
+     *    Returns a `Promise` which resolves to a results-object.
+     * @throws
+     *    Throws an `Error` if any of the arguments are invalid, or if the
+     *    client is not currently connected.
+     */
+    async findOneAndReplace(filter, replacement, options = {}) {
+        return this._findAndModify(
+            'findOneAndReplace()', 'replace', filter, replacement, options);
+    }
+
+    /**
+     * ### Atomically finds a document, updates it, and returns it.
+     *
+     * @param {object} filter
+     *    The search criteria.
+     * @param {object} update
+     *    The update operators to apply, eg `{ $inc:{ seq:1 } }`.
+     * @param {FindAndModifyOptions} [options={}]
+     *    Optional `sort`, `projection`, `upsert` and `returnDocument`.
+     * @returns {Promise<FindAndModifyResult>}
+     *    Returns a `Promise` which resolves to a results-object.
+     * @throws
+     *    Throws an `Error` if any of the arguments are invalid, or if the
+     *    client is not currently connected.
+     */
+    async findOneAndUpdate(filter, update, options = {}) {
+        return this._findAndModify(
+            'findOneAndUpdate()', 'update', filter, update, options);
+    }
+
+    /**
+     * ### Implements `findOneAndDelete()`, `findOneAndReplace()` and
+     * `findOneAndUpdate()`.
+     *
+     * @param {string} begin
+     *    The name of the public method, used to begin any error message.
+     * @param {'delete'|'replace'|'update'} kind
+     *    What to do with the document that is found.
+     * @param {object} filter
+     *    The search criteria.
+     * @param {object|null} change
+     *    The replacement or update document, or `null` for `'delete'`.
+     * @param {FindAndModifyOptions} options
+     *    The `sort`, `projection`, `upsert` and `returnDocument` options.
+     * @returns {Promise<FindAndModifyResult>}
+     *    Returns a `Promise` which resolves to a results-object.
+     */
+    async _findAndModify(begin, kind, filter, change, options) {
+
+        // Validate the arguments.
+        const aFilter = aintaObject(filter, 'filter', { begin, open:true });
+        if (aFilter) throw Error(aFilter);
+        if (kind !== 'delete') {
+            const aChange = aintaObject(change,
+                kind === 'update' ? 'update' : 'replacement', { begin, open:true });
+            if (aChange) throw Error(aChange);
+            if (kind === 'update') validateUpdate(change, begin);
+            else validateReplacement(change, begin);
+        }
+        const aOptions = aintaObject(options, 'options', { begin, open:true,
+            schema:{
+                projection: { types:['object','undefined'], open:true },
+                returnDocument: { types:['string','undefined'],
+                    is:['after','before'] },
+                session: sessionSchema,
+                sort: { types:['object','undefined'], open:true },
+                upsert: { types:['boolean','undefined'] },
+            } });
+        if (aOptions) throw Error(aOptions);
+        const { projection, sort } = options;
+        const compare = sort && compileSort(sort, begin);
+        const project = projection && compileProjection(projection, begin);
+
+        // Check that the client is currently connected.
+        if (!this._client._isConnected) throw Error(
+            begin + ': Client must be connected before running operations');
+
+        // In a transaction, the session's copy of the collection is used.
+        const shadow = await this._forSession(begin, options.session);
+        if (shadow) return shadow._findAndModify(begin, kind, filter, change,
+            { ...options, session:void 0 });
+
+        // Nothing else can read or write the collection between finding the
+        // document and modifying it.
+        const { before, after, upserted } = await this._exclusive(async () => {
+            const found = await this._match(filter);
+            if (compare) found.sort(compare);
+            const before = found[0] || null;
+
+            // Delete or modify the first matching document.
+            if (kind === 'delete') {
+                if (before) await this._remove(begin, [ before._id ]);
+                return { before, after:null, upserted:null };
+            }
+            const modify = (document, isInsert) => kind === 'update'
+                ? applyUpdate(document, change, begin, isInsert)
+                : applyReplacement(document, change, begin);
+            if (before) {
+                const after = modify(before, false);
+                if (!equalValues(before, after)) {
+                    this._checkValid(begin, [ after ], [ before ]);
+                    await this._checkUnique(begin, [ after ]);
+                    await this._writeBack(begin, after, kind, before);
+                }
+                return { before, after, upserted:null };
+            }
+
+            // If nothing matched and `options.upsert` is set, insert a
+            // document. A replacement only takes the `_id` from the filter.
+            if (!options.upsert) return { before, after:null, upserted:null };
+            const seed = documentFromFilter(filter);
+            const upserted = await this._upsert(begin, modify(kind === 'update'
+                ? seed : '_id' in seed ? { _id:seed._id } : {}, true));
+            return { before, after:upserted, upserted };
+        });
+
+        // Return a results-object, like the `mongodb` package's `ModifyResult`.
+        const value = kind !== 'delete' && options.returnDocument === 'after'
+            ? after : before;
+        return {
+            value: value && project ? project(value) : value,
+            ok: 1,
+            lastErrorObject: kind === 'delete'
+                ? { n: before ? 1 : 0 }
+                : { n: before || upserted ? 1 : 0, updatedExisting: !!before,
+                    ...(upserted && { upserted:upserted._id }) },
+        };
+    }
+
+    /**
+     * ### Creates a cursor which runs an aggregation pipeline.
+     *
+     * The pipeline does not run until the cursor is first read. Supported
+     * stages are `$addFields`, `$count`, `$facet`, `$graphLookup`, `$group`,
+     * `$limit`, `$lookup`, `$match`, `$merge`, `$out`, `$project`,
+     * `$replaceRoot`, `$set`, `$skip`, `$sort`, `$sortByCount`, `$unionWith`,
+     * `$unset` and `$unwind`. The stages which use another collection only
+     * work if this collection was created by a `Database`.
+     *
+     * In a transaction, the pipeline reads the session's copy of this
+     * collection, but stages like `$lookup` read other collections as they
+     * are outside the transaction.
+     *
+     * @param {object[]} [pipeline=[]]
+     *    The stages, eg `[ { $match:{ kind:'frog' } }, { $count:'frogs' } ]`.
+     * @param {{session?:import('./client-session.js').default}} [options={}]
+     *    Optional `session`.
+     * @returns {AggregationCursor}
+     *    Returns a cursor object.
+     * @throws
+     *    Throws an `Error` if the `pipeline` argument is not an array of
+     *    objects, if `options` is invalid, or if the client is not currently
+     *    connected. An invalid stage causes the `Promise` returned when the
+     *    cursor is read to reject.
+     */
+    aggregate(pipeline = [], options = {}) {
+        const begin = 'aggregate()';
+
+        // Validate the arguments.
+        const aPipeline = aintaArray(pipeline, 'pipeline', { begin,
+            types:['object'] });
+        if (aPipeline) throw Error(aPipeline);
+        const aOptions = aintaObject(options, 'options', { begin, open:true,
+            schema:{ session:sessionSchema } });
+        if (aOptions) throw Error(aOptions);
+
+        // Check that the client is currently connected.
+        if (!this._client._isConnected) throw Error(
+            begin + ': Client must be connected before running operations');
+
+        // The cursor reads the whole collection when it is first read, and
+        // then runs the pipeline itself. Stages like `$lookup` use the parent
+        // `Database` to reach other collections.
+        return new AggregationCursor(async stages => {
+            const source = await this._forSession(begin, options.session) || this;
+            return runPipeline(await source._exclusive(async () =>
+                source._store.all()), stages, begin,
+                { db:this._db, variables:{} });
+        }, pipeline);
+    }
+
+    /**
+     * ### Counts the documents that match a filter.
+     *
+     * @param {object} [filter={}]
+     *    The search criteria.
+     * @param {{limit?:number,session?:import('./client-session.js').default,skip?:number}} [options={}]
+     *    Optional `skip`, the number of matching documents to skip before
+     *    counting, `limit`, the maximum count, where `0` means no limit, and
+     *    `session`.
+     * @returns {Promise<number>}
+     *    Returns a `Promise` which resolves to the number of documents.
+     * @throws
+     *    Throws an `Error` if any of the arguments are invalid, or if the
+     *    client is not currently connected.
+     */
+    async countDocuments(filter = {}, options = {}) {
+        const begin = 'countDocuments()';
+
+        // Validate the arguments.
+        const aFilter = aintaObject(filter, 'filter', { begin, open:true });
+        if (aFilter) throw Error(aFilter);
+        const aOptions = aintaObject(options, 'options', { begin, open:true,
+            schema:{
+                limit: { types:['number','undefined'], gte:0, mod:1 },
+                session: sessionSchema,
+                skip: { types:['number','undefined'], gte:0, mod:1 },
+            } });
+        if (aOptions) throw Error(aOptions);
+        const { limit, skip } = options;
+
+        // Check that the client is currently connected.
+        if (!this._client._isConnected) throw Error(
+            begin + ': Client must be connected before running operations');
+
+        // In a transaction, the session's copy of the collection is used.
+        const shadow = await this._forSession(begin, options.session);
+        if (shadow) return shadow.countDocuments(filter,
+            { ...options, session:void 0 });
+
+        // Count the matching documents, then apply the options.
+        const { length:count } =
+            await this._exclusive(() => this._match(filter));
+        const skipped = Math.max(count - (skip || 0), 0);
+        return limit ? Math.min(skipped, limit) : skipped;
+    }
+
+    /**
+     * ### Finds the distinct values of a field, across matching documents.
+     *
+     * Like MongoDB, `key` can be a dot-notation path which traverses arrays of
+     * sub-documents, and the items of array values are treated as separate
+     * values. The values are returned in sorted order.
+     *
+     * @param {string} key
+     *    The field to read, eg `'tags'` or `'address.city'`.
+     * @param {object} [filter={}]
+     *    The search criteria.
+     * @param {{session?:import('./client-session.js').default}} [options={}]
+     *    Optional `session`.
+     * @returns {Promise<any[]>}
+     *    Returns a `Promise` which resolves to an array of distinct values.
+     * @throws
+     *    Throws an `Error` if any of the arguments are invalid, or if the
+     *    client is not currently connected.
+     */
+    async distinct(key, filter = {}, options = {}) {
+        const begin = 'distinct()';
+
+        // Validate the arguments.
+        const aKey = aintaString(key, 'key', { begin, min:1 });
+        if (aKey) throw Error(aKey);
+        const aFilter = aintaObject(filter, 'filter', { begin, open:true });
+        if (aFilter) throw Error(aFilter);
+        const aOptions = aintaObject(options, 'options', { begin, open:true,
+            schema:{ session:sessionSchema } });
+        if (aOptions) throw Error(aOptions);
+
+        // Check that the client is currently connected.
+        if (!this._client._isConnected) throw Error(
+            begin + ': Client must be connected before running operations');
+
+        // In a transaction, the session's copy of the collection is used.
+        const shadow = await this._forSession(begin, options.session);
+        if (shadow) return shadow.distinct(key, filter);
+
+        // Collect the values, flattening arrays and skipping missing fields.
+        const found = await this._exclusive(() => this._match(filter));
+        const values = [];
+        for (const document of found) {
+            for (const value of resolvePath(document, key)) {
+                for (const item of Array.isArray(value) ? value : [ value ]) {
+                    if (item === void 0) continue;
+                    if (!values.some(v => equalValues(v, item))) values.push(item);
+                }
+            }
+        }
+        return values.sort(compareValues);
+    }
+
+    /**
+     * ### Counts all of the documents in the collection.
+     *
+     * Like MongoDB, this cannot be used in a transaction. Use
+     * `countDocuments({})` instead.
+     *
+     * @param {{session?:import('./client-session.js').default}} [options={}]
+     *    Optional `session`, which must not have a transaction in progress.
+     * @returns {Promise<number>}
+     *    Returns a `Promise` which resolves to the number of documents.
+     * @throws
+     *    Throws an `Error` if `options` is invalid, if the session is in a
+     *    transaction, or if the client is not currently connected.
+     */
+    async estimatedDocumentCount(options = {}) {
+        const begin = 'estimatedDocumentCount()';
+
+        // Validate the `options` argument.
+        const aOptions = aintaObject(options, 'options', { begin, open:true,
+            schema:{ session:sessionSchema } });
+        if (aOptions) throw Error(aOptions);
+
+        // Check that the client is currently connected.
+        if (!this._client._isConnected) throw Error(
+            begin + ': Client must be connected before running operations');
+        this._notInTransaction(begin, options.session, 'count');
+
+        // The store already knows how many documents there are.
+        return this._exclusive(async () => this._store.size);
+    }
+
+    /**
+     * ### Runs a list of insert, update, replace and delete operations.
+     *
+     * Each operation is an object with a single key, like the `mongodb`
+     * package's `bulkWrite()`:
+     * - `{ insertOne:{ document } }`
+     * - `{ updateOne:{ filter, update, upsert } }` or `{ updateMany:... }`
+     * - `{ replaceOne:{ filter, replacement, upsert } }`
+     * - `{ deleteOne:{ filter } }` or `{ deleteMany:{ filter } }`
+     *
+     * An ordered bulk write stops at the first operation which fails, but an
+     * unordered one carries on with the rest. Either way, if any operation
+     * failed, a `MongoBulkWriteError` is thrown, whose `result` counts the
+     * operations which succeeded, and whose `writeErrors` list the failures.
+     *
+     * @param {object[]} operations
+     *    The operations, which run in order.
+     * @param {{ordered?:boolean,session?:import('./client-session.js').default}} [options={}]
+     *    Set `options.ordered` to `false` to carry on after a failure. If
+     *    `options.session` is in a transaction, every operation is part of it.
+     * @returns {Promise<BulkWriteResult>}
+     *    Returns a `Promise` which resolves to the combined results.
+     * @throws
+     *    Throws an `Error` if any of the arguments or operations are invalid,
+     *    in which case nothing is written, or if the client is not currently
+     *    connected. Throws a `MongoBulkWriteError` if any operation failed.
+     */
+    async bulkWrite(operations, options = {}) {
+        const begin = 'bulkWrite()';
+
+        // Validate the arguments, including every operation, so that nothing
+        // is written if any of them are invalid.
+        const aOperations = aintaArray(operations, 'operations', { begin,
+            types:['object'] });
+        if (aOperations) throw Error(aOperations);
+        const aOptions = aintaObject(options, 'options', { begin, open:true,
+            schema:{
+                ordered: { types:['boolean','undefined'] },
+                session: sessionSchema,
+            } });
+        if (aOptions) throw Error(aOptions);
+        operations.forEach((operation, i) => {
+            const [ type, ...others ] = Object.keys(operation);
+            const schema = bulkWriteSchemas[type];
+            if (!schema || others.length) throw Error(`${begin}: ` +
+                `\`operations[${i}]\` must have a single key, one of '` +
+                Object.keys(bulkWriteSchemas).join("', '") + "'");
+            const aSpec = aintaObject(operation[type],
+                `operations[${i}].${type}`, { begin, open:true, schema });
+            if (aSpec) throw Error(aSpec);
+            if (type === 'replaceOne')
+                validateReplacement(operation[type].replacement, begin);
+            if (type === 'updateOne' || type === 'updateMany')
+                validateUpdate(operation[type].update, begin);
+        });
+
+        // Check that the client is currently connected.
+        if (!this._client._isConnected) throw Error(
+            begin + ': Client must be connected before running operations');
+
+        // In a transaction, the session's copy of the collection is used.
+        const shadow = await this._forSession(begin, options.session);
+        if (shadow) return shadow.bulkWrite(operations,
+            { ...options, session:void 0 });
+
+        // Run each operation in turn, adding its effect to the result, or
+        // recording why it failed.
+        const result = new BulkWriteResult();
+        for (let index = 0; index < operations.length; index++) {
+        const operation = operations[index];
+            const [ type ] = Object.keys(operation);
+            const { document, filter, replacement, update, upsert } =
+                operation[type];
+            try {
+                if (type === 'insertOne') {
+                    const inserted = await this._insert(begin, document);
+                    result.insertedIds[index] = inserted.insertedId;
+                    result.insertedCount++;
+                } else if (type === 'deleteOne' || type === 'deleteMany') {
+                    const deleted = await this._delete(begin,
+                        type === 'deleteMany', filter);
+                    result.deletedCount += deleted.deletedCount;
+                } else {
+                    const updated = type === 'replaceOne'
+                        ? await this._replace(begin, filter, replacement,
+                            { upsert })
+                        : await this._update(begin, type === 'updateMany',
+                            filter, update, { upsert });
+                    result.matchedCount += updated.matchedCount;
+                    result.modifiedCount += updated.modifiedCount;
+                    if (updated.upsertedCount) {
+                        result.upsertedIds[index] = updated.upsertedId;
+                        result.upsertedCount++;
+                    }
+                }
+            } catch (err) {
+
+                // A conflict aborts the transaction, so nothing else can run.
+                if (err instanceof MongoServerError &&
+                    err.hasErrorLabel('TransientTransactionError')) throw err;
+                const prefix = `${begin}: `;
+                result._writeErrors.push({ index, code:err.code ?? 2,
+                    errmsg:err.message.startsWith(prefix)
+                        ? err.message.slice(prefix.length) : err.message,
+                    op:operation });
+                if (options.ordered !== false) break;
+            }
+        }
+
+        // Like the `mongodb` package, throw if anything failed.
+        if (result.hasWriteErrors()) throw new MongoBulkWriteError(begin,
+            result, result.getWriteErrors());
+        return result;
+    }
+
+    /**
+     * ### Deletes all documents that match a filter.
+     *
+     * `deleteMany({})` empties the collection, but does not drop it.
+     *
+     * @param {object} filter
+     *    The search criteria.
+     * @param {{session?:import('./client-session.js').default}} [options={}]
+     *    Optional `session`, whose transaction the documents are deleted in.
+     * @returns {Promise<{acknowledged:true,deletedCount:number}>}
+     *    Returns a `Promise` which resolves to a simple results-object.
+     * @throws
+     *    Throws an `Error` if any of the arguments are invalid, or if the
+     *    client is not currently connected.
+     */
+    async deleteMany(filter, options = {}) {
+        return this._delete('deleteMany()', true, filter, options);
+    }
+
+    /**
+     * ### Deletes the first document that matches a filter.
+     *
+     * @param {object} filter
+     *    The search criteria.
+     * @param {{session?:import('./client-session.js').default}} [options={}]
+     *    Optional `session`, whose transaction the document is deleted in.
+     * @returns {Promise<{acknowledged:true,deletedCount:number}>}
+     *    Returns a `Promise` which resolves to a simple results-object.
+     * @throws
+     *    Throws an `Error` if any of the arguments are invalid, or if the
+     *    client is not currently connected.
+     */
+    async deleteOne(filter, options = {}) {
+        return this._delete('deleteOne()', false, filter, options);
+    }
+
+    /**
+     * ### Implements `deleteOne()` and `deleteMany()`.
+     *
+     * @param {string} begin
+     *    The name of the public method, used to begin any error message.
+     * @param {boolean} many
+     *    If `true`, all matching documents are deleted, not just the first.
+     * @param {object} filter
+     *    The search criteria.
+     * @param {{session?:import('./client-session.js').default}} [options={}]
+     *    The `session` option.
+     * @returns {Promise<{acknowledged:true,deletedCount:number}>}
+     *    Returns a `Promise` which resolves to a simple results-object.
+     */
+    async _delete(begin, many, filter, options = {}) {
+
+        // Validate the arguments.
+        const aFilter = aintaObject(filter, 'filter', { begin, open:true });
+        if (aFilter) throw Error(aFilter);
+        const aOptions = aintaObject(options, 'options', { begin, open:true,
+            schema:{ session:sessionSchema } });
+        if (aOptions) throw Error(aOptions);
+
+        // Check that the client is currently connected.
+        if (!this._client._isConnected) throw Error(
+            begin + ': Client must be connected before running operations');
+
+        // In a transaction, the session's copy of the collection is used.
+        const shadow = await this._forSession(begin, options.session);
+        if (shadow) return shadow._delete(begin, many, filter);
+
+        // Find the documents to delete, and delete them by `_id`.
+        const deletedCount = await this._exclusive(async () => {
+            const found = await this._match(filter);
+            const ids = (many ? found : found.slice(0, 1)).map(d => d._id);
+            return this._remove(begin, ids);
+        });
+
+        // Return a simple results-object, like the `mongodb` package does.
+        return {
+            acknowledged: true,
+            deletedCount,
+        };
+    }
+
+    /**
+     * ### Replaces the first document that matches a filter.
+     *
+     * @param {object} filter
+     *    The search criteria.
+     * @param {object} replacement
+     *    The new document, which must not contain update operators. It may
+     *    only contain an `_id` if it is the same as the replaced document's.
+     * @param {{session?:import('./client-session.js').default,upsert?:boolean}} [options={}]
+     *    If `options.upsert` is `true` and no documents match, `replacement`
+     *    is inserted, using the `_id` from the filter if it has one. Optional
+     *    `session`, whose transaction the document is replaced in.
+     * @returns {Promise<UpdateResult>}
+     *    Returns a `Promise` which resolves to a simple results-object.
+     * @throws
+     *    Throws an `Error` if any of the arguments are invalid, if the
+     *    replacement would change the `_id`, or if the client is not
+     *    currently connected.
+     */
+    async replaceOne(filter, replacement, options = {}) {
+        return this._replace('replaceOne()', filter, replacement, options);
+    }
+
+    /**
+     * ### Implements `replaceOne()`, and the `replaceOne` operation of
+     * `bulkWrite()`.
+     *
+     * @param {string} begin
+     *    The name of the public method, used to begin any error message.
+     * @param {object} filter
+     *    The search criteria.
+     * @param {object} replacement
+     *    The new document.
+     * @param {{session?:import('./client-session.js').default,upsert?:boolean}} options
+     *    The `session` and `upsert` options.
+     * @returns {Promise<UpdateResult>}
+     *    Returns a `Promise` which resolves to a simple results-object.
+     */
+    async _replace(begin, filter, replacement, options) {
+
+        // Validate the arguments.
+        const aFilter = aintaObject(filter, 'filter', { begin, open:true });
+        if (aFilter) throw Error(aFilter);
+        const aReplacement = aintaObject(replacement, 'replacement', { begin,
+            open:true });
+        if (aReplacement) throw Error(aReplacement);
+        const aOptions = aintaObject(options, 'options', { begin, open:true,
+            schema:{
+                session: sessionSchema,
+                upsert: { types:['boolean','undefined'] },
+            } });
+        if (aOptions) throw Error(aOptions);
+        validateReplacement(replacement, begin);
+
+        // Check that the client is currently connected.
+        if (!this._client._isConnected) throw Error(
+            begin + ': Client must be connected before running operations');
+
+        // In a transaction, the session's copy of the collection is used.
+        const shadow = await this._forSession(begin, options.session);
+        if (shadow) return shadow._replace(begin, filter, replacement,
+            { ...options, session:void 0 });
+
+        return this._exclusive(async () => {
+
+            // Replace the first matching document, if it actually changes.
+            const [ document ] = await this._match(filter);
+            let modifiedCount = 0;
+            if (document) {
+                const replaced = applyReplacement(document, replacement, begin);
+                if (!equalValues(document, replaced)) {
+                    this._checkValid(begin, [ replaced ], [ document ]);
+                    await this._checkUnique(begin, [ replaced ]);
+                    await this._writeBack(begin, replaced, 'replace', document);
+                    modifiedCount++;
+                }
+            }
+
+            // If nothing matched and `options.upsert` is set, insert the
+            // replacement. Unlike an update, only `_id` is taken from the filter.
+            let upsertedId = null;
+            if (!document && options.upsert) {
+                const seed = documentFromFilter(filter);
+                const upserted = await this._upsert(begin, applyReplacement(
+                    '_id' in seed ? { _id:seed._id } : {}, replacement, begin));
+                upsertedId = upserted._id;
+            }
+
+            // Return a simple results-object, like the `mongodb` package does.
+            return {
+                acknowledged: true,
+                matchedCount: document ? 1 : 0,
+                modifiedCount,
+                upsertedCount: upsertedId === null ? 0 : 1,
+                upsertedId,
+            };
+        });
+    }
+
+    /**
+     * ### Updates all documents that match a filter.
+     *
+     * @param {object} filter
+     *    The search criteria.
+     * @param {object} update
+     *    The update operators to apply, eg `{ $set:{ a:1 }, $inc:{ n:2 } }`.
+     * @param {{session?:import('./client-session.js').default,upsert?:boolean}} [options={}]
+     *    If `options.upsert` is `true` and no documents match, a new document
+     *    is inserted, based on the `filter` and `update`. Optional `session`,
+     *    whose transaction the update is made in.
+     * @returns {Promise<UpdateResult>}
+     *    Returns a `Promise` which resolves to a simple results-object.
+     * @throws
+     *    Throws an `Error` if any of the arguments are invalid, or if the
+     *    client is not currently connected.
+     */
+    async updateMany(filter, update, options = {}) {
+        return this._update('updateMany()', true, filter, update, options);
+    }
+
+    /**
+     * ### Updates the first document that matches a filter.
+     *
+     * @param {object} filter
+     *    The search criteria.
+     * @param {object} update
+     *    The update operators to apply, eg `{ $set:{ a:1 }, $inc:{ n:2 } }`.
+     * @param {{session?:import('./client-session.js').default,upsert?:boolean}} [options={}]
+     *    If `options.upsert` is `true` and no documents match, a new document
+     *    is inserted, based on the `filter` and `update`. Optional `session`,
+     *    whose transaction the update is made in.
+     * @returns {Promise<UpdateResult>}
+     *    Returns a `Promise` which resolves to a simple results-object.
+     * @throws
+     *    Throws an `Error` if any of the arguments are invalid, or if the
+     *    client is not currently connected.
+     */
+    async updateOne(filter, update, options = {}) {
+        return this._update('updateOne()', false, filter, update, options);
+    }
+
+    /**
+     * ### Implements `updateOne()` and `updateMany()`.
+     *
+     * @param {string} begin
+     *    The name of the public method, used to begin any error message.
+     * @param {boolean} many
+     *    If `true`, all matching documents are updated, not just the first.
+     * @param {object} filter
+     *    The search criteria.
+     * @param {object} update
+     *    The update operators to apply.
+     * @param {{session?:import('./client-session.js').default,upsert?:boolean}} options
+     *    The `session` and `upsert` options.
+     * @returns {Promise<UpdateResult>}
+     *    Returns a `Promise` which resolves to a simple results-object.
+     */
+    async _update(begin, many, filter, update, options) {
+
+        // Validate the arguments.
+        const aFilter = aintaObject(filter, 'filter', { begin, open:true });
+        if (aFilter) throw Error(aFilter);
+        const aUpdate = aintaObject(update, 'update', { begin, open:true });
+        if (aUpdate) throw Error(aUpdate);
+        const aOptions = aintaObject(options, 'options', { begin, open:true,
+            schema:{
+                session: sessionSchema,
+                upsert: { types:['boolean','undefined'] },
+            } });
+        if (aOptions) throw Error(aOptions);
+        validateUpdate(update, begin);
+
+        // Check that the client is currently connected.
+        if (!this._client._isConnected) throw Error(
+            begin + ': Client must be connected before running operations');
+
+        // In a transaction, the session's copy of the collection is used.
+        const shadow = await this._forSession(begin, options.session);
+        if (shadow) return shadow._update(begin, many, filter, update,
+            { ...options, session:void 0 });
+
+        return this._exclusive(async () => {
+
+            // Find the documents to update, and apply the update to each of
+            // them. Only the documents which actually change are written back,
+            // and only if none of them would violate a unique index.
+            const found = await this._match(filter);
+            const matched = many ? found : found.slice(0, 1);
+            const changed = matched
+                .map(document => [ document, applyUpdate(document, update,
+                    begin) ])
+                .filter(([ document, updated ]) =>
+                    !equalValues(document, updated));
+            const written = changed.map(([ , updated ]) => updated);
+            this._checkValid(begin, written, changed.map(([ document ]) =>
+                document));
+            await this._checkUnique(begin, written);
+            for (const [ document, updated ] of changed)
+                await this._writeBack(begin, updated, 'update', document);
+            const modifiedCount = changed.length;
+
+            // If nothing matched and `options.upsert` is set, insert a document
+            // based on the equality conditions in the filter.
+            let upsertedId = null;
+            if (!matched.length && options.upsert) {
+                const upserted = await this._upsert(begin, applyUpdate(
+                    documentFromFilter(filter), update, begin, true));
+                upsertedId = upserted._id;
+            }
+
+            // Return a simple results-object, like the `mongodb` package does.
+            return {
+                acknowledged: true,
+                matchedCount: matched.length,
+                modifiedCount,
+                upsertedCount: upsertedId === null ? 0 : 1,
+                upsertedId,
+            };
+        });
+    }
+
+    /**
+     * ### Creates an index on one or more fields.
+     *
+     * Queries with an equality, `$in` or range condition on an index's first
+     * field use it, rather than checking every document. Unique indexes are
+     * enforced on every insert, update and replace. Like MongoDB, indexes
+     * cannot be created or dropped in a transaction.
+     *
+     * @param {string|Object<string,1|-1>} keys
+     *    The fields to index, eg `'email'` or `{ lastName:1, age:-1 }`.
+     * @param {{name?:string,partialFilterExpression?:object,session?:import('./client-session.js').default,sparse?:boolean,unique?:boolean}} [options={}]
+     *    Optional `name`, which defaults to eg `'lastName_1_age_-1'`, and
+     *    `unique`, `sparse`, `partialFilterExpression` and `session`.
+     * @returns {Promise<string>}
+     *    Returns a `Promise` which resolves to the index name.
+     * @throws
+     *    Throws an `Error` if any of the arguments are invalid, if the client
+     *    is not currently connected, if an index with the same name or keys
+     *    but different options already exists, or if a unique index cannot be
+     *    created because existing documents share a key.
+     */
+    async createIndex(keys, options = {}) {
+        const begin = 'createIndex()';
+        const spec = this._createIndexSpec(begin, keys, options, 'options');
+
+        // Check that the client is currently connected.
+        if (!this._client._isConnected) throw Error(
+            begin + ': Client must be connected before running operations');
+        this._notInTransaction(begin, options.session, 'createIndexes');
+
+        return this._exclusive(() => this._addIndex(begin, spec));
+    }
+
+    /**
+     * ### Creates several indexes.
+     *
+     * @param {object[]} indexSpecs
+     *    The indexes, eg `[ { key:{ email:1 }, unique:true } ]`. Apart from
+     *    `key`, each can have the same options as `createIndex()`.
+     * @param {{session?:import('./client-session.js').default}} [options={}]
+     *    Optional `session`, which must not have a transaction in progress.
+     * @returns {Promise<string[]>}
+     *    Returns a `Promise` which resolves to the index names.
+     * @throws
+     *    Throws an `Error` for the same reasons as `createIndex()`.
+     */
+    async createIndexes(indexSpecs, options = {}) {
+        const begin = 'createIndexes()';
+
+        // Validate the arguments.
+        const aIndexSpecs = aintaArray(indexSpecs, 'indexSpecs', { begin,
+            types:['object'] });
+        if (aIndexSpecs) throw Error(aIndexSpecs);
+        const specs = indexSpecs.map(({ key, ...spec }, i) =>
+            this._createIndexSpec(begin, key, spec, `indexSpecs[${i}]`));
+        const aOptions = aintaObject(options, 'options', { begin, open:true,
+            schema:{ session:sessionSchema } });
+        if (aOptions) throw Error(aOptions);
+
+        // Check that the client is currently connected.
+        if (!this._client._isConnected) throw Error(
+            begin + ': Client must be connected before running operations');
+        this._notInTransaction(begin, options.session, 'createIndexes');
+
+        return this._exclusive(async () => {
+            const names = [];
+            for (const spec of specs) names.push(await this._addIndex(begin, spec));
+            return names;
+        });
+    }
+
+    /**
+     * ### Drops an index.
+     *
+     * @param {string|Object<string,1|-1>} indexName
+     *    The index name, eg `'email_1'`, or its keys, eg `{ email:1 }`.
+     * @param {{session?:import('./client-session.js').default}} [options={}]
+     *    Optional `session`, which must not have a transaction in progress.
+     * @returns {Promise<{nIndexesWas:number,ok:1}>}
+     *    Returns a `Promise` which resolves to the number of indexes before
+     *    the index was dropped, like the `mongodb` package.
+     * @throws
+     *    Throws an `Error` if `indexName` is invalid, if the client is not
+     *    currently connected, if the index does not exist, or if it is the
+     *    `_id_` index.
+     */
+    async dropIndex(indexName, options = {}) {
+        const begin = 'dropIndex()';
+
+        // Validate the arguments.
+        if (typeof indexName !== 'string') {
+            const aIndexName = aintaObject(indexName, 'indexName', { begin,
+                open:true });
+            if (aIndexName) throw Error(aIndexName);
+        }
+        const aOptions = aintaObject(options, 'options', { begin, open:true,
+            schema:{ session:sessionSchema } });
+        if (aOptions) throw Error(aOptions);
+
+        // Check that the client is currently connected.
+        if (!this._client._isConnected) throw Error(
+            begin + ': Client must be connected before running operations');
+        this._notInTransaction(begin, options.session, 'dropIndexes');
+
+        return this._exclusive(async () => {
+            const nIndexesWas = this._indexes.length;
+            const i = this._indexes.findIndex(typeof indexName === 'string'
+                ? spec => spec.name === indexName
+                : spec => equalValues(spec.key, indexName));
+            if (i === -1) throw new MongoServerError(typeof indexName ===
+                'string' ? `${begin}: index not found with name [${indexName}]`
+                : `${begin}: can't find index with key: ` +
+                    formatIndexKey(indexName),
+                { code:27, codeName:'IndexNotFound' });
+            if (i === 0) throw new MongoServerError(
+                `${begin}: cannot drop _id index`,
+                { code:72, codeName:'InvalidOptions' });
+            const [ { name } ] = this._indexes.splice(i, 1);
+            this._store.removeIndex(name);
+            await this._log(begin, { op:'dropIndex', name });
+            return { nIndexesWas, ok:1 };
+        });
+    }
+
+    /**
+     * ### Drops every index except `_id_`.
+     *
+     * @param {{session?:import('./client-session.js').default}} [options={}]
+     *    Optional `session`, which must not have a transaction in progress.
+     * @returns {Promise<true>}
+     *    Returns a `Promise` which resolves to `true`.
+     * @throws
+     *    Throws an `Error` if `options` is invalid, if the session is in a
+     *    transaction, or if the client is not currently connected.
+     */
+    async dropIndexes(options = {}) {
+        const begin = 'dropIndexes()';
+
+        // Validate the `options` argument.
+        const aOptions = aintaObject(options, 'options', { begin, open:true,
+            schema:{ session:sessionSchema } });
+        if (aOptions) throw Error(aOptions);
+
+        // Check that the client is currently connected.
+        if (!this._client._isConnected) throw Error(
+            begin + ': Client must be connected before running operations');
+        this._notInTransaction(begin, options.session, 'dropIndexes');
+
+        await this._exclusive(async () => {
+            for (const { name } of this._indexes.splice(1)) {
+                this._store.removeIndex(name);
+                await this._log(begin, { op:'dropIndex', name });
+            }
+        });
+        return true;
+    }
+
+    /**
+     * ### Determines whether one or more indexes exist.
+     *
+     * @param {string|string[]} indexes
+     *    The index name, or names.
+     * @param {{session?:import('./client-session.js').default}} [options={}]
+     *    Optional `session`, which must not have a transaction in progress.
+     * @returns {Promise<boolean>}
+     *    Returns a `Promise` which resolves to `true` if every index exists.
+     * @throws
+     *    Throws an `Error` if `indexes` is invalid, or if the client is not
+     *    currently connected.
+     */
+    async indexExists(indexes, options = {}) {
+        const begin = 'indexExists()';
+
+        // Validate the arguments.
+        const names = [].concat(indexes);
+        const aNames = aintaArray(names, 'indexes', { begin,
+            types:['string'] });
+        if (aNames) throw Error(aNames);
+        const aOptions = aintaObject(options, 'options', { begin, open:true,
+            schema:{ session:sessionSchema } });
+        if (aOptions) throw Error(aOptions);
+
+        // Check that the client is currently connected.
+        if (!this._client._isConnected) throw Error(
+            begin + ': Client must be connected before running operations');
+        this._notInTransaction(begin, options.session, 'listIndexes');
+
+        return this._exclusive(async () => names.every(name =>
+            this._indexes.some(spec => spec.name === name)));
+    }
+
+    /**
+     * ### Creates a cursor which lists the collection's indexes.
+     *
+     * @param {{session?:import('./client-session.js').default}} [options={}]
+     *    Optional `session`, which must not have a transaction in progress.
+     * @returns {ListIndexesCursor}
+     *    Returns a cursor, which reads objects like
+     *    `{ v:2, key:{ email:1 }, name:'email_1', unique:true }`.
+     * @throws
+     *    Throws an `Error` if `options` is invalid, if the session is in a
+     *    transaction, or if the client is not currently connected.
+     */
+    listIndexes(options = {}) {
+        const begin = 'listIndexes()';
+
+        // Validate the `options` argument.
+        const aOptions = aintaObject(options, 'options', { begin, open:true,
+            schema:{ session:sessionSchema } });
+        if (aOptions) throw Error(aOptions);
+
+        // Check that the client is currently connected.
+        if (!this._client._isConnected) throw Error(
+            begin + ': Client must be connected before running operations');
+        this._notInTransaction(begin, options.session, 'listIndexes');
+
+        return new ListIndexesCursor(() =>
+            this._exclusive(async () => cloneValue(this._indexes)));
+    }
+
+    /**
+     * ### Drops the collection, removing its documents, indexes and options.
+     *
+     * The `Collection` can still be used afterwards, and writing to it
+     * creates the collection again, with just the `_id_` index.
+     *
+     * @param {{session?:import('./client-session.js').default}} [options={}]
+     *    Optional `session`, which must not have a transaction in progress.
+     * @returns {Promise<boolean>}
+     *    Returns a `Promise` which resolves to `true`, or `false` if the
+     *    collection did not exist.
+     * @throws
+     *    Throws an `Error` if `options` is invalid, if the session is in a
+     *    transaction, or if the client is not currently connected.
+     */
+    async drop(options = {}) {
+        const begin = 'drop()';
+
+        // Validate the `options` argument.
+        const aOptions = aintaObject(options, 'options', { begin, open:true,
+            schema:{ session:sessionSchema } });
+        if (aOptions) throw Error(aOptions);
+
+        // Check that the client is currently connected.
+        if (!this._client._isConnected) throw Error(
+            begin + ': Client must be connected before running operations');
+        this._notInTransaction(begin, options.session, 'drop');
+
+        return this._exclusive(async () => {
+            if (!this._exists) return false;
+            await this._apply({ op:'drop' });
+            await this._log(begin, { op:'drop' });
+            this._publish('drop', {});
+            return true;
+        });
+    }
+
+    /**
+     * ### Renames the collection. See `Database.renameCollection()`.
+     *
+     * @param {string} newName
+     *    The new name of the collection.
+     * @param {{dropTarget?:boolean,session?:import('./client-session.js').default}} [options={}]
+     *    Optional `dropTarget`, which drops any collection that already has
+     *    the new name, and `session`.
+     * @returns {Promise<Collection>}
+     *    Returns a `Promise` which resolves to the `Collection` with the new
+     *    name.
+     * @throws
+     *    Throws an `Error` for the same reasons as
+     *    `Database.renameCollection()`.
+     */
+    async rename(newName, options = {}) {
+        const begin = 'rename()';
+
+        // Check that the collection belongs to a database.
+        if (!this._db) throw Error(
+            `${begin}: Only a collection created by a \`Database\` can be renamed`);
+
+        return this._db._rename(begin, this._collectionName, newName, options);
+    }
+
+    /**
+     * ### Determines whether the collection is capped.
+     *
+     * @returns {Promise<boolean>}
+     *    Returns a `Promise` which resolves to `true` if `createCollection()`
+     *    created the collection with `capped:true`.
+     * @throws
+     *    Throws an `Error` if the client is not currently connected.
+     */
+    async isCapped() {
+        const begin = 'isCapped()';
+
+        // Check that the client is currently connected.
+        if (!this._client._isConnected) throw Error(
+            begin + ': Client must be connected before running operations');
+
+        return this._options.capped === true;
+    }
+
+    /**
+     * ### Opens a change stream, which reports every later insert, update,
+     * replace and delete in the collection, and its drop or rename.
+     *
+     * @param {object[]} [pipeline=[]]
+     *    Stages like `{ $match:{ operationType:'insert' } }`, which filter
+     *    and modify the change events.
+     * @param {import('./change-stream.js').ChangeStreamOptions} [options={}]
+     *    Optional `fullDocument` and `resumeAfter`. A `session` is ignored.
+     * @returns {ChangeStream}
+     *    Returns a change stream.
+     * @throws
+     *    Throws an `Error` if any of the arguments are invalid, if the
+     *    collection was not created by a `Database`, or if the client is not
+     *    currently connected.
+     */
+    watch(pipeline = [], options = {}) {
+        const begin = 'watch()';
+
+        // Check that the collection belongs to a database, which is named in
+        // each change event.
+        if (!this._db) throw Error(
+            `${begin}: Only a collection created by a \`Database\` can be watched`);
+
+        // Check that the client is currently connected.
+        if (!this._client._isConnected) throw Error(
+            begin + ': Client must be connected before running operations');
+
+        return new ChangeStream(this._client._changes, { db:this._db._dbName,
+            coll:this._collectionName }, pipeline, options);
+    }
+
+    /**
+     * ### Adds an index, unless an identical one already exists.
+     *
+     * @param {string} begin
+     *    The name of the public method, used to begin any error message.
+     * @param {import('./indexes.js').IndexSpec} spec
+     *    The index to add.
+     * @returns {Promise<string>}
+     *    Returns a `Promise` which resolves to the index name.
+     * @throws
+     *    Throws an `Error` if a different index has the same name or keys, or
+     *    if a unique index cannot be created because existing documents share
+     *    a key.
+     */
+    async _addIndex(begin, spec) {
+        const sameName = this._indexes.find(index => index.name === spec.name);
+        if (sameName && equalValues(sameName, spec)) return spec.name;
+        if (sameName) throw new MongoServerError(`${begin}: Index with name: ` +
+            `${spec.name} already exists with different options`,
+            { code:85, codeName:'IndexOptionsConflict' });
+        const sameKey = this._indexes.find(index =>
+            equalValues(index.key, spec.key));
+        if (sameKey) throw new MongoServerError(`${begin}: Index already ` +
+            `exists with a different name: ${sameKey.name}`,
+            { code:85, codeName:'IndexOptionsConflict' });
+
+        const key = findDuplicateKey(spec, [], this._store.all());
+        if (key) throw this._duplicateKey(begin, spec, key);
+        this._indexes.push(spec);
+        this._store.addIndex(spec);
+        await this._log(begin, { op:'createIndex', spec });
+        return spec.name;
+    }
+
+    /**
+     * ### Validates the arguments of `createIndex()` or an item of
+     * `createIndexes()`, and creates an index from them.
+     *
+     * @param {string} begin
+     *    The name of the public method, used to begin any error message.
+     * @param {any} keys
+     *    The fields to index.
+     * @param {object} options
+     *    The index options.
+     * @param {string} identifier
+     *    The name of the options in error messages, eg `'indexSpecs[0]'`.
+     * @returns {import('./indexes.js').IndexSpec}
+     *    Returns the index.
+     */
+    _createIndexSpec(begin, keys, options, identifier) {
+        const aOptions = aintaObject(options, identifier, { begin, open:true,
+            schema:{
+            name: { types:['string','undefined'], min:1 },
+            partialFilterExpression: { types:['object','undefined'],
+                open:true },
+            session: sessionSchema,
+            sparse: { types:['boolean','undefined'] },
+            unique: { types:['boolean','undefined'] },
+        } });
+        if (aOptions) throw Error(aOptions);
+        return createIndexSpec(keys, options, begin);
+    }
+
+    /**
+     * ### Checks that the changes a transaction made to its copy of the
+     * collection can be committed.
+     *
+     * This should only be called by an operation passed to `_exclusive()`,
+     * followed by `_commit()` in the same operation.
+     *
+     * @param {string} begin
+     *    The name of the public method, used to begin any error message.
+     * @param {Shadow} shadow
+     *    The transaction's copy of the collection, from `_shadow()`.
+     * @returns {Promise<void>}
+     *    Returns a `Promise` which does not resolve to anything.
+     * @throws
+     *    Throws a `MongoServerError` if a document which the transaction wrote
+     *    would violate a unique index.
+     */
+    async _checkCommit(begin, shadow) {
+        const ids = Array.from(shadow._written.values());
+        await this._checkUnique(begin, ids.length
+            ? shadow._store.find({ _id:{ $in:ids } }) : []);
+    }
+
+    /**
+     * ### Commits the changes that a transaction made to its copy of the
+     * collection.
+     *
+     * This should only be called by an operation passed to `_exclusive()`,
+     * after `_checkCommit()` has passed.
+     *
+     * @param {string} begin
+     *    The name of the public method, used to begin any error message.
+     * @param {Shadow} shadow
+     *    The transaction's copy of the collection, from `_shadow()`.
+     * @returns {Promise<void>}
+     *    Returns a `Promise` which does not resolve to anything.
+     */
+    async _commit(begin, shadow) {
+        for (const record of shadow._records) {
+            await this._apply(record);
+            await this._log(begin, record);
+        }
+        await this._cap(begin);
+    }
+
+    /**
+     * ### Makes a change to the store, without journaling or
+     * publishing it.
+     *
+     * Used to replay the journal, to commit a transaction, and to drop or
+     * rename the collection. The change may already have been made, so
+     * inserting an existing document replaces it, and removing a missing one,
+     * or creating an existing index, is skipped.
+     *
+     * @param {import('./journal.js').JournalRecord} record
+     *    The change.
+     * @returns {Promise<void>}
+     *    Returns a `Promise` which does not resolve to anything.
+     */
+    async _apply({ op, documents, document, ids, spec, name, options, to }) {
+        this._exists = op !== 'drop' && op !== 'rename';
+        for (const wake of this._wakers.splice(0)) wake();
+        if (op === 'insert' || op === 'replace') {
+            for (const doc of documents || [ document ]) {
+                if (this._store.has(doc._id)) this._store.replace(doc);
+                else this._store.insert(doc);
+            }
+        } else if (op === 'remove') {
+            for (const _id of ids.filter(_id => this._store.has(_id)))
+                this._store.remove(_id);
+        } else if (op === 'createIndex') {
+            if (this._indexes.some(index => index.name === spec.name)) return;
+            this._indexes.push(spec);
+            this._store.addIndex(spec);
+        } else if (op === 'dropIndex') {
+            const i = this._indexes.findIndex(index => index.name === name);
+            if (i < 1) return;
+            this._indexes.splice(i, 1);
+            this._store.removeIndex(name);
+        } else if (op === 'setOptions') {
+            this._options = cloneValue(options);
+        } else if (op === 'rename') {
+            const { _collections } = this._db;
+            const target = _collections[to] || (_collections[to] =
+                new Collection(this._client, to, this._db));
+            const { _indexes, _options, _store } = this;
+            Object.assign(target, { _indexes, _options, _store,
+                _exists:true });
+            await this._apply({ op:'drop' });
+        } else if (op === 'drop') {
+            this._indexes = [ { v:2, key:{ _id:1 }, name:'_id_' } ];
+            this._store = new DocumentStore(this._indexes);
+            this._options = {};
+        }
+    }
+
+    /**
+     * ### Evicts the oldest documents from a capped collection, once it has
+     * more than `max` documents, or they take up more than `size` bytes.
+     *
+     * Like MongoDB, a `size` of up to 4096 is raised to 4096, and a larger
+     * one is rounded up to a multiple of 256. Each document's size is measured
+     * as Extended JSON, like `listDatabases()` does, so is only close to its
+     * BSON size. The newest document is never evicted.
+     *
+     * @param {string} begin
+     *    The name of the public method, used to begin any error message.
+     * @returns {Promise<void>}
+     *    Returns a `Promise` which does not resolve to anything.
+     */
+    async _cap(begin) {
+        const { capped, size, max } = this._options;
+        if (!capped) return;
+        const maxBytes = Math.max(4096, Math.ceil(size / 256) * 256);
+        const documents = this._store.all();
+        const sizes = documents.map(document =>
+            Buffer.byteLength(JSON.stringify(toExtendedJson(document))));
+        let bytes = sizes.reduce((sum, n) => sum + n, 0);
+        let evicted = 0;
+        for (let left = documents.length; left > 1 &&
+            (bytes > maxBytes || (max && left > max)); left--)
+            bytes -= sizes[evicted++];
+        await this._remove(begin, documents.slice(0, evicted)
+            .map(({ _id }) => _id));
+    }
+
+    /**
+     * ### Checks that some documents about to be written match the
+     * collection's validator, if it has one.
+     *
+     * @param {string} begin
+     *    The name of the public method, used to begin any error message.
+     * @param {object[]} written
+     *    The documents about to be inserted, or the new versions of documents
+     *    about to be updated.
+     * @param {object[]} [previous=[]]
+     *    The stored versions of the updated documents, in the same order. With
+     *    `validationLevel:'moderate'`, those which are already invalid can be
+     *    updated to anything.
+     * @returns {void}
+     *    Does not return anything.
+     * @throws
+     *    Throws a `MongoServerError` with `code` 121 and `errInfo` if a
+     *    document fails validation, and `validationAction` is 'error'.
+     */
+    _checkValid(begin, written, previous = []) {
+        const { validator, validationLevel, validationAction } = this._options;
+        if (!validator || validationLevel === 'off' ||
+            validationAction === 'warn') return;
+        written.forEach((document, i) => {
+            if (matchesFilter(document, validator)) return;
+            if (validationLevel === 'moderate' && previous[i] &&
+                !matchesFilter(previous[i], validator)) return;
+            throw new MongoServerError(`${begin}: Document failed validation`, {
+                code:121, codeName:'DocumentValidationFailure', errInfo:{
+                failingDocumentId:document._id,
+                details:explainValidation(document, validator) } });
+        });
     }
 
     /**
-     * ### Inserts several documents into the collection.
-     * 
-     * @param {object[]} documents
-     *    The arrays of documents to insert into the collection.
-     * @returns {Promise<{acknowledged:true,insertedCount:number,insertedIds:Object<string,string>}>}
-     *    Returns a `Promise` which resolves to an array of results-objects.
+     * ### Checks that writing some documents would not violate a unique index.
+     *
+     * @param {string} begin
+     *    The name of the public method, used to begin any error message.
+     * @param {object[]} written
+     *    The documents about to be inserted, or the new versions of documents
+     *    about to be updated.
+     * @returns {Promise<void>}
+     *    Returns a `Promise` which does not resolve to anything.
      * @throws
-     *    Throws an `Error` if the `documents` argument is invalid,
-     *    or if the client is not currently connected.
+     *    Throws a `MongoServerError` if two documents would share a key in a
+     *    unique index.
      */
-    async insertMany(documents) {
-        const begin = 'insertMany()';
+    async _checkUnique(begin, written) {
 
-        // Validate the `documents` argument.
-        const aDocuments = aintaArray(documents, 'documents', { begin,
-            types:['object'] });
-        if (aDocuments) throw Error(aDocuments);
+        // Updated documents replace their old versions, which have the same
+        // `_id`, so the store does not count the old versions as duplicates.
+        for (const spec of this._indexes.filter(spec => spec.unique)) {
+            const found = this._store.findDuplicate(spec, written);
+            if (found) throw this._duplicateKey(begin, spec, found.key,
+                found.index);
+        }
+    }
 
-        // Check that the client is currently connected.
-        if (!this._client._isConnected) throw Error(
-            begin + ': Client must be connected before running operations');
+    /**
+     * ### Creates the error for a write which would duplicate a key in a
+     * unique index, including the `_id_` index.
+     *
+     * @param {string} begin
+     *    The name of the public method, used to begin the error message.
+     * @param {import('./indexes.js').IndexSpec} spec
+     *    The unique index.
+     * @param {Object<string,any>} key
+     *    The key which already exists, eg `{ email:'a@b.c' }`.
+     * @param {number} [index=0]
+     *    The position of the offending document among those being written.
+     * @returns {MongoServerError}
+     *    Returns an error with `code` 11000, `keyPattern`, `keyValue` and
+     *    `index`, like MongoDB's.
+     */
+    _duplicateKey(begin, spec, key, index = 0) {
+        return new MongoServerError(`${begin}: E11000 duplicate key error ` +
+            `collection: ${this._collectionName}.documents index: ` +
+            `${spec.name} dup key: ${formatIndexKey(key)}`, { code:11000,
+            codeName:'DuplicateKey', keyPattern:{ ...spec.key },
+            keyValue:key, index });
+    }
 
-        // Get an array containing just the `documents` which provide an `_id`.
-        const docsWithIds = documents.filter(d => d._id);
-        if (docsWithIds.length) {
-            // Get an array of just the `_id` strings.
-            const ids = docsWithIds.map(d => d._id);
+    /**
+     * ### Runs an operation once all earlier operations have finished.
+     *
+     * Writes wait for the journal, so without this, two Mongoish calls could
+     * interleave, eg two `findOneAndUpdate()` calls could both read a counter
+     * before either writes it back.
+     *
+     * @template T
+     * @param {function():Promise<T>} operation
+     *    The operation, which should not call `_exclusive()` itself.
+     * @returns {Promise<T>}
+     *    Returns a `Promise` which resolves or rejects like `operation` does.
+     */
+    _exclusive(operation) {
+        const result = this._queue.then(operation);
+        this._queue = result.catch(() => {});
+        return result;
+    }
 
-            // Check for duplicate `_ids` within the `documents` argument.
-            const encountered = {};
-            docsWithIds.forEach(({ _id }, i) => {
-                if (_id in encountered) throw Error(`${begin}: ` +
-                    `\`documents[${i}]\` has the same \`_id\` '${_id}' as ` +
-                    `\`documents[${encountered[_id]}]\``);
-                else encountered[_id] = i });
+    /**
+     * ### Finds the copy of the collection which a session's transaction
+     * reads and writes, creating it the first time the transaction uses the
+     * collection.
+     *
+     * @param {string} begin
+     *    The name of the public method, used to begin any error message.
+     * @param {import('./client-session.js').default} [session]
+     *    The `session` option.
+     * @returns {Promise<Collection|null>}
+     *    Returns a `Promise` which resolves to the transaction's copy, or
+     *    `null` if there is no session, or it has no transaction in progress.
+     * @throws
+     *    Throws an `Error` if the session has ended, belongs to another client,
+     *    or its transaction has been aborted by a conflict.
+     */
+    async _forSession(begin, session) {
+        if (session === void 0) return null;
+        const transaction = session._transactionFor(begin, this._client);
+        if (!transaction) return null;
+        return transaction.shadows.get(this) ||
+            this._exclusive(async () => transaction.shadows.get(this) ||
+                this._shadow(transaction));
+    }
 
-            // Check for `_ids` which already exist in the collection.
-            const dupes = await this._engine.find({ _id:{$in:ids} }).toArray();
-            if (dupes.length) throw Error(`${begin}: Collection ` +
-                `'${this._collectionName}' already contains a document with ` + 
-                `\`_id\` '${dupes[0]._id}'`);
-        }
+    /**
+     * ### Fills the empty collection from a snapshot, eg when `connect()`
+     * loads it from disk.
+     *
+     * @param {import('./persistence.js').CollectionSnapshot} snapshot
+     *    The indexes and documents to load.
+     * @returns {Promise<void>}
+     *    Returns a `Promise` which does not resolve to anything.
+     */
+    async _load({ indexes, documents, options = {} }) {
+        return this._exclusive(async () => {
+            this._exists = true;
+            this._options = options;
+            this._indexes = [ this._indexes[0],
+                ...indexes.filter(spec => spec.name !== '_id_') ];
+            this._store = new DocumentStore(this._indexes);
+            for (const document of documents) this._store.insert(document);
+        });
+    }
 
-        // Pass the `insertMany()` call on to this collection's PicoDB instance.
-        const result = await this._engine.insertMany(documents);
+    /**
+     * ### Appends a change to the database's journal, if the client was
+     * created with the `journal` option.
+     *
+     * Open transactions are also told which documents changed, so that they
+     * cannot then overwrite them. See `_shadow()`. Any tailable cursors which
+     * are waiting are woken up. And any change apart from dropping or renaming
+     * the collection means that it exists.
+     *
+     * @param {string} begin
+     *    The name of the public method. A transaction's copy of the collection
+     *    uses it to begin the message of a `WriteConflict` error.
+     * @param {Omit<import('./journal.js').JournalRecord,'collection'>} record
+     *    The change, which has already been made.
+     * @returns {Promise<void>}
+     *    Returns a `Promise` which resolves once the change is written.
+     */
+    async _log(begin, record) {
+        this._exists = record.op !== 'drop' && record.op !== 'rename';
+        for (const wake of this._wakers.splice(0)) wake();
+        this._shadows.forEach(shadow => {
+            for (const _id of recordIds(record))
+                shadow._stale.add(inspectValue(_id));
+        });
+        const journal = this._db && this._db._journal;
+        if (journal) await journal.append([
+            { collection:this._collectionName, ...record } ]);
+    }
 
-        // Return an array of results-objects:
-        // - `acknowledged: true` indicates that `insertMany()` succeeded
-        // - `insertedId` is the unique identifier of the inserted document
-        return {
-            acknowledged: true,
-            insertedCount: result.length,
-            insertedIds: result.reduce((a,d,i) => ({ ...a, [i]:d._id}), {}),
-        };
+    /**
+     * ### Passes a change to the client's change streams, and keeps it so
+     * that streams can resume from it.
+     *
+     * Changes replayed from the journal by `connect()` are not published,
+     * because they were made before the client connected.
+     *
+     * @param {'delete'|'drop'|'insert'|'replace'|'update'} operationType
+     *    The kind of change.
+     * @param {{fullDocument?:object,documentKey?:{_id:any},updateDescription?:object}} fields
+     *    The rest of the change event, apart from `ns`.
+     * @param {object} [updated]
+     *    For an 'update', the document after the update.
+     */
+    _publish(operationType, { fullDocument, ...fields }, updated) {
+        const changes = this._client._changes;
+        if (!changes || !this._db || !this._client._isConnected) return;
+        changes.publish(operationType, { ...(fullDocument && { fullDocument }),
+            ns:{ db:this._db._dbName, coll:this._collectionName }, ...fields },
+            updated);
     }
 
     /**
-     * ### Inserts a single document into the collection.
-     * 
+     * ### Publishes the change event for an inserted document.
+     *
      * @param {object} document
-     *    The document to insert into the collection.
-     * @returns {Promise<{acknowledged:true,insertedId:string}>}
-     *    Returns a `Promise` which resolves to a simple results-object.
-     * @throws
-     *    Throws an `Error` if the `document` argument is invalid,
-     *    or if the client is not currently connected.
+     *    The inserted document, which has an `_id`.
      */
-    async insertOne(document) {
-        const begin = 'insertOne()';
-
-        // Validate the `document` argument.
-        const aDocument = aintaObject(document, 'document', { begin, open:true });
-        if (aDocument) throw Error(aDocument);
+    _publishInsert(document) {
+        this._publish('insert', { fullDocument:document,
+            documentKey:{ _id:document._id } });
+    }
 
-        // Check that the client is currently connected.
-        if (!this._client._isConnected) throw Error(
-            begin + ': Client must be connected before running operations');
+    /**
+     * ### Finds every document that matches a filter, in natural order.
+     *
+     * `find()`, the write methods and the `$match` aggregation stage all use
+     * this, so they all behave the same. Conditions on `_id` or an indexed
+     * field are looked up in the store, rather than checking every document.
+     *
+     * @param {object} filter
+     *    The search criteria.
+     * @returns {Promise<object[]>}
+     *    Returns a `Promise` which resolves to copies of the matching documents.
+     * @throws
+     *    Throws an `Error` if the filter contains an unknown operator.
+     */
+    async _match(filter) {
+        return this._store.find(filter);
+    }
 
-        // If `document._id` has been set, check that it does not already exist.
-        if (document._id && await this._engine.count({ _id:document._id }))
-            throw Error(`${begin}: E11000 duplicate key error collection: ` +
-                `${this._collectionName}.documents index: _id_ dup key: ` + 
-                `{ _id: "${document._id}" }`);
+    /**
+     * ### Checks that a session is not in a transaction, for the methods
+     * which MongoDB does not allow in a transaction.
+     *
+     * @param {string} begin
+     *    The name of the public method, used to begin any error message.
+     * @param {import('./client-session.js').default|undefined} session
+     *    The `session` option.
+     * @param {string} command
+     *    The name of the MongoDB command, eg `'createIndexes'`.
+     * @returns {void}
+     *    Does not return anything.
+     * @throws
+     *    Throws a `MongoServerError` if the session has a transaction in
+     *    progress, or an `Error` if it has ended or belongs to another client.
+     */
+    _notInTransaction(begin, session, command) {
+        if (session !== void 0 && session._transactionFor(begin, this._client))
+            throw new MongoServerError(`${begin}: Cannot run '${command}' in a ` +
+                'multi-document transaction.',
+                { code:263, codeName:'OperationNotSupportedInTransaction' });
+    }
 
-        // Pass the `insertOne()` call on to this collection's PicoDB instance.
-        const result = await this._engine.insertOne(document);
+    /**
+     * ### Deletes documents by `_id`.
+     *
+     * @param {string} begin
+     *    The name of the public method, used to begin any error message.
+     * @param {any[]} ids
+     *    The `_id`s of the documents to delete, which must all exist.
+     * @returns {Promise<number>}
+     *    Returns a `Promise` which resolves to the number of documents deleted.
+     */
+    async _remove(begin, ids) {
+        for (const _id of ids) this._store.remove(_id);
+        if (ids.length) await this._log(begin, { op:'remove', ids });
+        for (const _id of ids)
+            this._publish('delete', { documentKey:{ _id } });
+        return ids.length;
+    }
 
-        // Return a simple results-object:
-        // - `acknowledged: true` indicates that `insertOne()` succeeded
-        // - `insertedId` is the unique identifier of the inserted document
-        return {
-            acknowledged: true,
-            insertedId: result[0]._id,
-        };
+    /**
+     * ### Makes a change which was read from the database's journal.
+     *
+     * The change may already be in the snapshot that the collection was
+     * loaded from, eg if the process stopped after saving a snapshot but
+     * before deleting the journal. So inserting an existing document replaces
+     * it, and removing a missing one, or creating an existing index, is
+     * skipped.
+     *
+     * @param {import('./journal.js').JournalRecord} record
+     *    The change.
+     * @returns {Promise<void>}
+     *    Returns a `Promise` which does not resolve to anything.
+     */
+    async _replay(record) {
+        return this._exclusive(() => this._apply(record));
     }
 
     /**
-     * ### Creates a cursor for a filter that can be used to find documents.
-     * 
-     * Note that PicoDB does not implement MongoDB's `findOne()` method.
-     * 
-     * @param {object} filter
-     *    The search criteria.
-     * @returns {Cursor}
-     *    Returns a cursor object.
+     * ### Replaces every document in the collection, eg for the `$out`
+     * aggregation stage.
+     *
+     * The new documents are validated and checked against the unique indexes
+     * first, so if they fail, the collection keeps its old documents, like
+     * MongoDB's `$out`.
+     *
+     * @param {string} begin
+     *    The name of the public method, used to begin any error message.
+     * @param {object[]} documents
+     *    The new documents, which must not share an `_id`.
+     * @returns {Promise<void>}
+     *    Returns a `Promise` which does not resolve to anything.
      * @throws
-     *    Throws an `Error` if the `filter` argument is invalid, or if the
-     *    client is not currently connected.
+     *    Throws a `MongoServerError` if a document fails validation, or two
+     *    documents would share a key in a unique index.
      */
-    find(filter) {
-        const begin = 'find()';
+    async _replaceAll(begin, documents) {
+        const withIds = documents.map(withObjectId);
+        return this._exclusive(async () => {
+            this._checkValid(begin, withIds);
+            for (const spec of this._indexes.filter(spec => spec.unique)) {
+                const key = findDuplicateKey(spec, [], withIds);
+                if (key) throw this._duplicateKey(begin, spec, key);
+            }
+            await this._remove(begin, this._store.all().map(({ _id }) => _id));
+            if (!withIds.length) return;
+            for (const document of withIds) this._store.insert(document);
+            await this._log(begin, { op:'insert', documents:withIds });
+            for (const document of withIds) this._publishInsert(document);
+            await this._cap(begin);
+        });
+    }
 
-        // Validate the `filter` argument.
-        const aFilter = aintaObject(filter, 'filter', { begin, open:true });
-        if (aFilter) throw Error(aFilter);
+    /**
+     * ### Replaces the collection's options, eg its `validator`, and journals
+     * the change.
+     *
+     * @param {string} begin
+     *    The name of the public method, used to begin any error message.
+     * @param {CollectionOptions} options
+     *    The new options, which have already been validated.
+     * @returns {Promise<void>}
+     *    Returns a `Promise` which resolves once the change is written.
+     */
+    async _setOptions(begin, options) {
+        return this._exclusive(async () => {
+            /** @type {import('./journal.js').JournalRecord} */
+            const record = { op:'setOptions', options };
+            await this._apply(record);
+            await this._log(begin, record);
+        });
+    }
 
-        // Check that the client is currently connected.
-        if (!this._client._isConnected) throw Error(
-            begin + ': Client must be connected before running operations');
+    /**
+     * ### Creates a transaction's copy of the collection.
+     *
+     * The copy starts with the documents and indexes that the collection has
+     * now, and every method works on it as usual. But writes only reach its
+     * own store, and are recorded, along with their change events, so that
+     * `_commit()` can make them later.
+     *
+     * If another open transaction has already written a document, or it has
+     * changed since the copy was made, writing it is a `WriteConflict`, which
+     * aborts the transaction.
+     *
+     * @param {import('./client-session.js').Transaction} transaction
+     *    The transaction.
+     * @returns {Shadow}
+     *    Returns the copy, which the transaction and the collection both keep.
+     */
+    _shadow(transaction) {
+        const collection = this;
+        const indexes = cloneValue(this._indexes);
+        const store = new DocumentStore(indexes);
+        for (const document of this._store.all()) store.insert(document);
+        const shadow = Object.assign(Object.create(this), {
+            _indexes: indexes,
+            _queue: Promise.resolve(),
+            _store: store,
+            _records: [],
+            _stale: new Set(),
+            /** @type {Map<string,any>} */
+            _written: new Map(),
+            async _log(begin, record) {
+                for (const _id of recordIds(record)) {
+                    const key = inspectValue(_id);
+                    if (this._stale.has(key) || Array.from(collection._shadows)
+                        .some(other => other !== shadow && other._written.has(key)))
+                        throw transaction.conflict(begin);
+                    this._written.set(key, _id);
+                }
+                this._records.push(record);
+            },
+            _publish(...change) {
+                transaction.changes.push([ collection, change ]);
+            },
+            // A capped collection evicts documents when the transaction
+            // commits, rather than in its copy.
+            async _cap() {},
+        });
+        transaction.shadows.set(this, shadow);
+        this._shadows.add(shadow);
+        return shadow;
+    }
+
+    /**
+     * ### Takes a snapshot of the collection, eg so that it can be saved.
+     *
+     * @returns {Promise<import('./persistence.js').CollectionSnapshot>}
+     *    Returns a `Promise` which resolves to copies of the indexes, documents
+     *    and any options, once every earlier operation has finished.
+     */
+    async _snapshot() {
+        return this._exclusive(async () => ({
+            indexes: cloneValue(this._indexes),
+            documents: this._store.all(),
+            ...(Object.keys(this._options).length &&
+                { options:cloneValue(this._options) }),
+        }));
+    }
 
-        // Pass the `find()` call on to this collection's PicoDB instance.
-        const result = this._engine.find(filter);
+    /**
+     * ### Inserts a document created by an upsert.
+     *
+     * @param {string} begin
+     *    The name of the public method, used to begin any error message.
+     * @param {object} upserted
+     *    The new document.
+     * @returns {Promise<object>}
+     *    Returns a `Promise` which resolves to the inserted document, which
+     *    has an `_id`, even if `upserted` did not.
+     * @throws
+     *    Throws an `Error` if a document with the same `_id` already exists,
+     *    or a unique index would be violated.
+     */
+    async _upsert(begin, upserted) {
+        if (upserted._id !== void 0 && this._store.has(upserted._id))
+            throw this._duplicateKey(begin, this._indexes[0],
+                { _id:upserted._id });
+        const withId = withObjectId(upserted);
+        this._checkValid(begin, [ withId ]);
+        await this._checkUnique(begin, [ withId ]);
+        this._store.insert(withId);
+        await this._log(begin, { op:'insert', documents:[ withId ] });
+        this._publishInsert(withId);
+        await this._cap(begin);
+        return withId;
+    }
 
-        // @TODO maybe validate `result`?
-        return result;
+    /**
+     * ### Replaces a stored document with an updated version of it, and
+     * journals and publishes the change.
+     *
+     * @param {string} begin
+     *    The name of the public method, used to begin any error message.
+     * @param {object} updated
+     *    The new version of a stored document, with the same `_id`.
+     * @param {'replace'|'update'} [operationType='replace']
+     *    The kind of change event to publish.
+     * @param {object} [before]
+     *    The stored document, which an 'update' event is described against.
+     * @returns {Promise<void>}
+     *    Returns a `Promise` which does not resolve to anything.
+     */
+    async _writeBack(begin, updated, operationType = 'replace', before) {
+        const { _id } = updated;
+        this._store.replace(updated);
+        await this._log(begin, { op:'replace', document:updated });
+        if (operationType === 'update') this._publish('update', {
+            documentKey:{ _id }, updateDescription:describeUpdate(before, updated),
+        }, updated);
+        else this._publish('replace', { fullDocument:updated,
+            documentKey:{ _id } });
     }
 }
 
 
+/* ---------------------------------- Private ------------------------------- */
+
+// Returns a document with an `_id`, which is a new ObjectId if it had none.
+// Like the `mongodb` package, the new `_id` is also set on the document that
+// was passed in. But the returned copy has `_id` first, like MongoDB stores it.
+const withObjectId = document => {
+    if (document._id !== void 0) return document;
+    document._id = new ObjectId();
+    const { _id, ...fields } = document;
+    return { _id, ...fields };
+};
+
+// Adds `writeErrors` to a duplicate key error from `insertMany()`, like the
+// `mongodb` package does, so the offending document can be found.
+const withWriteErrors = (err, documents) => Object.assign(err, {
+    writeErrors:[ { index:err.index, code:err.code, errmsg:err.errmsg,
+        keyPattern:err.keyPattern, keyValue:err.keyValue,
+        op:documents[err.index] } ] });
+
+// Returns the `_id`s of the documents which a journal record changes.
+const recordIds = ({ documents = null, document = null, ids = [] }) =>
+    documents ? documents.map(d => d._id) : document ? [ document._id ] : ids;
+
+// The `ainta` schema of the `session` option, which every method accepts.
+/** @type {import('@0bdx/ainta').Options} */
+const sessionSchema = { types:['object','undefined'], open:true };
+
+// The `ainta` schemas of each type of `bulkWrite()` operation.
+const filterSchema = { types:['object'], open:true };
+const upsertSchema = { types:['boolean','undefined'] };
+const bulkWriteSchemas = {
+    insertOne: { document:{ types:['object'], open:true } },
+    updateOne: { filter:filterSchema, update:{ types:['object'], open:true },
+        upsert:upsertSchema },
+    updateMany: { filter:filterSchema, update:{ types:['object'], open:true },
+        upsert:upsertSchema },
+    replaceOne: { filter:filterSchema, replacement:{ types:['object'],
+        open:true }, upsert:upsertSchema },
+    deleteOne: { filter:filterSchema },
+    deleteMany: { filter:filterSchema },
+};
+
+
 /* ---------------------------------- Tests --------------------------------- */
 
 /**
  * ### `Collection` unit tests.
  * 
- * Note that these tests also end up doing some basic testing of PicoDB.
- * 
  * @param {typeof Collection} C
  *    The `Collection` class to test.
- * @param {{new():Object,NAME:string,VERSION:string}} PicoDB
- *    The `PicoDB` in-memory database engine.
+ * @param {typeof ObjectId} [O=ObjectId]
+ *    The `ObjectId` class which `C` generates `_id`s with, eg from the same
+ *    bundle.
  * @returns {Promise<void>}
  *    Returns a `Promise` which does not resolve to anything.
  * @throws
  *    Throws an `Error` if a test fails.
  */
-export async function collectionTest(C, PicoDB) {
+export async function collectionTest(C, O = ObjectId) {
     const e2l = e => (e.stack.split('\n')[2].match(/([^\/]+\.js:\d+):\d+\)?$/)||[])[1];
     const equal = (actual, expected) => { if (actual === expected) return;
         try { throw Error() } catch(err) { throw Error(`actual:\n${actual}\n` +
@@ -210,25 +2295,26 @@ export async function collectionTest(C, PicoDB) {
         throw Error(`expected message:\n${expected}\nbut nothing was thrown\n`) };
     const toStr = value => JSON.stringify(value, null, '  ');
 
-    // Mock a `MongoishClient` instance.
+    // Mock a `MongoishClient` instance, with just the members used here.
     /** @type import('./mongoish-client').default */
+    // @ts-expect-error
     const mcMock = {
-        _Engine: PicoDB,
         _isConnected: true,
         connect: async () => {},
         close: async () => {},
         db: _dbName => dbMock,
-        injectEngine: _engine => {},
     };
 
-    // Mock a `Database` instance.
+    // Mock a `Database` instance, with just the members used here.
     /** @type import('./database').default */
+    // @ts-expect-error
     const dbMock = {
         _client: mcMock,
         _collections: {},
-        collection(cn) { return new Collection(mcMock, cn) },
+        collection(cn) {
+            return this._collections[cn] ||
+                (this._collections[cn] = new C(mcMock, cn, this)) },
         async dropDatabase() { return true },
-        listCollections() { return [] },
     };
 
     // Instantiating a `Collection` with an invalid `client` should fail.
@@ -239,12 +2325,9 @@ export async function collectionTest(C, PicoDB) {
         "new Collection(): `client` is null not a regular object");
     // @ts-expect-error
     throws(()=>new C({}, ''),
-        "new Collection(): `client._Engine` is type 'undefined', not the `options.types` 'function'");
-    // @ts-expect-error
-    throws(()=>new C({ _Engine:PicoDB }, ''),
         "new Collection(): `client._isConnected` is type 'undefined', not the `options.types` 'boolean'");
     // @ts-expect-error
-    throws(()=>new C({ _Engine:PicoDB, _isConnected:false, close:mcMock.close, db:mcMock.db }, ''),
+    throws(()=>new C({ _isConnected:false, close:mcMock.close, db:mcMock.db }, ''),
         "new Collection(): `client.connect` is type 'undefined', not the `options.types` 'function'");
     // @ts-expect-error
     throws(()=>new C({ ...mcMock, close:mcMock.close, connect:'nope', db:mcMock.db }, ''),
@@ -262,6 +2345,11 @@ export async function collectionTest(C, PicoDB) {
         "new Collection(): `collectionName` is an array not type 'string'");
 
     // Create a `Collection` instance for testing.
+    // Instantiating a `Collection` with an invalid `db` should fail.
+    // @ts-expect-error
+    throws(()=>new C(mcMock, 'coll_1', {}),
+        "new Collection(): `db.collection` is type 'undefined', not the `options.types` 'function'");
+
     const coll_1 = new C(mcMock, 'coll_1');
     equal(coll_1.constructor.name, 'Collection');
 
@@ -298,32 +2386,63 @@ export async function collectionTest(C, PicoDB) {
         },
     }));
 
-    // Passing a document with the same `_id` to `insertMany()` should fail.
-    // Only the first error is reported.
-    throws(()=>coll_1.insertMany(
+    // Passing a document with the same `_id` to `insertMany()` should fail
+    // with a duplicate key error, like a unique index does. Only the first
+    // error is reported.
+    const dupeInBatch = await coll_1.insertMany(
         [ { _id:'ghi', x:7 }, { x:8 }, { _id:'jkl', x:9 }, { x:10 },
-          { _id:'ghi', x:11 }, { _id:'jkl', x:12 }, { _id:'jkl', x:13 } ] ),
-        "insertMany(): `documents[2]` has the same `_id` 'ghi' as `documents[0]`");
+          { _id:'ghi', x:11 }, { _id:'jkl', x:12 }, { _id:'jkl', x:13 } ] )
+        .catch(err => err);
+    equal(dupeInBatch.message, 'insertMany(): E11000 duplicate key error ' +
+        'collection: coll_1.documents index: _id_ dup key: { _id: "ghi" }');
+    equal(dupeInBatch.name, 'MongoServerError');
+    equal(dupeInBatch.code, 11000);
+    equal(toStr(dupeInBatch.writeErrors.map(({ index, code, op }) =>
+        [ index, code, op.x ])), toStr([ [ 4, 11000, 11 ] ]));
 
-    // Passing a document with the same `_id` to `insertMany()` should fail.
-    // Only the first error is reported, and the ordering may be unexpected.
-    throws(()=>coll_1.insertMany(
-        [ { _id:'ghi', x:14 }, { x:15 }, { _id:'def', x:16 }, { _id:'abc', x:17 } ] ),
-        "insertMany(): Collection 'coll_1' already contains a document with `_id` 'abc'");
+    // Passing a document whose `_id` is already in the collection to
+    // `insertMany()` should fail the same way. Only the first is reported.
+    const dupeInColl = await coll_1.insertMany(
+        [ { _id:'ghi', x:14 }, { x:15 }, { _id:'def', x:16 }, { _id:'abc', x:17 } ] )
+        .catch(err => err);
+    equal(dupeInColl.message, 'insertMany(): E11000 duplicate key error ' +
+        'collection: coll_1.documents index: _id_ dup key: { _id: "def" }');
+    equal(dupeInColl.code, 11000);
+    equal(toStr(dupeInColl.writeErrors.map(({ index, errmsg, keyValue }) =>
+        [ index, errmsg, keyValue ])), toStr([ [ 2, 'E11000 duplicate key ' +
+        'error collection: coll_1.documents index: _id_ dup key: { _id: ' +
+        '"def" }', { _id:'def' } ] ]));
+
+    // Falsy `_id`s like `0` and `null` should be checked for duplicates too.
+    await coll_1.insertOne({ _id:0, x:21 });
+    await throws(()=>coll_1.insertOne({ _id:0, x:22 }),
+        'insertOne(): E11000 duplicate key error collection: coll_1.documents ' +
+        'index: _id_ dup key: { _id: 0 }');
+    await throws(()=>coll_1.insertMany([ { _id:null }, { _id:null } ]),
+        'insertMany(): E11000 duplicate key error collection: ' +
+        'coll_1.documents index: _id_ dup key: { _id: null }');
+    await throws(()=>coll_1.insertMany([ { _id:'' }, { _id:0 } ]),
+        'insertMany(): E11000 duplicate key error collection: ' +
+        'coll_1.documents index: _id_ dup key: { _id: 0 }');
+    equal(toStr(await coll_1.find({ _id:{ $in:[ 0, null, '' ] } }).toArray()),
+        toStr([ { _id:0, x:21 } ]));
+    await coll_1.deleteOne({ _id:0 });
 
     // Passing valid `documents` with no `_id` properties to `insertMany()`
-    // should make `picodb` generate base-36 `_id`s.
-    const insertManyAutoId = await coll_1.insertMany(
-        [ { x:18 }, { _id:'ghi', x:19 }, { x:20 } ]);
+    // should generate an ObjectId for each of them.
+    const autoIdDocuments = [ { x:18 }, { _id:'ghi', x:19 }, { x:20 } ];
+    const insertManyAutoId = await coll_1.insertMany(autoIdDocuments);
     equal(insertManyAutoId.acknowledged, true);
+    equal(autoIdDocuments[2]._id, insertManyAutoId.insertedIds[2]);
     equal(insertManyAutoId.insertedCount, 3);
     equal(Object.keys(insertManyAutoId.insertedIds).length, 3);
-    equal(typeof insertManyAutoId.insertedIds[0], 'string');
-    equal(typeof insertManyAutoId.insertedIds[1], 'string');
-    equal(typeof insertManyAutoId.insertedIds[2], 'string');
-    equal(/^[0-9a-z]{1,12}$/.test(insertManyAutoId.insertedIds[0]), true);
+    equal(insertManyAutoId.insertedIds[0] instanceof O, true);
     equal(insertManyAutoId.insertedIds[1], 'ghi');
-    equal(/^[0-9a-z]{1,12}$/.test(insertManyAutoId.insertedIds[2]), true);
+    equal(insertManyAutoId.insertedIds[2] instanceof O, true);
+    equal(/^[0-9a-f]{24}$/.test(insertManyAutoId.insertedIds[0].toHexString()),
+        true);
+    equal(insertManyAutoId.insertedIds[0].equals(
+        insertManyAutoId.insertedIds[2]), false);
 
 
     /* ----------------------------- insertOne() ---------------------------- */
@@ -355,12 +2474,32 @@ export async function collectionTest(C, PicoDB) {
         'insertOne(): E11000 duplicate key error collection: coll_1.documents ' +
         'index: _id_ dup key: { _id: "abc123xyz" }');
 
-    // Passing a valid `document` with no `_id` to `insertOne()` should make
-    // `picodb` generate a base-36 `_id`.
-    const insertOneAutoId = await coll_1.insertOne({ x:4 });
+    // Passing a valid `document` with no `_id` to `insertOne()` should
+    // generate an ObjectId.
+    const autoIdDocument = { x:4 };
+    const insertOneAutoId = await coll_1.insertOne(autoIdDocument);
     equal(insertOneAutoId.acknowledged, true);
-    equal(typeof insertOneAutoId.insertedId, 'string');
-    equal(/^[0-9a-z]{1,12}$/.test(insertOneAutoId.insertedId), true);
+    equal(insertOneAutoId.insertedId instanceof O, true);
+
+    // Like the `mongodb` package, the generated `_id` should also be set on
+    // the document that was passed in.
+    equal(autoIdDocument._id, insertOneAutoId.insertedId);
+
+    // A generated ObjectId should be found by value, and should be kept as
+    // an ObjectId in the stored document.
+    const autoIdCopy = new O(insertOneAutoId.insertedId.toHexString());
+    const [ autoIdFound ] = await coll_1.find({ _id:autoIdCopy }).toArray();
+    equal(autoIdFound._id instanceof O, true);
+    equal(Object.keys(autoIdFound).join(), '_id,x');
+    equal(autoIdFound._id.equals(autoIdCopy), true);
+    equal(await coll_1.countDocuments({ _id:autoIdCopy.toHexString() }), 0);
+    await throws(()=>coll_1.insertOne({ _id:autoIdCopy }), 'insertOne(): ' +
+        'E11000 duplicate key error collection: coll_1.documents index: _id_ ' +
+        `dup key: { _id: ObjectId('${autoIdCopy}') }`);
+    await throws(()=>coll_1.insertMany([ { _id:autoIdCopy },
+        { _id:new O(autoIdCopy) } ]), 'insertMany(): E11000 duplicate key ' +
+        'error collection: coll_1.documents index: _id_ dup key: ' +
+        `{ _id: ObjectId('${autoIdCopy}') }`);
 
 
     /* ------------------------------- find() ------------------------------- */
@@ -389,6 +2528,776 @@ export async function collectionTest(C, PicoDB) {
     // Passing an invalid `filter` to `find()` should fail.
     const findInvalidCursor = coll_1.find({ x: { $foobar:[2,3] }});
     throws(()=>findInvalidCursor.toArray(),
-        'Query._isConditionTrue: the operator "$foobar" is unknown!');
+        'unknown operator: $foobar');
+
+    // Passing invalid `options` to `find()` should fail.
+    // @ts-expect-error
+    throws(()=>coll_1.find({}, { limit:'2' }),
+        "find(): `options.limit` is type 'string', not one of the " +
+        "`options.types` 'number:undefined'");
+    throws(()=>coll_1.find({}, { sort:{ x:0 } }),
+        "sort(): $sort key ordering must be 1 (for ascending) or -1 (for descending)");
+
+    // `find()` options and chained cursor methods should both work.
+    await coll_1.insertMany([ { _id:'fc1', y:5 }, { _id:'fc2', y:4 } ]);
+    equal(toStr(await coll_1.find({ y:{ $gt:3 } }, { projection:{ _id:0 } })
+        .sort({ y:1 }).toArray()), toStr([ { y:4 }, { y:5 } ]));
+    const findMapCursor = coll_1.find({}, { sort:{ y:-1 }, limit:2 })
+        .map(d => d._id);
+    equal(await findMapCursor.next(), 'fc1');
+    equal(toStr(await findMapCursor.toArray()), toStr(['fc2']));
+
+    // A `find()` filter can use `$expr` to compare fields.
+    equal(toStr(await coll_1.find({ y:{ $exists:true },
+        $expr:{ $lt:[ '$y', { $add:[ 3, 1.5 ] } ] } }).toArray()),
+        toStr([ { _id:'fc2', y:4 } ]));
+    await coll_1.deleteMany({ _id:{ $in:['fc1','fc2'] } });
+
+
+    /* --------------------- updateOne() and updateMany() -------------------- */
+
+    // Create a second `Collection` instance, for testing updates.
+    const coll_2 = new C(mcMock, 'coll_2');
+    await coll_2.insertMany([
+        { _id:'u1', n:1, tags:['a'] },
+        { _id:'u2', n:2, tags:['a','b'] },
+        { _id:'u3', n:3, tags:[] },
+    ]);
+
+    // Passing invalid arguments to `updateOne()` or `updateMany()` should fail.
+    throws(()=>coll_2.updateOne(null, { $set:{ x:1 } }),
+        "updateOne(): `filter` is null not a regular object");
+    throws(()=>coll_2.updateMany({}, 'nope'),
+        "updateMany(): `update` is type 'string' not 'object'");
+    // @ts-expect-error
+    throws(()=>coll_2.updateOne({}, { $set:{ x:1 } }, { upsert:1 }),
+        "updateOne(): `options.upsert` is type 'number', not one of the `options.types` 'boolean:undefined'");
+    throws(()=>coll_2.updateOne({}, { x:1 }),
+        "updateOne(): Update document requires atomic operators");
+    throws(()=>coll_2.updateMany({}, { $foo:{ x:1 } }),
+        "updateMany(): Unknown modifier: $foo. Expected a valid update " +
+        "modifier or pipeline-style update specified as an array");
+
+    // Calling `updateOne()` when the `MongoishClient` is not connected should fail.
+    mcMock._isConnected = false;
+    throws(()=>coll_2.updateOne({ _id:'u1' }, { $set:{ x:1 } }),
+        "updateOne(): Client must be connected before running operations");
+    mcMock._isConnected = true;
+
+    // `updateOne()` should only update the first matching document.
+    const updateOneResult = await coll_2.updateOne(
+        { n:{ $gte:2 } }, { $inc:{ n:10 }, $push:{ tags:'c' } });
+    equal(toStr(updateOneResult), toStr({ acknowledged:true, matchedCount:1,
+        modifiedCount:1, upsertedCount:0, upsertedId:null }));
+    equal(toStr(await coll_2.find({ _id:'u2' }).toArray()),
+        toStr([ { _id:'u2', n:12, tags:['a','b','c'] } ]));
+
+    // `updateMany()` should only count documents which actually changed.
+    const updateManyResult = await coll_2.updateMany(
+        {}, { $addToSet:{ tags:'a' }, $unset:{ missing:'' } });
+    equal(toStr(updateManyResult), toStr({ acknowledged:true, matchedCount:3,
+        modifiedCount:1, upsertedCount:0, upsertedId:null }));
+    equal(toStr(await coll_2.find({ _id:'u3' }).toArray()),
+        toStr([ { _id:'u3', n:3, tags:['a'] } ]));
+
+    // Unsetting every field apart from `_id` should leave an empty document,
+    // in the same position.
+    await coll_2.updateOne({ _id:'u3' }, { $unset:{ n:1, tags:1 } });
+    equal(toStr(await coll_2.find({ _id:'u3' }).toArray()),
+        toStr([ { _id:'u3' } ]));
+    await coll_2.updateOne({ _id:'u2' }, { $unset:{ n:1, tags:1 } });
+    equal(toStr((await coll_2.find({}).toArray()).map(({ _id }) => _id)),
+        toStr([ 'u1', 'u2', 'u3' ]));
+    await coll_2.updateOne({ _id:'u2' }, { $set:{ n:12, tags:['a','b','c'] } });
+
+    // An update which does not suit a matching document should fail.
+    throws(()=>coll_2.updateOne({ _id:'u1' }, { $set:{ _id:'u9' } }),
+        "updateOne(): Performing an update on the path '_id' would modify " +
+        "the immutable field '_id'");
+
+    // With no match and no `upsert` option, nothing should be inserted.
+    const noMatchResult = await coll_2.updateOne(
+        { _id:'u4' }, { $set:{ n:4 } });
+    equal(toStr(noMatchResult), toStr({ acknowledged:true, matchedCount:0,
+        modifiedCount:0, upsertedCount:0, upsertedId:null }));
+    equal(await coll_2.estimatedDocumentCount(), 3);
+
+    // With no match and `upsert:true`, a document should be inserted, based
+    // on the filter, the update, and `$setOnInsert`.
+    const upsertResult = await coll_2.updateOne({ _id:'u4', kind:'new' },
+        { $set:{ n:4 }, $setOnInsert:{ created:true } }, { upsert:true });
+    equal(toStr(upsertResult), toStr({ acknowledged:true, matchedCount:0,
+        modifiedCount:0, upsertedCount:1, upsertedId:'u4' }));
+    equal(toStr(await coll_2.find({ _id:'u4' }).toArray()),
+        toStr([ { _id:'u4', kind:'new', n:4, created:true } ]));
+
+    // `$setOnInsert` should be ignored when an upsert matches a document.
+    const upsertMatchResult = await coll_2.updateMany({ kind:'new' },
+        { $set:{ n:5 }, $setOnInsert:{ created:false } }, { upsert:true });
+    equal(upsertMatchResult.matchedCount, 1);
+    equal(upsertMatchResult.upsertedId, null);
+    equal(toStr(await coll_2.find({ _id:'u4' }).toArray()),
+        toStr([ { _id:'u4', kind:'new', n:5, created:true } ]));
+
+    // An upsert without an `_id` should generate an ObjectId.
+    const upsertAutoId = await coll_2.updateOne(
+        { kind:'auto' }, { $inc:{ n:1 } }, { upsert:true });
+    equal(upsertAutoId.upsertedId instanceof O, true);
+    equal(await coll_2.estimatedDocumentCount(), 5);
+
+
+    /* --------------------- deleteOne() and deleteMany() -------------------- */
+
+    // Record `coll_2` in the mock database, to check that it is not dropped.
+    dbMock._collections.coll_2 = coll_2;
+
+    // Passing an invalid `filter` argument should fail.
+    throws(()=>coll_2.deleteOne(null),
+        "deleteOne(): `filter` is null not a regular object");
+    throws(()=>coll_2.deleteMany(),
+        "deleteMany(): `filter` is type 'undefined' not 'object'");
+
+    // Calling `deleteMany()` when the `MongoishClient` is not connected should fail.
+    mcMock._isConnected = false;
+    throws(()=>coll_2.deleteMany({}),
+        "deleteMany(): Client must be connected before running operations");
+    mcMock._isConnected = true;
+
+    // `deleteOne()` should only delete the first matching document.
+    const deleteOneResult = await coll_2.deleteOne({ _id:{ $in:['u1','u2'] } });
+    equal(toStr(deleteOneResult), toStr({ acknowledged:true, deletedCount:1 }));
+    equal(toStr((await coll_2.find({}).toArray()).map(d => d._id).slice(0, 3)),
+        toStr(['u2','u3','u4']));
+
+    // Deleting a document which does not exist should not fail.
+    equal((await coll_2.deleteOne({ _id:'u1' })).deletedCount, 0);
+
+    // `deleteMany()` should delete every matching document.
+    const deleteManyResult = await coll_2.deleteMany({ n:{ $gt:4 } });
+    equal(toStr(deleteManyResult), toStr({ acknowledged:true, deletedCount:2 }));
+
+    // `deleteMany({})` should empty the collection, without dropping it.
+    equal((await coll_2.deleteMany({})).deletedCount, 2);
+    equal(toStr(await coll_2.find({}).toArray()), toStr([]));
+    equal(dbMock._collections.coll_2, coll_2);
+
+
+    /* ------------------------------ findOne() ----------------------------- */
+
+    // Create a third `Collection` instance, for testing `findOne()`.
+    const coll_3 = new C(mcMock, 'coll_3');
+    await coll_3.insertMany([
+        { _id:'f1', kind:'frog', legs:4, name:'Fred' },
+        { _id:'f2', kind:'toad', legs:4, name:'Tina' },
+        { _id:'f3', kind:'frog', legs:3, name:'Finn' },
+    ]);
+
+    // Passing invalid arguments to `findOne()` should fail.
+    throws(()=>coll_3.findOne([]),
+        "findOne(): `filter` is an array not a regular object");
+    throws(()=>coll_3.findOne({}, null),
+        "findOne(): `options` is null not a regular object");
+    throws(()=>coll_3.findOne({}, { skip:-1 }),
+        "findOne(): `options.skip` -1 is not gte 0");
+    throws(()=>coll_3.findOne({}, { sort:{ legs:2 } }),
+        "findOne(): $sort key ordering must be 1 (for ascending) or -1 (for descending)");
+    throws(()=>coll_3.findOne({}, { projection:{ legs:1, name:0 } }),
+        "findOne(): Cannot do exclusion on field name in inclusion projection");
+
+    // Calling `findOne()` when the `MongoishClient` is not connected should fail.
+    mcMock._isConnected = false;
+    throws(()=>coll_3.findOne({}),
+        "findOne(): Client must be connected before running operations");
+    mcMock._isConnected = true;
+
+    // `findOne()` should resolve to the first match, or `null`.
+    const findOnePromise = coll_3.findOne({ kind:'frog' });
+    equal(findOnePromise instanceof Promise, true);
+    equal(toStr(await findOnePromise),
+        toStr({ _id:'f1', kind:'frog', legs:4, name:'Fred' }));
+    equal(await coll_3.findOne({ kind:'newt' }), null);
+
+    // `findOne()` should apply the `sort`, `skip` and `projection` options.
+    equal(toStr(await coll_3.findOne({ kind:'frog' },
+        { sort:{ legs:1 }, projection:{ _id:0, name:1 } })),
+        toStr({ name:'Finn' }));
+    equal(toStr(await coll_3.findOne({},
+        { sort:{ legs:-1, name:-1 }, skip:1, projection:{ kind:0, legs:0 } })),
+        toStr({ _id:'f1', name:'Fred' }));
+    equal(await coll_3.findOne({}, { skip:3 }), null);
+
+
+    /* ------- findOneAndDelete(), findOneAndReplace(), findOneAndUpdate() ------ */
+
+    // Create a fourth `Collection` instance, for testing find-and-modify.
+    const coll_4 = new C(mcMock, 'coll_4');
+    await coll_4.insertMany([
+        { _id:'j1', state:'ready', priority:1 },
+        { _id:'j2', state:'ready', priority:3 },
+        { _id:'j3', state:'done', priority:2 },
+    ]);
+
+    // Passing invalid arguments should fail.
+    throws(()=>coll_4.findOneAndUpdate({}, { state:'x' }),
+        'findOneAndUpdate(): Update document requires atomic operators');
+    throws(()=>coll_4.findOneAndReplace({}, { $set:{ state:'x' } }),
+        'findOneAndReplace(): Replacement document must not contain atomic ' +
+        'operators');
+    // @ts-expect-error
+    throws(()=>coll_4.findOneAndDelete({}, { returnDocument:'later' }),
+        "findOneAndDelete(): `options.returnDocument` 'later' is not in " +
+        "'after:before'");
+
+    // `findOneAndUpdate()` should modify the first document in `sort` order,
+    // and return it as it was before, unless `returnDocument` is 'after'.
+    equal(toStr(await coll_4.findOneAndUpdate({ state:'ready' },
+        { $set:{ state:'running' } }, { sort:{ priority:-1 } })), toStr({
+        value:{ _id:'j2', state:'ready', priority:3 }, ok:1,
+        lastErrorObject:{ n:1, updatedExisting:true } }));
+    equal(toStr(await coll_4.findOneAndUpdate({ state:'ready' },
+        { $set:{ state:'running' } },
+        { returnDocument:'after', projection:{ state:1 } })), toStr({
+        value:{ _id:'j1', state:'running' }, ok:1,
+        lastErrorObject:{ n:1, updatedExisting:true } }));
+    equal(toStr(await coll_4.findOneAndUpdate({ state:'ready' },
+        { $set:{ state:'running' } })), toStr({
+        value:null, ok:1, lastErrorObject:{ n:0, updatedExisting:false } }));
+
+    // Upserting should insert a document.
+    equal(toStr(await coll_4.findOneAndUpdate({ _id:'seq' }, { $inc:{ n:1 } },
+        { upsert:true, returnDocument:'after' })), toStr({
+        value:{ _id:'seq', n:1 }, ok:1,
+        lastErrorObject:{ n:1, updatedExisting:false, upserted:'seq' } }));
+
+    // Concurrent calls should not interleave, so no increment is lost.
+    const seqs = await Promise.all([ 1,2,3,4,5 ].map(() => coll_4
+        .findOneAndUpdate({ _id:'seq' }, { $inc:{ n:1 } },
+            { returnDocument:'after' })));
+    equal(seqs.map(r => r.value.n).join(), '2,3,4,5,6');
+    equal(toStr(await coll_4.findOne({ _id:'seq' })), toStr({ _id:'seq', n:6 }));
+
+    // `findOneAndReplace()` should keep the `_id`, and not allow it to change.
+    equal(toStr(await coll_4.findOneAndReplace({ _id:'j3' },
+        { state:'archived' }, { returnDocument:'after' })), toStr({
+        value:{ _id:'j3', state:'archived' }, ok:1,
+        lastErrorObject:{ n:1, updatedExisting:true } }));
+    const immutableError = await coll_4.findOneAndReplace({ _id:'j3' },
+        { _id:'j4' }).catch(err => err);
+    equal(immutableError.message, "findOneAndReplace(): Performing an update " +
+        "on the path '_id' would modify the immutable field '_id'");
+    equal(immutableError.name, 'MongoServerError');
+    equal(immutableError.code, 66);
+    equal(toStr((await coll_4.findOneAndReplace({ _id:'j5', state:'new' },
+        { priority:5 }, { upsert:true, returnDocument:'after' })).value),
+        toStr({ _id:'j5', priority:5 }));
+
+    // `findOneAndDelete()` should delete and return the first match.
+    equal(toStr(await coll_4.findOneAndDelete({ state:'running' },
+        { sort:{ priority:1 }, projection:{ _id:1 } })), toStr({
+        value:{ _id:'j1' }, ok:1, lastErrorObject:{ n:1 } }));
+    equal(toStr(await coll_4.findOneAndDelete({ state:'running' })), toStr({
+        value:{ _id:'j2', state:'running', priority:3 }, ok:1,
+        lastErrorObject:{ n:1 } }));
+    equal(toStr(await coll_4.findOneAndDelete({ state:'running' })), toStr({
+        value:null, ok:1, lastErrorObject:{ n:0 } }));
+
+    // Calling them when the `MongoishClient` is not connected should fail.
+    mcMock._isConnected = false;
+    throws(()=>coll_4.findOneAndDelete({}),
+        "findOneAndDelete(): Client must be connected before running operations");
+    mcMock._isConnected = true;
+
+
+    /* ------------------------------ replaceOne() ------------------------------ */
+
+    // Create a fifth `Collection` instance, for testing replacement.
+    const coll_5 = new C(mcMock, 'coll_5');
+    await coll_5.insertMany([
+        { _id:'r1', name:'Rita', age:3 },
+        { _id:'r2', name:'Rob', age:5 },
+    ]);
+
+    // Passing invalid arguments to `replaceOne()` should fail.
+    throws(()=>coll_5.replaceOne({ _id:'r1' }, null),
+        "replaceOne(): `replacement` is null not a regular object");
+    throws(()=>coll_5.replaceOne({ _id:'r1' }, { $set:{ age:4 } }),
+        'replaceOne(): Replacement document must not contain atomic operators');
+    // @ts-expect-error
+    throws(()=>coll_5.replaceOne({ _id:'r1' }, { name:'R' }, { upsert:1 }),
+        "replaceOne(): `options.upsert` is type 'number', not one of the " +
+        "`options.types` 'boolean:undefined'");
+
+    // Changing the `_id` should fail, and leave the document unchanged.
+    const replaceIdError = await coll_5.replaceOne({ name:'Rita' },
+        { _id:'r9', age:4 }).catch(err => err);
+    equal(replaceIdError.message, "replaceOne(): Performing an update on the " +
+        "path '_id' would modify the immutable field '_id'");
+    equal(replaceIdError.codeName, 'ImmutableField');
+    equal(replaceIdError.code, 66);
+    equal(toStr(await coll_5.findOne({ _id:'r1' })),
+        toStr({ _id:'r1', name:'Rita', age:3 }));
+
+    // Calling `replaceOne()` when the `MongoishClient` is not connected should
+    // fail.
+    mcMock._isConnected = false;
+    throws(()=>coll_5.replaceOne({}, {}),
+        "replaceOne(): Client must be connected before running operations");
+    mcMock._isConnected = true;
+
+    // `replaceOne()` should replace every field except `_id`.
+    equal(toStr(await coll_5.replaceOne({ age:{ $gt:2 } },
+        { _id:'r1', name:'Ria' })), toStr({ acknowledged:true,
+        matchedCount:1, modifiedCount:1, upsertedCount:0, upsertedId:null }));
+    equal(toStr(await coll_5.findOne({ _id:'r1' })),
+        toStr({ _id:'r1', name:'Ria' }));
+    equal(toStr(await coll_5.replaceOne({ _id:'r1' }, { name:'Ria' })),
+        toStr({ acknowledged:true, matchedCount:1, modifiedCount:0,
+        upsertedCount:0, upsertedId:null }));
+    equal(toStr(await coll_5.replaceOne({ _id:'r7' }, { name:'Rex' })),
+        toStr({ acknowledged:true, matchedCount:0, modifiedCount:0,
+        upsertedCount:0, upsertedId:null }));
+
+    // Upserting should take only the `_id` from the filter.
+    equal(toStr(await coll_5.replaceOne({ _id:'r3', age:1 }, { name:'Roo' },
+        { upsert:true })), toStr({ acknowledged:true, matchedCount:0,
+        modifiedCount:0, upsertedCount:1, upsertedId:'r3' }));
+    equal(toStr(await coll_5.findOne({ _id:'r3' })),
+        toStr({ _id:'r3', name:'Roo' }));
+
+
+    /* ------- countDocuments(), estimatedDocumentCount() and distinct() ------- */
+
+    // Create a sixth `Collection` instance, for testing counts.
+    const coll_6 = new C(mcMock, 'coll_6');
+    await coll_6.insertMany([
+        { _id:'d1', tags:['b','a'], size:2, addr:{ city:'Leeds' } },
+        { _id:'d2', tags:'c', size:1, addr:[ { city:'York' }, { city:'Leeds' } ] },
+        { _id:'d3', tags:[['a'],'b'], size:2 },
+        { _id:'d4', size:null },
+    ]);
+
+    // Passing invalid arguments should fail.
+    throws(()=>coll_6.countDocuments({}, { skip:-1 }),
+        "countDocuments(): `options.skip` -1 is not gte 0");
+    // @ts-expect-error
+    throws(()=>coll_6.distinct(1),
+        "distinct(): `key` is type 'number' not 'string'");
+
+    // Calling them when the `MongoishClient` is not connected should fail.
+    mcMock._isConnected = false;
+    throws(()=>coll_6.countDocuments(),
+        "countDocuments(): Client must be connected before running operations");
+    throws(()=>coll_6.estimatedDocumentCount(),
+        "estimatedDocumentCount(): Client must be connected before running " +
+        "operations");
+    throws(()=>coll_6.distinct('size'),
+        "distinct(): Client must be connected before running operations");
+    mcMock._isConnected = true;
+
+    // `countDocuments()` should take `skip` and `limit` into account.
+    equal(await coll_6.countDocuments(), 4);
+    equal(await coll_6.countDocuments({ size:2 }), 2);
+    equal(await coll_6.countDocuments({}, { skip:1, limit:2 }), 2);
+    equal(await coll_6.countDocuments({}, { skip:3, limit:2 }), 1);
+    equal(await coll_6.countDocuments({}, { skip:5 }), 0);
+    equal(await coll_6.estimatedDocumentCount(), 4);
+
+    // `distinct()` should flatten arrays, follow dotted paths, and sort.
+    equal(toStr(await coll_6.distinct('tags')), toStr([ 'a','b','c',['a'] ]));
+    equal(toStr(await coll_6.distinct('tags', { size:2 })),
+        toStr([ 'a','b',['a'] ]));
+    equal(toStr(await coll_6.distinct('addr.city')), toStr([ 'Leeds','York' ]));
+    equal(toStr(await coll_6.distinct('size')), toStr([ null,1,2 ]));
+    equal(toStr(await coll_6.distinct('nope')), toStr([]));
+
+
+    /* ------------------------------- aggregate() ------------------------------ */
+
+    // Passing an invalid `pipeline` to `aggregate()` should fail.
+    // @ts-expect-error
+    throws(()=>coll_6.aggregate({ $match:{} }),
+        "aggregate(): `pipeline` is type 'object' not an array");
+
+    // Calling `aggregate()` when the `MongoishClient` is not connected should
+    // fail.
+    mcMock._isConnected = false;
+    throws(()=>coll_6.aggregate([]),
+        "aggregate(): Client must be connected before running operations");
+    mcMock._isConnected = true;
+
+    // `aggregate()` should run the pipeline, using `find()` filter semantics.
+    equal(toStr(await coll_6.aggregate([ { $match:{ 'addr.city':'Leeds' } },
+        { $group:{ _id:'$size', ids:{ $push:'$_id' } } } ])
+        .sort({ _id:1 }).toArray()), toStr([
+        { _id:1, ids:['d2'] }, { _id:2, ids:['d1'] } ]));
+    await throws(()=>coll_6.aggregate([ { $bad:1 } ]).toArray(),
+        "aggregate(): Unrecognized pipeline stage name: '$bad'");
+
+    // Stages which use another collection need the `Collection` to have been
+    // created by a `Database`.
+    await throws(()=>coll_6.aggregate([ { $unionWith:'coll_5' } ]).toArray(),
+        "aggregate(): Collection 'coll_5' cannot be used, because the " +
+        'pipeline is not running in a database');
+
+
+    /* ------------- $lookup, $graphLookup, $unionWith, $out, $merge ------------ */
+
+    // Create some collections in the mock database.
+    const owners = dbMock.collection('owners');
+    const pets = dbMock.collection('pets');
+    await owners.insertMany([
+        { _id:'o1', name:'Ann', boss:null },
+        { _id:'o2', name:'Bob', boss:'o1' },
+        { _id:'o3', name:'Cat', boss:'o2' },
+    ]);
+    await pets.insertMany([
+        { _id:'p1', owner:'o1', kind:'frog' },
+        { _id:'p2', owner:'o1', kind:'newt' },
+        { _id:'p3', owner:'o3', kind:'frog' },
+    ]);
+
+    // `$lookup` with `localField` and `foreignField` should join by equality.
+    equal(toStr(await owners.aggregate([ { $lookup:{ from:'pets',
+        localField:'_id', foreignField:'owner', as:'pets' } },
+        { $project:{ _id:0, name:1, 'pets._id':1 } } ]).toArray()), toStr([
+        { name:'Ann', pets:[ { _id:'p1' }, { _id:'p2' } ] },
+        { name:'Bob', pets:[] },
+        { name:'Cat', pets:[ { _id:'p3' } ] } ]));
+    await throws(()=>owners.aggregate([ { $lookup:{ from:'pets',
+        localField:'_id', as:'pets' } } ]).toArray(), "aggregate(): $lookup " +
+        "requires either 'pipeline' or both 'localField' and 'foreignField' to " +
+        'be specified');
+
+    // `$lookup` with `let` and `pipeline` should pass variables into the
+    // sub-pipeline.
+    equal(toStr(await pets.aggregate([ { $match:{ kind:'newt' } },
+        { $lookup:{ from:'owners', let:{ petKind:'$kind' }, pipeline:[
+            { $match:{ boss:null } }, { $project:{ _id:0, name:1,
+            likes:'$$petKind' } } ], as:'owners' } } ]).toArray()), toStr([
+        { _id:'p2', owner:'o1', kind:'newt',
+            owners:[ { name:'Ann', likes:'newt' } ] } ]));
+    equal(toStr(await owners.aggregate([ { $lookup:{ from:'pets',
+        let:{ ownerId:'$_id' }, pipeline:[ { $match:{ $expr:{ $eq:[ '$owner',
+        '$$ownerId' ] } } }, { $count:'n' } ], as:'pets' } },
+        { $project:{ n:{ $ifNull:[ { $arrayElemAt:[ '$pets.n', 0 ] }, 0 ] } } },
+    ]).toArray()), toStr([ { _id:'o1', n:2 }, { _id:'o2', n:0 },
+        { _id:'o3', n:1 } ]));
+
+    // `$graphLookup` should follow the chain of bosses.
+    equal(toStr(await owners.aggregate([ { $match:{ _id:'o3' } },
+        { $graphLookup:{ from:'owners', startWith:'$boss',
+            connectFromField:'boss', connectToField:'_id', as:'chain',
+            depthField:'depth' } },
+        { $project:{ 'chain.name':1, 'chain.depth':1 } } ]).toArray()), toStr([
+        { _id:'o3', chain:[ { name:'Bob', depth:0 }, { name:'Ann', depth:1 } ] },
+    ]));
+    equal(toStr(await owners.aggregate([ { $match:{ _id:'o3' } },
+        { $graphLookup:{ from:'owners', startWith:'$boss', maxDepth:0,
+            connectFromField:'boss', connectToField:'_id', as:'chain' } },
+        { $project:{ 'chain._id':1 } } ]).toArray()),
+        toStr([ { _id:'o3', chain:[ { _id:'o2' } ] } ]));
+
+    // `$unionWith` should append documents from another collection.
+    equal(toStr((await owners.aggregate([ { $unionWith:{ coll:'pets',
+        pipeline:[ { $match:{ kind:'frog' } } ] } } ]).toArray())
+        .map(d => d._id)), toStr([ 'o1','o2','o3','p1','p3' ]));
+
+    // `$out` should replace the contents of another collection.
+    await dbMock.collection('report').insertOne({ _id:'old' });
+    equal(toStr(await pets.aggregate([ { $sortByCount:'$kind' },
+        { $out:'report' } ]).toArray()), toStr([]));
+    equal(toStr(await dbMock.collection('report').find({}).toArray()), toStr([
+        { _id:'frog', count:2 }, { _id:'newt', count:1 } ]));
+
+    // If `$out` fails, the collection should keep its old documents.
+    await dbMock.collection('report').createIndex({ count:1 }, { unique:true });
+    await throws(()=>pets.aggregate([ { $project:{ count:{ $literal:1 } } },
+        { $out:'report' } ]).toArray(), 'aggregate(): E11000 duplicate key ' +
+        'error collection: report.documents index: count_1 dup key: { count: 1 }');
+    equal(await dbMock.collection('report').countDocuments(), 2);
+    await dbMock.collection('report').dropIndex('count_1');
+    await throws(()=>pets.aggregate([ { $out:'report' }, { $limit:1 } ])
+        .toArray(), 'aggregate(): $out can only be the final stage in the ' +
+        'pipeline');
+
+    // `$merge` should combine documents with those already in the collection.
+    await pets.aggregate([ { $group:{ _id:'$kind', owners:{ $push:'$owner' } } },
+        { $merge:{ into:'report' } } ]).toArray();
+    equal(toStr(await dbMock.collection('report').find({}).toArray()), toStr([
+        { _id:'frog', count:2, owners:['o1','o3'] },
+        { _id:'newt', count:1, owners:['o1'] } ]));
+    await pets.aggregate([ { $project:{ _id:'$kind', n:{ $literal:0 } } },
+        { $limit:1 }, { $merge:{ into:'report', whenMatched:'replace' } } ])
+        .toArray();
+    equal(toStr(await dbMock.collection('report').findOne({ _id:'frog' })),
+        toStr({ _id:'frog', n:0 }));
+    await throws(()=>pets.aggregate([ { $merge:{ into:'report',
+        whenNotMatched:'fail' } } ]).toArray(), 'aggregate(): $merge could ' +
+        'not find a matching document in the target collection for at least ' +
+        'one document in the source collection');
+
+
+    /* ------------------------------ bulkWrite() ----------------------------- */
+
+    // Create a `Collection` instance for testing bulk writes.
+    const coll_7 = new C(mcMock, 'coll_7');
+    await coll_7.insertMany([ { _id:'b1', n:1 }, { _id:'b2', n:2 } ]);
+
+    // Passing invalid arguments or operations to `bulkWrite()` should fail,
+    // without writing anything.
+    // @ts-expect-error
+    await throws(()=>coll_7.bulkWrite({}),
+        "bulkWrite(): `operations` is type 'object' not an array");
+    // @ts-expect-error
+    await throws(()=>coll_7.bulkWrite([], { ordered:1 }),
+        "bulkWrite(): `options.ordered` is type 'number', not one of the " +
+        "`options.types` 'boolean:undefined'");
+    await throws(()=>coll_7.bulkWrite([ { insertOne:{ document:{ n:3 } } },
+        { upsertOne:{} } ]), "bulkWrite(): `operations[1]` must have a single " +
+        "key, one of 'insertOne', 'updateOne', 'updateMany', 'replaceOne', " +
+        "'deleteOne', 'deleteMany'");
+    await throws(()=>coll_7.bulkWrite([ { deleteOne:{ filter:null } } ]),
+        'bulkWrite(): `operations[0].deleteOne.filter` is null not a regular ' +
+        'object');
+    await throws(()=>coll_7.bulkWrite([ { updateOne:{ filter:{},
+        update:{ n:1 } } } ]),
+        'bulkWrite(): Update document requires atomic operators');
+    equal(await coll_7.countDocuments(), 2);
+
+    // Calling `bulkWrite()` when the `MongoishClient` is not connected should
+    // fail.
+    mcMock._isConnected = false;
+    await throws(()=>coll_7.bulkWrite([]),
+        'bulkWrite(): Client must be connected before running operations');
+    mcMock._isConnected = true;
+
+    // A successful bulk write should combine the results of its operations.
+    const bulkResult = await coll_7.bulkWrite([
+        { insertOne:{ document:{ _id:'b3', n:3 } } },
+        { updateOne:{ filter:{ _id:'b1' }, update:{ $inc:{ n:10 } } } },
+        { updateMany:{ filter:{ n:{ $lt:5 } }, update:{ $set:{ small:true } } } },
+        { replaceOne:{ filter:{ _id:'b4' }, replacement:{ n:4 }, upsert:true } },
+        { deleteOne:{ filter:{ _id:'b3' } } },
+        { deleteMany:{ filter:{ small:true } } },
+    ]);
+    equal(bulkResult.constructor.name, 'BulkWriteResult');
+    equal(toStr(bulkResult), toStr({ deletedCount:2, insertedCount:1,
+        insertedIds:{ 0:'b3' }, matchedCount:3, modifiedCount:3,
+        upsertedCount:1, upsertedIds:{ 3:'b4' }, _writeErrors:[] }));
+    equal(bulkResult.ok, 1);
+    equal(toStr(await coll_7.find({}).toArray()), toStr([
+        { _id:'b1', n:11 }, { _id:'b4', n:4 } ]));
+
+    // An ordered bulk write should stop at the first failure.
+    const orderedError = await coll_7.bulkWrite([
+        { insertOne:{ document:{ _id:'b5' } } },
+        { insertOne:{ document:{ _id:'b1' } } },
+        { deleteOne:{ filter:{ _id:'b4' } } },
+    ]).catch(err => err);
+    equal(orderedError.name, 'MongoBulkWriteError');
+    equal(orderedError.message, 'bulkWrite(): E11000 duplicate key error ' +
+        'collection: coll_7.documents index: _id_ dup key: { _id: "b1" }');
+    equal(orderedError.code, 11000);
+    equal(toStr(orderedError.writeErrors.map(({ index, code }) =>
+        ({ index, code }))), toStr([ { index:1, code:11000 } ]));
+    equal(orderedError.writeErrors[0].op.insertOne.document._id, 'b1');
+    equal(orderedError.insertedCount, 1);
+    equal(orderedError.deletedCount, 0);
+    equal(orderedError.result.hasWriteErrors(), true);
+    equal(toStr((await coll_7.find({}).toArray()).map(d => d._id)),
+        toStr([ 'b1', 'b4', 'b5' ]));
+
+    // An unordered bulk write should carry on, and collect every failure.
+    const unorderedError = await coll_7.bulkWrite([
+        { insertOne:{ document:{ _id:'b5' } } },
+        { updateOne:{ filter:{ _id:'b1' }, update:{ $pull:{ n:1 } } } },
+        { deleteOne:{ filter:{ _id:'b4' } } },
+        { insertOne:{ document:{ _id:'b6' } } },
+    ], { ordered:false }).catch(err => err);
+    equal(unorderedError.name, 'MongoBulkWriteError');
+    equal(toStr(unorderedError.writeErrors.map(({ index, code, errmsg }) =>
+        ({ index, code, errmsg }))), toStr([
+        { index:0, code:11000, errmsg:'E11000 duplicate key error ' +
+            'collection: coll_7.documents index: _id_ dup key: { _id: "b5" }' },
+        { index:1, code:2, errmsg:'Cannot apply $pull to a non-array value' },
+    ]));
+    equal(toStr(unorderedError.insertedIds), toStr({ 3:'b6' }));
+    equal(unorderedError.deletedCount, 1);
+    equal(unorderedError.result.getWriteErrorCount(), 2);
+    equal(toStr((await coll_7.find({}).toArray()).map(d => d._id)),
+        toStr([ 'b1', 'b5', 'b6' ]));
+
+
+    /* ------------------------------- Indexes ------------------------------- */
+
+    // Create a `Collection` instance for testing indexes.
+    const coll_8 = new C(mcMock, 'coll_8');
+    await coll_8.insertMany([ { _id:'i1', email:'a@x', n:1 },
+        { _id:'i2', email:'b@x', n:1 } ]);
+
+    // Every collection should start with an `_id_` index.
+    equal(toStr(await coll_8.listIndexes().toArray()),
+        toStr([ { v:2, key:{ _id:1 }, name:'_id_' } ]));
+
+    // Passing invalid arguments to the index methods should fail.
+    await throws(()=>coll_8.createIndex({}),
+        'createIndex(): Index keys cannot be an empty field');
+    // @ts-expect-error
+    await throws(()=>coll_8.createIndex({ email:'up' }), 'createIndex(): ' +
+        "Values in the index key pattern must be 1 or -1, not \"up\" for 'email'");
+    // @ts-expect-error
+    await throws(()=>coll_8.createIndex('email', { unique:'yes' }),
+        "createIndex(): `options.unique` is type 'string', not one of the " +
+        "`options.types` 'boolean:undefined'");
+    await throws(()=>coll_8.createIndexes([ 'email' ]),
+        "createIndexes(): `indexSpecs[0]` is type 'string', not the " +
+        "`options.types` 'object'");
+    // @ts-expect-error
+    await throws(()=>coll_8.dropIndex(1),
+        "dropIndex(): `indexName` is type 'number' not 'object'");
+    // @ts-expect-error
+    await throws(()=>coll_8.indexExists([ 'a', 2 ]),
+        "indexExists(): `indexes[1]` is type 'number', not the " +
+        "`options.types` 'string'");
+
+    // Calling the index methods when the `MongoishClient` is not connected
+    // should fail.
+    mcMock._isConnected = false;
+    await throws(()=>coll_8.createIndex('email'),
+        'createIndex(): Client must be connected before running operations');
+    await throws(()=>coll_8.listIndexes(),
+        'listIndexes(): Client must be connected before running operations');
+    mcMock._isConnected = true;
+
+    // A unique index should not be created if existing documents share a key.
+    const indexError = await coll_8.createIndex({ n:1 }, { unique:true })
+        .catch(err => err);
+    equal(indexError.name, 'MongoServerError');
+    equal(indexError.message, 'createIndex(): E11000 duplicate key error ' +
+        'collection: coll_8.documents index: n_1 dup key: { n: 1 }');
+    equal(await coll_8.indexExists('n_1'), false);
+
+    // Creating indexes should resolve to their names, and they should be
+    // listed.
+    equal(await coll_8.createIndex('email', { unique:true }), 'email_1');
+    equal(toStr(await coll_8.createIndexes([ { key:{ n:1, email:-1 } },
+        { key:{ code:1 }, name:'code', unique:true, sparse:true },
+        { key:{ ref:1 }, unique:true,
+            partialFilterExpression:{ ref:{ $exists:true } } } ])),
+        toStr([ 'n_1_email_-1', 'code', 'ref_1' ]));
+    equal(toStr((await coll_8.listIndexes().toArray()).slice(1, 3)), toStr([
+        { v:2, key:{ email:1 }, name:'email_1', unique:true },
+        { v:2, key:{ n:1, email:-1 }, name:'n_1_email_-1' } ]));
+    equal(await coll_8.indexExists([ '_id_', 'email_1', 'code' ]), true);
+    equal(await coll_8.indexExists([ 'email_1', 'nope' ]), false);
+
+    // Creating an identical index again should do nothing, but a different
+    // index with the same name or keys should fail.
+    equal(await coll_8.createIndex('email', { unique:true }), 'email_1');
+    await throws(()=>coll_8.createIndex('email'), 'createIndex(): Index ' +
+        'with name: email_1 already exists with different options');
+    await throws(()=>coll_8.createIndex('email', { name:'e' }), 'createIndex(): ' +
+        'Index already exists with a different name: email_1');
+
+    // A unique index should be enforced on insert, with `keyPattern` and
+    // `keyValue`.
+    const insertError = await coll_8.insertOne({ _id:'i3', email:'a@x' })
+        .catch(err => err);
+    equal(insertError.message, 'insertOne(): E11000 duplicate key error ' +
+        'collection: coll_8.documents index: email_1 dup key: { email: "a@x" }');
+    equal(insertError.code, 11000);
+    equal(toStr(insertError.keyPattern), toStr({ email:1 }));
+    equal(toStr(insertError.keyValue), toStr({ email:'a@x' }));
+    const insertManyError = await coll_8.insertMany([ { email:'c@x' },
+        { email:'c@x' } ]).catch(err => err);
+    equal(insertManyError.message, 'insertMany(): E11000 duplicate key error ' +
+        'collection: coll_8.documents index: email_1 dup key: { email: "c@x" }');
+    equal(insertManyError.code, 11000);
+    equal(toStr(insertManyError.writeErrors.map(({ index, keyValue }) =>
+        [ index, keyValue ])), toStr([ [ 1, { email:'c@x' } ] ]));
+    await throws(()=>coll_8.insertMany([ { n:5 }, { n:6 } ]),
+        'insertMany(): E11000 duplicate key error collection: ' +
+        'coll_8.documents index: email_1 dup key: { email: null }');
+
+    // ...and on update, replace, upsert and `findOneAndUpdate()`.
+    await throws(()=>coll_8.updateOne({ _id:'i2' }, { $set:{ email:'a@x' } }),
+        'updateOne(): E11000 duplicate key error collection: ' +
+        'coll_8.documents index: email_1 dup key: { email: "a@x" }');
+    await throws(()=>coll_8.updateMany({}, { $set:{ email:'z@x' } }),
+        'updateMany(): E11000 duplicate key error collection: ' +
+        'coll_8.documents index: email_1 dup key: { email: "z@x" }');
+    await throws(()=>coll_8.replaceOne({ _id:'i2' }, { email:'a@x' }),
+        'replaceOne(): E11000 duplicate key error collection: ' +
+        'coll_8.documents index: email_1 dup key: { email: "a@x" }');
+    await throws(()=>coll_8.updateOne({ _id:'i9' }, { $set:{ email:'a@x' } },
+        { upsert:true }), 'updateOne(): E11000 duplicate key error ' +
+        'collection: coll_8.documents index: email_1 dup key: { email: "a@x" }');
+    await throws(()=>coll_8.findOneAndUpdate({ _id:'i2' },
+        { $set:{ email:'a@x' } }), 'findOneAndUpdate(): E11000 duplicate key ' +
+        'error collection: coll_8.documents index: email_1 dup key: ' +
+        '{ email: "a@x" }');
+    equal(toStr(await coll_8.find({}, { projection:{ email:1 } }).toArray()),
+        toStr([ { _id:'i1', email:'a@x' }, { _id:'i2', email:'b@x' } ]));
+
+    // A document can be updated without changing its own key.
+    equal((await coll_8.updateOne({ _id:'i1' }, { $set:{ n:2 } })).modifiedCount,
+        1);
+
+    // Sparse and partial unique indexes should skip some documents.
+    await coll_8.insertMany([ { email:'d@x' }, { email:'e@x' } ]);
+    await coll_8.updateOne({ _id:'i1' }, { $set:{ code:7, ref:'r' } });
+    await throws(()=>coll_8.updateOne({ _id:'i2' }, { $set:{ code:7 } }),
+        'updateOne(): E11000 duplicate key error collection: ' +
+        'coll_8.documents index: code dup key: { code: 7 }');
+    await throws(()=>coll_8.updateOne({ _id:'i2' }, { $set:{ ref:'r' } }),
+        'updateOne(): E11000 duplicate key error collection: ' +
+        'coll_8.documents index: ref_1 dup key: { ref: "r" }');
+
+    // Dropping an index should stop it being enforced.
+    await throws(()=>coll_8.dropIndex('nope'),
+        'dropIndex(): index not found with name [nope]');
+    await throws(()=>coll_8.dropIndex({ nope:1 }),
+        "dropIndex(): can't find index with key: { nope: 1 }");
+    await throws(()=>coll_8.dropIndex('_id_'),
+        'dropIndex(): cannot drop _id index');
+    equal(toStr(await coll_8.dropIndex({ email:1 })),
+        toStr({ nIndexesWas:5, ok:1 }));
+    await coll_8.insertOne({ email:'a@x' });
+    equal(await coll_8.dropIndexes(), true);
+    equal(toStr((await coll_8.listIndexes().toArray()).map(i => i.name)),
+        toStr([ '_id_' ]));
+
+    // Queries on `_id` and indexed fields should be answered from the store,
+    // and should find the same documents, in natural order, as a full scan.
+    const coll_9 = new C(mcMock, 'coll_9');
+    await coll_9.insertMany([ { _id:3, age:40, tags:['a'] },
+        { _id:1, age:25 }, { _id:2, age:[31,50] }, { _id:4 } ]);
+    await coll_9.createIndex({ age:-1 });
+    equal(coll_9._store._candidates({ age:{ $gt:30 } }).length, 3);
+    equal(toStr((await coll_9.find({ age:{ $gt:30 } }).toArray())
+        .map(d => d._id)), toStr([ 3, 2 ]));
+    equal(toStr((await coll_9.find({ _id:{ $in:[4,1,9] } }).toArray())
+        .map(d => d._id)), toStr([ 1, 4 ]));
+    equal(toStr((await coll_9.find({ age:null }).toArray()).map(d => d._id)),
+        toStr([ 4 ]));
+    await coll_9.updateMany({ age:{ $lte:30 } }, { $inc:{ age:10 } });
+    equal(toStr((await coll_9.find({ age:{ $gte:35, $lt:45 } }).toArray())
+        .map(d => d._id)), toStr([ 3, 1, 2 ]));
+    equal((await coll_9.deleteMany({ age:35 })).deletedCount, 1);
+    equal(toStr((await coll_9.find({ age:{ $exists:true } }).toArray())
+        .map(d => d._id)), toStr([ 3, 2 ]));
+    await coll_9.replaceOne({ _id:4 }, { age:40 });
+    equal(toStr((await coll_9.find({ age:40 }).toArray()).map(d => d._id)),
+        toStr([ 3, 4 ]));
+    equal(await coll_9.estimatedDocumentCount(), 3);
 
+    // Documents with generated ObjectIds should be updated and deleted by
+    // value.
+    const { insertedIds:oids } = await coll_9.insertMany([ { k:1 }, { k:2 } ]);
+    await coll_9.updateOne({ _id:oids[0] }, { $set:{ k:3 } });
+    await coll_9.deleteOne({ _id:new O(oids[1].toHexString()) });
+    equal(toStr(await coll_9.find({ k:{ $exists:true } }).toArray()),
+        toStr([ { _id:oids[0], k:3 } ]));
+    equal(await coll_9.estimatedDocumentCount(), 4);
+    equal(await coll_9.countDocuments({ k:3 }), 1);
 }
@@ -1,12 +1,19 @@
 import { aintaObject, aintaString } from '@0bdx/ainta';
+import Admin from './admin.js';
+import ChangeStream from './change-stream.js';
 import Collection from './collection.js';
+import { MongoServerError } from './errors.js';
+import ListCollectionsCursor from './list-collections-cursor.js';
+import { matchesFilter } from './query.js';
+import { validateValidator } from './validator.js';
+import { cloneValue } from './values.js';
 
 /**
- * ### An in-memory database, based on `picodb`.
+ * ### An in-memory database.
  */
 export default class Database {
     /**
-     * ### Creates an in-memory database, based on `picodb`.
+     * ### Creates an in-memory database.
      * 
      * @param {import('./mongoish-client.js').default} client
      *    A reference to the `MongoishClient` that instantiated this `Database`.
@@ -20,13 +27,12 @@ export default class Database {
 
         // Validate the arguments.
         // @TODO maybe validate fully
-        const aClient = aintaObject(client, 'client', { begin, schema: {
-            _Engine: { types:['function'], open:true },
+        const aClient = aintaObject(client, 'client', { begin, open:true,
+            schema: {
             _isConnected: { types:['boolean'] },
             close: { types:['function'] },
             connect: { types:['function'] },
             db: { types:['function'] },
-            injectEngine: { types:['function'] },
         }});
         if (aClient) throw Error(aClient);
         const aDbName = aintaString(dbName, 'dbName', { begin });
@@ -34,10 +40,29 @@ export default class Database {
 
         // Store a reference to the parent `MongoishClient` instance.
         this._client = client;
+
+        // Store the database's name, which change events include.
+        this._dbName = dbName;
     }
 
     _collections = {};
 
+    // If the client was created with the `journal` option, every change is
+    // appended to this, so that it survives a crash. See `MongoishClient`.
+    /** @type {import('./journal.js').default|null} */
+    _journal = null;
+
+    /**
+     * ### Returns an `Admin` instance, for server-wide operations like
+     * `listDatabases()`.
+     *
+     * @returns {Admin}
+     *    Returns an `Admin` for this database's client.
+     */
+    admin() {
+        return new Admin(this._client);
+    }
+
     /**
      * ### Retrieves a `Collection` instance, creating it if missing.
      * 
@@ -68,39 +93,395 @@ export default class Database {
 
         // Otherwise, instantiate a collection with that name, record it, and
         // return a reference to it.
-        const created = new Collection(this._client, collectionName);
+        const created = new Collection(this._client, collectionName, this);
         this._collections[collectionName] = created;
         return created;
     }
 
+    /**
+     * ### Runs a database command.
+     *
+     * Only `collMod` is supported, which changes the validation options of a
+     * collection, eg `{ collMod:'frogs', validationLevel:'moderate' }`.
+     * Options which are not given keep their current values, and `capped`,
+     * `size` and `max` cannot be changed.
+     *
+     * @param {object} command
+     *    The command, whose first key is its name.
+     * @returns {Promise<{ok:1}>}
+     *    Returns a `Promise` which resolves to `{ ok:1 }`.
+     * @throws
+     *    Throws an `Error` if the command or its options are invalid, or if
+     *    the client is not currently connected. Throws a `MongoServerError`
+     *    if the command is not supported, or the collection does not exist.
+     */
+    async command(command) {
+        const begin = 'command()';
+
+        // Validate the `command` argument.
+        const aCommand = aintaObject(command, 'command', { begin, open:true });
+        if (aCommand) throw Error(aCommand);
+        const [ name ] = Object.keys(command);
+        if (name !== 'collMod') throw new MongoServerError(
+            `${begin}: no such command: '${name}'`,
+            { code:59, codeName:'CommandNotFound' });
+        const { collMod, ...options } = command;
+        const aCollMod = aintaString(collMod, 'command.collMod', { begin,
+            min:1 });
+        if (aCollMod) throw Error(aCollMod);
+        const aOptions = validateOptions(options, begin, 'command');
+        if (aOptions) throw Error(aOptions);
+        const cappedOption = [ 'capped', 'size', 'max' ]
+            .find(option => option in options);
+        if (cappedOption) throw new MongoServerError(`${begin}: option not ` +
+            `supported on collMod: ${cappedOption}`,
+            { code:72, codeName:'InvalidOptions' });
+
+        // Check that the client is currently connected.
+        if (!this._client._isConnected) throw Error(
+            begin + ': Client must be connected before running operations');
+
+        // Merge the new options into the collection's current ones.
+        const collection = this._collections[collMod];
+        if (!collection) throw new MongoServerError(`${begin}: ns does not ` +
+            'exist', { code:26, codeName:'NamespaceNotFound' });
+        await collection._setOptions(begin, withDefaults({
+            ...collection._options, ...pickOptions(options) }));
+        return { ok:1 };
+    }
+
+    /**
+     * ### Creates a collection, with options like a `validator`, or `capped`.
+     *
+     * `collection()` also creates collections, as soon as they are used. But
+     * only `createCollection()` can set their options.
+     *
+     * @param {string} collectionName
+     *    The name of the collection to create.
+     * @param {import('./collection.js').CollectionOptions} [options={}]
+     *    Optional `validator`, `validationLevel` (default 'strict') and
+     *    `validationAction` (default 'error'). And `capped`, which needs a
+     *    `size` in bytes, and can also have a `max` number of documents.
+     *    Other options are ignored.
+     * @returns {Promise<Collection>}
+     *    Returns a `Promise` which resolves to the new `Collection`.
+     * @throws
+     *    Throws an `Error` if the arguments are invalid, or if the client is
+     *    not currently connected. Throws a `MongoServerError` if the
+     *    collection already has documents, indexes or options.
+     */
+    async createCollection(collectionName, options = {}) {
+        const begin = 'createCollection()';
+
+        // Validate the arguments.
+        const aCollectionName = aintaString(collectionName, 'collectionName',
+            { begin, min:1, max:64, rx:/^[a-z][_a-z0-9]*$/});
+        if (aCollectionName) throw Error(aCollectionName);
+        const aOptions = validateOptions(options, begin, 'options');
+        if (aOptions) throw Error(aOptions);
+
+        // Check that the client is currently connected.
+        if (!this._client._isConnected) throw Error(
+            begin + ': Client must be connected before running operations');
+
+        // Like MongoDB, a collection which `collection()` has returned only
+        // exists once it has documents or indexes.
+        const existing = this._collections[collectionName];
+        if (existing && (existing._store.size || existing._indexes.length > 1
+            || Object.keys(existing._options).length))
+            throw new MongoServerError(`${begin}: Collection ` +
+                `${this._dbName}.${collectionName} already exists.`,
+                { code:48, codeName:'NamespaceExists' });
+
+        const collection = this.collection(collectionName);
+        await collection._setOptions(begin, withDefaults({
+            ...pickCappedOptions(options), ...pickOptions(options) }));
+        return collection;
+    }
+
+    /**
+     * ### Drops a collection, removing its documents, indexes and options.
+     *
+     * @param {string} collectionName
+     *    The name of the collection to drop.
+     * @param {{session?:import('./client-session.js').default}} [options={}]
+     *    Optional `session`, which must not have a transaction in progress.
+     * @returns {Promise<boolean>}
+     *    Returns a `Promise` which resolves to `true`, or `false` if the
+     *    collection did not exist.
+     * @throws
+     *    Throws an `Error` if any of the arguments are invalid, or if the
+     *    client is not currently connected.
+     */
+    async dropCollection(collectionName, options = {}) {
+        const begin = 'dropCollection()';
+
+        // Validate the `collectionName` argument. `drop()` validates `options`.
+        const aCollectionName = aintaString(collectionName, 'collectionName',
+            { begin, min:1 });
+        if (aCollectionName) throw Error(aCollectionName);
+
+        // Check that the client is currently connected.
+        if (!this._client._isConnected) throw Error(
+            begin + ': Client must be connected before running operations');
+
+        const collection = this._collections[collectionName];
+        return collection ? collection.drop(options) : false;
+    }
+
     /**
      * ### Asynchronously drops the database, by removing all collections.
-     * 
+     *
+     * Existing `Collection` instances are emptied, and `collection()` returns
+     * new ones afterwards.
+     *
      * @returns {Promise<true>}
      *    Returns a `Promise` which resolves to `true`.
+     * @throws
+     *    Throws an `Error` if the client is not currently connected.
      */
     async dropDatabase() {
+        const begin = 'dropDatabase()';
+
+        // Check that the client is currently connected.
+        if (!this._client._isConnected) throw Error(
+            begin + ': Client must be connected before running operations');
+
+        const collections = Object.values(this._collections);
+        const names = collections.filter(({ _exists }) => _exists)
+            .map(({ _collectionName }) => _collectionName);
         this._collections = {};
+        for (const collection of collections)
+            await collection._exclusive(() => collection._apply({ op:'drop' }));
+        if (this._journal) await this._journal.append([ { op:'dropDatabase' } ]);
+
+        // Like MongoDB, report a 'drop' for each collection, and then the
+        // 'dropDatabase', to any change streams.
+        const changes = this._client._changes;
+        if (changes) {
+            for (const coll of names)
+                changes.publish('drop', { ns:{ db:this._dbName, coll } });
+            changes.publish('dropDatabase', { ns:{ db:this._dbName } });
+        }
         return true;
     }
 
     /**
-     * ### Returns a list of all collection names.
-     * 
-     * Currently very different to the standard MongoDB `listCollections()`.
-     * 
-     * @TODO make it work more similarly to `mongodb`
-     * 
-     * @returns {string[]}
-     *    Returns a list of collection names.
+     * ### Creates a cursor which lists the database's collections, like the
+     * `mongodb` `listCollections()`.
+     *
+     * Like MongoDB, a collection is only listed once something has been
+     * written to it, or it was created by `createCollection()`.
+     *
+     * @param {object} [filter={}]
+     *    A query filter, which selects collections by fields of their
+     *    descriptions, eg `{ name:/^f/ }`.
+     * @param {{nameOnly?:boolean,session?:import('./client-session.js').default}} [options={}]
+     *    If `nameOnly` is `true`, only each collection's `name` and `type` are
+     *    listed. Other options, like `authorizedCollections`, are ignored.
+     * @returns {ListCollectionsCursor}
+     *    Returns a cursor, which reads objects like `{ name:'frogs',
+     *    type:'collection', options:{}, info:{ readOnly:false },
+     *    idIndex:{ v:2, key:{ _id:1 }, name:'_id_' } }`.
+     * @throws
+     *    Throws an `Error` if any of the arguments are invalid, or if the
+     *    client is not currently connected.
+     */
+    listCollections(filter = {}, options = {}) {
+        const begin = 'listCollections()';
+
+        // Validate the arguments.
+        const aFilter = aintaObject(filter, 'filter', { begin, open:true });
+        if (aFilter) throw Error(aFilter);
+        const aOptions = aintaObject(options, 'options', { begin, open:true,
+            schema:{ nameOnly: { types:['boolean','undefined'] } } });
+        if (aOptions) throw Error(aOptions);
+
+        // Check that the client is currently connected.
+        if (!this._client._isConnected) throw Error(
+            begin + ': Client must be connected before running operations');
+
+        // The collections are not listed until the cursor is read.
+        return new ListCollectionsCursor(async () => Object.values(
+            this._collections)
+            .filter(({ _exists }) => _exists)
+            .map(({ _collectionName, _options }) => ({
+                name: _collectionName,
+                type: 'collection',
+                options: cloneValue(_options),
+                info: { readOnly:false },
+                idIndex: { v:2, key:{ _id:1 }, name:'_id_' },
+            }))
+            .filter(description => matchesFilter(description, filter))
+            .map(({ name, type, ...description }) => options.nameOnly
+                ? { name, type } : { name, type, ...description }));
+    }
+
+    /**
+     * ### Renames a collection.
+     *
+     * Change streams on the old name receive a 'rename' event, and then
+     * 'invalidate'. `Collection` instances with the old name can still be
+     * used, but the collection no longer exists until they write to it.
+     *
+     * @param {string} fromCollection
+     *    The name of the collection to rename.
+     * @param {string} toCollection
+     *    The new name.
+     * @param {{dropTarget?:boolean,session?:import('./client-session.js').default}} [options={}]
+     *    If `dropTarget` is `true`, a collection which already has the new
+     *    name is dropped. Optional `session`, which must not have a
+     *    transaction in progress.
+     * @returns {Promise<Collection>}
+     *    Returns a `Promise` which resolves to the `Collection` with the new
+     *    name.
+     * @throws
+     *    Throws an `Error` if any of the arguments are invalid, or if the
+     *    client is not currently connected. Throws a `MongoServerError` if
+     *    the collection does not exist, or the new name is taken and
+     *    `dropTarget` is not set.
+     */
+    async renameCollection(fromCollection, toCollection, options = {}) {
+        const begin = 'renameCollection()';
+
+        // Validate the `fromCollection` argument. `_rename()` validates the
+        // others.
+        const aFrom = aintaString(fromCollection, 'fromCollection',
+            { begin, min:1 });
+        if (aFrom) throw Error(aFrom);
+
+        return this._rename(begin, fromCollection, toCollection, options);
+    }
+
+    /**
+     * ### Implements `renameCollection()` and `Collection.rename()`.
+     *
+     * @param {string} begin
+     *    The name of the public method, used to begin any error message.
+     * @param {string} fromCollection
+     *    The name of the collection to rename, which has been validated.
+     * @param {string} toCollection
+     *    The new name.
+     * @param {{dropTarget?:boolean,session?:import('./client-session.js').default}} options
+     *    The `dropTarget` and `session` options.
+     * @returns {Promise<Collection>}
+     *    Returns a `Promise` which resolves to the `Collection` with the new
+     *    name.
+     */
+    async _rename(begin, fromCollection, toCollection, options) {
+
+        // Validate the arguments.
+        const aTo = aintaString(toCollection, 'toCollection', { begin, min:1,
+            max:64, rx:/^[a-z][_a-z0-9]*$/ });
+        if (aTo) throw Error(aTo);
+        const aOptions = aintaObject(options, 'options', { begin, open:true,
+            schema:{
+                dropTarget: { types:['boolean','undefined'] },
+                session: { types:['object','undefined'], open:true },
+            } });
+        if (aOptions) throw Error(aOptions);
+
+        // Check that the client is currently connected.
+        if (!this._client._isConnected) throw Error(
+            begin + ': Client must be connected before running operations');
+
+        // Check that the rename is possible.
+        const source = this._collections[fromCollection];
+        if (!source || !source._exists) throw new MongoServerError(
+            `${begin}: source namespace does not exist`,
+            { code:26, codeName:'NamespaceNotFound' });
+        source._notInTransaction(begin, options.session, 'renameCollection');
+        if (fromCollection === toCollection) throw new MongoServerError(
+            `${begin}: Can't rename a collection to itself`,
+            { code:20, codeName:'IllegalOperation' });
+        const target = this.collection(toCollection);
+        if (target._exists && !options.dropTarget) throw new MongoServerError(
+            `${begin}: target namespace exists`,
+            { code:48, codeName:'NamespaceExists' });
+
+        // Drop any existing target, and then move the source into it.
+        if (target._exists) await target.drop();
+        await target._exclusive(() => source._exclusive(async () => {
+            const record = { op:'rename', to:toCollection };
+            await source._apply(record);
+            await source._log(begin, record);
+            source._publish('rename', { to:{ db:this._dbName,
+                coll:toCollection } });
+        }));
+        return target;
+    }
+
+    /**
+     * ### Opens a change stream, which reports every later change to the
+     * database's collections, and the database being dropped.
+     *
+     * @param {object[]} [pipeline=[]]
+     *    Stages like `{ $match:{ 'ns.coll':'frogs' } }`, which filter and
+     *    modify the change events.
+     * @param {import('./change-stream.js').ChangeStreamOptions} [options={}]
+     *    Optional `fullDocument` and `resumeAfter`.
+     * @returns {ChangeStream}
+     *    Returns a change stream.
+     * @throws
+     *    Throws an `Error` if any of the arguments are invalid, or if the
+     *    client is not currently connected.
      */
-    listCollections() {
-        return Object.keys(this._collections);
+    watch(pipeline = [], options = {}) {
+        const begin = 'watch()';
+
+        // Check that the client is currently connected.
+        if (!this._client._isConnected) throw Error(
+            begin + ': Client must be connected before running operations');
+
+        return new ChangeStream(this._client._changes, { db:this._dbName },
+            pipeline, options);
     }
 
 }
 
 
+/* ---------------------------------- Private ------------------------------- */
+
+// Checks the options of `createCollection()` and `collMod`.
+const validateOptions = (options, begin, identifier) =>
+    aintaObject(options, identifier, { begin, open:true, schema:{
+        capped: { types:['boolean','undefined'] },
+        max: { types:['number','undefined'], gte:0, mod:1 },
+        size: { types:['number','undefined'], gte:1, mod:1 },
+        validationAction: { types:['string','undefined'],
+            is:[ 'error', 'warn' ] },
+        validationLevel: { types:['string','undefined'],
+            is:[ 'moderate', 'off', 'strict' ] },
+        validator: { types:['object','undefined'], open:true },
+    } }) || (options.capped && options.size === void 0 &&
+        `${begin}: \`${identifier}.size\` is required when \`capped\` is true`)
+    || (options.validator !== void 0 && validateValidator(
+        options.validator, begin, `${identifier}.validator`)) || '';
+
+// Returns just the capped options, like MongoDB, which ignores `size` and
+// `max` unless `capped` is true.
+const pickCappedOptions = options => {
+    const { capped, size, max } = options;
+    return capped ? { capped, size, ...(max && { max }) } : {};
+};
+
+// Returns just the validation options, ignoring others like `capped`.
+const pickOptions = options => {
+    const { validator, validationLevel, validationAction } = options;
+    return {
+        ...(validator !== void 0 && { validator }),
+        ...(validationLevel !== void 0 && { validationLevel }),
+        ...(validationAction !== void 0 && { validationAction }),
+    };
+};
+
+// Like MongoDB, a collection with a validator reports the default level and
+// action too.
+const withDefaults = options => options.validator === void 0 ? options
+    : { validator:options.validator, validationLevel:'strict',
+        validationAction:'error', ...options };
+
+
 /* ---------------------------------- Tests --------------------------------- */
 
 /**
@@ -108,34 +489,31 @@ export default class Database {
  * 
  * @param {typeof Database} C
  *    The `Database` class to test.
- * @returns {void}
- *    Does not return anything.
+ * @returns {Promise<void>}
+ *    Returns a `Promise` which does not resolve to anything.
  * @throws
  *    Throws an `Error` if a test fails.
  */
-export function databaseTest(C) {
+export async function databaseTest(C) {
     const e2l = e => (e.stack.split('\n')[2].match(/([^\/]+\.js:\d+):\d+\)?$/)||[])[1];
     const equal = (actual, expected) => { if (actual === expected) return;
         try { throw Error() } catch(err) { throw Error(`actual:\n${actual}\n` +
             `!== expected:\n${expected}\n...at ${e2l(err)}\n`) } };
-    const throws = (actual, expected) => { try { actual() } catch (err) {
+    const throws = async (actual, expected) => { try { const result = actual();
+            if (result instanceof Promise) await result } catch (err) {
         if (err.message !== expected) { throw Error(`actual message:\n${err.message
             }\n!== expected message:\n${expected}\n...at ${e2l(err)}\n`)} return }
         throw Error(`expected message:\n${expected}\nbut nothing was thrown\n`) };
     const toStr = value => JSON.stringify(value, null, '  ');
 
-    // Mock an engine.
-    class MockEngine { static NAME = 'MockEngine'; static VERSION = '1' }
-
-    // Mock a `MongoishClient` instance.
+    // Mock a `MongoishClient` instance, with just the members used here.
     /** @type import('./mongoish-client').default */
+    // @ts-expect-error
     const mcMock = {
-        _Engine: MockEngine,
         _isConnected: true,
         connect: async () => {},
         close: async () => {},
         db: dbName => new Database(this, dbName),
-        injectEngine: _engine => {},
     };
 
     // Instantiating a `Database` with an invalid `client` should fail.
@@ -146,9 +524,6 @@ export function databaseTest(C) {
         "new Database(): `client` is null not a regular object");
     // @ts-expect-error
     throws(()=>new C({}, ''),
-        "new Database(): `client._Engine` is type 'undefined', not the `options.types` 'function'");
-    // @ts-expect-error
-    throws(()=>new C({ _Engine:MockEngine }, ''),
         "new Database(): `client._isConnected` is type 'undefined', not the `options.types` 'boolean'");
     // @ts-expect-error
     throws(()=>new C({ ...mcMock, connect:123 }, ''),
@@ -157,7 +532,7 @@ export function databaseTest(C) {
     throws(()=>new C({ ...mcMock, connect:mcMock.connect, close:false, db:mcMock.db }, ''),
         "new Database(): `client.close` is type 'boolean', not the `options.types` 'function'");
     // @ts-expect-error
-    throws(()=>new C({ _Engine:MockEngine, _isConnected:false, connect:mcMock.connect, close:mcMock.close }, ''),
+    throws(()=>new C({ _isConnected:false, connect:mcMock.connect, close:mcMock.close }, ''),
         "new Database(): `client.db` is type 'undefined', not the `options.types` 'function'");
 
     // Instantiating a `Database` with an invalid `dbName` should fail.
@@ -197,6 +572,9 @@ export function databaseTest(C) {
     const coll_1 = db.collection('coll_1');
     equal(coll_1.constructor.name, 'Collection');
 
+    // The `Collection` should have a reference back to the `Database`.
+    equal(coll_1._db, db);
+
     // Calling `collection()` with the same `collectionName` should return the
     // same `Collection` instance.
     equal(db.collection('coll_1'), coll_1);
@@ -207,13 +585,59 @@ export function databaseTest(C) {
     equal(coll_1 !== coll_2, true);
 
 
-    /* ---------------- listCollections() and dropDatabase() ---------------- */
-
-    // After the tests above, there should be two collections.
-    equal(toStr(db.listCollections()), toStr(['coll_1','coll_2']));
+    /* ------------------- listCollections() and dropping ------------------- */
+
+    // Only collections which have been written to, or created, are listed.
+    equal(toStr(await db.listCollections().toArray()), toStr([]));
+    await db.createCollection('coll_1');
+    await db.createCollection('coll_2', { validator:{ n:{ $gte:0 } } });
+    equal(toStr(await db.listCollections({}, { nameOnly:true }).toArray()),
+        toStr([ { name:'coll_1', type:'collection' },
+            { name:'coll_2', type:'collection' } ]));
+    equal(toStr(await db.listCollections({ 'options.validator':{ $exists:true } })
+        .toArray()), toStr([ { name:'coll_2', type:'collection', options:{
+        validator:{ n:{ $gte:0 } }, validationLevel:'strict',
+        validationAction:'error' }, info:{ readOnly:false },
+        idIndex:{ v:2, key:{ _id:1 }, name:'_id_' } } ]));
+    // @ts-expect-error
+    throws(()=>db.listCollections({}, { nameOnly:1 }),
+        "listCollections(): `options.nameOnly` is type 'number', not one of the `options.types` 'boolean:undefined'");
+
+    // Renaming should move the collection's contents to the new name.
+    await throws(()=>db.renameCollection('nope', 'coll_3'),
+        'renameCollection(): source namespace does not exist');
+    await throws(()=>db.renameCollection('coll_2', 'coll_1'),
+        'renameCollection(): target namespace exists');
+    await throws(()=>coll_2.rename('coll_2'),
+        "rename(): Can't rename a collection to itself");
+    await throws(()=>coll_2.rename('Coll_3'),
+        "rename(): `toCollection` 'Coll_3' fails /^[a-z][_a-z0-9]*$/");
+    const coll_3 = await coll_2.rename('coll_3');
+    equal(coll_3, db.collection('coll_3'));
+    equal(coll_3._options.validationLevel, 'strict');
+    equal(toStr(coll_2._options), '{}');
+    equal(await db.renameCollection('coll_3', 'coll_1', { dropTarget:true }),
+        coll_1);
+    equal(toStr(await db.listCollections().map(({ name }) => name).toArray()),
+        toStr([ 'coll_1' ]));
+
+    // Dropping a collection should only succeed if it exists.
+    equal(await db.dropCollection('coll_1'), true);
+    equal(await db.dropCollection('coll_1'), false);
+    equal(await db.dropCollection('nope'), false);
+    equal(toStr(coll_1._options), '{}');
+
+    // `dropDatabase()` and `listCollections()` should fail when disconnected.
+    mcMock._isConnected = false;
+    await throws(()=>db.dropDatabase(),
+        'dropDatabase(): Client must be connected before running operations');
+    await throws(()=>db.listCollections(),
+        'listCollections(): Client must be connected before running operations');
 
     // After calling `dropDatabase()` there should be no collections.
-    db.dropDatabase();
-    equal(toStr(db.listCollections()), toStr([]));
+    mcMock._isConnected = true;
+    await db.createCollection('coll_4');
+    equal(await db.dropDatabase(), true);
+    equal((await db.listCollections().toArray()).length, 0);
 
 }
@@ -0,0 +1,354 @@
+import { OrderedIndex, indexKeys } from './indexes.js';
+import { matchesFilter } from './query.js';
+import {
+    cloneValue,
+    inspectValue,
+    isOperatorObject,
+} from './values.js';
+
+/**
+ * ### A collection's documents, kept by `_id`, with its secondary indexes.
+ *
+ * Queries find documents by `_id` or through an index, instead of scanning
+ * every document. Documents are kept in natural order, which is the order
+ * they were inserted in.
+ */
+export class DocumentStore {
+    /**
+     * ### Creates an empty store.
+     *
+     * @param {import('./indexes.js').IndexSpec[]} [specs=[]]
+     *    The collection's indexes. The `_id_` index is skipped, because every
+     *    document is already kept by `_id`.
+     */
+    constructor(specs = []) {
+
+        // Each document is keyed by `inspectValue(_id)`, so that eg `1` and
+        // `'1'` are different keys. `seq` records the insertion order.
+        /** @type {Map<string,{seq:number,document:object}>} */
+        this._documents = new Map();
+        this._seq = 0;
+
+        /** @type {Map<string,OrderedIndex>} */
+        this._indexes = new Map();
+        for (const spec of specs) this.addIndex(spec);
+    }
+
+    /**
+     * ### The number of documents.
+     *
+     * @type {number}
+     */
+    get size() { return this._documents.size }
+
+    /**
+     * ### The position after the last document inserted, which `find()` can
+     * read on from, eg for a tailable cursor.
+     *
+     * @type {number}
+     */
+    get position() { return this._seq }
+
+    /**
+     * ### Determines whether a document has an `_id`.
+     *
+     * @param {any} _id
+     *    The `_id` to look for.
+     * @returns {boolean}
+     *    Returns `true` if a document has the `_id`.
+     */
+    has(_id) {
+        return this._documents.has(inspectValue(_id));
+    }
+
+    /**
+     * ### Adds a document, after any others.
+     *
+     * @param {object} document
+     *    The document, which must have an `_id` that no other document has.
+     * @returns {void}
+     *    Does not return anything.
+     * @throws
+     *    Throws an `Error` if another document already has the `_id`, rather
+     *    than silently replacing it.
+     */
+    insert(document) {
+        const id = inspectValue(document._id);
+        if (this._documents.has(id)) throw Error(
+            `insert(): A document with \`_id\` ${id} is already stored`);
+        const stored = cloneValue(document);
+        this._documents.set(id, { seq:this._seq++, document:stored });
+        this._indexes.forEach(index => index.add(id, stored));
+    }
+
+    /**
+     * ### Replaces a document with a new version, in the same position.
+     *
+     * @param {object} document
+     *    The new version, which has the same `_id` as the old one.
+     * @returns {void}
+     *    Does not return anything.
+     */
+    replace(document) {
+        const id = inspectValue(document._id);
+        const { seq } = this._documents.get(id);
+        const stored = cloneValue(document);
+        this._documents.set(id, { seq, document:stored });
+        this._indexes.forEach(index => {
+            index.remove(id);
+            index.add(id, stored);
+        });
+    }
+
+    /**
+     * ### Removes a document.
+     *
+     * @param {any} _id
+     *    The `_id` of the document to remove.
+     * @returns {void}
+     *    Does not return anything.
+     */
+    remove(_id) {
+        const id = inspectValue(_id);
+        this._documents.delete(id);
+        this._indexes.forEach(index => index.remove(id));
+    }
+
+    /**
+     * ### Returns every document, in natural order.
+     *
+     * @returns {object[]}
+     *    Returns copies of the documents.
+     */
+    all() {
+        return Array.from(this._documents.values(),
+            ({ document }) => cloneValue(document));
+    }
+
+    /**
+     * ### Finds every document that matches a filter, in natural order.
+     *
+     * If the filter has an equality, `$in` or range condition on `_id` or on
+     * the first field of an index, only the documents found that way are
+     * checked. Otherwise every document is checked.
+     *
+     * @param {object} filter
+     *    The search criteria.
+     * @param {number} [from=0]
+     *    A `position`, so that only documents inserted since then are found.
+     * @returns {object[]}
+     *    Returns copies of the matching documents.
+     * @throws
+     *    Throws an `Error` if the filter contains an unknown operator.
+     */
+    find(filter, from = 0) {
+        const ids = this._candidates(filter);
+        const entries = ids
+            ? Array.from(new Set(ids), id => this._documents.get(id))
+                .filter(Boolean).sort((a, b) => a.seq - b.seq)
+            : Array.from(this._documents.values());
+        return entries
+            .filter(({ seq, document }) => seq >= from &&
+                matchesFilter(document, filter))
+            .map(({ document }) => cloneValue(document));
+    }
+
+    /**
+     * ### Starts maintaining a secondary index.
+     *
+     * @param {import('./indexes.js').IndexSpec} spec
+     *    The index. The `_id_` index is ignored.
+     * @returns {void}
+     *    Does not return anything.
+     */
+    addIndex(spec) {
+        if (spec.name === '_id_') return;
+        const index = new OrderedIndex(spec);
+        this._documents.forEach(({ document }, id) => index.add(id, document));
+        this._indexes.set(spec.name, index);
+    }
+
+    /**
+     * ### Stops maintaining a secondary index.
+     *
+     * @param {string} name
+     *    The name of the index.
+     * @returns {void}
+     *    Does not return anything.
+     */
+    removeIndex(name) {
+        this._indexes.delete(name);
+    }
+
+    /**
+     * ### Finds a key which writing some documents would duplicate in a unique
+     * index.
+     *
+     * @param {import('./indexes.js').IndexSpec} spec
+     *    The unique index, which must have been added.
+     * @param {object[]} written
+     *    The documents about to be inserted, or the new versions of documents
+     *    about to be updated. The old versions are not counted as duplicates.
+     * @returns {{index:number,key:Object<string,any>}|null}
+     *    Returns the duplicated `key`, eg `{ email:'a@b.c' }`, and the `index`
+     *    in `written` of the document which duplicates it, or `null`.
+     */
+    findDuplicate(spec, written) {
+        const index = this._indexes.get(spec.name);
+        const ids = new Set(written.filter(d => d._id !== void 0)
+            .map(d => inspectValue(d._id)));
+        const seen = new Set();
+        for (let i = 0; i < written.length; i++) {
+            for (const key of indexKeys(written[i], spec)) {
+                const text = inspectValue(key);
+                if (seen.has(text) || index.idsForKey(key).some(id =>
+                    !ids.has(id))) return { index:i, key };
+                seen.add(text);
+            }
+        }
+        return null;
+    }
+
+    // Returns the ids of the documents which might match a filter, or `null`
+    // if no condition can narrow them down.
+    _candidates(filter) {
+        for (const field in filter) {
+            const condition = filter[field];
+            const ids = field === '$and' && Array.isArray(condition)
+                ? condition.map(f => this._candidates(f)).find(Boolean)
+                : field[0] === '$' ? null : this._lookup(field, condition);
+            if (ids) return ids;
+        }
+        return null;
+    }
+
+    // Returns the ids of the documents which might match a condition on one
+    // field, or `null` if neither `_id` nor an index can answer it. Sparse and
+    // partial indexes leave documents out, so they are not used.
+    _lookup(field, condition) {
+        const index = field === '_id' ? null : Array.from(this._indexes.values())
+            .find(({ spec }) => !spec.sparse && !spec.partialFilterExpression &&
+                Object.keys(spec.key)[0] === field);
+        if (field !== '_id' && !index) return null;
+
+        // Equality and `$in` are answered with a lookup for each value.
+        // Arrays and regular expressions match in ways an index cannot find.
+        const operators = isOperatorObject(condition);
+        const values = !operators ? [ condition ]
+            : '$eq' in condition ? [ condition.$eq ]
+            : Array.isArray(condition.$in) ? condition.$in : null;
+        if (values) {
+            if (values.some(value => value === void 0 || Array.isArray(value)
+                || value instanceof RegExp)) return null;
+            return values.flatMap(value => !index
+                ? (this.has(value) ? [ inspectValue(value) ] : [])
+                : index.idsForKey({ [field]:value }));
+        }
+
+        // Ranges are answered from the index's first field, but a multikey
+        // index can only use the lower bound.
+        const low = '$gt' in condition ? [ condition.$gt, false ]
+            : '$gte' in condition ? [ condition.$gte, true ] : [ void 0, false ];
+        const high = '$lt' in condition ? [ condition.$lt, false ]
+            : '$lte' in condition ? [ condition.$lte, true ] : [ void 0, false ];
+        const bounds = [ low[0], high[0] ].filter(bound => bound !== void 0);
+        if (!index || !bounds.length || bounds.some(bound => bound === null ||
+            Array.isArray(bound) || bound instanceof RegExp)) return null;
+        if (index.multikey && low[0] !== void 0) high[0] = void 0;
+        return index.idsInRange(low[0], low[1], high[0], high[1]);
+    }
+}
+
+
+/* ---------------------------------- Tests --------------------------------- */
+
+/**
+ * ### `DocumentStore` unit tests.
+ *
+ * @returns {void}
+ *    Does not return anything.
+ * @throws
+ *    Throws an `Error` if a test fails.
+ */
+export function documentStoreTest() {
+    const e2l = e => (e.stack.split('\n')[2].match(/([^\/]+\.js:\d+):\d+\)?$/)||[])[1];
+    const equal = (actual, expected) => { if (actual === expected) return;
+        try { throw Error() } catch(err) { throw Error(`actual:\n${actual}\n` +
+            `!== expected:\n${expected}\n...at ${e2l(err)}\n`) } };
+    const toStr = value => JSON.stringify(value);
+    const ids = documents => toStr(documents.map(d => d._id));
+
+    // A store should keep documents by `_id`, in natural order, and keep
+    // copies rather than the documents passed in.
+    const store = new DocumentStore([ { v:2, key:{ _id:1 }, name:'_id_' },
+        { v:2, key:{ n:1 }, name:'n_1' } ]);
+    const first = { _id:'a', n:3, tags:['x'] };
+    store.insert(first);
+    store.insert({ _id:1, n:1 });
+    store.insert({ _id:'1', n:[2,5] });
+    store.insert({ _id:'b' });
+    first.n = 99;
+    equal(store.size, 4);
+    equal(store.has(1), true);
+    equal(store.has('c'), false);
+    equal(ids(store.all()), toStr([ 'a', 1, '1', 'b' ]));
+    equal(store.all()[0].n, 3);
+
+    // Conditions on `_id` should be answered from the `_id` map.
+    equal(store._candidates({ _id:'1' }).length, 1);
+    equal(ids(store.find({ _id:{ $in:[ 'b', 1, 'z' ] } })), toStr([ 1, 'b' ]));
+    equal(ids(store.find({ _id:'1', n:5 })), toStr([ '1' ]));
+    equal(ids(store.find({ _id:/^[ab]/ })), toStr([ 'a', 'b' ]));
+    equal(store._candidates({ _id:/^[ab]/ }), null);
+
+    // Conditions on an index's first field should use the index, and results
+    // should still be in natural order.
+    equal(ids(store.find({ n:{ $in:[5,3] } })), toStr([ 'a', '1' ]));
+    equal(ids(store.find({ n:{ $gte:2, $lt:4 } })), toStr([ 'a', '1' ]));
+    equal(store._candidates({ n:{ $gte:2, $lt:4 } }).length, 3);
+    equal(ids(store.find({ n:{ $gt:3, $lt:5 } })), toStr([ '1' ]));
+    equal(ids(store.find({ $and:[ { tags:'x' }, { n:3 } ] })), toStr([ 'a' ]));
+    equal(ids(store.find({ n:null })), toStr([ 'b' ]));
+    equal(store._candidates({ n:{ $exists:true } }), null);
+    equal(store._candidates({ n:{ $gt:null } }), null);
+    equal(ids(store.find({ n:{ $ne:3 } })), toStr([ 1, '1', 'b' ]));
+
+    // Replacing a document should keep its position, and update the indexes.
+    store.replace({ _id:1, n:4 });
+    equal(ids(store.find({ n:{ $gt:3 } })), toStr([ 1, '1' ]));
+    equal(ids(store.all()), toStr([ 'a', 1, '1', 'b' ]));
+    store.remove('a');
+    equal(ids(store.find({ n:{ $lte:3 } })), toStr([ '1' ]));
+    equal(store.size, 3);
+
+    // Reading on from a position should only find later insertions.
+    const position = store.position;
+    store.insert({ _id:'c', n:3 });
+    equal(ids(store.find({}, position)), toStr([ 'c' ]));
+    equal(ids(store.find({ n:{ $lte:3 } }, position)), toStr([ 'c' ]));
+    equal(store.find({}, store.position).length, 0);
+    store.remove('c');
+
+    // Inserting an `_id` which is already stored should fail, even if it is
+    // falsy.
+    store.insert({ _id:0 });
+    let message = '';
+    try { store.insert({ _id:0, n:1 }) } catch (err) { message = err.message }
+    equal(message, 'insert(): A document with `_id` 0 is already stored');
+    equal(toStr(store.find({ _id:0 })), toStr([ { _id:0 } ]));
+    store.remove(0);
+
+    // An index added later should index the existing documents, and a
+    // removed index should no longer be used.
+    const unique = { v:2, key:{ email:1 }, name:'email_1', unique:true };
+    store.replace({ _id:'b', email:'b@x' });
+    store.addIndex(unique);
+    equal(ids(store.find({ email:'b@x' })), toStr([ 'b' ]));
+    equal(toStr(store.findDuplicate(unique, [ { _id:'c', email:'b@x' } ])),
+        toStr({ index:0, key:{ email:'b@x' } }));
+    equal(store.findDuplicate(unique, [ { _id:'b', email:'b@x' } ]), null);
+    equal(toStr(store.findDuplicate(unique, [ { email:'c@x' },
+        { email:'c@x' } ])), toStr({ index:1, key:{ email:'c@x' } }));
+    store.removeIndex('email_1');
+    equal(store._candidates({ email:'b@x' }), null);
+}
@@ -0,0 +1,197 @@
+/**
+ * ### Errors with the same names and properties as those in the `mongodb`
+ * package.
+ *
+ * Most Mongoish methods throw a plain `Error` for invalid arguments, like the
+ * `mongodb` package does. But code which handles failed writes often reads
+ * properties like `code`, so those failures throw these classes instead.
+ */
+
+/**
+ * ### An error reported by the 'server', like the `mongodb` `MongoServerError`.
+ */
+export class MongoServerError extends Error {
+    /**
+     * ### Creates an error with a MongoDB error code, eg `11000`.
+     *
+     * @param {string} message
+     *    The error message.
+     * @param {Object<string,any>} details
+     *    The error's `code`, and any other properties like `keyValue`.
+     */
+    constructor(message, details) {
+        super(message);
+        this.name = 'MongoServerError';
+        Object.assign(this, details);
+    }
+
+    /**
+     * ### The MongoDB error code, eg `11000` for a duplicate key.
+     *
+     * @type {number}
+     */
+    code;
+
+    /**
+     * ### Labels which tell the caller how to handle the error, eg
+     * `['TransientTransactionError']`. See `hasErrorLabel()`.
+     *
+     * @type {string[]|undefined}
+     */
+    errorLabels;
+
+    /**
+     * ### The message, without any Mongoish method name at the start.
+     *
+     * @type {string}
+     */
+    get errmsg() { return this.message.replace(/^[A-Za-z]+\(\): /, '') }
+
+    /**
+     * ### Checks whether the error has a label, eg 'TransientTransactionError'
+     * for an error which means the whole transaction can be retried.
+     *
+     * @param {string} label
+     *    The label to look for.
+     * @returns {boolean}
+     *    Returns `true` if the `errorLabels` detail includes the label.
+     */
+    hasErrorLabel(label) {
+        return Array.isArray(this.errorLabels) && this.errorLabels.includes(label);
+    }
+}
+
+/**
+ * ### The error thrown when a session's transaction methods are called in the
+ * wrong order, like the `mongodb` `MongoTransactionError`.
+ */
+export class MongoTransactionError extends Error {
+    /**
+     * ### Creates an error for a transaction in the wrong state.
+     *
+     * @param {string} message
+     *    The error message.
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'MongoTransactionError';
+    }
+}
+
+/**
+ * ### The error thrown for an invalid connection string, like the `mongodb`
+ * `MongoParseError`.
+ */
+export class MongoParseError extends Error {
+    /**
+     * ### Creates an error for a connection string which cannot be parsed.
+     *
+     * @param {string} message
+     *    The error message.
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'MongoParseError';
+    }
+}
+
+/**
+ * ### The error thrown by `bulkWrite()` if any of its operations failed, like
+ * the `mongodb` `MongoBulkWriteError`.
+ */
+export class MongoBulkWriteError extends Error {
+    /**
+     * ### Creates an error from the `writeErrors` of a bulk write.
+     *
+     * @param {string} begin
+     *    The name of the calling method, used to begin the message.
+     * @param {import('./bulk-write-result.js').default} result
+     *    The result of the operations which did succeed.
+     * @param {import('./bulk-write-result.js').WriteError[]} writeErrors
+     *    The operations which failed. The first one's `errmsg` is used as the
+     *    message.
+     */
+    constructor(begin, result, writeErrors) {
+        super(`${begin}: ${writeErrors[0].errmsg}`);
+        this.name = 'MongoBulkWriteError';
+        this.code = writeErrors[0].code;
+        this.result = result;
+        this.writeErrors = writeErrors;
+    }
+
+    /** @type {number} */
+    get deletedCount() { return this.result.deletedCount }
+
+    /** @type {number} */
+    get insertedCount() { return this.result.insertedCount }
+
+    /** @type {Object<number,any>} */
+    get insertedIds() { return this.result.insertedIds }
+
+    /** @type {number} */
+    get matchedCount() { return this.result.matchedCount }
+
+    /** @type {number} */
+    get modifiedCount() { return this.result.modifiedCount }
+
+    /** @type {number} */
+    get upsertedCount() { return this.result.upsertedCount }
+
+    /** @type {Object<number,any>} */
+    get upsertedIds() { return this.result.upsertedIds }
+}
+
+
+/* ---------------------------------- Tests --------------------------------- */
+
+/**
+ * ### `errors.js` unit tests.
+ *
+ * @returns {void}
+ *    Does not return anything.
+ * @throws
+ *    Throws an `Error` if a test fails.
+ */
+export function errorsTest() {
+    const e2l = e => (e.stack.split('\n')[2].match(/([^\/]+\.js:\d+):\d+\)?$/)||[])[1];
+    const equal = (actual, expected) => { if (actual === expected) return;
+        try { throw Error() } catch(err) { throw Error(`actual:\n${actual}\n` +
+            `!== expected:\n${expected}\n...at ${e2l(err)}\n`) } };
+
+    // A `MongoServerError` should keep its details, and strip the method name
+    // from `errmsg`.
+    const serverError = new MongoServerError('insertOne(): E11000 oops',
+        { code:11000 });
+    equal(serverError instanceof Error, true);
+    equal(serverError.name, 'MongoServerError');
+    equal(serverError.code, 11000);
+    equal(serverError.errmsg, 'E11000 oops');
+    equal(serverError.hasErrorLabel('TransientTransactionError'), false);
+    equal(new MongoServerError('test(): WriteConflict', { code:112,
+        errorLabels:[ 'TransientTransactionError' ] })
+        .hasErrorLabel('TransientTransactionError'), true);
+
+    // A `MongoParseError` should just have its own name.
+    const parseError = new MongoParseError('new MongoishClient(): oops');
+    equal(parseError instanceof Error, true);
+    equal(parseError.name, 'MongoParseError');
+
+    // A `MongoTransactionError` should also just have its own name.
+    const transactionError = new MongoTransactionError('test(): oops');
+    equal(transactionError instanceof Error, true);
+    equal(transactionError.name, 'MongoTransactionError');
+
+    // A `MongoBulkWriteError` should use the first write error, and expose the
+    // result's counts.
+    const result = { insertedCount:1, insertedIds:{ 0:'a' } };
+    // @ts-expect-error
+    const bulkError = new MongoBulkWriteError('test()', result, [
+        { index:1, code:11000, errmsg:'E11000 first', op:{} },
+        { index:2, code:2, errmsg:'second', op:{} } ]);
+    equal(bulkError.name, 'MongoBulkWriteError');
+    equal(bulkError.message, 'test(): E11000 first');
+    equal(bulkError.code, 11000);
+    equal(bulkError.writeErrors.length, 2);
+    equal(bulkError.insertedCount, 1);
+    equal(bulkError.insertedIds[0], 'a');
+}
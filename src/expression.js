@@ -0,0 +1,953 @@
+import ObjectId from './object-id.js';
+import {
+    cloneValue,
+    compareValues,
+    isPlainObject,
+    typeAlias,
+} from './values.js';
+
+/**
+ * ### The expression operators which `evaluate()` understands.
+ *
+ * Each operator is called with its operand, which has not been evaluated yet,
+ * a function which evaluates a sub-expression against the same document, and
+ * the name of the calling method, used to begin any error message.
+ *
+ * The sub-expression function takes an optional second argument, an object of
+ * extra variables, which `$let`, `$map`, `$filter` and `$reduce` use to define
+ * variables like `$$this`.
+ *
+ * Like MongoDB, most operators evaluate to `null` if an argument is `null` or
+ * missing.
+ *
+ * @type {Object<string,function(any,function(any,Object<string,any>=):any,string):any>}
+ */
+export const expressionOperators = {
+
+    // Arithmetic.
+    $add: (operand, evaluateSub, begin) => {
+        const values = args('$add', operand, evaluateSub, begin);
+        if (values.some(isNullish)) return null;
+        let date = null;
+        let sum = 0;
+        for (const value of values) {
+            if (value instanceof Date) {
+                if (date) throw fail(begin,
+                    'only one date allowed in an $add expression');
+                date = value;
+                sum += value.getTime();
+            } else if (typeof value === 'number') {
+                sum += value;
+            } else throw fail(begin, '$add only supports numeric or date ' +
+                `types, not ${typeAlias(value)}`);
+        }
+        return date ? new Date(sum) : sum;
+    },
+    $divide: (operand, evaluateSub, begin) => {
+        const [ a, b ] = numbers('$divide', operand, evaluateSub, begin, 2);
+        if (isNullish(a) || isNullish(b)) return null;
+        if (b === 0) throw fail(begin, "can't $divide by zero");
+        return a / b;
+    },
+    $mod: (operand, evaluateSub, begin) => {
+        const [ a, b ] = numbers('$mod', operand, evaluateSub, begin, 2);
+        if (isNullish(a) || isNullish(b)) return null;
+        if (b === 0) throw fail(begin, "can't $mod by zero");
+        return a % b;
+    },
+    $multiply: (operand, evaluateSub, begin) => {
+        const values = args('$multiply', operand, evaluateSub, begin);
+        if (values.some(isNullish)) return null;
+        const other = values.find(value => typeof value !== 'number');
+        if (other !== void 0) throw fail(begin, '$multiply only supports ' +
+            `numeric types, not ${typeAlias(other)}`);
+        return values.reduce((product, value) => product * value, 1);
+    },
+    $round: (operand, evaluateSub, begin) => {
+        const [ value, place = 0 ] = args('$round', operand, evaluateSub, begin,
+            1, 2);
+        if (isNullish(value) || isNullish(place)) return null;
+        if (typeof value !== 'number') throw fail(begin,
+            `$round only supports numeric types, not ${typeAlias(value)}`);
+        if (!Number.isInteger(place) || place < -20 || place >= 100) throw fail(
+            begin, `cannot apply $round with precision value ${place} value ` +
+            'must be in [-20, 100]');
+        return roundHalfEven(value, place);
+    },
+    $subtract: (operand, evaluateSub, begin) => {
+        const [ a, b ] = args('$subtract', operand, evaluateSub, begin, 2, 2);
+        if (isNullish(a) || isNullish(b)) return null;
+        if (typeof a === 'number' && typeof b === 'number') return a - b;
+        if (a instanceof Date && b instanceof Date)
+            return a.getTime() - b.getTime();
+        if (a instanceof Date && typeof b === 'number')
+            return new Date(a.getTime() - b);
+        throw fail(begin, `can't $subtract ${typeAlias(b)} from ` +
+            typeAlias(a));
+    },
+
+    // Comparison and boolean.
+    $and: (operand, evaluateSub) => [].concat(operand)
+        .every(sub => toBoolean(evaluateSub(sub))),
+    $cmp: (operand, evaluateSub, begin) =>
+        Math.sign(compare('$cmp', operand, evaluateSub, begin)),
+    $eq: (operand, evaluateSub, begin) =>
+        compare('$eq', operand, evaluateSub, begin) === 0,
+    $gt: (operand, evaluateSub, begin) =>
+        compare('$gt', operand, evaluateSub, begin) > 0,
+    $gte: (operand, evaluateSub, begin) =>
+        compare('$gte', operand, evaluateSub, begin) >= 0,
+    $lt: (operand, evaluateSub, begin) =>
+        compare('$lt', operand, evaluateSub, begin) < 0,
+    $lte: (operand, evaluateSub, begin) =>
+        compare('$lte', operand, evaluateSub, begin) <= 0,
+    $ne: (operand, evaluateSub, begin) =>
+        compare('$ne', operand, evaluateSub, begin) !== 0,
+    $not: (operand, evaluateSub, begin) =>
+        !toBoolean(args('$not', operand, evaluateSub, begin, 1, 1)[0]),
+    $or: (operand, evaluateSub) => [].concat(operand)
+        .some(sub => toBoolean(evaluateSub(sub))),
+
+    // Strings.
+    $concat: (operand, evaluateSub, begin) => {
+        const values = args('$concat', operand, evaluateSub, begin);
+        if (values.some(isNullish)) return null;
+        const other = values.find(value => typeof value !== 'string');
+        if (other !== void 0) throw fail(begin,
+            `$concat only supports strings, not ${typeAlias(other)}`);
+        return values.join('');
+    },
+    $regexMatch: (operand, evaluateSub, begin) => {
+        const { input, regex, options } = named('$regexMatch', operand,
+            evaluateSub, begin, [ 'input', 'regex' ], [ 'options' ]);
+        if (isNullish(input)) return false;
+        if (typeof input !== 'string') throw fail(begin,
+            "$regexMatch needs 'input' to be of type string");
+        if (typeof regex !== 'string' && !(regex instanceof RegExp))
+            throw fail(begin, "$regexMatch needs 'regex' to be of type " +
+                'string or regex');
+        if (!isNullish(options) && typeof options !== 'string')
+            throw fail(begin, "$regexMatch needs 'options' to be of type " +
+                'string');
+        const source = regex instanceof RegExp ? regex.source : regex;
+        const flags = (regex instanceof RegExp ? regex.flags : '') +
+            (options || '');
+        return new RegExp(source, Array.from(new Set(flags)).join('')).test(input);
+    },
+    $split: (operand, evaluateSub, begin) => {
+        const [ string, delimiter ] = args('$split', operand, evaluateSub,
+            begin, 2, 2);
+        if (isNullish(string)) return null;
+        if (typeof string !== 'string') throw fail(begin, '$split requires ' +
+            'an expression that evaluates to a string as a first argument, ' +
+            `found: ${typeAlias(string)}`);
+        if (typeof delimiter !== 'string') throw fail(begin, '$split ' +
+            'requires an expression that evaluates to a string as a second ' +
+            `argument, found: ${typeAlias(delimiter)}`);
+        if (!delimiter) throw fail(begin,
+            '$split requires a non-empty separator');
+        return string.split(delimiter);
+    },
+    $substrCP: (operand, evaluateSub, begin) => {
+        const [ string, index, length ] = args('$substrCP', operand,
+            evaluateSub, begin, 3, 3);
+        if (typeof index !== 'number') throw fail(begin, '$substrCP: ' +
+            `starting index must be a numeric type (is BSON type ${
+            typeAlias(index)})`);
+        if (typeof length !== 'number') throw fail(begin, '$substrCP: ' +
+            `length must be a numeric type (is BSON type ${
+            typeAlias(length)})`);
+        if (index < 0 || !Number.isInteger(index)) throw fail(begin,
+            `$substrCP: starting index must be non-negative (got: ${index})`);
+        if (length < 0 || !Number.isInteger(length)) throw fail(begin,
+            '$substrCP: length must be a nonnegative integer.');
+        return Array.from(toText('$substrCP', string, begin))
+            .slice(index, index + length).join('');
+    },
+    $toLower: (operand, evaluateSub, begin) => toText('$toLower',
+        args('$toLower', operand, evaluateSub, begin, 1, 1)[0], begin)
+        .toLowerCase(),
+    $toUpper: (operand, evaluateSub, begin) => toText('$toUpper',
+        args('$toUpper', operand, evaluateSub, begin, 1, 1)[0], begin)
+        .toUpperCase(),
+
+    // Conditionals.
+    $cond: (operand, evaluateSub, begin) => {
+        let spec = operand;
+        if (Array.isArray(operand)) {
+            if (operand.length !== 3) throw fail(begin, 'Expression $cond ' +
+                `takes exactly 3 arguments. ${operand.length} were passed in.`);
+            spec = { if:operand[0], then:operand[1], else:operand[2] };
+        } else if (isPlainObject(operand)) {
+            for (const key in operand) if (![ 'if', 'then', 'else' ]
+                .includes(key)) throw fail(begin,
+                `Unrecognized parameter to $cond: ${key}`);
+            for (const key of [ 'if', 'then', 'else' ]) if (!(key in operand))
+                throw fail(begin, `Missing '${key}' parameter to $cond`);
+        } else throw fail(begin, "Missing 'if' parameter to $cond");
+        return toBoolean(evaluateSub(spec.if))
+            ? evaluateSub(spec.then) : evaluateSub(spec.else);
+    },
+    $ifNull: (operand, evaluateSub, begin) => {
+        if (!Array.isArray(operand) || operand.length < 2) throw fail(begin,
+            '$ifNull needs at least two arguments, had: ' +
+            (Array.isArray(operand) ? operand.length : 1));
+        for (const sub of operand.slice(0, -1)) {
+            const value = evaluateSub(sub);
+            if (!isNullish(value)) return value;
+        }
+        const replacement = evaluateSub(operand[operand.length - 1]);
+        return replacement === void 0 ? null : replacement;
+    },
+    $switch: (operand, evaluateSub, begin) => {
+        if (!isPlainObject(operand)) throw fail(begin, '$switch requires an ' +
+            `object as an argument, found: ${typeAlias(operand)}`);
+        if (!Array.isArray(operand.branches)) throw fail(begin, '$switch ' +
+            "expected an array for 'branches', found: " +
+            typeAlias(operand.branches));
+        for (const branch of operand.branches) {
+            if (!isPlainObject(branch)) throw fail(begin, '$switch expected ' +
+                `each branch to be an object, found: ${typeAlias(branch)}`);
+            if (!('case' in branch)) throw fail(begin,
+                "$switch requires each branch have a 'case' expression");
+            if (!('then' in branch)) throw fail(begin,
+                "$switch requires each branch have a 'then' expression.");
+        }
+        for (const branch of operand.branches)
+            if (toBoolean(evaluateSub(branch.case)))
+                return evaluateSub(branch.then);
+        if (!('default' in operand)) throw fail(begin, '$switch could not ' +
+            'find a matching branch for an input, and no default was ' +
+            'specified.');
+        return evaluateSub(operand.default);
+    },
+
+    // Arrays.
+    $arrayElemAt: (operand, evaluateSub, begin) => {
+        const [ array, index ] = args('$arrayElemAt', operand, evaluateSub,
+            begin, 2, 2);
+        if (isNullish(array) || isNullish(index)) return null;
+        if (!Array.isArray(array)) throw fail(begin, "$arrayElemAt's first " +
+            `argument must be an array, but is ${typeAlias(array)}`);
+        if (typeof index !== 'number') throw fail(begin, "$arrayElemAt's " +
+            `second argument must be a numeric value, but is ${
+            typeAlias(index)}`);
+        if (!Number.isInteger(index)) throw fail(begin, "$arrayElemAt's " +
+            'second argument must be representable as a 32-bit integer: ' +
+            index);
+        return array[index < 0 ? array.length + index : index];
+    },
+    $filter: (operand, evaluateSub, begin) => {
+        const spec = named('$filter', operand, null, begin,
+            [ 'input', 'cond' ], [ 'as', 'limit' ]);
+        const as = variableName('$filter', spec.as, begin);
+        const input = evaluateSub(spec.input);
+        if (isNullish(input)) return null;
+        if (!Array.isArray(input)) throw fail(begin,
+            `input to $filter must be an array not ${typeAlias(input)}`);
+        const limit = 'limit' in spec ? evaluateSub(spec.limit) : null;
+        if (!isNullish(limit) && !(Number.isInteger(limit) && limit > 0))
+            throw fail(begin, '$filter: limit must be greater than 0: ' +
+                limit);
+        const result = [];
+        for (const item of input) {
+            if (result.length === limit) break;
+            if (toBoolean(evaluateSub(spec.cond, { [as]:item })))
+                result.push(item);
+        }
+        return result;
+    },
+    $map: (operand, evaluateSub, begin) => {
+        const spec = named('$map', operand, null, begin, [ 'input', 'in' ],
+            [ 'as' ]);
+        const as = variableName('$map', spec.as, begin);
+        const input = evaluateSub(spec.input);
+        if (isNullish(input)) return null;
+        if (!Array.isArray(input)) throw fail(begin,
+            `input to $map must be an array not ${typeAlias(input)}`);
+        return input.map(item => {
+            const value = evaluateSub(spec.in, { [as]:item });
+            return value === void 0 ? null : value;
+        });
+    },
+    $reduce: (operand, evaluateSub, begin) => {
+        const spec = named('$reduce', operand, null, begin,
+            [ 'input', 'initialValue', 'in' ], []);
+        const input = evaluateSub(spec.input);
+        if (isNullish(input)) return null;
+        if (!Array.isArray(input)) throw fail(begin,
+            `input to $reduce must be an array not ${typeAlias(input)}`);
+        return input.reduce((value, item) => evaluateSub(spec.in,
+            { value, this:item }), evaluateSub(spec.initialValue));
+    },
+    $size: (operand, evaluateSub, begin) => {
+        const [ array ] = args('$size', operand, evaluateSub, begin, 1, 1);
+        if (!Array.isArray(array)) throw fail(begin, 'The argument to $size ' +
+            `must be an array. Type of argument was: ${typeAlias(array)}`);
+        return array.length;
+    },
+
+    // Dates.
+    $dateToString: (operand, evaluateSub, begin) => {
+        const { date, format = '%Y-%m-%dT%H:%M:%S.%LZ', timezone, onNull } =
+            named('$dateToString', operand, evaluateSub, begin, [ 'date' ],
+                [ 'format', 'onNull', 'timezone' ]);
+        if (isNullish(date)) return onNull === void 0 ? null : onNull;
+        const offset = timezoneOffset(toDate(date, begin), timezone, begin);
+        const local = new Date(date.getTime() + offset * 60000);
+        return format.replace(/%(.?)/g, (_, char) => {
+            const specifier = dateFormats[char];
+            if (!specifier) throw fail(begin,
+                `Invalid format character '%${char}' in format string`);
+            return specifier(local, offset);
+        });
+    },
+    $dateTrunc: (operand, evaluateSub, begin) => {
+        const { date, unit, binSize = 1, timezone, startOfWeek = 'sunday' } =
+            named('$dateTrunc', operand, evaluateSub, begin,
+                [ 'date', 'unit' ], [ 'binSize', 'startOfWeek', 'timezone' ]);
+        if (isNullish(date) || isNullish(unit) || isNullish(binSize))
+            return null;
+        toDate(date, begin);
+        if (!(unit in timeUnits)) throw fail(begin, "$dateTrunc parameter " +
+            `'unit' value cannot be recognized as a time unit: ${unit}`);
+        if (!Number.isInteger(binSize) || binSize < 1) throw fail(begin,
+            "$dateTrunc requires 'binSize' to be greater than 0, but got " +
+            `value ${binSize}`);
+        const weekday = weekdays.indexOf(String(startOfWeek).toLowerCase());
+        if (weekday < 0) throw fail(begin, "$dateTrunc parameter " +
+            "'startOfWeek' value cannot be recognized as a day of a week: " +
+            startOfWeek);
+        const local = date.getTime() +
+            timezoneOffset(date, timezone, begin) * 60000;
+        const reference = Date.UTC(2000, 0, 1 + (weekday + 1) % 7);
+        const truncated = truncateTime(local, unit, binSize, reference);
+        const guess = new Date(truncated -
+            timezoneOffset(date, timezone, begin) * 60000);
+        return new Date(truncated -
+            timezoneOffset(guess, timezone, begin) * 60000);
+    },
+    $dayOfMonth: datePart('$dayOfMonth', local => local.getUTCDate()),
+    $dayOfWeek: datePart('$dayOfWeek', local => local.getUTCDay() + 1),
+    $hour: datePart('$hour', local => local.getUTCHours()),
+    $minute: datePart('$minute', local => local.getUTCMinutes()),
+    $month: datePart('$month', local => local.getUTCMonth() + 1),
+    $second: datePart('$second', local => local.getUTCSeconds()),
+    $year: datePart('$year', local => local.getUTCFullYear()),
+
+    // Type conversion.
+    $convert: (operand, evaluateSub, begin) => {
+        const spec = named('$convert', operand, null, begin,
+            [ 'input', 'to' ], [ 'onError', 'onNull' ]);
+        return convert(evaluateSub(spec.input), evaluateSub(spec.to), begin,
+            'onError' in spec ? () => evaluateSub(spec.onError) : null,
+            'onNull' in spec ? evaluateSub(spec.onNull) : null);
+    },
+    $toBool: converter('$toBool', 'bool'),
+    $toDate: converter('$toDate', 'date'),
+    $toDouble: converter('$toDouble', 'double'),
+    $toInt: converter('$toInt', 'int'),
+    $toLong: converter('$toLong', 'long'),
+    $toObjectId: converter('$toObjectId', 'objectId'),
+    $toString: converter('$toString', 'string'),
+
+    // Literals and variables.
+    $let: (operand, evaluateSub, begin) => {
+        const spec = named('$let', operand, null, begin, [ 'vars', 'in' ], []);
+        if (!isPlainObject(spec.vars)) throw fail(begin,
+            `invalid parameter: expected an object (vars)`);
+        const variables = {};
+        for (const name in spec.vars) variables[variableName('$let', name,
+            begin)] = evaluateSub(spec.vars[name]);
+        return evaluateSub(spec.in, variables);
+    },
+    $literal: operand => cloneValue(operand),
+};
+
+/**
+ * ### Evaluates an aggregation expression against a document.
+ *
+ * - A string starting with `$$` is a variable, eg `'$$order.total'`. As well
+ *   as any `variables` passed in, `$$ROOT` and `$$CURRENT` are the document,
+ *   and `$$REMOVE` is missing
+ * - A string starting with `$` is a field path, eg `'$address.city'`. Like
+ *   MongoDB, field paths traverse arrays, so `'$a.b'` in `{ a:[{ b:1 },
+ *   { b:2 }] }` evaluates to `[ 1, 2 ]`
+ * - An object with a single `$`-prefixed key is an operator, eg
+ *   `{ $add:[ '$price', 1 ] }`
+ * - Any other object or array has each of its values evaluated
+ * - Anything else is a literal value
+ *
+ * @param {any} expression
+ *    The expression to evaluate.
+ * @param {object} document
+ *    The document which field paths refer to.
+ * @param {string} begin
+ *    The name of the calling method, used to begin any error message. If
+ *    empty, error messages have no prefix, like those from `query.js`.
+ * @param {Object<string,any>} [variables={}]
+ *    The values of any variables, keyed by name without the `$$`.
+ * @returns {any}
+ *    Returns the result, or `undefined` if a field path is missing.
+ * @throws
+ *    Throws an `Error` if the expression uses an unknown operator or
+ *    variable, or an operator is given invalid arguments.
+ */
+export function evaluate(expression, document, begin, variables = {}) {
+    const evaluateSub = (sub, extra) => evaluate(sub, document, begin,
+        extra ? { ...variables, ...extra } : variables);
+
+    if (typeof expression === 'string' && expression.startsWith('$$')) {
+        const [ name, ...parts ] = expression.slice(2).split('.');
+        if (name in variables) return fieldPath(variables[name], parts);
+        if (name === 'ROOT' || name === 'CURRENT')
+            return fieldPath(document, parts);
+        if (name === 'REMOVE') return void 0;
+        throw fail(begin, `Use of undefined variable: ${name}`);
+    }
+    if (typeof expression === 'string' && expression[0] === '$')
+        return fieldPath(document, expression.slice(1).split('.'));
+    if (Array.isArray(expression)) return expression.map(sub => evaluateSub(sub))
+        .map(value => value === void 0 ? null : value);
+    if (!isPlainObject(expression)) return cloneValue(expression);
+
+    const keys = Object.keys(expression);
+    if (keys.length === 1 && keys[0][0] === '$') {
+        const operator = expressionOperators[keys[0]];
+        if (!operator) throw fail(begin,
+            `Unrecognized expression '${keys[0]}'`);
+        return operator(expression[keys[0]], evaluateSub, begin);
+    }
+    const result = {};
+    for (const key of keys) {
+        if (key[0] === '$') throw fail(begin, `FieldPath field names may ` +
+            `not start with '$'. Consider using $getField or $setField.`);
+        const value = evaluateSub(expression[key]);
+        if (value !== void 0) result[key] = value;
+    }
+    return result;
+}
+
+/**
+ * ### Determines whether a value is an expression operator object.
+ *
+ * @param {any} value
+ *    The value to check.
+ * @returns {boolean}
+ *    Returns `true` for an object with a single `$`-prefixed key.
+ */
+export function isExpressionOperator(value) {
+    if (!isPlainObject(value)) return false;
+    const keys = Object.keys(value);
+    return keys.length === 1 && keys[0][0] === '$';
+}
+
+/**
+ * ### Converts the result of an expression to a boolean, like MongoDB.
+ *
+ * Only `false`, `null`, zero and missing values are false. Unlike JavaScript,
+ * empty strings and `NaN` are true.
+ *
+ * @param {any} value
+ *    The value to convert.
+ * @returns {boolean}
+ *    Returns `true` if MongoDB would treat the value as true.
+ */
+export function toBoolean(value) {
+    return !(value === false || value === 0 || isNullish(value));
+}
+
+
+/* ---------------------------------- Private ------------------------------- */
+
+// Creates an `Error`, only prefixing its message if `begin` is not empty.
+function fail(begin, message) {
+    return Error(begin ? `${begin}: ${message}` : message);
+}
+
+// Determines whether a value is `null` or missing.
+function isNullish(value) {
+    return value === null || value === void 0;
+}
+
+// Reads a field path, mapping over arrays and dropping missing values.
+function fieldPath(value, parts) {
+    if (!parts.length) return value;
+    if (Array.isArray(value)) return value
+        .map(item => isPlainObject(item) || Array.isArray(item)
+            ? fieldPath(item, parts) : void 0)
+        .filter(item => item !== void 0);
+    if (!isPlainObject(value)) return void 0;
+    return fieldPath(value[parts[0]], parts.slice(1));
+}
+
+// Evaluates the arguments of an operator which takes an array, checking how
+// many there are. A single argument does not have to be wrapped in an array.
+function args(name, operand, evaluateSub, begin, min = 0, max = Infinity) {
+    const subs = Array.isArray(operand) ? operand : [ operand ];
+    if (min === max && subs.length !== min) throw fail(begin, `Expression ` +
+        `${name} takes exactly ${min} arguments. ${subs.length} were passed in.`);
+    if (subs.length < min || subs.length > max) throw fail(begin, `Expression ` +
+        `${name} takes at least ${min} arguments, and at most ${max}, but ` +
+        `${subs.length} were passed in.`);
+    return subs.map(sub => evaluateSub(sub));
+}
+
+// Evaluates the arguments of an operator which only accepts numbers.
+function numbers(name, operand, evaluateSub, begin, count) {
+    const values = args(name, operand, evaluateSub, begin, count, count);
+    const others = values.filter(v => typeof v !== 'number' && !isNullish(v));
+    if (others.length) throw fail(begin, `${name} only supports numeric ` +
+        `types, not ${values.map(typeAlias).join(' and ')}`);
+    return values;
+}
+
+// Reads the named arguments of an operator which takes an object. If
+// `evaluateSub` is null, the arguments are returned without being evaluated.
+function named(name, operand, evaluateSub, begin, required, optional) {
+    if (!isPlainObject(operand)) throw fail(begin, `${name} expects an ` +
+        `object of named arguments but found: ${typeAlias(operand)}`);
+    for (const key in operand) if (!required.includes(key) &&
+        !optional.includes(key)) throw fail(begin,
+        `Unrecognized parameter to ${name}: ${key}`);
+    for (const key of required) if (!(key in operand))
+        throw fail(begin, `Missing '${key}' parameter to ${name}`);
+    if (!evaluateSub) return operand;
+    const result = {};
+    for (const key in operand) result[key] = evaluateSub(operand[key]);
+    return result;
+}
+
+// Compares the two arguments of `$eq`, `$gt`, `$cmp`, etc.
+function compare(name, operand, evaluateSub, begin) {
+    const [ a, b ] = args(name, operand, evaluateSub, begin, 2, 2);
+    return compareValues(a, b);
+}
+
+// Checks the name of a variable defined by `$let`, `$map` or `$filter`.
+function variableName(name, variable = 'this', begin) {
+    if (typeof variable !== 'string' ||
+        !/^[a-z\u0080-\uffff][\w\u0080-\uffff]*$/.test(variable))
+        throw fail(begin, `'${variable}' starts with an invalid character ` +
+            'for a user variable name');
+    return variable;
+}
+
+// Converts the argument of a string operator like `$toUpper` to a string.
+function toText(name, value, begin) {
+    if (isNullish(value)) return '';
+    if (typeof value === 'string') return value;
+    if (typeof value === 'number') return String(value);
+    if (value instanceof Date) return value.toISOString();
+    throw fail(begin, `can't convert from BSON type ${typeAlias(value)} to ` +
+        'String');
+}
+
+// Rounds a number to a number of decimal places, rounding halves to even.
+function roundHalfEven(value, place) {
+    const scale = 10 ** Math.abs(place);
+    const scaled = place < 0 ? value / scale : value * scale;
+    let rounded = Math.round(scaled);
+    if (Math.abs(scaled % 1) === 0.5) rounded = 2 * Math.round(scaled / 2);
+    return place < 0 ? rounded * scale : rounded / scale;
+}
+
+// Checks that a value is a `Date`.
+function toDate(value, begin) {
+    if (value instanceof Date) return value;
+    throw fail(begin, `can't convert from BSON type ${typeAlias(value)} to ` +
+        'Date');
+}
+
+// Returns the offset of a timezone from UTC, in minutes, at a given date. The
+// timezone can be missing (UTC), an offset like "+05:30", or an Olson name
+// like "Europe/London".
+function timezoneOffset(date, timezone, begin) {
+    if (isNullish(timezone) || timezone === 'UTC' || timezone === 'GMT' ||
+        timezone === 'Z') return 0;
+    const match = typeof timezone === 'string' &&
+        timezone.match(/^([+-])(\d\d):?(\d\d)?$/);
+    if (match) return (match[1] === '-' ? -1 : 1) *
+        (Number(match[2]) * 60 + Number(match[3] || 0));
+    /** @type {Object<string,number>} */
+    let parts;
+    try {
+        parts = new Intl.DateTimeFormat('en-US', { timeZone:String(timezone),
+            hourCycle:'h23', year:'numeric', month:'numeric', day:'numeric',
+            hour:'numeric', minute:'numeric', second:'numeric' })
+            .formatToParts(date)
+            .reduce((all, { type, value }) => ({ ...all, [type]:+value }), {});
+    } catch {
+        throw fail(begin,
+            `unrecognized time zone identifier: "${timezone}"`);
+    }
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour,
+        parts.minute, parts.second);
+    return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) /
+        60000);
+}
+
+// The `$dateToString` format specifiers, which read from a `Date` that has
+// been shifted by the timezone offset.
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+const dateFormats = {
+    d: local => pad(local.getUTCDate()),
+    H: local => pad(local.getUTCHours()),
+    j: local => pad(Math.floor((local.getTime() -
+        Date.UTC(local.getUTCFullYear(), 0, 1)) / 86400000) + 1, 3),
+    L: local => pad(local.getUTCMilliseconds(), 3),
+    m: local => pad(local.getUTCMonth() + 1),
+    M: local => pad(local.getUTCMinutes()),
+    S: local => pad(local.getUTCSeconds()),
+    u: local => String(local.getUTCDay() || 7),
+    w: local => String(local.getUTCDay() + 1),
+    Y: local => pad(local.getUTCFullYear(), 4),
+    z: (local, offset) => (offset < 0 ? '-' : '+') +
+        pad(Math.floor(Math.abs(offset) / 60)) + pad(Math.abs(offset) % 60),
+    Z: (local, offset) => String(offset),
+    '%': () => '%',
+};
+
+// The `$dateTrunc` units, with the length in milliseconds of fixed units, or
+// the number of months in calendar units.
+const timeUnits = { millisecond:1, second:1000, minute:60000, hour:3600000,
+    day:86400000, week:604800000, month:-1, quarter:-3, year:-12 };
+const weekdays = [ 'sunday', 'monday', 'tuesday', 'wednesday', 'thursday',
+    'friday', 'saturday' ];
+
+// Truncates a timezone-shifted time to a unit. Like MongoDB, bins are counted
+// from 2000-01-01, or the first `startOfWeek` day in 2000 for weeks.
+function truncateTime(local, unit, binSize, weekReference) {
+    const size = timeUnits[unit];
+    if (size < 0) {
+        const date = new Date(local);
+        const months = (date.getUTCFullYear() - 2000) * 12 +
+            date.getUTCMonth();
+        const step = -size * binSize;
+        return Date.UTC(2000, Math.floor(months / step) * step, 1);
+    }
+    const reference = unit === 'week' ? weekReference : Date.UTC(2000, 0, 1);
+    const step = size * binSize;
+    return reference + Math.floor((local - reference) / step) * step;
+}
+
+// Creates a date part operator like `$year`, which accepts a date, or an
+// object with a `date` and an optional `timezone`.
+function datePart(name, read) {
+    return (operand, evaluateSub, begin) => {
+        const { date, timezone } = isPlainObject(operand) && 'date' in operand
+            ? named(name, operand, evaluateSub, begin, [ 'date' ],
+                [ 'timezone' ])
+            : { date:args(name, operand, evaluateSub, begin, 1, 1)[0] };
+        if (isNullish(date)) return null;
+        const offset = timezoneOffset(toDate(date, begin), timezone, begin);
+        return read(new Date(date.getTime() + offset * 60000));
+    };
+}
+
+// The `$convert` target types, keyed by alias and by BSON type number.
+const convertTypes = { double:'double', string:'string', objectId:'objectId',
+    bool:'bool', date:'date', int:'int', long:'long', 1:'double', 2:'string',
+    7:'objectId', 8:'bool', 9:'date', 16:'int', 18:'long' };
+
+// Creates a conversion shorthand like `$toInt`.
+function converter(name, to) {
+    return (operand, evaluateSub, begin) => convert(args(name, operand,
+        evaluateSub, begin, 1, 1)[0], to, begin, null, null);
+}
+
+// Implements `$convert`. A failed conversion calls `onError` if it exists.
+function convert(input, to, begin, onError, onNull) {
+    const type = convertTypes[to];
+    if (!type) throw fail(begin, `Unknown type name: ${to}`);
+    if (isNullish(input)) return onNull;
+    const from = typeAlias(input);
+    const suffix = ' in $convert with no onError value';
+    const unsupported = () => `Unsupported conversion from ${from} to ` +
+        `${type}${suffix}`;
+    const parse = () => {
+        const trimmed = input.trim();
+        const number = Number(input);
+        if (input !== trimmed || trimmed === '' || Number.isNaN(number) &&
+            trimmed !== 'NaN') throw `Failed to parse number '${input}'` +
+            `${suffix}: Did not consume whole string.`;
+        return number;
+    };
+    const whole = (number, min, max) => {
+        if (typeof number !== 'number' || !Number.isFinite(number)) throw (
+            `Attempt to convert ${number} value to integer type${suffix}`);
+        const truncated = Math.trunc(number);
+        if (truncated < min || truncated > max) throw 'Conversion would ' +
+            `overflow target type${suffix}: ${number}`;
+        return truncated;
+    };
+    try {
+        switch (type) {
+            case 'bool':
+                if (typeof input === 'number') return input !== 0;
+                if (typeof input === 'bigint') return input !== BigInt(0);
+                return input !== false;
+            case 'date':
+                if (input instanceof Date) return new Date(input.getTime());
+                if (input instanceof ObjectId) return input.getTimestamp();
+                if (typeof input === 'number' || typeof input === 'bigint')
+                    return new Date(Number(input));
+                if (typeof input === 'string') {
+                    const date = new Date(input);
+                    if (Number.isNaN(date.getTime()))
+                        throw `Error parsing date string '${input}'`;
+                    return date;
+                }
+                throw unsupported();
+            case 'double':
+                if (typeof input === 'number') return input;
+                if (typeof input === 'bigint') return Number(input);
+                if (typeof input === 'boolean') return input ? 1 : 0;
+                if (input instanceof Date) return input.getTime();
+                if (typeof input === 'string') return parse();
+                throw unsupported();
+            case 'int':
+            case 'long': {
+                const [ min, max ] = type === 'int'
+                    ? [ -2147483648, 2147483647 ]
+                    : [ Number.MIN_SAFE_INTEGER, Number.MAX_SAFE_INTEGER ];
+                let number;
+                if (typeof input === 'boolean') number = input ? 1 : 0;
+                else if (typeof input === 'bigint') number = Number(input);
+                else if (typeof input === 'number') number = input;
+                else if (typeof input === 'string') {
+                    if (!/^[+-]?\d+$/.test(input)) {
+                        parse();
+                        throw `Failed to parse number '${input}'${suffix}: ` +
+                            'Bad digit';
+                    }
+                    number = Number(input);
+                } else if (input instanceof Date && type === 'long')
+                    number = input.getTime();
+                else throw unsupported();
+                const result = whole(number, min, max);
+                return type === 'long' ? BigInt(result) : result;
+            }
+            case 'string':
+                if (typeof input === 'string') return input;
+                if (typeof input === 'number' || typeof input === 'bigint' ||
+                    typeof input === 'boolean') return String(input);
+                if (input instanceof Date) return input.toISOString();
+                if (input instanceof ObjectId) return input.toHexString();
+                throw unsupported();
+            case 'objectId':
+                if (input instanceof ObjectId) return input;
+                if (typeof input === 'string' && /^[0-9a-f]{24}$/i.test(input))
+                    return new ObjectId(input);
+                if (typeof input === 'string') throw 'Failed to parse ' +
+                    `objectId '${input}'${suffix}: Invalid string length for ` +
+                    'parsing to OID, expected 24 but found ' + input.length;
+                throw unsupported();
+        }
+    } catch (message) {
+        if (typeof message !== 'string') throw message;
+        if (onError) return onError();
+        throw fail(begin, message);
+    }
+}
+
+
+/* ---------------------------------- Tests --------------------------------- */
+
+/**
+ * ### `expression.js` unit tests.
+ *
+ * @returns {void}
+ *    Does not return anything.
+ * @throws
+ *    Throws an `Error` if a test fails.
+ */
+export function expressionTest() {
+    const e2l = e => (e.stack.split('\n')[2].match(/([^\/]+\.js:\d+):\d+\)?$/)||[])[1];
+    const equal = (actual, expected) => { if (actual === expected) return;
+        try { throw Error() } catch(err) { throw Error(`actual:\n${actual}\n` +
+            `!== expected:\n${expected}\n...at ${e2l(err)}\n`) } };
+    const throws = (actual, expected) => { try { actual() } catch (err) {
+        if (err.message !== expected) { throw Error(`actual message:\n${err.message
+            }\n!== expected message:\n${expected}\n...at ${e2l(err)}\n`)} return }
+        throw Error(`expected message:\n${expected}\nbut nothing was thrown\n`) };
+    const toStr = value => JSON.stringify(value);
+    const ev = expression => toStr(evaluate(expression, doc, 'test()'));
+    const fails = (expression, message) =>
+        throws(()=>evaluate(expression, doc, 'test()'), 'test(): ' + message);
+
+    const doc = { _id:'e1', n:2, o:{ p:'q' }, a:[ { b:1 }, { c:2 }, { b:3 } ],
+        s:'Frog Spawn', nums:[ 3, 1, 4 ], nil:null,
+        when:new Date('2024-02-29T13:45:06.789Z') };
+
+    // Field paths should traverse sub-documents and arrays.
+    equal(ev('$n'), '2');
+    equal(ev('$o.p'), '"q"');
+    equal(ev('$a.b'), toStr([1,3]));
+    equal(ev('$missing'), void 0);
+
+    // Objects and arrays should have their values evaluated.
+    equal(ev({ x:'$n', y:{ z:'$o.p' }, m:'$missing' }),
+        toStr({ x:2, y:{ z:'q' } }));
+    equal(ev([ '$n', '$missing', 'lit' ]), toStr([ 2, null, 'lit' ]));
+
+    // Variables should be read, including their sub-fields.
+    equal(toStr(evaluate([ '$$v', '$$w.x' ], doc, 'test()', { v:1, w:{ x:2 } })),
+        toStr([1,2]));
+    throws(()=>evaluate('$$nope', doc, 'test()'),
+        'test(): Use of undefined variable: nope');
+    equal(ev([ '$$ROOT.n', '$$CURRENT.o' ]), toStr([ 2, { p:'q' } ]));
+    equal(ev({ x:'$$REMOVE', y:1 }), toStr({ y:1 }));
+    equal(ev({ $let:{ vars:{ d:{ $multiply:[ '$n', 2 ] } },
+        in:{ $add:[ '$$d', 1 ] } } }), '5');
+    fails({ $let:{ vars:{ Bad:1 }, in:1 } },
+        "'Bad' starts with an invalid character for a user variable name");
+
+    // `$literal` should stop evaluation.
+    equal(ev({ $literal:'$n' }), '"$n"');
+    equal(ev(5), '5');
+
+    // Arithmetic operators should treat null and missing values as null.
+    equal(ev({ $add:[ '$n', 3, 0.5 ] }), '5.5');
+    equal(ev({ $add:[ '$n', '$missing' ] }), 'null');
+    equal(ev({ $add:[ '$when', 1000 ] }), toStr(new Date('2024-02-29T13:45:07.789Z')));
+    equal(ev({ $subtract:[ '$when', new Date('2024-02-29T13:45:00Z') ] }), '6789');
+    equal(ev({ $multiply:[ '$n', 3, 2 ] }), '12');
+    equal(ev({ $divide:[ 7, '$n' ] }), '3.5');
+    equal(ev({ $mod:[ -7, 3 ] }), '-1');
+    equal(ev([ { $round:2.5 }, { $round:3.5 }, { $round:[ 1.2345, 2 ] },
+        { $round:[ 1234, -2 ] } ]), toStr([ 2, 4, 1.23, 1200 ]));
+    fails({ $add:[ 1, 'x' ] },
+        '$add only supports numeric or date types, not string');
+    fails({ $subtract:[ 1 ] },
+        'Expression $subtract takes exactly 2 arguments. 1 were passed in.');
+    fails({ $subtract:[ 'x', 1 ] }, "can't $subtract int from string");
+    fails({ $divide:[ 1, 0 ] }, "can't $divide by zero");
+    fails({ $mod:[ 'x', 2 ] }, '$mod only supports numeric types, not string and int');
+
+    // Comparison and boolean operators.
+    equal(ev([ { $eq:[ '$n', 2 ] }, { $gt:[ '$n', 2 ] }, { $lte:[ '$n', 2 ] },
+        { $ne:[ '$missing', null ] }, { $cmp:[ 'a', 'b' ] } ]),
+        toStr([ true, false, true, false, -1 ]));
+    equal(ev([ { $and:[ 1, '' ] }, { $or:[ 0, '$nil' ] }, { $not:[ 0 ] } ]),
+        toStr([ true, false, true ]));
+
+    // String operators.
+    equal(ev({ $concat:[ '$o.p', '-', '$s' ] }), '"q-Frog Spawn"');
+    equal(ev({ $concat:[ 'a', '$missing' ] }), 'null');
+    equal(ev([ { $toUpper:'$s' }, { $toLower:'$s' }, { $toUpper:'$missing' } ]),
+        toStr([ 'FROG SPAWN', 'frog spawn', '' ]));
+    equal(ev({ $substrCP:[ 'héllo', 1, 3 ] }), '"éll"');
+    equal(ev({ $split:[ '$s', ' ' ] }), toStr([ 'Frog', 'Spawn' ]));
+    equal(ev([ { $regexMatch:{ input:'$s', regex:'^frog', options:'i' } },
+        { $regexMatch:{ input:'$s', regex:/spawn$/ } } ]), toStr([ true, false ]));
+    fails({ $concat:[ 'a', 1 ] }, '$concat only supports strings, not int');
+    fails({ $substrCP:[ 'a', -1, 1 ] },
+        '$substrCP: starting index must be non-negative (got: -1)');
+    fails({ $split:[ 1, ',' ] }, '$split requires an expression that ' +
+        'evaluates to a string as a first argument, found: int');
+    fails({ $regexMatch:{ regex:'x' } }, "Missing 'input' parameter to $regexMatch");
+
+    // Conditional operators.
+    equal(ev([ { $cond:[ { $gt:[ '$n', 1 ] }, 'big', 'small' ] },
+        { $cond:{ if:'$nil', then:'yes', else:'no' } } ]), toStr([ 'big', 'no' ]));
+    equal(ev([ { $ifNull:[ '$missing', '$nil', 'fallback' ] },
+        { $ifNull:[ '$n', 0 ] } ]), toStr([ 'fallback', 2 ]));
+    equal(ev({ $switch:{ branches:[ { case:{ $eq:[ '$n', 1 ] }, then:'one' },
+        { case:{ $eq:[ '$n', 2 ] }, then:'two' } ], default:'many' } }), '"two"');
+    fails({ $cond:{ if:1, then:2 } }, "Missing 'else' parameter to $cond");
+    fails({ $ifNull:[ 1 ] }, '$ifNull needs at least two arguments, had: 1');
+    fails({ $switch:{ branches:[] } }, '$switch could not find a matching ' +
+        'branch for an input, and no default was specified.');
+
+    // Array operators.
+    equal(ev({ $map:{ input:'$nums', as:'x', in:{ $multiply:[ '$$x', '$n' ] } } }),
+        toStr([ 6, 2, 8 ]));
+    equal(ev({ $filter:{ input:'$nums', cond:{ $gt:[ '$$this', 2 ] } } }),
+        toStr([ 3, 4 ]));
+    equal(ev({ $filter:{ input:'$nums', cond:true, limit:1 } }), toStr([ 3 ]));
+    equal(ev({ $reduce:{ input:'$nums', initialValue:0,
+        in:{ $add:[ '$$value', '$$this' ] } } }), '8');
+    equal(ev([ { $size:'$nums' }, { $arrayElemAt:[ '$nums', -1 ] },
+        { $arrayElemAt:[ '$missing', 0 ] } ]), toStr([ 3, 4, null ]));
+    equal(ev({ $arrayElemAt:[ '$nums', 9 ] }), void 0);
+    equal(ev({ $map:{ input:'$missing', in:1 } }), 'null');
+    fails({ $map:{ input:'$s', in:1 } }, 'input to $map must be an array not string');
+    fails({ $size:'$missing' },
+        'The argument to $size must be an array. Type of argument was: missing');
+    fails({ $filter:{ input:[] } }, "Missing 'cond' parameter to $filter");
+
+    // Date operators, including timezones.
+    equal(ev({ $dateToString:{ date:'$when' } }), '"2024-02-29T13:45:06.789Z"');
+    equal(ev({ $dateToString:{ date:'$when', format:'%d/%m/%Y %H:%M %z %j %%',
+        timezone:'+05:30' } }), '"29/02/2024 19:15 +0530 060 %"');
+    equal(ev({ $dateToString:{ date:'$when', format:'%H:%M',
+        timezone:'America/New_York' } }), '"08:45"');
+    equal(ev({ $dateToString:{ date:'$missing', onNull:'none' } }), '"none"');
+    equal(ev([ { $year:'$when' }, { $month:'$when' }, { $dayOfMonth:'$when' },
+        { $dayOfWeek:'$when' }, { $hour:{ date:'$when', timezone:'-14:00' } } ]),
+        toStr([ 2024, 2, 29, 5, 23 ]));
+    equal(ev([ { $dateTrunc:{ date:'$when', unit:'month' } },
+        { $dateTrunc:{ date:'$when', unit:'quarter' } },
+        { $dateTrunc:{ date:'$when', unit:'hour', binSize:6 } },
+        { $dateTrunc:{ date:'$when', unit:'week', startOfWeek:'monday' } },
+        { $dateTrunc:{ date:'$when', unit:'day', timezone:'+02:00' } } ]), toStr([
+        new Date('2024-02-01T00:00:00Z'), new Date('2024-01-01T00:00:00Z'),
+        new Date('2024-02-29T12:00:00Z'), new Date('2024-02-26T00:00:00Z'),
+        new Date('2024-02-28T22:00:00Z') ]));
+    fails({ $year:'$s' }, "can't convert from BSON type string to Date");
+    fails({ $dateToString:{ date:'$when', format:'%Q' } },
+        "Invalid format character '%Q' in format string");
+    fails({ $dateToString:{ date:'$when', timezone:'Nowhere/Nope' } },
+        'unrecognized time zone identifier: "Nowhere/Nope"');
+    fails({ $dateTrunc:{ date:'$when', unit:'fortnight' } }, "$dateTrunc " +
+        "parameter 'unit' value cannot be recognized as a time unit: fortnight");
+
+    // Type conversion operators.
+    equal(ev([ { $toString:'$n' }, { $toString:2.5 }, { $toString:true },
+        { $toString:'$when' }, { $toString:'$missing' } ]),
+        toStr([ '2', '2.5', 'true', '2024-02-29T13:45:06.789Z', null ]));
+    equal(ev([ { $toInt:'42' }, { $toInt:-3.9 }, { $toInt:true },
+        { $toDouble:'1.5' }, { $toBool:'' }, { $toBool:0 } ]),
+        toStr([ 42, -3, 1, 1.5, true, false ]));
+    equal(toStr(evaluate({ $toLong:'9' }, doc, 'test()').toString()), '"9"');
+    equal(ev({ $toDate:'2024-02-29T00:00:00Z' }),
+        toStr(new Date('2024-02-29T00:00:00Z')));
+    equal(ev([ { $convert:{ input:'abc', to:'int', onError:-1 } },
+        { $convert:{ input:'$missing', to:'int', onNull:0 } },
+        { $convert:{ input:'7', to:16 } } ]), toStr([ -1, 0, 7 ]));
+    fails({ $toInt:'abc' }, "Failed to parse number 'abc' in $convert with " +
+        'no onError value: Did not consume whole string.');
+    fails({ $toInt:'1.5' }, "Failed to parse number '1.5' in $convert with " +
+        'no onError value: Bad digit');
+    fails({ $toInt:3e10 }, 'Conversion would overflow target type in ' +
+        '$convert with no onError value: 30000000000');
+    fails({ $toString:'$o' }, 'Unsupported conversion from object to string ' +
+        'in $convert with no onError value');
+    fails({ $convert:{ input:1, to:'nope' } }, 'Unknown type name: nope');
+    const oid = '64b7e6d0c2a1f3e4d5c6b7a8';
+    equal(ev([ { $toString:{ $toObjectId:oid } },
+        { $toDate:{ $toObjectId:oid } } ]),
+        toStr([ oid, '2023-07-19T13:36:16.000Z' ]));
+    fails({ $toObjectId:'abc' }, "Failed to parse objectId 'abc' in $convert " +
+        'with no onError value: Invalid string length for parsing to OID, ' +
+        'expected 24 but found 3');
+
+    // Unknown operators should fail.
+    throws(()=>evaluate({ $nope:1 }, doc, 'test()'),
+        "test(): Unrecognized expression '$nope'");
+    throws(()=>evaluate({ a:1, $b:2 }, doc, 'test()'),
+        "test(): FieldPath field names may not start with '$'. Consider " +
+        "using $getField or $setField.");
+    throws(()=>evaluate({ $nope:1 }, doc, ''),
+        "Unrecognized expression '$nope'");
+
+    // `isExpressionOperator()` should recognise operator objects.
+    equal(isExpressionOperator({ $sum:1 }), true);
+    equal(isExpressionOperator({ a:1 }), false);
+    equal(isExpressionOperator([ { $sum:1 } ]), false);
+
+    // `toBoolean()` should follow MongoDB's rules.
+    equal(toStr([ false, 0, null, void 0, '', NaN, [] ].map(toBoolean)),
+        toStr([ false, false, false, false, true, true, true ]));
+}
@@ -0,0 +1,143 @@
+import ObjectId from './object-id.js';
+import { isPlainObject } from './values.js';
+
+/**
+ * ### Converts values to and from MongoDB Extended JSON (v2).
+ *
+ * Plain JSON cannot tell a `Date` from a string, or an ObjectId from a hex
+ * string, so values like these are wrapped, eg `{ $oid:'64b7...' }`. The
+ * 'relaxed' format is used, so ordinary numbers and dates stay readable. But
+ * `BigInt`s, which Mongoish uses for longs, keep their `$numberLong` wrapper so
+ * that they round-trip.
+ */
+
+/**
+ * ### Converts a value into one which `JSON.stringify()` can store without
+ * losing its type.
+ *
+ * @param {any} value
+ *    The value, eg a document.
+ * @returns {any}
+ *    Returns a copy of the value, with special types wrapped.
+ */
+export function toExtendedJson(value) {
+    if (value === void 0) return { $undefined:true };
+    if (typeof value === 'bigint') return { $numberLong:`${value}` };
+    if (typeof value === 'number') return Number.isFinite(value)
+        ? (Object.is(value, -0) ? { $numberDouble:'-0.0' } : value)
+        : { $numberDouble:Number.isNaN(value) ? 'NaN'
+            : value > 0 ? 'Infinity' : '-Infinity' };
+    if (value === null || typeof value !== 'object') return value;
+    if (Array.isArray(value)) return value.map(toExtendedJson);
+    if (value instanceof ObjectId) return { $oid:value.toHexString() };
+    if (value instanceof Date) {
+        const time = value.getTime();
+        return time >= 0 && time < 253402300800000
+            ? { $date:value.toISOString() }
+            : { $date:{ $numberLong:`${time}` } };
+    }
+    if (value instanceof RegExp) return { $regularExpression:{
+        pattern:value.source, options:value.flags.split('').sort().join('') } };
+    if (ArrayBuffer.isView(value)) return { $binary:{ subType:'00',
+        base64:btoa(String.fromCharCode(...Array.from(new Uint8Array(
+            value.buffer, value.byteOffset, value.byteLength)))) } };
+    const copy = {};
+    for (const key of Object.keys(value)) copy[key] = toExtendedJson(value[key]);
+    return copy;
+}
+
+/**
+ * ### Converts a value which was read from Extended JSON back into the types
+ * that it was created from.
+ *
+ * @param {any} value
+ *    The value, eg from `JSON.parse()`.
+ * @returns {any}
+ *    Returns a copy of the value, with wrapped types unwrapped.
+ * @throws
+ *    Throws an `Error` if a wrapper is invalid, eg an `$oid` which is not a
+ *    24-character hex string.
+ */
+export function fromExtendedJson(value) {
+    if (Array.isArray(value)) return value.map(fromExtendedJson);
+    if (!isPlainObject(value)) return value;
+    const keys = Object.keys(value);
+    if (keys.length === 1 && keys[0] in wrappers)
+        return wrappers[keys[0]](value[keys[0]]);
+    const copy = {};
+    for (const key of keys) {
+        const item = fromExtendedJson(value[key]);
+        if (item !== void 0) copy[key] = item;
+    }
+    return copy;
+}
+
+
+/* ---------------------------------- Private ------------------------------- */
+
+// Unwraps each of the types that `toExtendedJson()` wraps, and a few which
+// the canonical format uses, like `$numberInt`.
+const wrappers = {
+    $binary: ({ base64 }) => Uint8Array.from(atob(base64), c => c.charCodeAt(0)),
+    $date: date => new Date(isPlainObject(date)
+        ? Number(date.$numberLong) : date),
+    $numberDouble: text => text === '-0.0' ? -0 : Number(text),
+    $numberInt: text => Number(text),
+    $numberLong: text => BigInt(text),
+    $oid: hex => new ObjectId(hex),
+    $regularExpression: ({ pattern, options }) => new RegExp(pattern, options),
+    $undefined: () => void 0,
+};
+
+
+/* ---------------------------------- Tests --------------------------------- */
+
+/**
+ * ### `extended-json.js` unit tests.
+ *
+ * @returns {void}
+ *    Does not return anything.
+ * @throws
+ *    Throws an `Error` if a test fails.
+ */
+export function extendedJsonTest() {
+    const e2l = e => (e.stack.split('\n')[2].match(/([^\/]+\.js:\d+):\d+\)?$/)||[])[1];
+    const equal = (actual, expected) => { if (actual === expected) return;
+        try { throw Error() } catch(err) { throw Error(`actual:\n${actual}\n` +
+            `!== expected:\n${expected}\n...at ${e2l(err)}\n`) } };
+    const toStr = value => JSON.stringify(value);
+
+    // Special types should be wrapped, and plain values left alone.
+    const oid = '64b7e6d0c2a1f3e4d5c6b7a8';
+    const document = { _id:new ObjectId(oid), n:1.5, s:'x', t:true, z:null,
+        when:new Date(Date.UTC(2024, 1, 29)), old:new Date(-1), big:BigInt(9),
+        nan:NaN, rx:/a.c/mi, bin:Uint8Array.from([ 1, 2, 255 ]),
+        list:[ { d:new Date(0) } ] };
+    const json = toStr(toExtendedJson(document));
+    equal(json, toStr({ _id:{ $oid:oid }, n:1.5, s:'x', t:true, z:null,
+        when:{ $date:'2024-02-29T00:00:00.000Z' },
+        old:{ $date:{ $numberLong:'-1' } }, big:{ $numberLong:'9' },
+        nan:{ $numberDouble:'NaN' },
+        rx:{ $regularExpression:{ pattern:'a.c', options:'im' } },
+        bin:{ $binary:{ subType:'00', base64:'AQL/' } },
+        list:[ { d:{ $date:'1970-01-01T00:00:00.000Z' } } ] }));
+
+    // Unwrapping should restore every type.
+    const restored = fromExtendedJson(JSON.parse(json));
+    equal(restored._id instanceof ObjectId, true);
+    equal(restored._id.toHexString(), oid);
+    equal(restored.when.getTime(), document.when.getTime());
+    equal(restored.old.getTime(), -1);
+    equal(restored.big, BigInt(9));
+    equal(Number.isNaN(restored.nan), true);
+    equal(`${restored.rx}`, '/a.c/im');
+    equal(toStr(Array.from(restored.bin)), '[1,2,255]');
+    equal(restored.list[0].d instanceof Date, true);
+    equal(restored.s, 'x');
+
+    // Canonical wrappers, -0 and undefined should also round-trip.
+    equal(fromExtendedJson({ $numberInt:'7' }), 7);
+    equal(Object.is(fromExtendedJson(toExtendedJson(-0)), -0), true);
+    equal(toStr(fromExtendedJson(toExtendedJson({ a:void 0, b:1 }))),
+        toStr({ b:1 }));
+}
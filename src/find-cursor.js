@@ -0,0 +1,465 @@
+import { aintaFunction, aintaObject } from '@0bdx/ainta';
+import AbstractCursor from './abstract-cursor.js';
+import { compileProjection } from './projection.js';
+import { compileSort } from './sort.js';
+
+/**
+ * ### The options which `FindCursor` understands.
+ *
+ * @typedef {Object} FindOptions
+ * @property {boolean} [awaitData]
+ *    If `true`, reading a tailable cursor waits for the next document.
+ * @property {number} [batchSize]
+ *    Accepted for compatibility with `mongodb`, but has no effect.
+ * @property {number} [limit]
+ *    The maximum number of documents to return, where `0` means no limit.
+ * @property {Object} [projection]
+ *    Which fields to return, eg `{ _id:0, name:1 }`.
+ * @property {import('./client-session.js').default} [session]
+ *    A session, so that a transaction in progress sees its own writes.
+ * @property {number} [skip]
+ *    The number of matching documents to skip.
+ * @property {Object} [sort]
+ *    The sort order, eg `{ age:-1, name:1 }`.
+ * @property {boolean} [tailable]
+ *    If `true`, the cursor carries on reading documents which are inserted
+ *    after it is first read. `sort`, `skip` and `limit` only apply to the
+ *    documents found then.
+ */
+
+/**
+ * ### A cursor over the results of `find()`, like the `mongodb` `FindCursor`.
+ *
+ * The query is not run until the cursor is first read, for example using
+ * `next()`, `toArray()` or `for await...of`. Until then, methods like `sort()`
+ * and `limit()` can be chained to change the query. After that, calling them
+ * throws an `Error`.
+ *
+ * A tailable cursor is not exhausted by reading its last document. With
+ * `awaitData`, `next()`, `hasNext()` and `for await...of` wait for the next
+ * document to be inserted, until the cursor is closed. `tryNext()` and
+ * `toArray()` never wait.
+ */
+export default class FindCursor extends AbstractCursor {
+    /**
+     * ### Creates a cursor which will fetch documents when it is first read.
+     *
+     * @param {function():Promise<object[]>} fetch
+     *    An async function which resolves to every document that matches the
+     *    filter, in natural order.
+     * @param {FindOptions} [options={}]
+     *    Optional `sort`, `skip`, `limit`, `projection`, `batchSize`,
+     *    `tailable` and `awaitData`.
+     * @param {function(number,function():void=):Promise<{documents:object[],position:number}>} [tail]
+     *    For a tailable cursor, an async function which resolves to the
+     *    matching documents inserted since a position, in natural order, and
+     *    the position after them. It starts at `0`. If it is also passed a
+     *    function, that is called at the next write to the collection.
+     * @throws
+     *    Throws an `Error` if any of the arguments are invalid.
+     */
+    constructor(fetch, options = {}, tail) {
+        super();
+        const begin = 'new FindCursor()';
+
+        // Validate the arguments.
+        const aFetch = aintaFunction(fetch, 'fetch', { begin });
+        if (aFetch) throw Error(aFetch);
+        const aOptions = aintaObject(options, 'options', { begin, open:true });
+        if (aOptions) throw Error(aOptions);
+        if (options.tailable) {
+            const aTail = aintaFunction(tail, 'tail', { begin });
+            if (aTail) throw Error(aTail);
+        }
+
+        // Store the function which fetches the matching documents, and for a
+        // tailable cursor, the function which reads on from a position.
+        this._fetch = fetch;
+        this._tail = options.tailable ? tail : null;
+        this._awaitData = !!options.awaitData;
+
+        // Apply the options, using the same methods that chaining would use.
+        if (options.sort !== void 0) this.sort(options.sort);
+        if (options.skip !== void 0) this.skip(options.skip);
+        if (options.limit !== void 0) this.limit(options.limit);
+        if (options.projection !== void 0) this.project(options.projection);
+        if (options.batchSize !== void 0) this.batchSize(options.batchSize);
+    }
+
+    // The query modifiers, which can be changed until the cursor is read.
+    _sort = null;
+    _skip = 0;
+    _limit = 0;
+    _projection = null;
+
+    // For a tailable cursor, the position after the documents read so far.
+    _position = 0;
+
+    // Functions which wake up readers waiting for a tailable cursor's next
+    // document.
+    /** @type {(function(any=):void)[]} */
+    _wakers = [];
+
+    /**
+     * ### Creates a new, unread cursor with the same query and options.
+     *
+     * @returns {FindCursor}
+     *    Returns a new cursor.
+     */
+    clone() {
+        const cursor = new FindCursor(this._fetch);
+        cursor._sort = this._sort;
+        cursor._skip = this._skip;
+        cursor._limit = this._limit;
+        cursor._projection = this._projection;
+        cursor._transforms = this._transforms.slice();
+        cursor._tail = this._tail;
+        cursor._awaitData = this._awaitData;
+        return cursor;
+    }
+
+    /**
+     * ### Closes the cursor, waking up any reader waiting for a tailable
+     * cursor's next document.
+     *
+     * @returns {Promise<void>}
+     *    Returns a `Promise` which does not resolve to anything.
+     */
+    async close() {
+        await super.close();
+        for (const wake of this._wakers.splice(0)) wake();
+    }
+
+    /**
+     * ### Counts the matching documents, taking `skip()` and `limit()` into
+     * account.
+     *
+     * Deprecated in the `mongodb` package, in favour of `countDocuments()`.
+     *
+     * @returns {Promise<number>}
+     *    Returns a `Promise` which resolves to the number of documents.
+     * @throws
+     *    Throws an `Error` if the cursor has been closed.
+     */
+    async count() {
+        this._throwIfClosed('count()');
+        const documents = await this._fetch();
+        const skipped = Math.max(documents.length - this._skip, 0);
+        return this._limit ? Math.min(skipped, this._limit) : skipped;
+    }
+
+    /**
+     * ### Sets the maximum number of documents to return.
+     *
+     * @param {number} value
+     *    The limit, where `0` means no limit. Like MongoDB, a negative limit
+     *    is treated as a positive one.
+     * @returns {FindCursor}
+     *    Returns this cursor, so that calls can be chained.
+     * @throws
+     *    Throws an `Error` if `value` is invalid, or the cursor has been read.
+     */
+    limit(value) {
+        this._throwIfInitialized('limit()');
+        this._validateInteger('limit()', 'limit', value, true);
+        this._limit = Math.abs(value);
+        return this;
+    }
+
+    /**
+     * ### Sets which fields to return.
+     *
+     * @param {Object} projection
+     *    The projection, eg `{ _id:0, name:1 }`.
+     * @returns {FindCursor}
+     *    Returns this cursor, so that calls can be chained.
+     * @throws
+     *    Throws an `Error` if `projection` is invalid, or the cursor has been
+     *    read.
+     */
+    project(projection) {
+        const begin = 'project()';
+        this._throwIfInitialized(begin);
+        const aProjection = aintaObject(projection, 'projection', { begin,
+            open:true });
+        if (aProjection) throw Error(aProjection);
+        this._projection = compileProjection(projection, begin);
+        return this;
+    }
+
+    /**
+     * ### Sets the number of matching documents to skip.
+     *
+     * @param {number} value
+     *    The number to skip, which must be a non-negative integer.
+     * @returns {FindCursor}
+     *    Returns this cursor, so that calls can be chained.
+     * @throws
+     *    Throws an `Error` if `value` is invalid, or the cursor has been read.
+     */
+    skip(value) {
+        this._throwIfInitialized('skip()');
+        this._validateInteger('skip()', 'skip', value);
+        this._skip = value;
+        return this;
+    }
+
+    /**
+     * ### Sets the sort order.
+     *
+     * @param {Object<string,1|-1>|string} sort
+     *    The sort order, eg `{ age:-1, name:1 }`, or a single field name.
+     * @param {1|-1} [direction=1]
+     *    The direction, if `sort` is a single field name.
+     * @returns {FindCursor}
+     *    Returns this cursor, so that calls can be chained.
+     * @throws
+     *    Throws an `Error` if `sort` is invalid, or the cursor has been read.
+     */
+    sort(sort, direction = 1) {
+        const begin = 'sort()';
+        this._throwIfInitialized(begin);
+        const spec = typeof sort === 'string' ? { [sort]:direction } : sort;
+        const aSort = aintaObject(spec, 'sort', { begin, open:true });
+        if (aSort) throw Error(aSort);
+        this._sort = compileSort(spec, begin);
+        return this;
+    }
+
+    /**
+     * ### Runs the query, then sorts, skips, limits and projects the results.
+     *
+     * @returns {Promise<object[]>}
+     *    Returns a `Promise` which resolves to an array of documents.
+     */
+    async _load() {
+        let documents;
+        if (this._tail) {
+            const tailed = await this._tail(0);
+            documents = tailed.documents;
+            this._position = tailed.position;
+        } else {
+            documents = await this._fetch();
+        }
+        if (this._sort) documents.sort(this._sort);
+        documents = documents.slice(this._skip,
+            this._limit ? this._skip + this._limit : void 0);
+        if (this._projection) documents = documents.map(this._projection);
+        return documents;
+    }
+
+    /**
+     * ### Reads the documents inserted since a tailable cursor last read.
+     *
+     * With `awaitData` and `wait`, if there are none, this waits for the next
+     * write to the collection and reads again, until there is a document or
+     * the cursor is closed.
+     *
+     * @param {boolean} wait
+     *    Whether to wait for a document, if the cursor has `awaitData`.
+     * @returns {Promise<boolean>}
+     *    Returns a `Promise` which resolves to `true` if documents were read.
+     */
+    async _more(wait) {
+        const waits = wait && this._awaitData;
+        while (this._tail && !this._isClosed) {
+            let wake;
+            const woken = new Promise(resolve => wake = resolve);
+            const { documents, position } =
+                await this._tail(this._position, waits ? wake : void 0);
+            if (this._isClosed) break;
+            this._position = position;
+            if (documents.length) {
+                this._buffer.push(...(this._projection
+                    ? documents.map(this._projection) : documents));
+                return true;
+            }
+            if (!waits) break;
+            this._wakers.push(wake);
+            await woken;
+            this._wakers = this._wakers.filter(other => other !== wake);
+        }
+        return false;
+    }
+}
+
+
+/* ---------------------------------- Tests --------------------------------- */
+
+/**
+ * ### `FindCursor` unit tests.
+ *
+ * @param {typeof FindCursor} C
+ *    The `FindCursor` class to test.
+ * @returns {Promise<void>}
+ *    Returns a `Promise` which does not resolve to anything.
+ * @throws
+ *    Throws an `Error` if a test fails.
+ */
+export async function findCursorTest(C) {
+    const e2l = e => (e.stack.split('\n')[2].match(/([^\/]+\.js:\d+):\d+\)?$/)||[])[1];
+    const equal = (actual, expected) => { if (actual === expected) return;
+        try { throw Error() } catch(err) { throw Error(`actual:\n${actual}\n` +
+            `!== expected:\n${expected}\n...at ${e2l(err)}\n`) } };
+    const throws = async (actual, expected) => { try { const result = actual();
+            if (result instanceof Promise) await result } catch (err) {
+        if (err.message !== expected) { throw Error(`actual message:\n${err.message
+            }\n!== expected message:\n${expected}\n...at ${e2l(err)}\n`)} return }
+        throw Error(`expected message:\n${expected}\nbut nothing was thrown\n`) };
+    const toStr = value => JSON.stringify(value);
+
+    // Mock the function which fetches documents, counting how often it runs.
+    let fetchCount = 0;
+    const fetch = async () => { fetchCount++; return [
+        { _id:'c1', n:3, s:'x' },
+        { _id:'c2', n:1, s:'y' },
+        { _id:'c3', n:2, s:'z' },
+        { _id:'c4', n:4, s:'w' },
+    ] };
+    const ids = documents => documents.map(d => d._id).join();
+
+    // Instantiating a `FindCursor` with invalid arguments should fail.
+    // @ts-expect-error
+    throws(()=>new C(),
+        "new FindCursor(): `fetch` is type 'undefined' not 'function'");
+    throws(()=>new C(fetch, null),
+        "new FindCursor(): `options` is null not a regular object");
+    throws(()=>new C(fetch, { skip:-2 }),
+        "skip(): `skip` -2 is not gte 0");
+
+    // The query should not run until the cursor is read.
+    const cursor_1 = new C(fetch).sort({ n:-1 }).skip(1).limit(2);
+    equal(fetchCount, 0);
+    equal(toStr(await cursor_1.toArray()), toStr([
+        { _id:'c1', n:3, s:'x' }, { _id:'c3', n:2, s:'z' } ]));
+    equal(fetchCount, 1);
+
+    // Modifying a cursor after it has been read should fail.
+    throws(()=>cursor_1.sort('n'),
+        "sort(): Cursor is already initialized");
+    throws(()=>cursor_1.limit(1),
+        "limit(): Cursor is already initialized");
+    throws(()=>cursor_1.map(d => d),
+        "map(): Cursor is already initialized");
+
+    // A cursor which has been read to the end should return no more documents.
+    equal(toStr(await cursor_1.toArray()), toStr([]));
+    equal(await cursor_1.next(), null);
+    equal(await cursor_1.hasNext(), false);
+
+    // Invalid modifiers should fail.
+    throws(()=>new C(fetch).limit(1.5),
+        "limit(): `limit` 1.5 is not divisible by 1");
+    // @ts-expect-error
+    throws(()=>new C(fetch).batchSize('10'),
+        "batchSize(): `batchSize` is type 'string' not 'number'");
+    throws(()=>new C(fetch).project({ n:1, s:0 }),
+        "project(): Cannot do exclusion on field s in inclusion projection");
+    // @ts-expect-error
+    throws(()=>new C(fetch).sort({ n:'up' }),
+        "sort(): $sort key ordering must be 1 (for ascending) or -1 (for descending)");
+
+    // `next()` and `hasNext()` should read one document at a time, and
+    // `project()` and `map()` should transform each document.
+    const cursor_2 = new C(fetch, { sort:{ s:1 }, projection:{ _id:0, s:1 } })
+        .map(d => d.s).map(s => s.toUpperCase()).batchSize(2);
+    equal(await cursor_2.hasNext(), true);
+    equal(await cursor_2.next(), 'W');
+    equal(await cursor_2.tryNext(), 'X');
+    equal(toStr(await cursor_2.toArray()), toStr(['Y','Z']));
+    equal(await cursor_2.hasNext(), false);
+
+    // `forEach()` should stop early if the iterator returns `false`.
+    const seen = [];
+    await new C(fetch).forEach(d => { seen.push(d._id); return d.n !== 1 });
+    equal(seen.join(), 'c1,c2');
+
+    // The cursor should work with `for await...of`.
+    const iterated = [];
+    for await (const d of new C(fetch).sort('n', -1).limit(-3))
+        iterated.push(d._id);
+    equal(iterated.join(), 'c4,c1,c3');
+
+    // `count()` should take `skip()` and `limit()` into account.
+    equal(await new C(fetch).count(), 4);
+    equal(await new C(fetch).skip(3).limit(2).count(), 1);
+
+    // `clone()` and `rewind()` should allow the query to run again.
+    const cursor_3 = new C(fetch).sort({ n:1 }).limit(2);
+    equal(ids(await cursor_3.toArray()), 'c2,c3');
+    equal(ids(await cursor_3.clone().toArray()), 'c2,c3');
+    cursor_3.rewind();
+    equal(ids(await cursor_3.toArray()), 'c2,c3');
+
+    // Using a cursor after it has been closed should fail.
+    const cursor_4 = new C(fetch);
+    equal(cursor_4.closed, false);
+    equal(await cursor_4.close(), void 0);
+    equal(cursor_4.closed, true);
+    equal(await cursor_4.hasNext(), false);
+    throws(()=>cursor_4.next(),
+        "next(): Cursor is exhausted");
+    throws(()=>cursor_4.toArray(),
+        "toArray(): Cursor is exhausted");
+    throws(()=>cursor_4.skip(1),
+        "skip(): Cursor is already initialized");
+    const afterClose = [];
+    for await (const d of cursor_4) afterClose.push(d);
+    equal(afterClose.length, 0);
+
+    // Reads which start together should share one query, and a query which
+    // fails should fail every read, rather than leaving the cursor empty.
+    fetchCount = 0;
+    const cursor_7 = new C(fetch);
+    const [ first, second ] = await Promise.all([ cursor_7.next(),
+        cursor_7.next() ]);
+    equal(`${fetchCount}:${first._id}:${second._id}`, '1:c1:c2');
+    let failures = 0;
+    const cursor_8 = new C(async () => {
+        if (failures++ < 2) throw Error('Query failed'); return [ { _id:1 } ] });
+    await throws(()=>cursor_8.next(), 'Query failed');
+    await throws(()=>cursor_8.toArray(), 'Query failed');
+    equal(toStr(await cursor_8.toArray()), toStr([ { _id:1 } ]));
+
+    // Mock a capped collection, which wakes the tailing cursor on each write.
+    const capped = [];
+    let wakeTail = () => {};
+    const tail = async (position, wake) => {
+        if (wake) wakeTail = wake;
+        return { documents:capped.slice(position), position:capped.length } };
+    const write = document => { capped.push(document); wakeTail() };
+    write({ _id:'t1', n:1 });
+
+    // A tailable cursor should need a `tail` function.
+    throws(()=>new C(fetch, { tailable:true }),
+        "new FindCursor(): `tail` is type 'undefined' not 'function'");
+
+    // A tailable cursor without `awaitData` should read on from where it got
+    // to, but not wait.
+    const cursor_5 = new C(fetch, { tailable:true }, tail)
+        .project({ _id:1 });
+    equal(toStr(await cursor_5.toArray()), toStr([ { _id:'t1' } ]));
+    equal(await cursor_5.next(), null);
+    write({ _id:'t2', n:2 });
+    equal(toStr(await cursor_5.next()), toStr({ _id:'t2' }));
+    equal(await cursor_5.hasNext(), false);
+
+    // With `awaitData`, `next()` should wait for the next write, but
+    // `tryNext()` should not. Closing the cursor should end the wait.
+    const cursor_6 = new C(fetch, { tailable:true, awaitData:true }, tail);
+    equal(ids(await cursor_6.toArray()), 't1,t2');
+    equal(await cursor_6.tryNext(), null);
+    const waiting = cursor_6.next();
+    write({ _id:'t3', n:3 });
+    equal((await waiting)._id, 't3');
+    const tailed = [];
+    setTimeout(() => write({ _id:'t4', n:4 }), 1);
+    for await (const d of cursor_6.clone()) {
+        tailed.push(d._id);
+        if (d._id === 't4') break;
+    }
+    equal(tailed.join(), 't1,t2,t3,t4');
+    const ended = cursor_6.next();
+    await cursor_6.close();
+    equal(await ended, null);
+}
@@ -1,3 +1,18 @@
+export { default as Admin } from './admin.js';
+export { default as AggregationCursor } from './aggregation-cursor.js';
+export { default as BulkWriteResult } from './bulk-write-result.js';
+export { default as ChangeStream } from './change-stream.js';
+export { default as ClientSession } from './client-session.js';
 export { default as Collection } from './collection.js';
 export { default as Database } from './database.js';
+export { default as FindCursor } from './find-cursor.js';
+export { default as ListCollectionsCursor } from './list-collections-cursor.js';
+export { default as ListIndexesCursor } from './list-indexes-cursor.js';
 export { default as MongoishClient } from './mongoish-client.js';
+export { default as ObjectId } from './object-id.js';
+export {
+    MongoBulkWriteError,
+    MongoParseError,
+    MongoServerError,
+    MongoTransactionError,
+} from './errors.js';
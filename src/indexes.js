@@ -0,0 +1,363 @@
+import { matchesFilter } from './query.js';
+import {
+    compareValues,
+    inspectValue,
+    isPlainObject,
+    resolvePath,
+} from './values.js';
+
+/**
+ * ### A secondary index, as listed by `listIndexes()`.
+ *
+ * @typedef {Object} IndexSpec
+ * @property {number} v
+ *    The index version, which is always `2`, like current MongoDB versions.
+ * @property {Object<string,number>} key
+ *    The indexed fields and their directions, `1` or `-1`, eg `{ email:1 }`.
+ * @property {string} name
+ *    The index name, eg `'email_1'`.
+ * @property {boolean} [unique]
+ *    If `true`, no two documents can have the same key.
+ * @property {boolean} [sparse]
+ *    If `true`, documents which have none of the indexed fields are skipped.
+ * @property {object} [partialFilterExpression]
+ *    If set, only documents which match this filter are indexed.
+ */
+
+/**
+ * ### Checks the `keys` argument of `createIndex()`, and creates an
+ * `IndexSpec` from it and the options.
+ *
+ * @param {string|Object<string,1|-1>} keys
+ *    The fields to index, eg `'email'` or `{ lastName:1, age:-1 }`.
+ * @param {{name?:string,partialFilterExpression?:object,sparse?:boolean,unique?:boolean}} options
+ *    The index options, which have already been validated.
+ * @param {string} begin
+ *    The name of the calling method, used to begin any error message.
+ * @returns {IndexSpec}
+ *    Returns the index, with a generated name if `options.name` is missing.
+ * @throws
+ *    Throws an `Error` if `keys` is invalid.
+ */
+export function createIndexSpec(keys, options, begin) {
+    const key = typeof keys === 'string' ? { [keys]:1 } : keys;
+    if (!isPlainObject(key) || !Object.keys(key).length) throw Error(
+        `${begin}: Index keys cannot be an empty field`);
+    for (const field in key) if (key[field] !== 1 && key[field] !== -1)
+        throw Error(`${begin}: Values in the index key pattern must be 1 or ` +
+            `-1, not ${inspectValue(key[field])} for '${field}'`);
+
+    const { name, partialFilterExpression, sparse, unique } = options;
+    return {
+        v: 2,
+        key: { ...key },
+        name: name || Object.keys(key).map(f => `${f}_${key[f]}`).join('_'),
+        ...(unique && { unique }),
+        ...(sparse && { sparse }),
+        ...(partialFilterExpression && { partialFilterExpression }),
+    };
+}
+
+/**
+ * ### Returns the keys that a document has in an index.
+ *
+ * Like MongoDB, a missing field is indexed as `null`, and an array field is
+ * indexed once for each of its items, so a unique index on `tags` stops two
+ * documents sharing a tag. Paths are resolved like query filters resolve them,
+ * so `'a.b'` reaches into an array of sub-documents.
+ *
+ * @param {object} document
+ *    The document to index.
+ * @param {IndexSpec} spec
+ *    The index.
+ * @returns {Object<string,any>[]}
+ *    Returns the keys, eg `[ { tags:'a' }, { tags:'b' } ]`, or an empty array
+ *    if a sparse or partial index skips the document.
+ */
+export function indexKeys(document, spec) {
+    const fields = Object.keys(spec.key);
+    const resolved = fields.map(field => resolvePath(document, field)
+        .flatMap(value => Array.isArray(value)
+            ? (value.length ? value : [ void 0 ]) : [ value ]));
+    if (spec.sparse && resolved.every(values => values.every(v => v === void 0)))
+        return [];
+    if (spec.partialFilterExpression &&
+        !matchesFilter(document, spec.partialFilterExpression)) return [];
+
+    let keys = [ {} ];
+    fields.forEach((field, i) => {
+        const items = resolved[i].map(item => item === void 0 ? null : item)
+            .filter((item, j, all) => all.findIndex(other =>
+                compareValues(other, item) === 0) === j);
+        keys = keys.flatMap(key => items.map(item =>
+            ({ ...key, [field]:item })));
+    });
+    return keys;
+}
+
+/**
+ * ### Finds the first key which two documents share in a unique index.
+ *
+ * @param {IndexSpec} spec
+ *    The index, which is only checked if it is unique.
+ * @param {object[]} existing
+ *    The documents which are staying in the collection.
+ * @param {object[]} written
+ *    The documents which are being inserted, or the new versions of updated
+ *    documents.
+ * @returns {Object<string,any>|null}
+ *    Returns the duplicated key, eg `{ email:'a@b.c' }`, or `null`.
+ */
+export function findDuplicateKey(spec, existing, written) {
+    if (!spec.unique) return null;
+    const seen = new Set();
+    for (const document of existing.concat(written)) {
+        const ids = Array.from(new Set(indexKeys(document, spec).map(key =>
+            inspectValue(key))));
+        for (const id of ids) {
+            if (seen.has(id)) return indexKeys(document, spec)
+                .find(key => inspectValue(key) === id);
+            seen.add(id);
+        }
+    }
+    return null;
+}
+
+/**
+ * ### A secondary index's keys, kept in order so that equality and range
+ * conditions can be answered with a binary search instead of a full scan.
+ *
+ * Each entry pairs a key, as an array of field values, with the id of the
+ * document it came from. Ids are whatever string the caller uses to identify
+ * documents.
+ */
+export class OrderedIndex {
+    /**
+     * ### Creates an empty ordered index.
+     *
+     * @param {IndexSpec} spec
+     *    The index, whose `key` gives the order.
+     */
+    constructor(spec) {
+        this.spec = spec;
+        this._fields = Object.keys(spec.key);
+        this._directions = Object.values(spec.key);
+
+        /** @type {{key:any[],id:string}[]} */
+        this._entries = [];
+
+        // The keys added for each id, so that they can be removed.
+        /** @type {Map<string,any[][]>} */
+        this._keysById = new Map();
+
+        // Becomes `true` once a document has several values for the first
+        // field, eg from an array. Like MongoDB's multikey indexes, a range
+        // like `{ $gt:1, $lt:3 }` can then only use one of its bounds, because
+        // `[ 0, 5 ]` matches it without having a value between the bounds.
+        this.multikey = false;
+    }
+
+    /**
+     * ### Adds a document's keys to the index.
+     *
+     * @param {string} id
+     *    The id of the document.
+     * @param {object} document
+     *    The document.
+     * @returns {void}
+     *    Does not return anything.
+     */
+    add(id, document) {
+        const keys = indexKeys(document, this.spec)
+            .map(key => this._fields.map(field => key[field]));
+        for (const key of keys) this._entries.splice(
+            this._partition(entry => this._compare(entry.key, key) <= 0), 0,
+            { key, id });
+        this._keysById.set(id, keys);
+        if (keys.some(key => compareValues(key[0], keys[0][0])))
+            this.multikey = true;
+    }
+
+    /**
+     * ### Removes a document's keys from the index.
+     *
+     * @param {string} id
+     *    The id of the document.
+     * @returns {void}
+     *    Does not return anything.
+     */
+    remove(id) {
+        for (const key of this._keysById.get(id) || []) {
+            let i = this._partition(entry => this._compare(entry.key, key) < 0);
+            while (this._entries[i].id !== id) i++;
+            this._entries.splice(i, 1);
+        }
+        this._keysById.delete(id);
+    }
+
+    /**
+     * ### Finds the documents which have a key in the index.
+     *
+     * @param {Object<string,any>} key
+     *    The key, eg `{ email:'a@b.c' }`.
+     * @returns {string[]}
+     *    Returns the ids of the documents.
+     */
+    idsForKey(key) {
+        const values = this._fields.map(field => key[field]);
+        const ids = [];
+        for (let i = this._partition(entry => this._compare(entry.key,
+            values) < 0); i < this._entries.length &&
+            !this._compare(this._entries[i].key, values); i++)
+            ids.push(this._entries[i].id);
+        return ids;
+    }
+
+    /**
+     * ### Finds the documents whose first indexed field is within a range.
+     *
+     * @param {any} low
+     *    The lowest value, or `undefined` for no lower bound.
+     * @param {boolean} lowInclusive
+     *    If `true`, a value equal to `low` is in the range.
+     * @param {any} high
+     *    The highest value, or `undefined` for no upper bound.
+     * @param {boolean} highInclusive
+     *    If `true`, a value equal to `high` is in the range.
+     * @returns {string[]}
+     *    Returns the ids of the documents, which may include duplicates.
+     */
+    idsInRange(low, lowInclusive, high, highInclusive) {
+        const below = ({ key }) => low !== void 0 &&
+            compareValues(key[0], low) < (lowInclusive ? 0 : 1);
+        const above = ({ key }) => high !== void 0 &&
+            compareValues(key[0], high) > (highInclusive ? 0 : -1);
+        const [ start, end ] = this._directions[0] === 1
+            ? [ this._partition(below), this._partition(e => !above(e)) ]
+            : [ this._partition(above), this._partition(e => !below(e)) ];
+        return this._entries.slice(start, end).map(({ id }) => id);
+    }
+
+    // Compares two keys, using the direction of each field.
+    _compare(a, b) {
+        for (let i = 0; i < a.length; i++) {
+            const result = compareValues(a[i], b[i]) * this._directions[i];
+            if (result) return result;
+        }
+        return 0;
+    }
+
+    // Returns the index of the first entry which fails `predicate`, which must
+    // be true for every entry before that, and false for every entry after.
+    _partition(predicate) {
+        let low = 0;
+        let high = this._entries.length;
+        while (low < high) {
+            const middle = (low + high) >>> 1;
+            if (predicate(this._entries[middle])) low = middle + 1;
+            else high = middle;
+        }
+        return low;
+    }
+}
+
+/**
+ * ### Formats an index key like MongoDB's E11000 messages, eg
+ * `{ email: "a@b.c" }`.
+ *
+ * @param {Object<string,any>} key
+ *    The key to format.
+ * @returns {string}
+ *    Returns the key as it would appear after `dup key: `.
+ */
+export function formatIndexKey(key) {
+    const pairs = Object.keys(key).map(f => `${f}: ${inspectValue(key[f])}`);
+    return `{ ${pairs.join(', ')} }`;
+}
+
+
+/* ---------------------------------- Tests --------------------------------- */
+
+/**
+ * ### `indexes.js` unit tests.
+ *
+ * @returns {void}
+ *    Does not return anything.
+ * @throws
+ *    Throws an `Error` if a test fails.
+ */
+export function indexesTest() {
+    const e2l = e => (e.stack.split('\n')[2].match(/([^\/]+\.js:\d+):\d+\)?$/)||[])[1];
+    const equal = (actual, expected) => { if (actual === expected) return;
+        try { throw Error() } catch(err) { throw Error(`actual:\n${actual}\n` +
+            `!== expected:\n${expected}\n...at ${e2l(err)}\n`) } };
+    const throws = (actual, expected) => { try { actual() } catch (err) {
+        if (err.message !== expected) { throw Error(`actual message:\n${err.message
+            }\n!== expected message:\n${expected}\n...at ${e2l(err)}\n`)} return }
+        throw Error(`expected message:\n${expected}\nbut nothing was thrown\n`) };
+    const toStr = value => JSON.stringify(value);
+
+    // `createIndexSpec()` should generate names, and only list set options.
+    equal(toStr(createIndexSpec('email', {}, 'test()')),
+        toStr({ v:2, key:{ email:1 }, name:'email_1' }));
+    equal(toStr(createIndexSpec({ a:1, 'b.c':-1 }, { unique:true,
+        sparse:false, name:'ab' }, 'test()')),
+        toStr({ v:2, key:{ a:1, 'b.c':-1 }, name:'ab', unique:true }));
+    throws(()=>createIndexSpec({}, {}, 'test()'),
+        'test(): Index keys cannot be an empty field');
+    // @ts-expect-error
+    throws(()=>createIndexSpec({ a:0 }, {}, 'test()'),
+        "test(): Values in the index key pattern must be 1 or -1, not 0 for 'a'");
+
+    // `indexKeys()` should index missing fields as null, and arrays by item.
+    const spec = createIndexSpec({ a:1, b:1 }, {}, 'test()');
+    equal(toStr(indexKeys({ a:1 }, spec)), toStr([ { a:1, b:null } ]));
+    equal(toStr(indexKeys({ a:[1,2], b:'x' }, spec)),
+        toStr([ { a:1, b:'x' }, { a:2, b:'x' } ]));
+    equal(toStr(indexKeys({ c:1 }, { ...spec, sparse:true })), toStr([]));
+    equal(toStr(indexKeys({ a:1 }, { ...spec,
+        partialFilterExpression:{ a:{ $gt:1 } } })), toStr([]));
+
+    // `findDuplicateKey()` should only check unique indexes.
+    const unique = createIndexSpec('a', { unique:true }, 'test()');
+    equal(findDuplicateKey(unique, [ { a:1 } ], [ { a:2 } ]), null);
+    equal(toStr(findDuplicateKey(unique, [ { a:[1,2] } ], [ { a:2 } ])),
+        toStr({ a:2 }));
+    equal(toStr(findDuplicateKey(unique, [], [ {}, { b:1 } ])),
+        toStr({ a:null }));
+    equal(findDuplicateKey(spec, [ { a:1 } ], [ { a:1 } ]), null);
+    equal(findDuplicateKey(unique, [ { a:[1,1] } ], []), null);
+    equal(toStr(indexKeys({ a:[ { b:1 }, { c:2 } ] }, { v:2, key:{ 'a.b':1 },
+        name:'a.b_1' })), toStr([ { 'a.b':1 }, { 'a.b':null } ]));
+
+    // An `OrderedIndex` should keep keys in order, and find them by key or by
+    // range, in either direction.
+    const ordered = new OrderedIndex(createIndexSpec({ n:-1, s:1 }, {}, 'test()'));
+    ordered.add('d1', { n:3, s:'x' });
+    ordered.add('d2', { n:[1,5], s:'y' });
+    ordered.add('d3', { s:'z' });
+    ordered.add('d4', { n:3, s:'a' });
+    equal(toStr(ordered._entries.map(({ id }) => id)),
+        toStr([ 'd2', 'd4', 'd1', 'd2', 'd3' ]));
+    equal(ordered.multikey, true);
+    equal(toStr(ordered.idsForKey({ n:3, s:'x' })), toStr([ 'd1' ]));
+    equal(toStr(ordered.idsForKey({ n:null, s:'z' })), toStr([ 'd3' ]));
+    equal(toStr(ordered.idsInRange(3, true, void 0, false)),
+        toStr([ 'd2', 'd4', 'd1' ]));
+    equal(toStr(ordered.idsInRange(1, false, 3, false)), toStr([]));
+    equal(toStr(ordered.idsInRange(void 0, false, 3, true)),
+        toStr([ 'd4', 'd1', 'd2', 'd3' ]));
+    ordered.remove('d2');
+    equal(toStr(ordered._entries.map(({ id }) => id)),
+        toStr([ 'd4', 'd1', 'd3' ]));
+    const ascending = new OrderedIndex(createIndexSpec('n', {}, 'test()'));
+    [ 4, 'q', 2, null, 9 ].forEach((n, i) => ascending.add(`a${i}`, { n }));
+    equal(ascending.multikey, false);
+    equal(toStr(ascending.idsInRange(2, false, 9, true)), toStr([ 'a0', 'a4' ]));
+    equal(toStr(ascending.idsInRange(2, true, void 0, false)),
+        toStr([ 'a2', 'a0', 'a4', 'a1' ]));
+
+    // `formatIndexKey()` should format keys like MongoDB.
+    equal(formatIndexKey({ email:'a@b.c', n:1, x:null }),
+        '{ email: "a@b.c", n: 1, x: null }');
+}
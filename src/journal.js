@@ -0,0 +1,291 @@
+import {
+    appendFile,
+    readdir,
+    readFile,
+    rename,
+    rm,
+    stat,
+} from 'node:fs/promises';
+import { join } from 'node:path';
+import { fromExtendedJson, toExtendedJson } from './extended-json.js';
+
+/**
+ * ### A change to a database, as recorded in its journal.
+ *
+ * Records hold the result of a write, not the write itself, eg the new version
+ * of an updated document rather than the update operators. So replaying a
+ * record which a snapshot already includes changes nothing.
+ *
+ * @typedef {Object} JournalRecord
+ * @property {'createIndex'|'drop'|'dropDatabase'|'dropIndex'|'insert'|'remove'|'rename'|'replace'|'setOptions'} op
+ *    The kind of change.
+ * @property {string} [collection]
+ *    The name of the collection, unless `op` is `'dropDatabase'`.
+ * @property {object[]} [documents]
+ *    The inserted documents, for `'insert'`.
+ * @property {object} [document]
+ *    The new version of a document, for `'replace'`.
+ * @property {any[]} [ids]
+ *    The `_id`s of the removed documents, for `'remove'`.
+ * @property {import('./indexes.js').IndexSpec} [spec]
+ *    The created index, for `'createIndex'`.
+ * @property {string} [name]
+ *    The name of the dropped index, for `'dropIndex'`.
+ * @property {import('./collection.js').CollectionOptions} [options]
+ *    The collection's new options, for `'setOptions'`.
+ * @property {string} [to]
+ *    The collection's new name, for `'rename'`.
+ */
+
+/**
+ * ### An append-only log of the changes to one database.
+ *
+ * Each record is a line of Extended JSON in 'dbName.journal'. Writes append
+ * their records before they resolve, so a crash loses nothing which was
+ * acknowledged. Once the journal reaches `maxBytes`, `onFull()` is called, so
+ * that the database can be compacted into a snapshot.
+ */
+export default class Journal {
+    /**
+     * ### Creates a journal, which appends to any existing file.
+     *
+     * @param {string} persistDir
+     *    The directory which holds the journal.
+     * @param {string} dbName
+     *    The name of the database.
+     * @param {number} maxBytes
+     *    The size at which `onFull()` is called.
+     * @param {function():void} onFull
+     *    Called once the journal reaches `maxBytes`, and not again until
+     *    after `rotate()` is called.
+     */
+    constructor(persistDir, dbName, maxBytes, onFull) {
+        this.path = join(persistDir, `${dbName}.journal`);
+        this._maxBytes = maxBytes;
+        this._onFull = onFull;
+        this._bytes = 0;
+        this._full = false;
+
+        // Appends and rotations wait for each other, so that records are
+        // written in order, and never to a file which is being renamed.
+        this._queue = stat(this.path).then(
+            ({ size }) => { this._bytes = size }, () => {});
+    }
+
+    /**
+     * ### Appends records to the journal.
+     *
+     * @param {JournalRecord[]} records
+     *    The changes to record.
+     * @returns {Promise<void>}
+     *    Returns a `Promise` which resolves once the records are written.
+     */
+    async append(records) {
+        const text = records.map(record =>
+            `${JSON.stringify(toExtendedJson(record))}\n`).join('');
+        const appended = this._queue.then(async () => {
+            await appendFile(this.path, text);
+            this._bytes += Buffer.byteLength(text);
+        });
+        this._queue = appended.catch(() => {});
+        await appended;
+        if (this._bytes >= this._maxBytes && !this._full) {
+            this._full = true;
+            this._onFull();
+        }
+    }
+
+    /**
+     * ### Moves the journal's records to 'dbName.journal.1', so that a snapshot
+     * can be taken while new records go into a fresh journal.
+     *
+     * If an earlier snapshot failed, 'dbName.journal.1' still exists, so the
+     * records are added to the end of it.
+     *
+     * @returns {Promise<void>}
+     *    Returns a `Promise` which does not resolve to anything.
+     */
+    async rotate() {
+        const rotated = this._queue.then(async () => {
+            const older = `${this.path}.1`;
+            if (this._bytes && await stat(older).then(() => true, () => false)) {
+                await appendFile(older, await readFile(this.path));
+                await rm(this.path);
+            } else if (this._bytes) {
+                await rename(this.path, older);
+            }
+            this._bytes = 0;
+            this._full = false;
+        });
+        this._queue = rotated.catch(() => {});
+        return rotated;
+    }
+
+    /**
+     * ### Deletes the rotated journal, once a snapshot includes its records.
+     *
+     * @returns {Promise<void>}
+     *    Returns a `Promise` which does not resolve to anything.
+     */
+    async removeRotated() {
+        await rm(`${this.path}.1`, { force:true });
+    }
+}
+
+/**
+ * ### Reads every database journal in a directory.
+ *
+ * If the process stopped part-way through appending, the last line of a
+ * journal has no newline. That record was never acknowledged, so it is
+ * skipped. Any other unreadable line is an error.
+ *
+ * @param {string} persistDir
+ *    The directory which holds the journals.
+ * @param {string} begin
+ *    The name of the calling method, used to begin any error message.
+ * @returns {Promise<Object<string,JournalRecord[]>>}
+ *    Returns a `Promise` which resolves to each database's records, oldest
+ *    first, keyed by database name.
+ * @throws
+ *    Throws an `Error` if a complete record cannot be parsed.
+ */
+export async function readJournals(persistDir, begin) {
+    const filenames = await readdir(persistDir).catch(err => {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    });
+    /** @type {Object<string,JournalRecord[]>} */
+    const journals = {};
+    for (const filename of filenames.sort()) {
+        const [ , dbName ] = filename.match(/^([a-z][_a-z0-9]*)\.journal$/) ||
+            filename.match(/^([a-z][_a-z0-9]*)\.journal\.1$/) || [];
+        if (!dbName || journals[dbName]) continue;
+        const path = join(persistDir, `${dbName}.journal`);
+        journals[dbName] = [
+            ...await readRecords(`${path}.1`, begin),
+            ...await readRecords(path, begin),
+        ];
+    }
+    return journals;
+}
+
+/**
+ * ### Deletes a database's journals, once a snapshot includes their records.
+ *
+ * @param {string} persistDir
+ *    The directory which holds the journals.
+ * @param {string} dbName
+ *    The name of the database.
+ * @returns {Promise<void>}
+ *    Returns a `Promise` which does not resolve to anything.
+ */
+export async function removeJournals(persistDir, dbName) {
+    const path = join(persistDir, `${dbName}.journal`);
+    await rm(`${path}.1`, { force:true });
+    await rm(path, { force:true });
+}
+
+
+/* ---------------------------------- Private ------------------------------- */
+
+// Reads the records in a journal file, which may not exist.
+const readRecords = async (path, begin) => {
+    const text = await readFile(path, 'utf8').catch(err => {
+        if (err.code === 'ENOENT') return '';
+        throw err;
+    });
+    const lines = text.split('\n');
+    lines.pop(); // the empty string after the last newline, or a truncated record
+    return lines.map((line, i) => {
+        try {
+            return fromExtendedJson(JSON.parse(line));
+        } catch (err) {
+            throw Error(`${begin}: Cannot replay line ${i + 1} of '${path}': ${
+                err.message}`);
+        }
+    });
+};
+
+/* ---------------------------------- Tests --------------------------------- */
+
+/**
+ * ### `journal.js` unit tests.
+ *
+ * @returns {Promise<void>}
+ *    Returns a `Promise` which does not resolve to anything.
+ * @throws
+ *    Throws an `Error` if a test fails.
+ */
+export async function journalTest() {
+    const e2l = e => (e.stack.split('\n')[2].match(/([^\/]+\.js:\d+):\d+\)?$/)||[])[1];
+    const equal = (actual, expected) => { if (actual === expected) return;
+        try { throw Error() } catch(err) { throw Error(`actual:\n${actual}\n` +
+            `!== expected:\n${expected}\n...at ${e2l(err)}\n`) } };
+    const toStr = value => JSON.stringify(value);
+    const { mkdtemp, writeFile } = await import('node:fs/promises');
+    const { tmpdir } = await import('node:os');
+    const dir = await mkdtemp(join(tmpdir(), 'mongoish-'));
+
+    // Always remove the temporary directory, even if a test fails.
+    try {
+        // Reading a directory with no journals should find nothing.
+        equal(toStr(await readJournals(join(dir, 'nope'), 'test()')), '{}');
+        equal(toStr(await readJournals(dir, 'test()')), '{}');
+
+        // Appended records should be read back in order, with their types.
+        let fullCount = 0;
+        const journal = new Journal(dir, 'db_1', 150, () => fullCount++);
+        await Promise.all([
+            journal.append([ { collection:'a', op:'insert',
+                documents:[ { _id:1, when:new Date(3) } ] } ]),
+            journal.append([ { collection:'a', op:'remove', ids:[1] } ]),
+        ]);
+        const records = (await readJournals(dir, 'test()')).db_1;
+        equal(toStr(records.map(r => r.op)), toStr([ 'insert', 'remove' ]));
+        equal(records[0].documents[0].when.getTime(), 3);
+        equal(fullCount, 0);
+
+        // Reaching `maxBytes` should call `onFull()` once, until `rotate()`.
+        await journal.append([ { collection:'a', op:'dropIndex',
+            name:'x_1' } ]);
+        await journal.append([ { collection:'a', op:'dropIndex',
+            name:'y_1' } ]);
+        equal(fullCount, 1);
+
+        // Rotated records should still be read, before the current ones.
+        await journal.rotate();
+        await journal.append([ { op:'dropDatabase' } ]);
+        const rotated = (await readJournals(dir, 'test()')).db_1;
+        equal(toStr(rotated.map(r => r.op)), toStr([ 'insert', 'remove',
+            'dropIndex', 'dropIndex', 'dropDatabase' ]));
+
+        // Rotating again before `removeRotated()` should keep the older
+        // records.
+        await journal.rotate();
+        equal((await readJournals(dir, 'test()')).db_1.length, 5);
+        await journal.removeRotated();
+        await journal.append([ { op:'dropDatabase' } ]);
+        equal(toStr(await readJournals(dir, 'test()')),
+            toStr({ db_1:[ { op:'dropDatabase' } ] }));
+
+        // A truncated final record should be skipped, but a corrupt record
+        // before it should fail. The rest of the message comes from
+        // `JSON.parse()`, which differs between versions of Node.
+        await writeFile(journal.path, '{"op":"dropDatabase"}\n{"op":"ins');
+        equal((await readJournals(dir, 'test()')).db_1.length, 1);
+        await writeFile(journal.path, '{"op":"dropDatabase"}\n{"op":"ins\n');
+        let replayError = '';
+        try { await readJournals(dir, 'test()') } catch (err) {
+            replayError = err.message }
+        equal(replayError.startsWith(
+            `test(): Cannot replay line 2 of '${journal.path}': `), true);
+
+        // `removeJournals()` should delete both files, even if one is missing.
+        await writeFile(`${journal.path}.1`, '');
+        await removeJournals(dir, 'db_1');
+        await removeJournals(dir, 'db_1');
+        equal(toStr(await readJournals(dir, 'test()')), '{}');
+    } finally {
+        await rm(dir, { recursive:true });
+    }
+}
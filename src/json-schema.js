@@ -0,0 +1,233 @@
+import { aintaArray, aintaObject, aintaString } from '@0bdx/ainta';
+import { equalValues, isPlainObject, typeAlias } from './values.js';
+
+/**
+ * ### The `$jsonSchema` query operator, and document validator.
+ *
+ * Supports the keywords `bsonType`, `required`, `properties`, `enum`,
+ * `minimum`, `maximum`, `pattern` and `additionalProperties`, and the
+ * annotations `title` and `description`.
+ *
+ * This module does not import `query.js`, so that `query.js` can use it for
+ * `$jsonSchema`, and `validator.js` can use both.
+ */
+
+/**
+ * ### Checks a `$jsonSchema`, and every schema nested in it.
+ *
+ * @param {object} schema
+ *    The schema to check.
+ * @param {string} begin
+ *    The name of the calling method, used to begin any error message.
+ * @param {string} identifier
+ *    The name of the schema in error messages, eg `'v.$jsonSchema'`.
+ * @returns {string}
+ *    Returns an explanation of the first problem, or an empty string if the
+ *    schema is valid.
+ */
+export function validateSchema(schema, begin, identifier) {
+    const aSchema = aintaObject(schema, identifier, { begin, schema:{
+        additionalProperties: { types:['boolean','object','undefined'] },
+        bsonType: { types:['string',['string'],'undefined'] },
+        description: { types:['string','undefined'] },
+        enum: { types:[['bigint','boolean','number','object','string'],
+            'undefined'] },
+        maximum: { types:['number','undefined'] },
+        minimum: { types:['number','undefined'] },
+        pattern: { types:['string','undefined'] },
+        properties: { types:['object','undefined'], open:true },
+        required: { types:[['string'],'undefined'] },
+        title: { types:['string','undefined'] },
+    } });
+    if (aSchema) return aSchema;
+    const { additionalProperties, bsonType, pattern, properties } = schema;
+    for (const keyword of [ 'bsonType', 'enum', 'required' ]) {
+        const value = schema[keyword];
+        if (value === void 0 || (keyword === 'bsonType' && !Array.isArray(value)))
+            continue;
+        const aArray = aintaArray(value, `${identifier}.${keyword}`,
+            { begin, least:1 });
+        if (aArray) return aArray;
+    }
+    for (const type of bsonType === void 0 ? [] : [].concat(bsonType)) {
+        const aType = aintaString(type, `${identifier}.bsonType`,
+            { begin, is:bsonTypes });
+        if (aType) return aType;
+    }
+    if (pattern !== void 0) {
+        try { new RegExp(pattern) } catch (err) {
+            return `${begin}: \`${identifier}.pattern\` is not a valid ` +
+                `regular expression`;
+        }
+    }
+    for (const name in properties) {
+        const aProperty = validateSchema(properties[name], begin,
+            `${identifier}.properties.${name}`);
+        if (aProperty) return aProperty;
+    }
+    if (isPlainObject(additionalProperties)) return validateSchema(
+        additionalProperties, begin, `${identifier}.additionalProperties`);
+    return '';
+}
+
+/**
+ * ### Determines whether a value matches a `$jsonSchema`.
+ *
+ * @param {any} value
+ *    The value to test, usually a document.
+ * @param {object} schema
+ *    The schema, which `validateSchema()` has already checked.
+ * @returns {boolean}
+ *    Returns `true` if the value satisfies every rule in the schema.
+ */
+export function matchesJsonSchema(value, schema) {
+    return schemaRulesNotSatisfied(value, schema).length === 0;
+}
+
+/**
+ * ### Describes each rule in a `$jsonSchema` which a value breaks.
+ *
+ * Like MongoDB, keywords which only apply to some types, eg `minimum` or
+ * `required`, ignore values of other types.
+ *
+ * @param {any} value
+ *    The value to test, usually a document.
+ * @param {object} schema
+ *    The schema, which `validateSchema()` has already checked.
+ * @returns {object[]}
+ *    Returns objects like MongoDB's `schemaRulesNotSatisfied`, or an empty
+ *    array if the value breaks no rules.
+ */
+export function schemaRulesNotSatisfied(value, schema) {
+    const failed = [];
+    const type = typeAlias(value);
+    const considered = { consideredValue:value };
+    const { bsonType, enum: allowed, minimum, maximum, pattern } = schema;
+
+    if (bsonType !== void 0 && ![].concat(bsonType).some(wanted =>
+        wanted === type || (wanted === 'number' && isNumeric(type))))
+        failed.push({ operatorName:'bsonType', specifiedAs:{ bsonType },
+            reason:'type did not match', ...considered, consideredType:type });
+    if (allowed !== void 0 && !allowed.some(v => equalValues(v, value)))
+        failed.push({ operatorName:'enum', specifiedAs:{ enum:allowed },
+            reason:'value was not found in enum', ...considered });
+    if (isNumeric(type)) {
+        if (minimum !== void 0 && value < minimum)
+            failed.push({ operatorName:'minimum', specifiedAs:{ minimum },
+                reason:'comparison failed', ...considered });
+        if (maximum !== void 0 && value > maximum)
+            failed.push({ operatorName:'maximum', specifiedAs:{ maximum },
+                reason:'comparison failed', ...considered });
+    }
+    if (type === 'string' && pattern !== void 0 &&
+        !new RegExp(pattern).test(value))
+        failed.push({ operatorName:'pattern', specifiedAs:{ pattern },
+            reason:'regular expression did not match', ...considered });
+    if (type === 'object') failed.push(...objectRulesNotSatisfied(value, schema));
+    return failed;
+}
+
+
+/* ---------------------------------- Private ------------------------------- */
+
+// The `bsonType` aliases which `$jsonSchema` understands. 'number' matches
+// any numeric type.
+const bsonTypes = [ 'array', 'binData', 'bool', 'date', 'decimal', 'double',
+    'int', 'javascript', 'long', 'null', 'number', 'object', 'objectId',
+    'regex', 'string', 'symbol' ];
+
+// Implements the keywords which only apply to objects.
+function objectRulesNotSatisfied(object, schema) {
+    const failed = [];
+    const { additionalProperties, properties = {}, required } = schema;
+
+    const missingProperties = (required || []).filter(name =>
+        object[name] === void 0);
+    if (missingProperties.length) failed.push({ operatorName:'required',
+        specifiedAs:{ required }, missingProperties });
+
+    const propertiesNotSatisfied = [];
+    for (const propertyName in properties) {
+        if (object[propertyName] === void 0) continue;
+        const details = schemaRulesNotSatisfied(object[propertyName],
+            properties[propertyName]);
+        if (details.length) propertiesNotSatisfied.push({ propertyName,
+            ...(properties[propertyName].description !== void 0 &&
+                { description:properties[propertyName].description }),
+            details });
+    }
+    if (propertiesNotSatisfied.length) failed.push({
+        operatorName:'properties', propertiesNotSatisfied });
+
+    const additional = Object.keys(object).filter(name =>
+        !(name in properties) && object[name] !== void 0);
+    if (additionalProperties === false && additional.length)
+        failed.push({ operatorName:'additionalProperties',
+            specifiedAs:{ additionalProperties }, additionalProperties:additional });
+    if (isPlainObject(additionalProperties)) for (const name of additional) {
+        const details = schemaRulesNotSatisfied(object[name],
+            additionalProperties);
+        if (!details.length) continue;
+        failed.push({ operatorName:'additionalProperties', reason:'at least ' +
+            'one additional property did not match the subschema',
+            failingProperty:name, details });
+        break;
+    }
+    return failed;
+}
+
+// Whether a type alias from `typeAlias()` is numeric.
+const isNumeric = type =>
+    type === 'int' || type === 'double' || type === 'long' || type === 'decimal';
+
+
+/* ---------------------------------- Tests --------------------------------- */
+
+/**
+ * ### `json-schema.js` unit tests.
+ *
+ * @returns {void}
+ *    Does not return anything.
+ * @throws
+ *    Throws an `Error` if a test fails.
+ */
+export function jsonSchemaTest() {
+    const e2l = e => (e.stack.split('\n')[2].match(/([^\/]+\.js:\d+):\d+\)?$/)||[])[1];
+    const equal = (actual, expected) => { if (actual === expected) return;
+        try { throw Error() } catch(err) { throw Error(`actual:\n${actual}\n` +
+            `!== expected:\n${expected}\n...at ${e2l(err)}\n`) } };
+    const toStr = value => JSON.stringify(value);
+
+    // Invalid schemas should be explained.
+    equal(validateSchema({ bsonType:[ 'int', 'long' ] }, 'test()', 's'), '');
+    equal(validateSchema({ properties:{ a:{ pattern:'(' } } }, 'test()', 's'),
+        'test(): `s.properties.a.pattern` is not a valid regular expression');
+
+    // Each keyword should be checked, ignoring values of the wrong type.
+    const schema = { bsonType:'object', required:[ 'name', 'age' ],
+        additionalProperties:false, properties:{
+        _id: {},
+        name: { bsonType:'string', pattern:'^[A-Z]' },
+        age: { bsonType:[ 'int', 'long' ], minimum:0, maximum:150,
+            description:'must be a whole number' },
+        role: { enum:[ 'admin', 'user' ] },
+    } };
+    equal(matchesJsonSchema({ _id:1, name:'Ann', age:30, role:'user' }, schema),
+        true);
+    equal(matchesJsonSchema({ name:'Ann', age:BigInt(30) }, schema), true);
+    equal(matchesJsonSchema({ name:'ann', age:30 }, schema), false);
+    equal(matchesJsonSchema({ name:'Ann', age:1.5 }, schema), false);
+    equal(matchesJsonSchema({ name:'Ann', age:151 }, schema), false);
+    equal(matchesJsonSchema({ name:'Ann', age:30, role:'boss' }, schema), false);
+    equal(matchesJsonSchema({ name:'Ann', age:30, x:1 }, schema), false);
+    equal(matchesJsonSchema([], schema), false);
+    equal(matchesJsonSchema('x', { minimum:1, required:[ 'a' ] }), true);
+    equal(matchesJsonSchema({ a:1, b:'x' }, { additionalProperties:{
+        bsonType:'number' } }), false);
+
+    // Broken rules should be described like MongoDB's `errInfo.details`.
+    equal(toStr(schemaRulesNotSatisfied({ name:'Ann' }, schema)),
+        toStr([ { operatorName:'required', specifiedAs:{ required:[ 'name',
+        'age' ] }, missingProperties:[ 'age' ] } ]));
+    equal(toStr(schemaRulesNotSatisfied(7, { bsonType:'number' })), '[]');
+}
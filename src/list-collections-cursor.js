@@ -0,0 +1,97 @@
+import { aintaFunction } from '@0bdx/ainta';
+import AbstractCursor from './abstract-cursor.js';
+
+/**
+ * ### A cursor over the results of `listCollections()`, like the `mongodb`
+ * `ListCollectionsCursor`.
+ *
+ * The collections are not listed until the cursor is first read, so a
+ * collection created after `listCollections()` is called, but before the
+ * cursor is read, is included.
+ */
+export default class ListCollectionsCursor extends AbstractCursor {
+    /**
+     * ### Creates a cursor which will list collections when it is first read.
+     *
+     * @param {function():Promise<object[]>} fetch
+     *    An async function which resolves to descriptions of the collections.
+     * @throws
+     *    Throws an `Error` if `fetch` is not a function.
+     */
+    constructor(fetch) {
+        super();
+        const begin = 'new ListCollectionsCursor()';
+
+        // Validate the `fetch` argument.
+        const aFetch = aintaFunction(fetch, 'fetch', { begin });
+        if (aFetch) throw Error(aFetch);
+
+        // Store the function which lists the collections.
+        this._fetch = fetch;
+    }
+
+    /**
+     * ### Creates a new, unread cursor over the same database's collections.
+     *
+     * @returns {ListCollectionsCursor}
+     *    Returns a new cursor.
+     */
+    clone() {
+        const cursor = new ListCollectionsCursor(this._fetch);
+        cursor._transforms = this._transforms.slice();
+        return cursor;
+    }
+
+    /**
+     * ### Lists the collections.
+     *
+     * @returns {Promise<object[]>}
+     *    Returns a `Promise` which resolves to an array of descriptions.
+     */
+    async _load() {
+        return this._fetch();
+    }
+}
+
+
+/* ---------------------------------- Tests --------------------------------- */
+
+/**
+ * ### `ListCollectionsCursor` unit tests.
+ *
+ * @param {typeof ListCollectionsCursor} C
+ *    The `ListCollectionsCursor` class to test.
+ * @returns {Promise<void>}
+ *    Returns a `Promise` which does not resolve to anything.
+ * @throws
+ *    Throws an `Error` if a test fails.
+ */
+export async function listCollectionsCursorTest(C) {
+    const e2l = e => (e.stack.split('\n')[2].match(/([^\/]+\.js:\d+):\d+\)?$/)||[])[1];
+    const equal = (actual, expected) => { if (actual === expected) return;
+        try { throw Error() } catch(err) { throw Error(`actual:\n${actual}\n` +
+            `!== expected:\n${expected}\n...at ${e2l(err)}\n`) } };
+    const throws = (actual, expected) => { try { actual() } catch (err) {
+        if (err.message !== expected) { throw Error(`actual message:\n${err.message
+            }\n!== expected message:\n${expected}\n...at ${e2l(err)}\n`)} return }
+        throw Error(`expected message:\n${expected}\nbut nothing was thrown\n`) };
+    const toStr = value => JSON.stringify(value);
+
+    // Instantiating a `ListCollectionsCursor` without a function should fail.
+    // @ts-expect-error
+    throws(()=>new C({}),
+        "new ListCollectionsCursor(): `fetch` is type 'object' not 'function'");
+
+    // The collections should not be fetched until the cursor is read.
+    const collections = [ { name:'frogs', type:'collection' } ];
+    const cursor = new C(async () => collections.slice())
+        .map(({ name }) => name);
+    collections.push({ name:'toads', type:'collection' });
+    equal(toStr(await cursor.toArray()), toStr([ 'frogs', 'toads' ]));
+    throws(()=>cursor.map(collection => collection),
+        'map(): Cursor is already initialized');
+
+    // A clone should fetch the collections again.
+    collections.shift();
+    equal(await cursor.clone().next(), 'toads');
+}
@@ -0,0 +1,96 @@
+import { aintaFunction } from '@0bdx/ainta';
+import AbstractCursor from './abstract-cursor.js';
+
+/**
+ * ### A cursor over the results of `listIndexes()`, like the `mongodb`
+ * `ListIndexesCursor`.
+ *
+ * The indexes are not listed until the cursor is first read, so an index
+ * created after `listIndexes()` is called, but before the cursor is read, is
+ * included.
+ */
+export default class ListIndexesCursor extends AbstractCursor {
+    /**
+     * ### Creates a cursor which will list indexes when it is first read.
+     *
+     * @param {function():Promise<import('./indexes.js').IndexSpec[]>} fetch
+     *    An async function which resolves to copies of the indexes.
+     * @throws
+     *    Throws an `Error` if `fetch` is not a function.
+     */
+    constructor(fetch) {
+        super();
+        const begin = 'new ListIndexesCursor()';
+
+        // Validate the `fetch` argument.
+        const aFetch = aintaFunction(fetch, 'fetch', { begin });
+        if (aFetch) throw Error(aFetch);
+
+        // Store the function which lists the indexes.
+        this._fetch = fetch;
+    }
+
+    /**
+     * ### Creates a new, unread cursor over the same collection's indexes.
+     *
+     * @returns {ListIndexesCursor}
+     *    Returns a new cursor.
+     */
+    clone() {
+        const cursor = new ListIndexesCursor(this._fetch);
+        cursor._transforms = this._transforms.slice();
+        return cursor;
+    }
+
+    /**
+     * ### Lists the indexes.
+     *
+     * @returns {Promise<object[]>}
+     *    Returns a `Promise` which resolves to an array of indexes.
+     */
+    async _load() {
+        return this._fetch();
+    }
+}
+
+
+/* ---------------------------------- Tests --------------------------------- */
+
+/**
+ * ### `ListIndexesCursor` unit tests.
+ *
+ * @param {typeof ListIndexesCursor} C
+ *    The `ListIndexesCursor` class to test.
+ * @returns {Promise<void>}
+ *    Returns a `Promise` which does not resolve to anything.
+ * @throws
+ *    Throws an `Error` if a test fails.
+ */
+export async function listIndexesCursorTest(C) {
+    const e2l = e => (e.stack.split('\n')[2].match(/([^\/]+\.js:\d+):\d+\)?$/)||[])[1];
+    const equal = (actual, expected) => { if (actual === expected) return;
+        try { throw Error() } catch(err) { throw Error(`actual:\n${actual}\n` +
+            `!== expected:\n${expected}\n...at ${e2l(err)}\n`) } };
+    const throws = (actual, expected) => { try { actual() } catch (err) {
+        if (err.message !== expected) { throw Error(`actual message:\n${err.message
+            }\n!== expected message:\n${expected}\n...at ${e2l(err)}\n`)} return }
+        throw Error(`expected message:\n${expected}\nbut nothing was thrown\n`) };
+    const toStr = value => JSON.stringify(value);
+
+    // Instantiating a `ListIndexesCursor` without a function should fail.
+    // @ts-expect-error
+    throws(()=>new C([]),
+        "new ListIndexesCursor(): `fetch` is an array not type 'function'");
+
+    // The indexes should not be fetched until the cursor is read.
+    /** @type {import('./indexes.js').IndexSpec[]} */
+    const indexes = [ { v:2, key:{ _id:1 }, name:'_id_' } ];
+    const cursor = new C(async () => indexes.slice()).map(index => index.name);
+    indexes.push({ v:2, key:{ a:1 }, name:'a_1' });
+    equal(toStr(await cursor.toArray()), toStr([ '_id_', 'a_1' ]));
+    throws(()=>cursor.map(index => index),
+        'map(): Cursor is already initialized');
+
+    // A clone should fetch the indexes again.
+    equal(await cursor.clone().next(), '_id_');
+}
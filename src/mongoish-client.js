@@ -1,47 +1,108 @@
-import { aintaFunction, aintaString } from '@0bdx/ainta';
+import { aintaFunction, aintaObject, aintaString } from '@0bdx/ainta';
+import { ChangeHistory } from './change-stream.js';
+import ClientSession from './client-session.js';
+import Collection from './collection.js';
+import { parseConnectionString } from './connection-string.js';
 import Database from './database.js';
+import Journal, { readJournals, removeJournals } from './journal.js';
+import { readSnapshots, writeSnapshot } from './persistence.js';
 
 /**
- * ### An in-memory database client, based on `picodb`.
+ * ### An in-memory database client.
  * 
  * As far as the basics go, `MongoishClient` behaves like `MongoClient` from the
- * NPM package `mongodb`. But instead of connecting to a MongoDB server, it uses
- * the in-memory database `picodb`.
+ * NPM package `mongodb`. But instead of connecting to a MongoDB server, it
+ * keeps every database in memory.
  * 
  * Using a real MongoDB:  
  * `const client = new MongoClient("mongodb://localhost:27017");`
  *
  * Using a Mongoish:  
  * `const client = new MongoishClient("mongodb://localhost:27017");`
+ *
+ * To keep the data when the process exits, pass a `persistDir` option:  
+ * `new MongoishClient("mongodb://localhost:27017", { persistDir:"data" })`
+ *
+ * To also keep every acknowledged write if the process crashes, add `journal`:  
+ * `new MongoishClient("mongodb://localhost:27017", { persistDir:"data", journal:true })`
  */
 export default class MongoishClient {
     /**
-     * ### Creates an in-memory database client, based on `picodb`.
+     * ### Creates an in-memory database client.
      * 
      * @param {string} url
-     *    Not really used for anything. But to make the switch to a real MongoDB
-     *    smoother, `new MongoishClient("INVALID URL")` will throw an `Error`.
+     *    A MongoDB connection string, which is parsed into `options`. Only its
+     *    default database, eg 'app' in `"mongodb://localhost/app"`, is used.
+     *    But to make the switch to a real MongoDB smoother, an invalid string
+     *    throws the same `MongoParseError` as the `mongodb` package would.
+     * @param {{flushInterval?:number,journal?:boolean,journalMaxBytes?:number,persistDir?:string}} [options={}]
+     *    If `persistDir` is set, every database is loaded from that directory
+     *    by `connect()`, and saved back to it by `close()`, and also every
+     *    `flushInterval` milliseconds if that is set. If `journal` is `true`,
+     *    every write is also appended to a journal before it resolves, and
+     *    the journal is compacted into a snapshot once it reaches
+     *    `journalMaxBytes`, which defaults to 1 MiB. Other options, like
+     *    those of the `mongodb` package, are ignored.
      * @throws
-     *    Throws an `Error` if the `url` argument is invalid.
+     *    Throws an `Error` if the `url` or `options` arguments are invalid.
      */
-    constructor(url) {
+    constructor(url, options = {}) {
         const begin = 'new MongoishClient()';
 
-        // Validate the `url` argument.
-        // @TODO improve the rx
-        const aUrl = aintaString(url, 'url', { begin, min:11, max:1024,
-            rx:/^mongodb:\/\/[!-\[\]-~]+$/});
+        // Validate the `url` argument, and parse it.
+        const aUrl = aintaString(url, 'url', { begin, min:11, max:1024 });
         if (aUrl) throw Error(aUrl);
-    }
 
-    // Begin with a non-functional database engine. This must be replaced using
-    // `injectEngine()`, before `collection()` can be called.
-    /** @type {{new():Object,NAME:string,VERSION:string}} */
-    _Engine = NoopEngine;
+        /**
+         * ### The options parsed from the connection string.
+         *
+         * @type {import('./connection-string.js').ConnectionOptions}
+         */
+        this.options = parseConnectionString(url, begin);
+
+        // Validate the `options` argument.
+        const aOptions = aintaObject(options, 'options', { begin, open:true,
+            schema:{
+                flushInterval: { types:['number','undefined'], gte:1, mod:1 },
+                journal: { types:['boolean','undefined'] },
+                journalMaxBytes: { types:['number','undefined'], gte:1, mod:1 },
+                persistDir: { types:['string','undefined'], min:1 },
+            } });
+        if (aOptions) throw Error(aOptions);
+        for (const [ option, needs ] of [ [ 'flushInterval', 'persistDir' ],
+            [ 'journal', 'persistDir' ], [ 'journalMaxBytes', 'journal' ] ])
+            if (options[option] && !options[needs]) throw Error(`${begin}: ` +
+                `\`options.${option}\` needs \`options.${needs}\` to be set`);
+
+        // Store the persistence options.
+        this._persistDir = options.persistDir || null;
+        this._flushInterval = options.flushInterval || 0;
+        this._journalMaxBytes = options.journal
+            ? options.journalMaxBytes || 1024 * 1024 : 0;
+    }
 
     // Simulate a real MongoDB client, which starts life disconnected.
     _isConnected = false;
 
+    // Every `Database` that `db()` has created, keyed by name, so that they
+    // can be saved to `_persistDir`.
+    /** @type {Object<string,Database>} */
+    _databases = {};
+
+    // `connect()` only loads from `_persistDir` the first time it is called,
+    // so that reconnecting does not load the same documents twice.
+    _loaded = false;
+
+    // Saves the databases every `_flushInterval` milliseconds, while connected.
+    /** @type {ReturnType<typeof setInterval>|null} */
+    _flushTimer = null;
+
+    // Every save waits for the previous one to finish. See `_flush()`.
+    _flushing = Promise.resolve();
+
+    // The recent changes to every database, which `watch()` streams read.
+    _changes = new ChangeHistory();
+
     /**
      * ### Enables the `db()` method.
      * 
@@ -56,18 +117,62 @@ export default class MongoishClient {
      */
     async connect() {
 
-        // Check that a real database engine (eg PicoDB) has been injected.
-        if (!this._Engine || !this._Engine.NAME || !this._Engine.VERSION)
-        throw Error('connect(): A real database engine must be injected, ' +
-            'using `injectEngine()`');
-
         // Make `connect()` genuinely asynchronous, to avoid surprises when
         // switching to the `mongodb` package.
         await new Promise(resolve => setImmediate(resolve));
 
+        // If `options.persistDir` was set, load every database from disk.
+        if (this._persistDir && !this._loaded) {
+            const snapshots = await readSnapshots(this._persistDir, 'connect()');
+            const journals = await readJournals(this._persistDir, 'connect()');
+            for (const dbName of Array.from(new Set([
+                ...Object.keys(snapshots), ...Object.keys(journals) ]))) {
+                const database = this._databases[dbName] ||
+                    (this._databases[dbName] = new Database(this, dbName));
+                for (const name in snapshots[dbName] || {}) {
+                    const collection = new Collection(this, name, database);
+                    await collection._load(snapshots[dbName][name]);
+                    database._collections[name] = collection;
+                }
+
+                // Replay any writes made after the snapshot was saved.
+                for (const record of journals[dbName] || []) {
+                    if (record.op === 'dropDatabase') {
+                        database._collections = {};
+                        continue;
+                    }
+                    const name = record.collection;
+                    const collection = database._collections[name] ||
+                        (database._collections[name] =
+                            new Collection(this, name, database));
+                    await collection._replay(record);
+                }
+            }
+
+            // Save the replayed writes, so that the journals can be deleted.
+            if (Object.keys(journals).length) {
+                await this._flush(Object.keys(journals));
+                for (const dbName in journals)
+                    await removeJournals(this._persistDir, dbName);
+            }
+
+            // From now on, if `options.journal` was set, record every write.
+            if (this._journalMaxBytes) for (const dbName in this._databases)
+                this._databases[dbName]._journal = this._createJournal(dbName);
+            this._loaded = true;
+        }
+
         // Eventually set the private `_isConnected` property, so that `db()`
         // can succeed, after a delay.
         this._isConnected = true;
+
+        // Save periodically, if `options.flushInterval` was set. A failed save
+        // is not reported here, because `close()` will save again, and throw.
+        if (this._flushInterval && !this._flushTimer) {
+            this._flushTimer = setInterval(() => this._flush().catch(() => {}),
+                this._flushInterval);
+            if (this._flushTimer.unref) this._flushTimer.unref();
+        }
     }
 
     /**
@@ -84,42 +189,42 @@ export default class MongoishClient {
      */
     async close() {
 
-        // Check that a real database engine (eg PicoDB) has been injected.
-        if (!this._Engine || !this._Engine.NAME || !this._Engine.VERSION)
-        throw Error('close(): A real database engine must be injected, ' +
-            'using `injectEngine()`');
-
         // Immediately set the private `_isConnected` property, so that `db()`
         // will fail, without delay.
         this._isConnected = false;
+        clearInterval(this._flushTimer);
+        this._flushTimer = null;
+
+        // Like the `mongodb` package, close every change stream.
+        await this._changes.closeStreams();
 
         // Make `close()` genuinely asynchronous, to avoid surprises when
         // switching to the `mongodb` package.
         await new Promise(resolve => setImmediate(resolve));
+
+        // If `options.persistDir` was set, save every database to disk.
+        if (this._persistDir) await this._flush();
     }
 
     /**
      * ### Retrieves a `Database` instance, creating it if missing.
      * 
      * A synchronous method which takes a database name, and returns a `Database`
-     * instance.
+     * instance. Calling it again with the same name returns the same instance,
+     * even after the database has been dropped.
      * 
-     * @param {string} dbName
-     *    The name of the database to retrieve or create.
+     * @param {string} [dbName]
+     *    The name of the database to retrieve or create. Defaults to the
+     *    database named in the URL, or 'test' if it names none.
      * @returns {Database}
      *    Returns a `Database` instance.
      * @throws
      *    Throws an `Error` if the `dbName` argument is invalid, or if the
      *    client is not currently connected.
      */
-    db(dbName) {
+    db(dbName = this.options.dbName) {
         const begin = 'db()';
 
-        // Check that a real database engine (eg PicoDB) has been injected.
-        if (!this._Engine || !this._Engine.NAME || !this._Engine.VERSION)
-            throw Error(begin + ': A real database engine must be injected, ' +
-                'using `injectEngine()`');
-
         // Validate the `dbName` argument.
         // @TODO consider making dbNames less restrictive
         const aDbName = aintaString(dbName, 'dbName', { begin, min:1, max:64,
@@ -130,50 +235,107 @@ export default class MongoishClient {
         if (!this._isConnected) throw Error(
             begin + ': Client must be connected before running operations');
 
-        // Return the database.
-        return new Database(this, dbName);
+        // Return the database, creating it the first time it is used.
+        if (this._databases[dbName]) return this._databases[dbName];
+        const database = this._databases[dbName] = new Database(this, dbName);
+        if (this._journalMaxBytes) database._journal = this._createJournal(dbName);
+        return database;
     }
 
     /**
-     * ### A `mongoish`-only method, for injecting an engine like `PicoDB`.
+     * ### Starts a session, for running multi-document transactions.
      *
+     * @param {object} [options={}]
+     *    Accepted for compatibility with `mongodb`, eg
+     *    `defaultTransactionOptions`, but has no effect.
+     * @returns {ClientSession}
+     *    Returns a new `ClientSession`.
+     * @throws
+     *    Throws an `Error` if the `options` argument is invalid.
+     */
+    startSession(options = {}) {
+        const begin = 'startSession()';
+
+        // Validate the `options` argument.
+        const aOptions = aintaObject(options, 'options', { begin, open:true });
+        if (aOptions) throw Error(aOptions);
+
+        return new ClientSession(this);
+    }
+
+    /**
+     * ### A `mongoish`-only method, which earlier versions needed before
+     * `db()`, to inject an engine like `PicoDB`.
+     *
+     * Mongoish now keeps every collection in memory itself, so the engine is
+     * not used. It is still checked, so that code which injects PicoDB keeps
+     * working, and a mistake like `injectEngine(undefined)` is reported.
+     *
+     * @deprecated
      * @param {{new():Object,NAME:string,VERSION:string}} Engine
-     *    The database engine, which must be a class. Instantiating it should
-     *    return a collection object, with methods like `find()`, `insertOne()`.
+     *    The database engine, which must be a class with non-empty static
+     *    `NAME` and `VERSION` strings.
      * @returns {void}
      *    Does not return anything.
+     * @throws
+     *    Throws an `Error` if the `Engine` argument is invalid.
      */
     injectEngine(Engine) {
-        const begin = 'injectEngine()';
-
-        // Check that a database engine has not already been injected.
-        if (this._Engine && (this._Engine.NAME || this._Engine.VERSION))
-        throw Error(begin + ': A database engine has already be injected, ' +
-            '`injectEngine()` can only be called once per client');
-
-        // Validate the `Engine` argument.
-        // @TODO consider how to validate this... is it always for PicDB?
-        const aEngine =
-            aintaFunction(Engine, 'Engine', { begin, schema:{
-                NAME: { min:1, types:['string'] },
-                VERSION: { min:1, types:['string'] },
-            } })
-        ;
+        const aEngine = aintaFunction(Engine, 'Engine', { begin:'injectEngine()',
+            open:true, schema:{
+            NAME: { min:1, types:['string'] },
+            VERSION: { min:1, types:['string'] },
+        } });
         if (aEngine) throw Error(aEngine);
+    }
 
-        this._Engine = Engine;
+    /**
+     * ### Creates a journal for a database, which compacts the database into
+     * a snapshot whenever the journal gets too big.
+     *
+     * @param {string} dbName
+     *    The name of the database.
+     * @returns {Journal}
+     *    Returns a new `Journal`.
+     */
+    _createJournal(dbName) {
+        return new Journal(this._persistDir, dbName, this._journalMaxBytes,
+            () => this._flush([ dbName ]).catch(() => {}));
     }
-}
 
-/**
- * ### A non-functional database engine.
- * 
- * The `NAME` and `VERSION` are falsey, which means that `connect()`, `close()`
- * and `db()` will all fail.
- */
-class NoopEngine {
-    static NAME = '';
-    static VERSION = '';
+    /**
+     * ### Saves databases to `_persistDir`.
+     *
+     * Each collection is saved once its earlier operations have finished. If a
+     * save is already running, this one starts after it.
+     *
+     * A database's journal is set aside before its snapshot is taken, and
+     * deleted once the snapshot is saved. Writes made in between go into a
+     * new journal, so none are lost.
+     *
+     * @param {string[]} [dbNames]
+     *    The databases to save. Defaults to all of them.
+     * @returns {Promise<void>}
+     *    Returns a `Promise` which does not resolve to anything.
+     */
+    async _flush(dbNames) {
+        const flushing = this._flushing.then(async () => {
+            for (const dbName of dbNames || Object.keys(this._databases)) {
+                const database = this._databases[dbName];
+                if (database._journal) await database._journal.rotate();
+                const { _collections } = database;
+                /** @type {import('./persistence.js').DatabaseSnapshot} */
+                const snapshot = {};
+                for (const name in _collections)
+                    if (_collections[name]._exists) snapshot[name] =
+                        await _collections[name]._snapshot();
+                await writeSnapshot(this._persistDir, dbName, snapshot);
+                if (database._journal) await database._journal.removeRotated();
+            }
+        });
+        this._flushing = flushing.catch(() => {});
+        return flushing;
+    }
 }
 
 
@@ -199,6 +361,7 @@ export async function mongoishClientTest(C) {
         if (err.message !== expected) { throw Error(`actual message:\n${err.message
             }\n!== expected message:\n${expected}\n...at ${e2l(err)}\n`)} return }
         throw Error(`expected message:\n${expected}\nbut nothing was thrown\n`) };
+    const toStr = value => JSON.stringify(value);
 
     // Instantiating a `MongoishClient` with an invalid `url` should fail.
     // @ts-expect-error
@@ -209,7 +372,21 @@ export async function mongoishClientTest(C) {
     throws(()=>new C('1234567890'.repeat(102) + 'abcde'),
         "new MongoishClient(): `url` '123456789012345678901...890abcde' is not max 1024");
     throws(()=>new C('Mongodb://a'), // capital letter "M"
-        "new MongoishClient(): `url` 'Mongodb://a' fails /^mongodb:\\/\\/[!-\\[\\]-~]+$/");
+        'new MongoishClient(): Invalid scheme, expected connection string to ' +
+        'start with "mongodb://" or "mongodb+srv://"');
+    throws(()=>new C('mongodb://localhost/?replicaset=rs0&maxPoolSize=0&ok=1'),
+        'new MongoishClient(): option ok is not supported');
+
+    // The parsed connection string should be available as `options`.
+    const { options } = new C('mongodb+srv://ann:pw@cluster0.example.net/' +
+        'shop?appName=Shop&w=majority&authSource=admin');
+    equal(options.srvHost, 'cluster0.example.net');
+    equal(options.dbName, 'shop');
+    equal(options.appName, 'Shop');
+    equal(options.credentials.username, 'ann');
+    equal(options.credentials.source, 'admin');
+    equal(options.writeConcern.w, 'majority');
+    equal(options.tls, true);
 
     // Create the first `MongoishClient` instance for testing.
     const mc_1 = new C('mongodb://1');
@@ -232,16 +409,11 @@ export async function mongoishClientTest(C) {
     throws(()=>mc_1.injectEngine(class { static NAME='ok'; static VERSION='' }),
         "injectEngine(): `Engine.VERSION` '' is not min 1");
 
-    // Calling `connect()`, `close()` or `db()` before `injectEngine()` should fail.
-    throws(()=>mc_1.connect(),
-        "connect(): A real database engine must be injected, using `injectEngine()`");
-    throws(()=>mc_1.close(),
-        "close(): A real database engine must be injected, using `injectEngine()`");
-    throws(()=>mc_1.db('db_name'),
-        "db(): A real database engine must be injected, using `injectEngine()`");
-
-    // Calling `injectEngine()` with a valid class should succeed.
-    equal(mc_1.injectEngine(class { static NAME='ok'; static VERSION='1.2.3' }));
+    // Calling `injectEngine()` with a valid class should succeed, any number
+    // of times, and change nothing.
+    class StubEngine { static NAME = 'ok'; static VERSION = '1.2.3' }
+    equal(mc_1.injectEngine(StubEngine));
+    equal(mc_1.injectEngine(StubEngine));
 
     // Calling `db()` before `connect()` should fail.
     throws(()=>mc_1.db('db_1'),
@@ -278,12 +450,6 @@ export async function mongoishClientTest(C) {
     // Create the second `MongoishClient` instance for testing.
     const mc_2 = new C('mongodb://!~aA' + '1234567890'.repeat(101)); // 1024 chars
 
-    // Injecting the engine twice should fail.
-    mc_2.injectEngine(class { static NAME='one'; static VERSION='1' });
-    throws(()=>mc_2.injectEngine(class { static NAME='two'; static VERSION='2.2' }),
-        "injectEngine(): A database engine has already be injected, `injectEngine()` "
-        + "can only be called once per client");
-
     // `connect()` should return a `Promise` which does not resolve to anything.
     const connectPromise_2 = mc_2.connect();
     equal(connectPromise_2 instanceof Promise, true);
@@ -298,7 +464,6 @@ export async function mongoishClientTest(C) {
 
     // Create the third `MongoishClient` instance for testing.
     const mc_3 = new C('mongodb://localhost:27017'); // fairly standard
-    mc_3.injectEngine(class { static NAME='Third'; static VERSION='0' });
 
     // Calling `db()` after waiting for `connect()`...`close()`...`connect()`
     // should return a `Database` instance.
@@ -311,4 +476,503 @@ export async function mongoishClientTest(C) {
     // Xx.
     const coll_3 = db_3.collection('coll_3');
 
+    // `db()` should return the same `Database` each time, so its collections
+    // are shared.
+    equal(mc_3.db('db_3'), db_3);
+    equal(mc_3.db('db_3').collection('coll_3'), coll_3);
+
+    // Without a `dbName`, `db()` should use the URL's database, or 'test'.
+    equal(mc_3.db(), mc_3.db('test'));
+    const mc_3b = new C('mongodb://u:p@a:1,b:2/app_db?retryWrites=true');
+    await mc_3b.connect();
+    equal(mc_3b.db(), mc_3b.db('app_db'));
+    await mc_3b.close();
+    const mc_3c = new C('mongodb://localhost/App');
+    await mc_3c.connect();
+    throws(()=>mc_3c.db(), "db(): `dbName` 'App' fails /^[a-z][_a-z0-9]*$/");
+    await mc_3c.close();
+
+    // `admin().listDatabases()` should only list databases which have
+    // collections, so a dropped database should disappear from it.
+    const admin_3 = mc_3.db().admin();
+    equal(admin_3.constructor.name, 'Admin');
+    const listNames = async () => (await admin_3.listDatabases({ nameOnly:true }))
+        .databases.map(({ name }) => name).join();
+    equal(await listNames(), 'db_3');
+    mc_3.db('db_0').collection('coll_0');
+    equal(await listNames(), 'db_0,db_3');
+    await db_3.dropDatabase();
+    equal(await listNames(), 'db_0');
+    equal(mc_3.db('db_3'), db_3);
+
+
+    /* --------------------------- Change streams --------------------------- */
+
+    // A collection's stream should report each kind of write, in order.
+    const mc_10 = new C('mongodb://localhost/zoo');
+    await mc_10.connect();
+    const frogs_10 = mc_10.db().collection('frogs');
+    const frogStream = frogs_10.watch([], { fullDocument:'updateLookup' });
+    const toadChanges = [];
+    const zooStream = mc_10.db().watch([ { $match:{ 'ns.coll':'toads' } } ]);
+    zooStream.on('change', ({ operationType, ns, documentKey }) => toadChanges
+        .push(`${operationType}:${ns ? ns.coll : ''}:${documentKey ? documentKey._id : ''}`));
+    await frogs_10.insertOne({ _id:1, n:1, tags:[ 'a' ], o:{ p:0 } });
+    await frogs_10.updateOne({ _id:1 }, { $set:{ n:2, 'o.p':1 },
+        $unset:{ tags:1 } });
+    await frogs_10.replaceOne({ _id:1 }, { m:1 });
+    await frogs_10.findOneAndUpdate({ _id:1 }, { $inc:{ m:1 } });
+    await frogs_10.deleteOne({ _id:1 });
+    await mc_10.db().collection('toads').insertOne({ _id:'t' });
+    const omit = ({ _id, clusterTime, wallTime, ...change }) => change;
+    equal(toStr(omit(await frogStream.next())), toStr({
+        operationType:'insert',
+        fullDocument:{ _id:1, n:1, tags:[ 'a' ], o:{ p:0 } },
+        ns:{ db:'zoo', coll:'frogs' }, documentKey:{ _id:1 } }));
+    equal(toStr(omit(await frogStream.next())), toStr({
+        operationType:'update', ns:{ db:'zoo', coll:'frogs' },
+        documentKey:{ _id:1 }, updateDescription:{
+            updatedFields:{ n:2, 'o.p':1 }, removedFields:[ 'tags' ],
+            truncatedArrays:[] }, fullDocument:{ _id:1, n:2, o:{ p:1 } } }));
+    equal(toStr(omit(await frogStream.next())), toStr({
+        operationType:'replace', fullDocument:{ _id:1, m:1 },
+        ns:{ db:'zoo', coll:'frogs' }, documentKey:{ _id:1 } }));
+    const updated_10 = await frogStream.next();
+    equal(toStr(updated_10.updateDescription.updatedFields), toStr({ m:2 }));
+    equal(toStr(omit(await frogStream.next())), toStr({
+        operationType:'delete', ns:{ db:'zoo', coll:'frogs' },
+        documentKey:{ _id:1 } }));
+
+    // A stream resumed after a change should start with the next one.
+    const resumed_10 = frogs_10.watch([ { $project:{ operationType:1 } } ],
+        { resumeAfter:updated_10._id });
+    equal((await resumed_10.next()).operationType, 'delete');
+
+    // Dropping the database should end both streams with 'invalidate'.
+    await mc_10.db().dropDatabase();
+    equal((await frogStream.next()).operationType, 'drop');
+    equal((await frogStream.next()).operationType, 'invalidate');
+    equal(frogStream.closed, true);
+    await new Promise(resolve => setImmediate(resolve));
+    equal(toStr(toadChanges), toStr([ 'insert:toads:t', 'drop:toads:',
+        'invalidate::' ]));
+
+    // Closing the client should close every stream.
+    await mc_10.close();
+    equal(resumed_10.closed, true);
+    throws(()=>frogs_10.watch(),
+        'watch(): Client must be connected before running operations');
+
+
+    /* ---------------------------- Transactions ---------------------------- */
+
+    // Writes in a transaction should only be seen inside it until commit.
+    const mc_11 = new C('mongodb://localhost/bank');
+    await mc_11.connect();
+    const accounts = mc_11.db().collection('accounts');
+    await accounts.insertMany([ { _id:'a', n:10 }, { _id:'b', n:0 } ]);
+    const stream_11 = accounts.watch();
+    const session_11 = mc_11.startSession();
+    session_11.startTransaction();
+    const session = session_11;
+    await accounts.updateOne({ _id:'a' }, { $inc:{ n:-5 } }, { session });
+    await accounts.bulkWrite([ { updateOne:{ filter:{ _id:'b' },
+        update:{ $inc:{ n:5 } } } } ], { session });
+    equal(toStr(await accounts.find({}).toArray()),
+        toStr([ { _id:'a', n:10 }, { _id:'b', n:0 } ]));
+    equal(toStr(await accounts.find({}, { session }).toArray()),
+        toStr([ { _id:'a', n:5 }, { _id:'b', n:5 } ]));
+    equal(await accounts.countDocuments({ n:5 }, { session }), 2);
+    await session_11.commitTransaction();
+    equal(toStr(await accounts.find({}).toArray()),
+        toStr([ { _id:'a', n:5 }, { _id:'b', n:5 } ]));
+
+    // Committed changes should be published, with the session's id.
+    const event_11 = await stream_11.next();
+    equal(event_11.operationType, 'update');
+    equal(toStr(event_11.lsid), toStr(session_11.id));
+    equal(event_11.txnNumber, 1);
+
+    // Aborting, or throwing in `withTransaction()`, should roll back.
+    session_11.startTransaction();
+    await accounts.insertOne({ _id:'c' }, { session });
+    await accounts.deleteMany({}, { session });
+    equal(await accounts.countDocuments({}, { session }), 0);
+    await session_11.abortTransaction();
+    await throws(()=>session_11.withTransaction(async s => {
+        await accounts.replaceOne({ _id:'a' }, { n:0 }, { session:s });
+        throw Error('Oops');
+    }), 'Oops');
+    equal(toStr(await accounts.find({}).toArray()),
+        toStr([ { _id:'a', n:5 }, { _id:'b', n:5 } ]));
+
+    // Two transactions writing the same document should conflict.
+    const other_11 = mc_11.startSession();
+    session_11.startTransaction();
+    other_11.startTransaction();
+    await accounts.updateOne({ _id:'a' }, { $set:{ by:1 } }, { session });
+    await throws(()=>accounts.updateOne({ _id:'a' }, { $set:{ by:2 } },
+        { session:other_11 }), 'updateOne(): WriteConflict error: this ' +
+        'operation conflicted with another operation. Please retry your ' +
+        'operation or multi-document transaction.');
+    await throws(()=>accounts.findOne({}, { session:other_11 }),
+        'findOne(): Transaction with { txnNumber: 1 } has been aborted.');
+    await other_11.abortTransaction();
+    await session_11.commitTransaction();
+    equal((await accounts.findOne({ _id:'a' })).by, 1);
+
+    // A commit which fails in one collection should write nothing to any
+    // other collection.
+    const ledger = mc_11.db().collection('ledger');
+    await ledger.createIndex({ k:1 }, { unique:true });
+    session_11.startTransaction();
+    await accounts.insertOne({ _id:'A' }, { session });
+    await ledger.insertOne({ _id:2, k:2 }, { session });
+    await ledger.insertOne({ _id:3, k:2 });
+    await throws(()=>session_11.commitTransaction(),
+        'commitTransaction(): E11000 duplicate key error collection: ' +
+        'ledger.documents index: k_1 dup key: { k: 2 }');
+    await session_11.abortTransaction();
+    equal(await accounts.findOne({ _id:'A' }), null);
+    equal(toStr(await ledger.find({}).toArray()), toStr([ { _id:3, k:2 } ]));
+
+    // `withTransaction()` should retry after a conflict, eg with a write
+    // made outside the transaction.
+    let tries_11 = 0;
+    await session_11.withTransaction(async s => {
+        await accounts.updateOne({ _id:'b' }, { $inc:{ n:1 } }, { session:s });
+        if (++tries_11 === 1) await accounts.updateOne({ _id:'b' },
+            { $inc:{ n:100 } });
+    });
+    equal(tries_11, 2);
+    equal((await accounts.findOne({ _id:'b' })).n, 106);
+
+    // Some operations should not be allowed in a transaction, and a session
+    // should only be used with its own client.
+    session_11.startTransaction();
+    await throws(()=>accounts.createIndex('n', { session }),
+        "createIndex(): Cannot run 'createIndexes' in a multi-document transaction.");
+    await throws(()=>accounts.estimatedDocumentCount({ session }),
+        "estimatedDocumentCount(): Cannot run 'count' in a multi-document transaction.");
+    await throws(()=>accounts.find({}, { session:mc_10.startSession() })
+        .toArray(),
+        'find(): ClientSession must be from the same MongoClient');
+    await session_11.endSession();
+    await other_11.endSession();
+    await throws(()=>accounts.insertOne({}, { session }),
+        'insertOne(): Cannot use a session that has ended');
+    await mc_11.close();
+
+
+    /* ----------------------------- Validation ----------------------------- */
+
+    // Invalid options, or an unsupported command, should fail.
+    const mc_12 = new C('mongodb://localhost/shop');
+    await mc_12.connect();
+    const db_12 = mc_12.db();
+    // @ts-expect-error
+    await throws(()=>db_12.createCollection('items', { validationLevel:'on' }),
+        "createCollection(): `options.validationLevel` 'on' is not in 'moderate:off:strict'");
+    await throws(()=>db_12.createCollection('items', { validator:{
+        $jsonSchema:{ bsonType:'object', minLength:1 } } }),
+        'createCollection(): `options.validator.$jsonSchema.minLength` is unexpected');
+    await throws(()=>db_12.command({ ping:1 }), "command(): no such command: 'ping'");
+    await throws(()=>db_12.command({ collMod:'nope', validationLevel:'off' }),
+        'command(): ns does not exist');
+
+    // A write which fails the validator should be rejected, with `errInfo`.
+    const items = await db_12.createCollection('items', { validator:{
+        $jsonSchema:{ bsonType:'object', required:[ 'sku' ], properties:{
+            sku:{ bsonType:'string', pattern:'^[A-Z]{3}$' },
+            qty:{ bsonType:'int', minimum:0 } } },
+        status:{ $in:[ 'A', 'D' ] } } });
+    equal(toStr(items._options.validationLevel), '"strict"');
+    await items.insertOne({ _id:1, sku:'ABC', qty:5, status:'A' });
+    const err_12 = await items.insertOne({ _id:2, sku:'abc', status:'A' })
+        .catch(err => err);
+    equal(err_12.message, 'insertOne(): Document failed validation');
+    equal(err_12.code, 121);
+    equal(toStr(err_12.errInfo), toStr({ failingDocumentId:2, details:{
+        operatorName:'$and', clausesNotSatisfied:[ { index:0, details:{
+        operatorName:'$jsonSchema', schemaRulesNotSatisfied:[ {
+        operatorName:'properties', propertiesNotSatisfied:[ {
+        propertyName:'sku', details:[ { operatorName:'pattern',
+        specifiedAs:{ pattern:'^[A-Z]{3}$' },
+        reason:'regular expression did not match',
+        consideredValue:'abc' } ] } ] } ] } } ] } }));
+    await throws(()=>items.updateOne({ _id:1 }, { $inc:{ qty:-9 } }),
+        'updateOne(): Document failed validation');
+    await throws(()=>items.insertMany([ { sku:'DEF', status:'A' },
+        { sku:'GHI', status:'X' } ]), 'insertMany(): Document failed validation');
+    await throws(()=>items.replaceOne({ _id:3 }, { sku:'JKL' },
+        { upsert:true }), 'replaceOne(): Document failed validation');
+    equal(await items.countDocuments(), 1);
+
+    // `collMod` should change the options, and 'moderate' should allow
+    // updates to documents which were already invalid.
+    await db_12.command({ collMod:'items', validationAction:'warn' });
+    await items.insertOne({ _id:4, sku:'bad', status:'A' });
+    await db_12.command({ collMod:'items', validationAction:'error',
+        validationLevel:'moderate' });
+    await items.updateOne({ _id:4 }, { $set:{ status:'D' } });
+    await throws(()=>items.updateOne({ _id:1 }, { $set:{ status:'X' } }),
+        'updateOne(): Document failed validation');
+    equal(toStr(items._options), toStr({ validator:items._options.validator,
+        validationLevel:'moderate', validationAction:'error' }));
+
+    // A collection which already exists cannot be created again.
+    await throws(()=>db_12.createCollection('items'),
+        'createCollection(): Collection shop.items already exists.');
+    db_12.collection('unused');
+    await db_12.createCollection('unused');
+    await mc_12.close();
+
+
+    /* ------------------------ Dropping and renaming ----------------------- */
+
+    // Renaming a collection should end its change streams.
+    const mc_13 = new C('mongodb://localhost/zoo');
+    await mc_13.connect();
+    const db_13 = mc_13.db();
+    const frogs_13 = db_13.collection('frogs');
+    await frogs_13.insertOne({ _id:1 });
+    const frogStream_13 = frogs_13.watch();
+    const zooStream_13 = db_13.watch();
+    const newts_13 = await frogs_13.rename('newts');
+    equal(toStr(omit(await frogStream_13.next())), toStr({
+        operationType:'rename', ns:{ db:'zoo', coll:'frogs' },
+        to:{ db:'zoo', coll:'newts' } }));
+    equal((await frogStream_13.next()).operationType, 'invalidate');
+    equal(toStr(await newts_13.find({}).toArray()), toStr([ { _id:1 } ]));
+    equal(await frogs_13.countDocuments(), 0);
+
+    // A dropped collection should be empty, and writing to it should
+    // create it again.
+    const session_13 = mc_13.startSession();
+    session_13.startTransaction();
+    await throws(()=>newts_13.drop({ session:session_13 }),
+        "drop(): Cannot run 'drop' in a multi-document transaction.");
+    await session_13.endSession();
+    equal(await newts_13.drop(), true);
+    equal(toStr(omit(await zooStream_13.next())), toStr({
+        operationType:'rename', ns:{ db:'zoo', coll:'frogs' },
+        to:{ db:'zoo', coll:'newts' } }));
+    equal(toStr(omit(await zooStream_13.next())), toStr({
+        operationType:'drop', ns:{ db:'zoo', coll:'newts' } }));
+    equal(await newts_13.countDocuments(), 0);
+    await newts_13.insertOne({ _id:2 });
+    equal(toStr(await db_13.listCollections({}, { nameOnly:true }).toArray()),
+        toStr([ { name:'newts', type:'collection' } ]));
+    await mc_13.close();
+
+
+    /* --------------------- Capped collections and tailing ------------------ */
+
+    // A capped collection needs a `size`, which cannot be changed by `collMod`.
+    const mc_14 = new C('mongodb://localhost/audit');
+    await mc_14.connect();
+    const db_14 = mc_14.db();
+    await throws(()=>db_14.createCollection('log', { capped:true }),
+        'createCollection(): `options.size` is required when `capped` is true');
+    const log_14 = await db_14.createCollection('log', { capped:true,
+        size:4096, max:3 });
+    equal(await log_14.isCapped(), true);
+    equal(await db_14.collection('other').isCapped(), false);
+    await throws(()=>db_14.command({ collMod:'log', max:5 }),
+        'command(): option not supported on collMod: max');
+
+    // Inserting more than `max` documents should evict the oldest ones, and
+    // publish their deletion.
+    const stream_14 = log_14.watch([ { $match:{ operationType:'delete' } } ]);
+    await log_14.insertMany([ { _id:1 }, { _id:2 }, { _id:3 }, { _id:4 } ]);
+    await log_14.insertOne({ _id:5 });
+    equal((await log_14.find({}).map(({ _id }) => _id).toArray()).join(),
+        '3,4,5');
+    equal((await stream_14.next()).documentKey._id, 1);
+    equal((await stream_14.next()).documentKey._id, 2);
+    await stream_14.close();
+
+    // More than `size` bytes of documents should also evict the oldest ones.
+    const big_14 = await db_14.createCollection('big', { capped:true,
+        size:100 });
+    const text = 'x'.repeat(1000);
+    for (let i = 1; i <= 6; i++) await big_14.insertOne({ _id:i, text });
+    equal((await big_14.find({}).map(({ _id }) => _id).toArray()).join(),
+        '3,4,5,6');
+
+    // A tailable cursor should only be allowed on a capped collection.
+    await throws(()=>db_14.collection('other').find({}, { tailable:true })
+        .toArray(),
+        'find(): tailable cursor requested on non capped collection');
+    throws(()=>log_14.find({}, { awaitData:true }),
+        'find(): `options.awaitData` cannot be set without `options.tailable`');
+
+    // A tailable cursor should wait for later inserts which match.
+    const cursor_14 = log_14.find({ _id:{ $gt:4 } },
+        { tailable:true, awaitData:true });
+    equal((await cursor_14.next())._id, 5);
+    const waiting_14 = cursor_14.next();
+    await log_14.insertMany([ { _id:0 }, { _id:6 } ]);
+    equal((await waiting_14)._id, 6);
+    equal(await cursor_14.tryNext(), null);
+
+    // Dropping the collection should kill a tailable cursor.
+    const killed_14 = cursor_14.next();
+    await log_14.drop();
+    await throws(()=>killed_14, 'find(): collection dropped');
+    await mc_14.close();
+
+
+    /* ---------------------------- Persistence ----------------------------- */
+
+    // Passing invalid options should fail.
+    throws(()=>new C('mongodb://localhost', { persistDir:'' }),
+        "new MongoishClient(): `options.persistDir` '' is not min 1");
+    throws(()=>new C('mongodb://localhost', { flushInterval:10 }),
+        'new MongoishClient(): `options.flushInterval` needs ' +
+        '`options.persistDir` to be set');
+
+    // A client with `persistDir` should save every database on `close()`.
+    const { mkdtemp, readdir, readFile, rm, stat, writeFile } =
+        await import('node:fs/promises');
+    const { tmpdir } = await import('node:os');
+    const { join } = await import('node:path');
+    const persistDir = await mkdtemp(join(tmpdir(), 'mongoish-'));
+    const mc_4 = new C('mongodb://localhost', { persistDir });
+    await mc_4.connect();
+    const frogs_4 = mc_4.db('zoo').collection('frogs');
+    const { insertedId } = await frogs_4.insertOne({ name:'Kermit',
+        born:new Date(Date.UTC(1955, 4, 9)), legs:BigInt(4) });
+    await frogs_4.insertOne({ _id:'f2', name:'Freddo' });
+    await frogs_4.createIndex({ name:1 }, { unique:true });
+    mc_4.db('empty');
+    await mc_4.close();
+    equal(JSON.parse(await readFile(join(persistDir, 'zoo.json'), 'utf8'))
+        .frogs.documents[0]._id.$oid, insertedId.toHexString());
+
+    // A second client should load the documents, their types and the indexes
+    // on `connect()`.
+    const mc_5 = new C('mongodb://localhost', { persistDir });
+    await mc_5.connect();
+    const frogs_5 = mc_5.db('zoo').collection('frogs');
+    const kermit = await frogs_5.findOne({ _id:insertedId });
+    equal(kermit.name, 'Kermit');
+    equal(kermit.born.toISOString(), '1955-05-09T00:00:00.000Z');
+    equal(kermit.legs, BigInt(4));
+    equal((await frogs_5.find({}).toArray()).map(f => f.name).join(), 
+        'Kermit,Freddo');
+    await throws(()=>frogs_5.insertOne({ name:'Freddo' }), 'insertOne(): ' +
+        'E11000 duplicate key error collection: frogs.documents index: ' +
+        'name_1 dup key: { name: "Freddo" }');
+
+    // Reconnecting should not load the documents twice, and dropping a
+    // database should delete its file.
+    await frogs_5.deleteOne({ _id:'f2' });
+    await mc_5.close();
+    await mc_5.connect();
+    equal(await mc_5.db('zoo').collection('frogs').countDocuments(), 1);
+    await mc_5.db('zoo').dropDatabase();
+    await mc_5.close();
+    await throws(()=>readFile(join(persistDir, 'zoo.json')),
+        `ENOENT: no such file or directory, open '${join(persistDir, 'zoo.json')}'`);
+
+    // A client with `flushInterval` should also save while it is connected.
+    const mc_6 = new C('mongodb://localhost', { persistDir, flushInterval:5 });
+    await mc_6.connect();
+    await mc_6.db('zoo').collection('toads').insertOne({ _id:'t1' });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    equal(await readFile(join(persistDir, 'zoo.json'), 'utf8'), '{"toads":{' +
+        '"indexes":[{"v":2,"key":{"_id":1},"name":"_id_"}],' +
+        '"documents":[{"_id":"t1"}]}}');
+    await mc_6.close();
+    equal(mc_6._flushTimer, null);
+
+
+    /* ------------------------------ Journaling ---------------------------- */
+
+    // Journal options without the options they need should fail.
+    throws(()=>new C('mongodb://localhost', { journal:true }),
+        'new MongoishClient(): `options.journal` needs `options.persistDir` ' +
+        'to be set');
+    throws(()=>new C('mongodb://localhost', { persistDir, journalMaxBytes:9 }),
+        'new MongoishClient(): `options.journalMaxBytes` needs ' +
+        '`options.journal` to be set');
+
+    // Each write should be in the journal by the time it resolves, without
+    // waiting for `close()`.
+    const journalDir = join(persistDir, 'journaled');
+    const mc_7 = new C('mongodb://localhost', { persistDir:journalDir,
+        journal:true });
+    await mc_7.connect();
+    const newts_7 = mc_7.db('zoo').collection('newts');
+    await newts_7.insertMany([ { _id:'n1', age:1 }, { _id:'n2', age:2 },
+        { _id:'n3', age:3, seen:new Date(9) } ]);
+    await newts_7.updateOne({ _id:'n1' }, { $inc:{ age:10 } });
+    await newts_7.replaceOne({ _id:'n2' }, {});
+    await newts_7.deleteOne({ _id:'n3' });
+    await newts_7.createIndex({ age:1 }, { unique:true });
+    await newts_7.insertOne({ age:4 });
+    await mc_7.db('zoo').createCollection('efts', { validator:{
+        age:{ $gte:0 }, name:{ $regex:'^E' } } });
+    await mc_7.db('zoo').collection('frogs').insertOne({ _id:'f1' });
+    await mc_7.db('zoo').renameCollection('frogs', 'toads');
+    await (await mc_7.db('zoo').createCollection('logs', { capped:true,
+        size:4096, max:2 })).insertMany([ { _id:1 }, { _id:2 }, { _id:3 } ]);
+    await mc_7.db('gone').collection('tmp').insertOne({});
+    await mc_7.db('gone').dropDatabase();
+    const journaled = await readFile(join(journalDir, 'zoo.journal'), 'utf8');
+    equal(journaled.trim().split('\n').length, 12);
+    await throws(()=>readFile(join(journalDir, 'zoo.json')), 'ENOENT: no ' +
+        `such file or directory, open '${join(journalDir, 'zoo.json')}'`);
+
+    // Simulate a crash part-way through appending a record. The next client
+    // should replay the journal, skip the truncated record, and save a
+    // snapshot in place of the journal.
+    await writeFile(join(journalDir, 'zoo.journal'),
+        `${journaled}{"collection":"newts","op":"ins`);
+    const mc_8 = new C('mongodb://localhost', { persistDir:journalDir,
+        journal:true });
+    await mc_8.connect();
+    const newts_8 = mc_8.db('zoo').collection('newts');
+    const found = await newts_8.find({}).toArray();
+    equal(found.map(({ _id, age }) => `${_id}:${age}`).join(),
+        'n1:11,n2:undefined,' + `${found[2]._id}:4`);
+    equal(found[2]._id.constructor.name, 'ObjectId');
+    await throws(()=>newts_8.insertOne({ age:11 }), 'insertOne(): E11000 ' +
+        'duplicate key error collection: newts.documents index: age_1 ' +
+        'dup key: { age: 11 }');
+    equal((await readdir(journalDir)).sort().join(), 'zoo.json');
+    equal((await mc_8.db('gone').listCollections().toArray()).length, 0);
+    await throws(()=>mc_8.db('zoo').collection('efts').insertOne({ age:1,
+        name:'eft' }), 'insertOne(): Document failed validation');
+    equal(toStr(await mc_8.db('zoo').listCollections({}, { nameOnly:true })
+        .map(({ name }) => name).toArray()),
+        toStr([ 'newts', 'efts', 'toads', 'logs' ]));
+    equal(toStr(await mc_8.db('zoo').collection('logs').find({}).toArray()),
+        toStr([ { _id:2 }, { _id:3 } ]));
+    equal(await mc_8.db('zoo').collection('logs').isCapped(), true);
+    equal(toStr(await mc_8.db('zoo').collection('toads').find({}).toArray()),
+        toStr([ { _id:'f1' } ]));
+
+    // Once the journal reaches `journalMaxBytes`, it should be compacted into
+    // the snapshot.
+    const mc_9 = new C('mongodb://localhost', { persistDir:journalDir,
+        journal:true, journalMaxBytes:200 });
+    await mc_8.close();
+    await mc_9.connect();
+    const newts_9 = mc_9.db('zoo').collection('newts');
+    await throws(()=>mc_9.db('zoo').collection('efts').insertOne({ age:-1,
+        name:'Eft' }), 'insertOne(): Document failed validation');
+    for (let age = 20; age < 30; age++) await newts_9.insertOne({ age });
+    await mc_9._flushing;
+    const { size } = await stat(join(journalDir, 'zoo.journal'))
+        .catch(() => ({ size:0 }));
+    equal(size < 200, true);
+    await mc_9.close();
+    equal((await readdir(journalDir)).sort().join(), 'zoo.json');
+    const zoo_9 = JSON.parse(await readFile(join(journalDir, 'zoo.json'), 'utf8'));
+    equal(zoo_9.newts.documents.length, 13);
+    equal(Object.keys(zoo_9).sort().join(), 'efts,logs,newts,toads');
+
+    await rm(persistDir, { recursive:true });
 }
@@ -0,0 +1,277 @@
+/**
+ * ### A 12-byte MongoDB id, like the `bson` package's `ObjectId`.
+ *
+ * The bytes follow the BSON layout:
+ * - a 4-byte timestamp, in seconds since the Unix epoch
+ * - a 5-byte random value, which is the same for every id in this process
+ * - a 3-byte counter, which starts at a random value
+ *
+ * Like MongoDB, ObjectIds are compared by value, so two instances with the same
+ * hex string are equal in queries and unique indexes.
+ */
+export default class ObjectId {
+    /**
+     * ### Creates an ObjectId, or generates a new one.
+     *
+     * @param {string|number|Uint8Array|ObjectId} [inputId]
+     *    A 24-character hex string, 12 bytes, another ObjectId, or a timestamp
+     *    in seconds. If missing, the current time is used.
+     * @throws
+     *    Throws an `Error` if `inputId` is invalid.
+     */
+    constructor(inputId) {
+        const begin = 'new ObjectId()';
+
+        // Read the bytes from the `inputId` argument, or generate them.
+        /** @type {Uint8Array} */
+        let bytes;
+        if (typeof inputId === 'undefined' || typeof inputId === 'number') {
+            bytes = ObjectId.generate(inputId);
+        } else if (inputId instanceof ObjectId) {
+            bytes = inputId.id;
+        } else if (typeof inputId === 'string' && /^[0-9a-f]{24}$/i.test(inputId)) {
+            bytes = Uint8Array.from(inputId.match(/../g), pair => parseInt(pair, 16));
+        } else if (inputId instanceof Uint8Array && inputId.length === 12) {
+            bytes = Uint8Array.from(inputId);
+        } else {
+            throw Error(`${begin}: Argument passed in must be a 24 character ` +
+                'hex string, 12 byte Uint8Array, or an integer');
+        }
+
+        // Store the id as a lowercase hex string, which is cheap to compare.
+        this._hex = Array.from(bytes, byte =>
+            byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * ### Always `'ObjectId'`, like the `bson` package.
+     *
+     * @type {'ObjectId'}
+     */
+    get _bsontype() { return 'ObjectId' }
+
+    /**
+     * ### A copy of the id's 12 bytes.
+     *
+     * @type {Uint8Array}
+     */
+    get id() {
+        return Uint8Array.from(this._hex.match(/../g), pair => parseInt(pair, 16));
+    }
+
+    /**
+     * ### Determines whether this id is the same as another.
+     *
+     * @param {any} otherId
+     *    An ObjectId, or a 24-character hex string.
+     * @returns {boolean}
+     *    Returns `true` if the ids have the same bytes.
+     */
+    equals(otherId) {
+        if (otherId instanceof ObjectId) return otherId._hex === this._hex;
+        return typeof otherId === 'string' && /^[0-9a-f]{24}$/i.test(otherId)
+            && otherId.toLowerCase() === this._hex;
+    }
+
+    /**
+     * ### Returns the time that the id was generated, to the second.
+     *
+     * @returns {Date}
+     *    Returns a `Date` from the id's first 4 bytes.
+     */
+    getTimestamp() {
+        return new Date(parseInt(this._hex.slice(0, 8), 16) * 1000);
+    }
+
+    /**
+     * ### Describes the id, like MongoDB's error messages do.
+     *
+     * @returns {string}
+     *    Returns eg `ObjectId('64b7e6d0c2a1f3e4d5c6b7a8')`.
+     */
+    inspect() { return `ObjectId('${this._hex}')` }
+
+    /**
+     * ### Returns the id as JSON, which is its hex string.
+     *
+     * @returns {string}
+     *    Returns 24 lowercase hex characters.
+     */
+    toJSON() { return this._hex }
+
+    /**
+     * ### Returns the id as a hex string.
+     *
+     * @returns {string}
+     *    Returns 24 lowercase hex characters.
+     */
+    toHexString() { return this._hex }
+
+    /**
+     * ### Returns the id as a hex string.
+     *
+     * @returns {string}
+     *    Returns 24 lowercase hex characters.
+     */
+    toString() { return this._hex }
+
+    /**
+     * ### Makes `console.log()` show `new ObjectId("...")`, like `bson` does.
+     *
+     * @returns {string}
+     *    Returns a description of the id.
+     */
+    [Symbol.for('nodejs.util.inspect.custom')]() {
+        return `new ObjectId("${this._hex}")`;
+    }
+
+    /**
+     * ### Creates an ObjectId from a 24-character hex string.
+     *
+     * @param {string} hexString
+     *    The hex string.
+     * @returns {ObjectId}
+     *    Returns a new ObjectId.
+     * @throws
+     *    Throws an `Error` if `hexString` is not 24 hex characters.
+     */
+    static createFromHexString(hexString) {
+        if (typeof hexString !== 'string' || !/^[0-9a-f]{24}$/i.test(hexString))
+            throw Error('ObjectId.createFromHexString(): Input must be a 24 ' +
+                'character hex string');
+        return new ObjectId(hexString);
+    }
+
+    /**
+     * ### Creates an ObjectId with a timestamp, and every other byte zero.
+     *
+     * This is useful for range queries on `_id`, eg all documents created after
+     * a certain time.
+     *
+     * @param {number} time
+     *    The timestamp, in seconds since the Unix epoch.
+     * @returns {ObjectId}
+     *    Returns a new ObjectId.
+     */
+    static createFromTime(time) {
+        const bytes = new Uint8Array(12);
+        new DataView(bytes.buffer).setUint32(0, time);
+        return new ObjectId(bytes);
+    }
+
+    /**
+     * ### Generates the bytes of a new ObjectId.
+     *
+     * @param {number} [time]
+     *    The timestamp, in seconds. Defaults to the current time.
+     * @returns {Uint8Array}
+     *    Returns 12 bytes.
+     */
+    static generate(time = Math.floor(Date.now() / 1000)) {
+        counter = (counter + 1) % 0x1000000;
+        const bytes = new Uint8Array(12);
+        new DataView(bytes.buffer).setUint32(0, time);
+        bytes.set(processUnique, 4);
+        bytes[9] = counter >> 16;
+        bytes[10] = (counter >> 8) & 0xff;
+        bytes[11] = counter & 0xff;
+        return bytes;
+    }
+
+    /**
+     * ### Determines whether a value could be used to create an ObjectId.
+     *
+     * @param {any} id
+     *    The value to check.
+     * @returns {boolean}
+     *    Returns `true` for an ObjectId, a 24-character hex string, 12 bytes,
+     *    or an integer.
+     */
+    static isValid(id) {
+        if (id === null || id === void 0) return false;
+        try { new ObjectId(id) } catch { return false }
+        return true;
+    }
+}
+
+
+/* ---------------------------------- Private ------------------------------- */
+
+// The 5 random bytes which are the same for every ObjectId generated by this
+// process, and the counter, which starts at a random value.
+const random = () => Math.floor(Math.random() * 256);
+const processUnique = Uint8Array.from({ length:5 }, random);
+let counter = Math.floor(Math.random() * 0x1000000);
+
+
+/* ---------------------------------- Tests --------------------------------- */
+
+/**
+ * ### `ObjectId` unit tests.
+ *
+ * @param {typeof ObjectId} C
+ *    The `ObjectId` class to test.
+ * @returns {void}
+ *    Does not return anything.
+ * @throws
+ *    Throws an `Error` if a test fails.
+ */
+export function objectIdTest(C) {
+    const e2l = e => (e.stack.split('\n')[2].match(/([^\/]+\.js:\d+):\d+\)?$/)||[])[1];
+    const equal = (actual, expected) => { if (actual === expected) return;
+        try { throw Error() } catch(err) { throw Error(`actual:\n${actual}\n` +
+            `!== expected:\n${expected}\n...at ${e2l(err)}\n`) } };
+    const throws = (actual, expected) => { try { actual() } catch (err) {
+        if (err.message !== expected) { throw Error(`actual message:\n${err.message
+            }\n!== expected message:\n${expected}\n...at ${e2l(err)}\n`)} return }
+        throw Error(`expected message:\n${expected}\nbut nothing was thrown\n`) };
+    const toStr = value => JSON.stringify(value);
+
+    // Invalid arguments should fail.
+    const message = 'new ObjectId(): Argument passed in must be a 24 ' +
+        'character hex string, 12 byte Uint8Array, or an integer';
+    // @ts-expect-error
+    throws(()=>new C({}), message);
+    throws(()=>new C('64b7e6d0c2a1f3e4d5c6b7a'), message);
+    throws(()=>new C(new Uint8Array(11)), message);
+    throws(()=>C.createFromHexString('nope'),
+        'ObjectId.createFromHexString(): Input must be a 24 character hex string');
+
+    // Generated ids should follow the BSON layout: a timestamp, then 5 bytes
+    // which are the same for the whole process, then an incrementing counter.
+    const before = Math.floor(Date.now() / 1000);
+    const a = new C();
+    const b = new C();
+    equal(/^[0-9a-f]{24}$/.test(a.toHexString()), true);
+    equal(a.getTimestamp().getTime() >= before * 1000, true);
+    equal(a.toHexString().slice(8, 18), b.toHexString().slice(8, 18));
+    equal((parseInt(b.toHexString().slice(18), 16) -
+        parseInt(a.toHexString().slice(18), 16) + 0x1000000) % 0x1000000, 1);
+    equal(a.equals(b), false);
+
+    // Ids created from the same value should be equal.
+    const hex = '64B7E6D0C2A1F3E4D5C6B7A8';
+    const c = new C(hex);
+    equal(c.toHexString(), hex.toLowerCase());
+    equal(c.toString(), hex.toLowerCase());
+    equal(toStr({ _id:c }), '{"_id":"64b7e6d0c2a1f3e4d5c6b7a8"}');
+    equal(c.inspect(), "ObjectId('64b7e6d0c2a1f3e4d5c6b7a8')");
+    equal(c._bsontype, 'ObjectId');
+    equal(c.equals(new C(c)), true);
+    equal(c.equals(new C(c.id)), true);
+    equal(c.equals(C.createFromHexString(hex)), true);
+    equal(c.equals(hex), true);
+    equal(c.equals(null), false);
+    equal(c.getTimestamp().toISOString(), '2023-07-19T13:36:16.000Z');
+    equal(C.createFromTime(1689773776).toHexString(), '64b7e6d00000000000000000');
+    equal(new C(1689773776).getTimestamp().getTime(), 1689773776000);
+
+    // `isValid()` should accept anything the constructor accepts.
+    equal(C.isValid(hex), true);
+    equal(C.isValid(c), true);
+    equal(C.isValid(new Uint8Array(12)), true);
+    equal(C.isValid(123), true);
+    equal(C.isValid('zzz'), false);
+    equal(C.isValid(null), false);
+    equal(C.isValid(void 0), false);
+}
@@ -0,0 +1,140 @@
+import {
+    mkdir,
+    mkdtemp,
+    readdir,
+    readFile,
+    rename,
+    rm,
+    writeFile,
+} from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fromExtendedJson, toExtendedJson } from './extended-json.js';
+
+/**
+ * ### Everything needed to recreate a collection.
+ *
+ * @typedef {Object} CollectionSnapshot
+ * @property {import('./indexes.js').IndexSpec[]} indexes
+ *    The collection's indexes, including `_id_`.
+ * @property {object[]} documents
+ *    The documents, in natural order.
+ * @property {import('./collection.js').CollectionOptions} [options]
+ *    The options set by `createCollection()`, if there are any.
+ */
+
+/**
+ * ### A database's collections, keyed by name.
+ *
+ * @typedef {Object<string,CollectionSnapshot>} DatabaseSnapshot
+ */
+
+/**
+ * ### Reads every database snapshot in a directory.
+ *
+ * Each database is stored in its own file, eg 'animals_db.json', which holds
+ * its collections in Extended JSON. The directory is created if it does not
+ * exist yet.
+ *
+ * @param {string} persistDir
+ *    The directory.
+ * @param {string} begin
+ *    The name of the calling method, used to begin any error message.
+ * @returns {Promise<Object<string,DatabaseSnapshot>>}
+ *    Returns a `Promise` which resolves to the snapshots, keyed by database
+ *    name.
+ * @throws
+ *    Throws an `Error` if a file cannot be read or parsed.
+ */
+export async function readSnapshots(persistDir, begin) {
+    await mkdir(persistDir, { recursive:true });
+    /** @type {Object<string,DatabaseSnapshot>} */
+    const snapshots = {};
+    for (const filename of (await readdir(persistDir)).sort()) {
+        const [ , dbName ] = filename.match(/^([a-z][_a-z0-9]*)\.json$/) || [];
+        if (!dbName) continue;
+        const path = join(persistDir, filename);
+        try {
+            snapshots[dbName] = fromExtendedJson(JSON.parse(
+                await readFile(path, 'utf8')));
+        } catch (err) {
+            throw Error(`${begin}: Cannot load '${path}': ${err.message}`);
+        }
+    }
+    return snapshots;
+}
+
+/**
+ * ### Writes a database snapshot, or deletes it if there are no collections.
+ *
+ * The snapshot is written to a temporary file, which is then renamed, so that
+ * a crash part-way through never leaves a half-written snapshot.
+ *
+ * @param {string} persistDir
+ *    The directory.
+ * @param {string} dbName
+ *    The name of the database.
+ * @param {DatabaseSnapshot} snapshot
+ *    The database's collections.
+ * @returns {Promise<void>}
+ *    Returns a `Promise` which does not resolve to anything.
+ */
+export async function writeSnapshot(persistDir, dbName, snapshot) {
+    const path = join(persistDir, `${dbName}.json`);
+    if (!Object.keys(snapshot).length) return rm(path, { force:true });
+    await mkdir(persistDir, { recursive:true });
+    await writeFile(`${path}.tmp`, JSON.stringify(toExtendedJson(snapshot)));
+    await rename(`${path}.tmp`, path);
+}
+
+
+/* ---------------------------------- Tests --------------------------------- */
+
+/**
+ * ### `persistence.js` unit tests.
+ *
+ * @returns {Promise<void>}
+ *    Returns a `Promise` which does not resolve to anything.
+ * @throws
+ *    Throws an `Error` if a test fails.
+ */
+export async function persistenceTest() {
+    const e2l = e => (e.stack.split('\n')[2].match(/([^\/]+\.js:\d+):\d+\)?$/)||[])[1];
+    const equal = (actual, expected) => { if (actual === expected) return;
+        try { throw Error() } catch(err) { throw Error(`actual:\n${actual}\n` +
+            `!== expected:\n${expected}\n...at ${e2l(err)}\n`) } };
+    const throws = async (actual, expected) => { try { const result = actual();
+            if (result instanceof Promise) await result } catch (err) {
+        if (err.message !== expected) { throw Error(`actual message:\n${err.message
+            }\n!== expected message:\n${expected}\n...at ${e2l(err)}\n`)} return }
+        throw Error(`expected message:\n${expected}\nbut nothing was thrown\n`) };
+    const toStr = value => JSON.stringify(value);
+    const dir = join(await mkdtemp(join(tmpdir(), 'mongoish-')), 'data');
+
+    // Reading a missing directory should create it, and find nothing.
+    equal(toStr(await readSnapshots(dir, 'test()')), '{}');
+
+    // A written snapshot should be read back, with its types restored.
+    const indexes = [ { v:2, key:{ _id:1 }, name:'_id_' } ];
+    await writeSnapshot(dir, 'db_1', { frogs:{ indexes, documents:[
+        { _id:1, seen:new Date(7) } ] }, toads:{ indexes, documents:[] } });
+    const snapshots = await readSnapshots(dir, 'test()');
+    equal(toStr(Object.keys(snapshots)), toStr([ 'db_1' ]));
+    equal(snapshots.db_1.frogs.documents[0].seen.getTime(), 7);
+    equal(snapshots.db_1.toads.documents.length, 0);
+    equal(toStr((await readdir(dir)).sort()), toStr([ 'db_1.json' ]));
+
+    // Files which are not database snapshots should be ignored, but a corrupt
+    // snapshot should fail.
+    await writeFile(join(dir, 'notes.txt'), 'hello');
+    await writeFile(join(dir, 'db_2.json'), '{"frogs":');
+    await throws(()=>readSnapshots(dir, 'test()'), `test(): Cannot load '${
+        join(dir, 'db_2.json')}': Unexpected end of JSON input`);
+
+    // Writing an empty snapshot should delete the file.
+    await writeSnapshot(dir, 'db_2', {});
+    await writeSnapshot(dir, 'db_3', {});
+    equal(toStr((await readdir(dir)).sort()), toStr([ 'db_1.json', 'notes.txt' ]));
+
+    await rm(join(dir, '..'), { recursive:true });
+}
@@ -0,0 +1,145 @@
+import { cloneValue, isPlainObject } from './values.js';
+
+/**
+ * ### Creates a projection function from a MongoDB projection document.
+ *
+ * Supports inclusion projections like `{ a:1, 'b.c':1 }` and exclusion
+ * projections like `{ a:0 }`. The `_id` field is included unless it is
+ * explicitly excluded with `{ _id:0 }`, which is allowed in either kind.
+ *
+ * @param {Object<string,0|1|boolean>} projection
+ *    The projection document, eg `{ _id:0, name:1 }`.
+ * @param {string} begin
+ *    The name of the calling method, used to begin any error message.
+ * @returns {function(object):object}
+ *    Returns a function which creates a projected copy of a document.
+ * @throws
+ *    Throws an `Error` if the projection document is invalid.
+ */
+export function compileProjection(projection, begin) {
+    const paths = Object.keys(projection);
+    let inclusion = null;
+    let includeId = true;
+    for (const path of paths) {
+        const value = projection[path];
+        if (typeof value !== 'number' && typeof value !== 'boolean')
+            throw Error(`${begin}: Mongoish only supports 0, 1, true and false ` +
+                `as projection values, not ${JSON.stringify(value)} for ${path}`);
+        if (path === '_id') { includeId = !!value; continue }
+        if (inclusion === null) inclusion = !!value;
+        else if (inclusion !== !!value) throw Error(`${begin}: Cannot do ` +
+            `${inclusion ? 'exclusion' : 'inclusion'} on field ${path} in ` +
+            `${inclusion ? 'inclusion' : 'exclusion'} projection`);
+    }
+
+    // Convert the dot-notation paths to a tree, eg `{ b:{ c:true } }`.
+    const tree = {};
+    for (const path of paths) {
+        if (path === '_id') continue;
+        const parts = path.split('.');
+        let node = tree;
+        for (const part of parts.slice(0, -1))
+            node = node[part] = isPlainObject(node[part]) ? node[part] : {};
+        node[parts[parts.length - 1]] = true;
+    }
+
+    // Just `{ _id:1 }` is an inclusion projection.
+    if (inclusion === null && paths.length) inclusion = includeId;
+
+    // An exclusion projection, or `{}`, or just `{ _id:0 }`.
+    if (!inclusion) return document => {
+        const projected = exclude(document, tree);
+        if (!includeId) delete projected._id;
+        return projected;
+    };
+
+    // An inclusion projection.
+    return document => {
+        const projected = {};
+        if (includeId && '_id' in document)
+            projected._id = cloneValue(document._id);
+        return Object.assign(projected, include(document, tree));
+    };
+}
+
+
+/* ---------------------------------- Private ------------------------------- */
+
+// Copies only the fields in `tree`, looking inside arrays of sub-documents.
+function include(value, tree) {
+    if (Array.isArray(value)) return value
+        .filter(item => isPlainObject(item) || Array.isArray(item))
+        .map(item => include(item, tree));
+    const included = {};
+    for (const key in tree) {
+        if (!(key in value)) continue;
+        if (tree[key] === true) included[key] = cloneValue(value[key]);
+        else if (isPlainObject(value[key]) || Array.isArray(value[key]))
+            included[key] = include(value[key], tree[key]);
+    }
+    return included;
+}
+
+// Copies every field except those in `tree`.
+function exclude(value, tree) {
+    if (Array.isArray(value)) return value.map(item =>
+        isPlainObject(item) || Array.isArray(item) ? exclude(item, tree) : item);
+    const excluded = {};
+    for (const key in value) {
+        if (tree[key] === true) continue;
+        excluded[key] = tree[key] &&
+            (isPlainObject(value[key]) || Array.isArray(value[key]))
+            ? exclude(value[key], tree[key])
+            : cloneValue(value[key]);
+    }
+    return excluded;
+}
+
+
+/* ---------------------------------- Tests --------------------------------- */
+
+/**
+ * ### `projection.js` unit tests.
+ *
+ * @returns {void}
+ *    Does not return anything.
+ * @throws
+ *    Throws an `Error` if a test fails.
+ */
+export function projectionTest() {
+    const e2l = e => (e.stack.split('\n')[2].match(/([^\/]+\.js:\d+):\d+\)?$/)||[])[1];
+    const equal = (actual, expected) => { if (actual === expected) return;
+        try { throw Error() } catch(err) { throw Error(`actual:\n${actual}\n` +
+            `!== expected:\n${expected}\n...at ${e2l(err)}\n`) } };
+    const throws = (actual, expected) => { try { actual() } catch (err) {
+        if (err.message !== expected) { throw Error(`actual message:\n${err.message
+            }\n!== expected message:\n${expected}\n...at ${e2l(err)}\n`)} return }
+        throw Error(`expected message:\n${expected}\nbut nothing was thrown\n`) };
+    const toStr = value => JSON.stringify(value);
+    const project = (doc, projection) =>
+        toStr(compileProjection(projection, 'test()')(doc));
+
+    const doc = { _id:'p1', a:1, b:{ c:2, d:3 }, e:[ { f:4, g:5 }, 6 ] };
+
+    // Inclusion projections should keep `_id` unless it is excluded.
+    equal(project(doc, { a:1 }), toStr({ _id:'p1', a:1 }));
+    equal(project(doc, { _id:0, 'b.c':1, missing:1 }), toStr({ b:{ c:2 } }));
+    equal(project(doc, { 'e.f':true }), toStr({ _id:'p1', e:[ { f:4 } ] }));
+    equal(project(doc, { _id:1 }), toStr({ _id:'p1' }));
+
+    // Exclusion projections should keep everything else.
+    equal(project(doc, { b:0, e:0 }), toStr({ _id:'p1', a:1 }));
+    equal(project(doc, { _id:0, 'b.d':0, 'e.g':0 }),
+        toStr({ a:1, b:{ c:2 }, e:[ { f:4 }, 6 ] }));
+    equal(project(doc, {}), toStr(doc));
+
+    // Mixing inclusion and exclusion should fail.
+    throws(()=>compileProjection({ a:1, b:0 }, 'test()'),
+        'test(): Cannot do exclusion on field b in inclusion projection');
+    throws(()=>compileProjection({ a:false, b:true }, 'test()'),
+        'test(): Cannot do inclusion on field b in exclusion projection');
+    // @ts-expect-error
+    throws(()=>compileProjection({ a:'yes' }, 'test()'),
+        'test(): Mongoish only supports 0, 1, true and false as projection ' +
+        'values, not "yes" for a');
+}
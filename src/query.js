@@ -0,0 +1,293 @@
+import { evaluate, toBoolean } from './expression.js';
+import { matchesJsonSchema } from './json-schema.js';
+import {
+    compareValues,
+    equalValues,
+    isOperatorObject,
+    isPlainObject,
+    resolvePath,
+    typeAlias,
+    typeRank,
+} from './values.js';
+
+/**
+ * ### Determines whether a document matches a MongoDB query filter.
+ *
+ * Supports the comparison operators `$eq`, `$ne`, `$gt`, `$gte`, `$lt`, `$lte`,
+ * `$in` and `$nin`, the logical operators `$and`, `$or`, `$nor` and `$not`, the
+ * element operators `$exists` and `$type`, the array operators `$all`,
+ * `$elemMatch` and `$size`, `$mod` and `$regex`, `$jsonSchema`, and `$expr`,
+ * which uses the same aggregation expressions as `$project` and `$group`.
+ *
+ * Like MongoDB, a condition on a field which contains an array matches if the
+ * array itself matches, or if any of its items match.
+ *
+ * @param {object} document
+ *    The document to test.
+ * @param {object} filter
+ *    The query filter, eg `{ age:{ $gte:18 }, name:/^J/ }`.
+ * @param {Object<string,any>} [variables={}]
+ *    The values of any variables which `$expr` can use, eg from `$lookup`.
+ * @returns {boolean}
+ *    Returns `true` if the document matches the filter.
+ * @throws
+ *    Throws an `Error` if the filter contains an unknown or invalid operator.
+ */
+export function matchesFilter(document, filter, variables = {}) {
+    for (const key in filter) {
+        const condition = filter[key];
+        if (key[0] === '$') {
+            if (!matchesTopLevel(document, key, condition, variables))
+                return false;
+        } else if (!matchesCondition(resolvePath(document, key), condition)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * ### Determines whether a single value matches a condition.
+ *
+ * The `condition` can be a value to compare for equality, a `RegExp`, or an
+ * object of operators like `{ $gte:6 }`. This is useful for matching array
+ * items, for example in `$elemMatch` and the `$pull` update operator.
+ *
+ * @param {any} value
+ *    The value to test.
+ * @param {any} condition
+ *    The condition, eg `7`, `/^a/` or `{ $gte:6 }`.
+ * @returns {boolean}
+ *    Returns `true` if the value matches the condition.
+ * @throws
+ *    Throws an `Error` if the condition contains an unknown operator.
+ */
+export function matchesValue(value, condition) {
+    return matchesCondition([value], condition);
+}
+
+
+/* ---------------------------------- Private ------------------------------- */
+
+// Adds the items of any array values to a list of resolved values.
+function expand(values) {
+    const expanded = [];
+    for (const value of values) {
+        expanded.push(value);
+        if (Array.isArray(value)) expanded.push(...value);
+    }
+    return expanded;
+}
+
+// Handles `$and`, `$or`, `$nor` and `$expr`, which can only appear at the top
+// level.
+function matchesTopLevel(document, operator, operand, variables) {
+    switch (operator) {
+        case '$and':
+        case '$or':
+        case '$nor': {
+            if (!Array.isArray(operand) || !operand.length) throw Error(
+                `${operator} argument must be a non-empty array`);
+            const matches = f => matchesFilter(document, f, variables);
+            if (operator === '$and') return operand.every(matches);
+            const some = operand.some(matches);
+            return operator === '$or' ? some : !some;
+        }
+        case '$expr':
+            return toBoolean(evaluate(operand, document, '', variables));
+        case '$jsonSchema':
+            return matchesJsonSchema(document, operand);
+        case '$comment':
+            return true;
+    }
+    throw Error(`unknown top level operator: ${operator}`);
+}
+
+// Determines whether the values resolved from a path match a condition.
+function matchesCondition(values, condition) {
+    if (!isOperatorObject(condition)) return matchesEquality(values, condition);
+    for (const operator in condition)
+        if (!matchesOperator(values, operator, condition[operator], condition))
+            return false;
+    return true;
+}
+
+// Implements implicit equality, eg `{ a:1 }`, `{ a:null }` or `{ a:/x/ }`.
+function matchesEquality(values, operand) {
+    if (operand instanceof RegExp) return expand(values).some(
+        v => typeof v === 'string' ? operand.test(v) : equalValues(v, operand));
+    return expand(values).some(v => (v === void 0 || v === null)
+        ? operand === null || operand === void 0
+        : equalValues(v, operand));
+}
+
+// Implements a single operator, eg `$gt` in `{ a:{ $gt:3 } }`.
+function matchesOperator(values, operator, operand, condition) {
+    switch (operator) {
+        case '$eq':
+            return matchesEquality(values, operand);
+        case '$ne':
+            return !matchesEquality(values, operand);
+        case '$gt':
+        case '$gte':
+        case '$lt':
+        case '$lte':
+            return expand(values).some(v => compares(v, operator, operand));
+        case '$in':
+            if (!Array.isArray(operand)) throw Error('$in needs an array');
+            return operand.some(item => matchesEquality(values, item));
+        case '$nin':
+            if (!Array.isArray(operand)) throw Error('$nin needs an array');
+            return !operand.some(item => matchesEquality(values, item));
+        case '$exists':
+            return values.some(v => v !== void 0) === !!operand;
+        case '$type':
+            return expand(values).some(v => v !== void 0 &&
+                [].concat(operand).some(type => matchesType(v, type)));
+        case '$size':
+            return values.some(v => Array.isArray(v) && v.length === operand);
+        case '$all':
+            if (!Array.isArray(operand)) throw Error('$all needs an array');
+            return operand.length > 0 && operand.every(item =>
+                isPlainObject(item) && '$elemMatch' in item
+                    ? matchesCondition(values, item)
+                    : matchesEquality(values, item));
+        case '$elemMatch':
+            if (!isPlainObject(operand))
+                throw Error('$elemMatch needs an Object');
+            return values.some(v => Array.isArray(v) && v.some(item =>
+                isOperatorObject(operand)
+                    ? matchesCondition([item], operand)
+                    : isPlainObject(item) && matchesFilter(item, operand)));
+        case '$not':
+            if (!isOperatorObject(operand) && !(operand instanceof RegExp))
+                throw Error('$not needs a regex or a document');
+            return !matchesCondition(values, operand);
+        case '$mod': {
+            if (!Array.isArray(operand) || operand.length !== 2) throw Error(
+                'malformed mod, needs to be an array of two numbers');
+            const [divisor, remainder] = operand;
+            if (!divisor) throw Error('divisor cannot be 0');
+            return expand(values).some(v => typeof v === 'number' &&
+                Math.trunc(v) % divisor === remainder);
+        }
+        case '$regex': {
+            const rx = operand instanceof RegExp && !condition.$options
+                ? operand
+                : new RegExp(operand instanceof RegExp ? operand.source : operand,
+                    condition.$options || '');
+            return expand(values).some(v => typeof v === 'string' && rx.test(v));
+        }
+        case '$options':
+            if (!('$regex' in condition)) throw Error('$options needs a $regex');
+            return true;
+        case '$comment':
+            return true;
+    }
+    throw Error(`unknown operator: ${operator}`);
+}
+
+// Compares a value with an operand, but only if they have comparable types.
+function compares(value, operator, operand) {
+    if (typeRank(value) !== typeRank(operand)) return false;
+    const result = compareValues(value, operand);
+    switch (operator) {
+        case '$gt': return result > 0;
+        case '$gte': return result >= 0;
+        case '$lt': return result < 0;
+    }
+    return result <= 0;
+}
+
+// Matches a `$type` operand, which can be an alias like "string" or a number.
+const typeCodes = { 1:'double', 2:'string', 3:'object', 4:'array', 5:'binData',
+    7:'objectId', 8:'bool', 9:'date', 10:'null', 11:'regex', 16:'int', 18:'long' };
+function matchesType(value, type) {
+    const alias = typeAlias(value);
+    const wanted = typeof type === 'number' ? typeCodes[type] : type;
+    if (wanted === 'number')
+        return alias === 'int' || alias === 'double' || alias === 'long';
+    return alias === wanted;
+}
+
+
+/* ---------------------------------- Tests --------------------------------- */
+
+/**
+ * ### `query.js` unit tests.
+ *
+ * @returns {void}
+ *    Does not return anything.
+ * @throws
+ *    Throws an `Error` if a test fails.
+ */
+export function queryTest() {
+    const e2l = e => (e.stack.split('\n')[2].match(/([^\/]+\.js:\d+):\d+\)?$/)||[])[1];
+    const equal = (actual, expected) => { if (actual === expected) return;
+        try { throw Error() } catch(err) { throw Error(`actual:\n${actual}\n` +
+            `!== expected:\n${expected}\n...at ${e2l(err)}\n`) } };
+    const throws = (actual, expected) => { try { actual() } catch (err) {
+        if (err.message !== expected) { throw Error(`actual message:\n${err.message
+            }\n!== expected message:\n${expected}\n...at ${e2l(err)}\n`)} return }
+        throw Error(`expected message:\n${expected}\nbut nothing was thrown\n`) };
+
+    const doc = { _id:'a1', n:5, s:'frog', tags:['x','y'], nested:{ v:null },
+        items:[ { k:'p', q:2 }, { k:'r', q:8 } ], when:new Date(1000) };
+
+    // Implicit equality should match scalars, array items and nested fields.
+    equal(matchesFilter(doc, {}), true);
+    equal(matchesFilter(doc, { n:5, s:'frog' }), true);
+    equal(matchesFilter(doc, { n:5, s:'toad' }), false);
+    equal(matchesFilter(doc, { tags:'y' }), true);
+    equal(matchesFilter(doc, { tags:['x','y'] }), true);
+    equal(matchesFilter(doc, { 'items.k':'r' }), true);
+    equal(matchesFilter(doc, { 'items.1.q':8 }), true);
+    equal(matchesFilter(doc, { 'nested.v':null, missing:null }), true);
+    equal(matchesFilter(doc, { s:/^fr/ }), true);
+
+    // Comparison operators should only compare values of the same type.
+    equal(matchesFilter(doc, { n:{ $gt:4, $lte:5 } }), true);
+    equal(matchesFilter(doc, { n:{ $gt:'4' } }), false);
+    equal(matchesFilter(doc, { 'items.q':{ $gte:8 } }), true);
+    equal(matchesFilter(doc, { when:{ $lt:new Date(2000) } }), true);
+    equal(matchesFilter(doc, { n:{ $in:[1,5] }, s:{ $nin:['toad'] } }), true);
+    equal(matchesFilter(doc, { tags:{ $ne:'x' } }), false);
+    equal(matchesFilter(doc, { missing:{ $ne:1 } }), true);
+
+    // Element, array and evaluation operators.
+    equal(matchesFilter(doc, { s:{ $exists:true }, zz:{ $exists:false } }), true);
+    equal(matchesFilter(doc, { n:{ $type:'number' }, tags:{ $type:'array' } }), true);
+    equal(matchesFilter(doc, { tags:{ $size:2, $all:['y','x'] } }), true);
+    equal(matchesFilter(doc, { items:{ $elemMatch:{ k:'p', q:{ $gt:1 } } } }), true);
+    equal(matchesFilter(doc, { items:{ $elemMatch:{ k:'p', q:{ $gt:2 } } } }), false);
+    equal(matchesFilter(doc, { n:{ $mod:[2,1] }, s:{ $regex:'ROG', $options:'i' } }), true);
+    equal(matchesFilter(doc, { n:{ $not:{ $gt:3 } } }), false);
+
+    // Logical operators.
+    equal(matchesFilter(doc, { $or:[ { n:1 }, { s:'frog' } ] }), true);
+    equal(matchesFilter(doc, { $and:[ { n:5 }, { s:'toad' } ] }), false);
+    equal(matchesFilter(doc, { $nor:[ { n:1 }, { s:'toad' } ] }), true);
+
+    // `$expr` should evaluate an aggregation expression, which can use
+    // variables.
+    equal(matchesFilter(doc, { $expr:{ $gt:[ { $size:'$tags' }, 1 ] } }), true);
+    equal(matchesFilter(doc, { $or:[ { n:1 }, { $expr:{ $eq:[ '$s', '$$v' ] } } ] },
+        { v:'frog' }), true);
+    equal(matchesFilter(doc, { $expr:{ $lt:[ '$n', 5 ] } }), false);
+
+    // `matchesValue()` should match a single value against a condition.
+    equal(matchesValue(7, { $gte:6 }), true);
+    equal(matchesValue('b', 'b'), true);
+
+    // Unknown and malformed operators should fail.
+    throws(()=>matchesFilter(doc, { n:{ $foobar:1 } }),
+        'unknown operator: $foobar');
+    throws(()=>matchesFilter(doc, { $foobar:[] }),
+        'unknown top level operator: $foobar');
+    throws(()=>matchesFilter(doc, { n:{ $in:5 } }),
+        '$in needs an array');
+    throws(()=>matchesFilter(doc, { $or:[] }),
+        '$or argument must be a non-empty array');
+    throws(()=>matchesFilter(doc, { $expr:{ $foobar:1 } }),
+        "Unrecognized expression '$foobar'");
+}
@@ -0,0 +1,117 @@
+import { compareValues, resolvePath } from './values.js';
+
+/**
+ * ### Creates a comparison function from a MongoDB sort specification.
+ *
+ * Like MongoDB, when sorting on a field which contains an array, ascending
+ * sorts use the array's smallest item, and descending sorts use its largest.
+ *
+ * @param {Object<string,1|-1>} sort
+ *    The sort specification, eg `{ age:-1, name:1 }`.
+ * @param {string} begin
+ *    The name of the calling method, used to begin any error message.
+ * @returns {function(object,object):number}
+ *    Returns a function which can be passed to `Array.prototype.sort()`.
+ * @throws
+ *    Throws an `Error` if the sort specification is invalid.
+ */
+export function compileSort(sort, begin) {
+    const keys = Object.keys(sort).map(path => {
+        const direction = sort[path];
+        if (direction !== 1 && direction !== -1) throw Error(`${begin}: ` +
+            '$sort key ordering must be 1 (for ascending) or -1 (for descending)');
+        return { path, direction };
+    });
+
+    return (a, b) => {
+        for (const { path, direction } of keys) {
+            const result = compareValues(
+                sortKey(a, path, direction), sortKey(b, path, direction));
+            if (result) return result * direction;
+        }
+        return 0;
+    };
+}
+
+/**
+ * ### Sorts an array of documents, using a MongoDB sort specification.
+ *
+ * The sort is stable, and the original array is not modified.
+ *
+ * @param {object[]} documents
+ *    The documents to sort.
+ * @param {Object<string,1|-1>} sort
+ *    The sort specification, eg `{ age:-1, name:1 }`.
+ * @param {string} begin
+ *    The name of the calling method, used to begin any error message.
+ * @returns {object[]}
+ *    Returns a new, sorted array.
+ * @throws
+ *    Throws an `Error` if the sort specification is invalid.
+ */
+export function sortDocuments(documents, sort, begin) {
+    return documents.slice().sort(compileSort(sort, begin));
+}
+
+
+/* ---------------------------------- Private ------------------------------- */
+
+// Picks the value a document is sorted by, for one path.
+function sortKey(document, path, direction) {
+    const values = [];
+    for (const value of resolvePath(document, path)) {
+        if (Array.isArray(value)) values.push(...value);
+        else values.push(value);
+    }
+    return values.reduce((key, value) => {
+        const result = compareValues(value, key);
+        return (direction === 1 ? result < 0 : result > 0) ? value : key;
+    }, values[0]);
+}
+
+
+/* ---------------------------------- Tests --------------------------------- */
+
+/**
+ * ### `sort.js` unit tests.
+ *
+ * @returns {void}
+ *    Does not return anything.
+ * @throws
+ *    Throws an `Error` if a test fails.
+ */
+export function sortTest() {
+    const e2l = e => (e.stack.split('\n')[2].match(/([^\/]+\.js:\d+):\d+\)?$/)||[])[1];
+    const equal = (actual, expected) => { if (actual === expected) return;
+        try { throw Error() } catch(err) { throw Error(`actual:\n${actual}\n` +
+            `!== expected:\n${expected}\n...at ${e2l(err)}\n`) } };
+    const throws = (actual, expected) => { try { actual() } catch (err) {
+        if (err.message !== expected) { throw Error(`actual message:\n${err.message
+            }\n!== expected message:\n${expected}\n...at ${e2l(err)}\n`)} return }
+        throw Error(`expected message:\n${expected}\nbut nothing was thrown\n`) };
+    const ids = documents => documents.map(d => d._id).join();
+
+    const docs = [
+        { _id:'a', n:2, s:'y', arr:[5,1] },
+        { _id:'b', n:1, s:'z', arr:[3] },
+        { _id:'c', n:2, s:'x', o:{ p:0 } },
+        { _id:'d', s:'w', arr:[2,4] },
+    ];
+
+    // Sorting by several keys should work, and missing values sort first.
+    equal(ids(sortDocuments(docs, { n:1 }, 'test()')), 'd,b,a,c');
+    equal(ids(sortDocuments(docs, { n:-1, s:1 }, 'test()')), 'c,a,b,d');
+    equal(ids(sortDocuments(docs, { 'o.p':-1 }, 'test()')), 'c,a,b,d');
+
+    // Arrays should sort by their smallest or largest item.
+    equal(ids(sortDocuments(docs, { arr:1 }, 'test()')), 'c,a,d,b');
+    equal(ids(sortDocuments(docs, { arr:-1 }, 'test()')), 'a,d,b,c');
+
+    // The original array should not be modified.
+    equal(ids(docs), 'a,b,c,d');
+
+    // An invalid sort direction should fail.
+    // @ts-expect-error
+    throws(()=>compileSort({ n:'asc' }, 'test()'),
+        'test(): $sort key ordering must be 1 (for ascending) or -1 (for descending)');
+}
@@ -1,14 +1,72 @@
-import PicoDB from 'picodb';
 import {
+    Admin,
+    AggregationCursor,
+    BulkWriteResult,
+    ChangeStream,
+    ClientSession,
     Collection,
     Database,
+    FindCursor,
+    ListCollectionsCursor,
+    ListIndexesCursor,
     MongoishClient,
+    ObjectId,
 } from './index.js';
 
+import { adminTest } from './admin.js';
+import { aggregateTest } from './aggregate.js';
+import { aggregationCursorTest } from './aggregation-cursor.js';
+import { bulkWriteResultTest } from './bulk-write-result.js';
+import { changeStreamTest } from './change-stream.js';
+import { clientSessionTest } from './client-session.js';
 import { collectionTest } from './collection.js';
+import { connectionStringTest } from './connection-string.js';
 import { databaseTest } from './database.js';
+import { documentStoreTest } from './document-store.js';
+import { errorsTest } from './errors.js';
+import { expressionTest } from './expression.js';
+import { extendedJsonTest } from './extended-json.js';
+import { findCursorTest } from './find-cursor.js';
+import { indexesTest } from './indexes.js';
+import { journalTest } from './journal.js';
+import { jsonSchemaTest } from './json-schema.js';
+import { listCollectionsCursorTest } from './list-collections-cursor.js';
+import { listIndexesCursorTest } from './list-indexes-cursor.js';
 import { mongoishClientTest } from './mongoish-client.js';
+import { objectIdTest } from './object-id.js';
+import { persistenceTest } from './persistence.js';
+import { projectionTest } from './projection.js';
+import { queryTest } from './query.js';
+import { sortTest } from './sort.js';
+import { updateTest } from './update.js';
+import { validatorTest } from './validator.js';
+import { valuesTest } from './values.js';
 
-collectionTest(Collection, PicoDB);
+adminTest(Admin);
+aggregateTest();
+aggregationCursorTest(AggregationCursor);
+bulkWriteResultTest(BulkWriteResult);
+changeStreamTest(ChangeStream);
+clientSessionTest(ClientSession);
+collectionTest(Collection, ObjectId);
+connectionStringTest();
 databaseTest(Database);
+documentStoreTest();
+errorsTest();
+expressionTest();
+extendedJsonTest();
+findCursorTest(FindCursor);
+indexesTest();
+journalTest();
+jsonSchemaTest();
+listCollectionsCursorTest(ListCollectionsCursor);
+listIndexesCursorTest(ListIndexesCursor);
 mongoishClientTest(MongoishClient);
+objectIdTest(ObjectId);
+persistenceTest();
+projectionTest();
+queryTest();
+sortTest();
+updateTest();
+validatorTest();
+valuesTest();
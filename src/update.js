@@ -0,0 +1,418 @@
+import { MongoServerError } from './errors.js';
+import { matchesFilter, matchesValue } from './query.js';
+import {
+    cloneValue,
+    compareValues,
+    equalValues,
+    getPath,
+    inspectValue,
+    isOperatorObject,
+    isPlainObject,
+    typeAlias,
+} from './values.js';
+
+/**
+ * ### The update operators which `applyUpdate()` understands.
+ */
+export const updateOperators = [ '$addToSet', '$currentDate', '$inc', '$max',
+    '$min', '$mul', '$pop', '$pull', '$push', '$rename', '$set', '$setOnInsert',
+    '$unset' ];
+
+/**
+ * ### Checks that an update document is valid, before it is applied.
+ *
+ * These are the checks which MongoDB makes before looking at any documents, so
+ * an invalid update fails even if the filter matches nothing.
+ *
+ * @param {object} update
+ *    The update document, eg `{ $set:{ a:1 }, $inc:{ n:2 } }`.
+ * @param {string} begin
+ *    The name of the calling method, used to begin any error message.
+ * @returns {void}
+ *    Does not return anything.
+ * @throws
+ *    Throws an `Error` if the update document is invalid.
+ */
+export function validateUpdate(update, begin) {
+    const operators = Object.keys(update);
+    if (!operators.length || operators.some(op => op[0] !== '$')) throw Error(
+        `${begin}: Update document requires atomic operators`);
+
+    const paths = [];
+    for (const op of operators) {
+        if (!updateOperators.includes(op)) throw Error(`${begin}: Unknown ` +
+            `modifier: ${op}. Expected a valid update modifier or ` +
+            'pipeline-style update specified as an array');
+        const fields = update[op];
+        if (!isPlainObject(fields)) throw Error(`${begin}: Modifiers operate ` +
+            `on fields but we found type ${typeAlias(fields)} instead. For ` +
+            `example: {$mod: {<field>: ...}} not {${op}: ${inspectValue(fields)}}`);
+        for (const path in fields) {
+            const operand = fields[path];
+            if (op === '$rename') {
+                if (typeof operand !== 'string') throw Error(`${begin}: The ` +
+                    `'to' field for $rename must be a string: ${path}: ` +
+                    inspectValue(operand));
+                if (operand === path) throw Error(`${begin}: The source and ` +
+                    `target field for $rename must differ: ${path}: ` +
+                    inspectValue(operand));
+                paths.push(operand);
+            }
+            if ((op === '$inc' || op === '$mul') && typeof operand !== 'number')
+                throw Error(`${begin}: Cannot ${op === '$inc' ? 'increment' :
+                    'multiply'} with non-numeric argument: {${path}: ${
+                    inspectValue(operand)}}`);
+            if (op === '$pop' && operand !== 1 && operand !== -1) throw Error(
+                `${begin}: $pop expects 1 or -1, found: ${inspectValue(operand)}`);
+            if ((op === '$push' || op === '$addToSet') && isPlainObject(operand)
+                && '$each' in operand && !Array.isArray(operand.$each))
+                throw Error(`${begin}: The argument to $each in ${op} must be ` +
+                    `an array but it was of type: ${typeAlias(operand.$each)}`);
+            paths.push(path);
+        }
+    }
+
+    // Two operators cannot update the same path, or a path and its parent.
+    for (let i = 0; i < paths.length; i++) for (let j = 0; j < paths.length; j++)
+        if (i !== j && (paths[i] === paths[j] || paths[i].startsWith(paths[j] + '.')))
+            throw Error(`${begin}: Updating the path '${paths[i]}' would ` +
+                `create a conflict at '${paths[j]}'`);
+}
+
+/**
+ * ### Applies a valid update document to a copy of a document.
+ *
+ * The original document is not modified.
+ *
+ * @param {object} document
+ *    The document to update.
+ * @param {object} update
+ *    An update document which has already passed `validateUpdate()`.
+ * @param {string} begin
+ *    The name of the calling method, used to begin any error message.
+ * @param {boolean} [isInsert=false]
+ *    If `true`, the document is being created by an upsert, so `$setOnInsert`
+ *    is applied, and `_id` may be set.
+ * @returns {object}
+ *    Returns the updated copy of the document.
+ * @throws
+ *    Throws an `Error` if the update cannot be applied to this document, for
+ *    example `$inc` on a string field, or a `MongoServerError` with `code` 66
+ *    if it would change the `_id`.
+ */
+export function applyUpdate(document, update, begin, isInsert = false) {
+    const updated = cloneValue(document);
+    const context = { begin, document };
+
+    for (const op in update) {
+        const fields = update[op];
+        if (op === '$setOnInsert' && !isInsert) continue;
+        for (const path in fields) applyOperator(updated, op, path,
+            cloneValue(fields[path]), context);
+    }
+
+    // The `_id` field can only be set when a document is inserted.
+    if (!isInsert && !equalValues(document._id, updated._id))
+        throw immutableId(begin);
+
+    return updated;
+}
+
+/**
+ * ### Creates the initial document for an upsert, based on a query filter.
+ *
+ * Like MongoDB, equality conditions in the filter (including `$eq` and those
+ * inside `$and`) become fields of the new document.
+ *
+ * @param {object} filter
+ *    The query filter which matched no documents.
+ * @returns {object}
+ *    Returns a new document, which the update should then be applied to.
+ */
+export function documentFromFilter(filter) {
+    const document = {};
+    const addEqualities = filter => {
+        for (const key in filter) {
+            const condition = filter[key];
+            if (key === '$and' && Array.isArray(condition))
+                condition.forEach(addEqualities);
+            else if (key[0] === '$' || condition instanceof RegExp) continue;
+            else if (!isOperatorObject(condition))
+                setPath(document, key, cloneValue(condition), '');
+            else if ('$eq' in condition)
+                setPath(document, key, cloneValue(condition.$eq), '');
+        }
+    };
+    addEqualities(filter);
+    return document;
+}
+
+/**
+ * ### Checks that a replacement document contains no update operators.
+ *
+ * @param {object} replacement
+ *    The replacement document, eg `{ name:'Fred', age:4 }`.
+ * @param {string} begin
+ *    The name of the calling method, used to begin any error message.
+ * @returns {void}
+ *    Does not return anything.
+ * @throws
+ *    Throws an `Error` if any top-level key begins with a dollar sign.
+ */
+export function validateReplacement(replacement, begin) {
+    if (Object.keys(replacement).some(key => key[0] === '$')) throw Error(
+        `${begin}: Replacement document must not contain atomic operators`);
+}
+
+/**
+ * ### Creates the replacement for a stored document.
+ *
+ * The stored document's `_id` is kept, and comes first. The replacement may
+ * contain an `_id`, but only if it is the same as the stored document's.
+ *
+ * @param {object} document
+ *    The stored document being replaced. When upserting, this should be the
+ *    result of `documentFromFilter()`.
+ * @param {object} replacement
+ *    A replacement document which has already passed `validateReplacement()`.
+ * @param {string} begin
+ *    The name of the calling method, used to begin any error message.
+ * @returns {object}
+ *    Returns a new document.
+ * @throws
+ *    Throws a `MongoServerError` with `code` 66 if the replacement would
+ *    change the `_id`.
+ */
+export function applyReplacement(document, replacement, begin) {
+    if ('_id' in replacement && '_id' in document &&
+        !equalValues(document._id, replacement._id)) throw immutableId(begin);
+    const replaced = '_id' in document ? { _id:cloneValue(document._id) } : {};
+    return Object.assign(replaced, cloneValue(replacement));
+}
+
+
+/* ---------------------------------- Private ------------------------------- */
+
+// Applies one operator to one field of a document, in place.
+function applyOperator(updated, op, path, operand, { begin, document }) {
+    const current = getPath(updated, path);
+    const nonNumeric = () => Error(`${begin}: Cannot apply ${op} to a value ` +
+        `of non-numeric type. {_id: ${inspectValue(document._id)}} has the ` +
+        `field '${path.split('.').pop()}' of non-numeric type ${typeAlias(current)}`);
+    const nonArray = () => Error(`${begin}: The field '${path}' must be an ` +
+        `array but is of type ${typeAlias(current)} in document {_id: ${
+        inspectValue(document._id)}}`);
+
+    switch (op) {
+        case '$set':
+        case '$setOnInsert':
+            return setPath(updated, path, operand, begin);
+        case '$unset':
+            return unsetPath(updated, path);
+        case '$inc':
+        case '$mul':
+            if (current === void 0)
+                return setPath(updated, path, op === '$inc' ? operand : 0, begin);
+            if (typeof current !== 'number') throw nonNumeric();
+            return setPath(updated, path,
+                op === '$inc' ? current + operand : current * operand, begin);
+        case '$min':
+        case '$max':
+            if (current !== void 0 && (op === '$min'
+                ? compareValues(operand, current) >= 0
+                : compareValues(operand, current) <= 0)) return;
+            return setPath(updated, path, operand, begin);
+        case '$rename':
+            if (current === void 0) return;
+            unsetPath(updated, path);
+            return setPath(updated, operand, current, begin);
+        case '$currentDate':
+            // Mongoish has no BSON `Timestamp` type, so a `{ $type:'timestamp' }`
+            // operand also produces a `Date`.
+            return setPath(updated, path, new Date(), begin);
+        case '$push':
+        case '$addToSet': {
+            if (current !== void 0 && !Array.isArray(current)) throw nonArray();
+            const array = current ? current : [];
+            const modifiers = isPlainObject(operand) && '$each' in operand
+                ? operand : { $each:[ operand ] };
+            const { $each, $position, $slice, $sort } = modifiers;
+            if (op === '$addToSet') {
+                for (const item of $each)
+                    if (!array.some(v => equalValues(v, item))) array.push(item);
+            } else {
+                const position = $position === void 0 ? array.length : $position;
+                array.splice(position < 0 ? Math.max(array.length + position, 0)
+                    : position, 0, ...$each);
+                if ($sort !== void 0) array.sort(sortItems($sort));
+                if ($slice !== void 0) array.splice(0, array.length,
+                    ...($slice < 0 ? array.slice($slice) : array.slice(0, $slice)));
+            }
+            return setPath(updated, path, array, begin);
+        }
+        case '$pull':
+            if (current === void 0) return;
+            if (!Array.isArray(current)) throw Error(
+                `${begin}: Cannot apply $pull to a non-array value`);
+            return setPath(updated, path, current.filter(item =>
+                !(isPlainObject(operand) && !isOperatorObject(operand)
+                    ? isPlainObject(item) && matchesFilter(item, operand)
+                    : matchesValue(item, operand))), begin);
+        case '$pop':
+            if (current === void 0) return;
+            if (!Array.isArray(current)) throw Error(`${begin}: Path '${path}' ` +
+                `contains an element of non-array type '${typeAlias(current)}'`);
+            return setPath(updated, path,
+                operand === 1 ? current.slice(0, -1) : current.slice(1), begin);
+    }
+}
+
+// Returns a comparison function for the `$sort` modifier of `$push`.
+function sortItems(spec) {
+    if (!isPlainObject(spec)) return (a, b) => compareValues(a, b) * spec;
+    return (a, b) => {
+        for (const key in spec) {
+            const result = compareValues(getPath(a, key), getPath(b, key));
+            if (result) return result * spec[key];
+        }
+        return 0;
+    };
+}
+
+// Sets a dot-notation path in a document, creating objects where needed.
+function setPath(document, path, value, begin) {
+    const parts = path.split('.');
+    let parent = document;
+    for (let i = 0; i < parts.length - 1; i++) {
+        const part = parts[i];
+        if (Array.isArray(parent) && !/^\d+$/.test(part)) throw Error(
+            `${begin}: Cannot create field '${part}' in element ` +
+            `{${parts[i - 1]}: ${inspectValue(parent)}}`);
+        if (parent[part] === void 0 || parent[part] === null)
+            parent[part] = {};
+        else if (typeof parent[part] !== 'object' || parent[part] instanceof Date)
+            throw Error(`${begin}: Cannot create field '${parts[i + 1]}' in ` +
+                `element {${part}: ${inspectValue(parent[part])}}`);
+        parent = parent[part];
+    }
+    const last = parts[parts.length - 1];
+    if (Array.isArray(parent) && /^\d+$/.test(last))
+        while (parent.length < +last) parent.push(null);
+    parent[last] = value;
+}
+
+// Removes a dot-notation path from a document. Array items become `null`.
+function unsetPath(document, path) {
+    const parts = path.split('.');
+    const parent = getPath(document, parts.slice(0, -1).join('.') || '');
+    const target = parts.length > 1 ? parent : document;
+    const last = parts[parts.length - 1];
+    if (Array.isArray(target)) {
+        if (/^\d+$/.test(last) && +last < target.length) target[+last] = null;
+    } else if (target !== null && typeof target === 'object') {
+        delete target[last];
+    }
+}
+
+// Creates the error for an update which would change a document's `_id`, with
+// MongoDB's 'ImmutableField' code.
+const immutableId = begin => new MongoServerError(`${begin}: Performing an ` +
+    "update on the path '_id' would modify the immutable field '_id'",
+    { code:66, codeName:'ImmutableField' });
+
+
+/* ---------------------------------- Tests --------------------------------- */
+
+/**
+ * ### `update.js` unit tests.
+ *
+ * @returns {void}
+ *    Does not return anything.
+ * @throws
+ *    Throws an `Error` if a test fails.
+ */
+export function updateTest() {
+    const e2l = e => (e.stack.split('\n')[2].match(/([^\/]+\.js:\d+):\d+\)?$/)||[])[1];
+    const equal = (actual, expected) => { if (actual === expected) return;
+        try { throw Error() } catch(err) { throw Error(`actual:\n${actual}\n` +
+            `!== expected:\n${expected}\n...at ${e2l(err)}\n`) } };
+    const throws = (actual, expected) => { try { actual() } catch (err) {
+        if (err.message !== expected) { throw Error(`actual message:\n${err.message
+            }\n!== expected message:\n${expected}\n...at ${e2l(err)}\n`)} return }
+        throw Error(`expected message:\n${expected}\nbut nothing was thrown\n`) };
+    const toStr = value => JSON.stringify(value);
+    const apply = (doc, update) => applyUpdate(doc, update, 'test()');
+
+    // Invalid update documents should fail.
+    throws(()=>validateUpdate({}, 'test()'),
+        'test(): Update document requires atomic operators');
+    throws(()=>validateUpdate({ $set:{ a:1 }, b:2 }, 'test()'),
+        'test(): Update document requires atomic operators');
+    throws(()=>validateUpdate({ $foo:{ a:1 } }, 'test()'),
+        'test(): Unknown modifier: $foo. Expected a valid update modifier or ' +
+        'pipeline-style update specified as an array');
+    throws(()=>validateUpdate({ $set:'a' }, 'test()'),
+        'test(): Modifiers operate on fields but we found type string instead. ' +
+        'For example: {$mod: {<field>: ...}} not {$set: "a"}');
+    throws(()=>validateUpdate({ $inc:{ n:'1' } }, 'test()'),
+        'test(): Cannot increment with non-numeric argument: {n: "1"}');
+    throws(()=>validateUpdate({ $set:{ 'a.b':1 }, $unset:{ a:'' } }, 'test()'),
+        "test(): Updating the path 'a.b' would create a conflict at 'a'");
+    throws(()=>validateUpdate({ $rename:{ a:'a' } }, 'test()'),
+        'test(): The source and target field for $rename must differ: a: "a"');
+    throws(()=>validateUpdate({ $pop:{ a:2 } }, 'test()'),
+        'test(): $pop expects 1 or -1, found: 2');
+
+    // Field operators.
+    const doc = { _id:'d1', n:5, s:'x', o:{ p:1 }, arr:[1,2,3] };
+    equal(toStr(apply(doc, { $set:{ 'o.q':2, t:true }, $unset:{ s:1 } })),
+        toStr({ _id:'d1', n:5, o:{ p:1, q:2 }, arr:[1,2,3], t:true }));
+    equal(toStr(apply(doc, { $inc:{ n:2, m:1 }, $mul:{ 'o.p':3, z:4 } })),
+        toStr({ _id:'d1', n:7, s:'x', o:{ p:3 }, arr:[1,2,3], m:1, z:0 }));
+    equal(toStr(apply(doc, { $min:{ n:9 }, $max:{ 'o.p':4 } })),
+        toStr({ _id:'d1', n:5, s:'x', o:{ p:4 }, arr:[1,2,3] }));
+    equal(toStr(apply(doc, { $rename:{ s:'o.s' } })),
+        toStr({ _id:'d1', n:5, o:{ p:1, s:'x' }, arr:[1,2,3] }));
+    equal(apply(doc, { $currentDate:{ d:true } }).d instanceof Date, true);
+    equal(toStr(doc), toStr({ _id:'d1', n:5, s:'x', o:{ p:1 }, arr:[1,2,3] }));
+
+    // Array operators.
+    equal(toStr(apply(doc, { $push:{ arr:4 } }).arr), toStr([1,2,3,4]));
+    equal(toStr(apply(doc, { $push:{ arr:{ $each:[9,0], $position:1,
+        $sort:-1, $slice:3 } } }).arr), toStr([9,3,2]));
+    equal(toStr(apply(doc, { $addToSet:{ arr:{ $each:[2,5] } } }).arr),
+        toStr([1,2,3,5]));
+    equal(toStr(apply(doc, { $pull:{ arr:{ $gte:2 } } }).arr), toStr([1]));
+    equal(toStr(apply({ a:[{ b:1 },{ b:2 }] }, { $pull:{ a:{ b:2 } } }).a),
+        toStr([{ b:1 }]));
+    equal(toStr(apply(doc, { $pop:{ arr:-1 } }).arr), toStr([2,3]));
+
+    // Operators which do not suit the existing value should fail.
+    throws(()=>apply(doc, { $inc:{ s:1 } }),
+        "test(): Cannot apply $inc to a value of non-numeric type. " +
+        "{_id: \"d1\"} has the field 's' of non-numeric type string");
+    throws(()=>apply(doc, { $push:{ n:1 } }),
+        "test(): The field 'n' must be an array but is of type int in " +
+        "document {_id: \"d1\"}");
+    throws(()=>apply(doc, { $set:{ 'n.x':1 } }),
+        "test(): Cannot create field 'x' in element {n: 5}");
+    throws(()=>apply(doc, { $set:{ _id:'d2' } }),
+        "test(): Performing an update on the path '_id' would modify the " +
+        "immutable field '_id'");
+
+    // `$setOnInsert` should only be applied to upserted documents.
+    equal(toStr(apply(doc, { $setOnInsert:{ q:1 } })), toStr(doc));
+    equal(toStr(applyUpdate(documentFromFilter({ a:1, b:{ $eq:2 }, c:{ $gt:3 },
+        $and:[ { 'd.e':4 } ] }), { $setOnInsert:{ q:1 } }, 'test()', true)),
+        toStr({ a:1, b:2, d:{ e:4 }, q:1 }));
+
+    // Replacements should keep the `_id`, and not contain operators.
+    throws(()=>validateReplacement({ a:1, $set:{ b:2 } }, 'test()'),
+        'test(): Replacement document must not contain atomic operators');
+    equal(toStr(applyReplacement(doc, { z:1, _id:'d1' }, 'test()')),
+        toStr({ _id:'d1', z:1 }));
+    equal(toStr(applyReplacement({}, { z:1 }, 'test()')), toStr({ z:1 }));
+    throws(()=>applyReplacement(doc, { _id:'d2' }, 'test()'),
+        "test(): Performing an update on the path '_id' would modify the " +
+        "immutable field '_id'");
+}
@@ -0,0 +1,175 @@
+import { aintaObject } from '@0bdx/ainta';
+import { schemaRulesNotSatisfied, validateSchema } from './json-schema.js';
+import { matchesFilter } from './query.js';
+import { isOperatorObject, resolvePath } from './values.js';
+
+/**
+ * ### Document validators, like those passed to `createCollection()`.
+ *
+ * A validator is a query filter, eg `{ age:{ $gte:0 } }`, which every written
+ * document must match. It can use the `$jsonSchema` operator, which is
+ * implemented in `json-schema.js`.
+ *
+ * When a document fails, `explainValidation()` describes why, in the same
+ * shape as the `errInfo.details` of MongoDB's 'Document failed validation'.
+ */
+
+/**
+ * ### Checks that a validator is a valid query filter, with a valid
+ * `$jsonSchema` if it has one.
+ *
+ * @param {object} validator
+ *    The validator to check.
+ * @param {string} begin
+ *    The name of the calling method, used to begin any error message.
+ * @param {string} identifier
+ *    The name of the validator in error messages, eg `'options.validator'`.
+ * @returns {string}
+ *    Returns an explanation of the first problem, or an empty string if the
+ *    validator is valid.
+ */
+export function validateValidator(validator, begin, identifier) {
+    const aValidator = aintaObject(validator, identifier, { begin, open:true });
+    if (aValidator) return aValidator;
+    if ('$jsonSchema' in validator) {
+        const aSchema = validateSchema(validator.$jsonSchema, begin,
+            `${identifier}.$jsonSchema`);
+        if (aSchema) return aSchema;
+    }
+
+    // Matching an empty document reports any unknown query operators.
+    try { matchesFilter({}, validator) } catch (err) {
+        return `${begin}: \`${identifier}\` is invalid, ${err.message}`;
+    }
+    return '';
+}
+
+/**
+ * ### Describes why a document failed a validator.
+ *
+ * @param {object} document
+ *    The document, which does not match the validator.
+ * @param {object} validator
+ *    The validator.
+ * @returns {object}
+ *    Returns an object like `{ operatorName:'$jsonSchema',
+ *    schemaRulesNotSatisfied:[...] }`, or for a validator with several
+ *    clauses, `{ operatorName:'$and', clausesNotSatisfied:[...] }`.
+ */
+export function explainValidation(document, validator) {
+    const clausesNotSatisfied = Object.keys(validator)
+        .map((key, index) => ({ index, details:explainClause(document, key,
+            validator[key]) }))
+        .filter(({ details }) => details);
+    return clausesNotSatisfied.length === 1 && Object.keys(validator).length === 1
+        ? clausesNotSatisfied[0].details
+        : { operatorName:'$and', clausesNotSatisfied };
+}
+
+
+/* ---------------------------------- Private ------------------------------- */
+
+// Describes why a document fails one top-level clause of a validator, or
+// returns `null` if it does not fail it.
+function explainClause(document, key, condition) {
+    if (key === '$jsonSchema') {
+        const rules = schemaRulesNotSatisfied(document, condition);
+        return rules.length ? { operatorName:'$jsonSchema',
+            ...(condition.title !== void 0 && { title:condition.title }),
+            schemaRulesNotSatisfied:rules } : null;
+    }
+    if (matchesFilter(document, { [key]:condition })) return null;
+    if (key[0] === '$') return { operatorName:key,
+        specifiedAs:{ [key]:condition }, reason:'expression did not match' };
+    const values = resolvePath(document, key);
+    const value = values.length === 1 ? values[0] : values;
+    return {
+        operatorName: isOperatorObject(condition)
+            ? Object.keys(condition)[0] : '$eq',
+        specifiedAs: { [key]:condition },
+        ...(value === void 0
+            ? { reason:'field was missing' }
+            : { reason:'comparison failed', consideredValue:value }),
+    };
+}
+
+
+/* ---------------------------------- Tests --------------------------------- */
+
+/**
+ * ### `validator.js` unit tests.
+ *
+ * @returns {void}
+ *    Does not return anything.
+ * @throws
+ *    Throws an `Error` if a test fails.
+ */
+export function validatorTest() {
+    const e2l = e => (e.stack.split('\n')[2].match(/([^\/]+\.js:\d+):\d+\)?$/)||[])[1];
+    const equal = (actual, expected) => { if (actual === expected) return;
+        try { throw Error() } catch(err) { throw Error(`actual:\n${actual}\n` +
+            `!== expected:\n${expected}\n...at ${e2l(err)}\n`) } };
+    const toStr = value => JSON.stringify(value);
+    const check = validator => validateValidator(validator, 'test()', 'v');
+
+    // Invalid validators should be explained.
+    equal(check({ age:{ $gte:0 }, $jsonSchema:{ required:[ 'name' ] } }), '');
+    equal(check({ $jsonSchema:{ items:{} } }),
+        'test(): `v.$jsonSchema.items` is unexpected');
+    equal(check({ $jsonSchema:{ properties:{ age:{ minimum:'0' } } } }),
+        "test(): `v.$jsonSchema.properties.age.minimum` is type 'string', not one of the `options.types` 'number:undefined'");
+    equal(check({ $jsonSchema:{ bsonType:'integer' } }),
+        "test(): `v.$jsonSchema.bsonType` 'integer' is not in 'array:binData:bool:da...g:symbol'");
+    equal(check({ $jsonSchema:{ required:[] } }),
+        'test(): `v.$jsonSchema.required` has length 0 < `options.least` 1');
+    equal(check({ $jsonSchema:{ pattern:'(' } }),
+        'test(): `v.$jsonSchema.pattern` is not a valid regular expression');
+    equal(check({ $where:'1' }),
+        'test(): `v` is invalid, unknown top level operator: $where');
+
+    // `$jsonSchema` should also work as a query operator.
+    equal(matchesFilter({ n:1 }, { $jsonSchema:{ required:[ 'n' ] } }), true);
+
+    // Failures should be described like MongoDB's `errInfo.details`.
+    const schema = { bsonType:'object', required:[ 'name', 'age' ],
+        additionalProperties:false, properties:{
+        _id: {},
+        name: { bsonType:'string', pattern:'^[A-Z]' },
+        age: { bsonType:[ 'int', 'long' ], minimum:0, maximum:150,
+            description:'must be a whole number' },
+        role: { enum:[ 'admin', 'user' ] },
+    } };
+    equal(toStr(explainValidation({ name:'ann', age:-1, x:1 },
+        { $jsonSchema:schema })), toStr({ operatorName:'$jsonSchema',
+        schemaRulesNotSatisfied:[
+        { operatorName:'properties', propertiesNotSatisfied:[
+            { propertyName:'name', details:[ { operatorName:'pattern',
+                specifiedAs:{ pattern:'^[A-Z]' },
+                reason:'regular expression did not match',
+                consideredValue:'ann' } ] },
+            { propertyName:'age', description:'must be a whole number',
+                details:[ { operatorName:'minimum', specifiedAs:{ minimum:0 },
+                reason:'comparison failed', consideredValue:-1 } ] } ] },
+        { operatorName:'additionalProperties',
+            specifiedAs:{ additionalProperties:false },
+            additionalProperties:[ 'x' ] } ] }));
+    equal(toStr(explainValidation({ age:'1' }, { $jsonSchema:{
+        required:[ 'name' ], properties:{ age:{ bsonType:'int' } } } })),
+        toStr({ operatorName:'$jsonSchema', schemaRulesNotSatisfied:[
+        { operatorName:'required', specifiedAs:{ required:[ 'name' ] },
+            missingProperties:[ 'name' ] },
+        { operatorName:'properties', propertiesNotSatisfied:[
+            { propertyName:'age', details:[ { operatorName:'bsonType',
+                specifiedAs:{ bsonType:'int' }, reason:'type did not match',
+                consideredValue:'1', consideredType:'string' } ] } ] } ] }));
+    equal(toStr(explainValidation({ status:'C' },
+        { status:{ $in:[ 'A', 'B' ] }, qty:{ $gt:0 }, ok:true })),
+        toStr({ operatorName:'$and', clausesNotSatisfied:[
+        { index:0, details:{ operatorName:'$in',
+            specifiedAs:{ status:{ $in:[ 'A', 'B' ] } },
+            reason:'comparison failed', consideredValue:'C' } },
+        { index:1, details:{ operatorName:'$gt', specifiedAs:{ qty:{ $gt:0 } },
+            reason:'field was missing' } },
+        { index:2, details:{ operatorName:'$eq', specifiedAs:{ ok:true },
+            reason:'field was missing' } } ] }));
+}
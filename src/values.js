@@ -0,0 +1,350 @@
+import ObjectId from './object-id.js';
+
+/**
+ * ### Helpers for comparing, copying and describing document values.
+ *
+ * MongoDB orders values of different types using a fixed 'BSON type order'.
+ * For example, every number sorts before every string, and `null` sorts before
+ * everything except `MinKey`. Mongoish uses the same order wherever values are
+ * compared: query operators like `$gt`, update operators like `$min`, and
+ * sorting.
+ */
+
+/**
+ * ### Returns the rank of a value's type, in BSON comparison order.
+ *
+ * `undefined` (a missing field) ranks the same as `null`, like in MongoDB.
+ *
+ * @param {any} value
+ *    The value to rank.
+ * @returns {number}
+ *    Returns an integer, where a lower number sorts first.
+ */
+export function typeRank(value) {
+    if (value === null || value === void 0) return 2;
+    switch (typeof value) {
+        case 'bigint':
+        case 'number': return 3;
+        case 'string':
+        case 'symbol': return 4;
+        case 'boolean': return 9;
+    }
+    if (Array.isArray(value)) return 6;
+    if (value instanceof Date) return 10;
+    if (value instanceof RegExp) return 12;
+    if (value instanceof ObjectId) return 8;
+    if (ArrayBuffer.isView(value)) return 7;
+    return 5;
+}
+
+/**
+ * ### Returns the BSON type alias of a value, eg `"string"` or `"bool"`.
+ *
+ * JavaScript numbers which are integers and fit into 32 bits are `"int"`,
+ * like the `mongodb` driver's default serialisation. Other numbers are
+ * `"double"`, and `BigInt`s are `"long"`.
+ *
+ * @param {any} value
+ *    The value to describe.
+ * @returns {string}
+ *    Returns a BSON type alias, or `"missing"` for `undefined`.
+ */
+export function typeAlias(value) {
+    if (value === void 0) return 'missing';
+    if (value === null) return 'null';
+    switch (typeof value) {
+        case 'bigint': return 'long';
+        case 'boolean': return 'bool';
+        case 'number': return Number.isInteger(value)
+            && value >= -2147483648 && value <= 2147483647 ? 'int' : 'double';
+        case 'string': return 'string';
+        case 'symbol': return 'symbol';
+        case 'function': return 'javascript';
+    }
+    if (Array.isArray(value)) return 'array';
+    if (value instanceof Date) return 'date';
+    if (value instanceof RegExp) return 'regex';
+    if (value instanceof ObjectId) return 'objectId';
+    if (ArrayBuffer.isView(value)) return 'binData';
+    return 'object';
+}
+
+/**
+ * ### Compares two values, using MongoDB's BSON comparison order.
+ *
+ * @param {any} a
+ *    The first value to compare.
+ * @param {any} b
+ *    The second value to compare.
+ * @returns {number}
+ *    Returns a negative number if `a` sorts first, a positive number if `b`
+ *    sorts first, or zero if they are equal.
+ */
+export function compareValues(a, b) {
+    const rankA = typeRank(a);
+    const rankB = typeRank(b);
+    if (rankA !== rankB) return rankA - rankB;
+    switch (rankA) {
+        case 2: return 0;
+        case 3: return compareNumbers(a, b);
+        case 4: return compareStrings(String(a), String(b));
+        case 5: return compareObjects(a, b);
+        case 6: return compareArrays(a, b);
+        case 7: return compareArrays(Array.from(a), Array.from(b));
+        case 8: return compareStrings(a.toHexString(), b.toHexString());
+        case 9: return (a ? 1 : 0) - (b ? 1 : 0);
+        case 10: return compareNumbers(a.getTime(), b.getTime());
+        case 12: return compareStrings(a.source, b.source)
+            || compareStrings(a.flags, b.flags);
+    }
+    return 0;
+}
+
+/**
+ * ### Determines whether two values are equal, using MongoDB's rules.
+ *
+ * Objects are only equal if their keys are in the same order.
+ *
+ * @param {any} a
+ *    The first value to compare.
+ * @param {any} b
+ *    The second value to compare.
+ * @returns {boolean}
+ *    Returns `true` if the values are equal.
+ */
+export function equalValues(a, b) {
+    return compareValues(a, b) === 0;
+}
+
+/**
+ * ### Deeply copies a value, so that a document can be safely modified.
+ *
+ * Plain objects and arrays are copied recursively, and `Date`s are copied.
+ * Other class instances are treated as immutable, and are not copied.
+ *
+ * @param {any} value
+ *    The value to copy.
+ * @returns {any}
+ *    Returns a deep copy of the value.
+ */
+export function cloneValue(value) {
+    if (Array.isArray(value)) return value.map(cloneValue);
+    if (value instanceof Date) return new Date(value.getTime());
+    if (!isPlainObject(value)) return value;
+    const copy = {};
+    for (const key in value) copy[key] = cloneValue(value[key]);
+    return copy;
+}
+
+/**
+ * ### Determines whether a value is a plain object, like `{ a:1 }`.
+ *
+ * @param {any} value
+ *    The value to check.
+ * @returns {boolean}
+ *    Returns `true` for a non-null object whose prototype is `Object` or null.
+ */
+export function isPlainObject(value) {
+    if (value === null || typeof value !== 'object') return false;
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
+
+/**
+ * ### Determines whether a value is an object of operators, like `{ $gt:1 }`.
+ *
+ * @param {any} value
+ *    The value to check.
+ * @returns {boolean}
+ *    Returns `true` for a plain object whose first key begins with "$".
+ */
+export function isOperatorObject(value) {
+    if (!isPlainObject(value)) return false;
+    const keys = Object.keys(value);
+    return keys.length > 0 && keys[0][0] === '$';
+}
+
+/**
+ * ### Reads a dot-notation path like `"a.b.0"` from a document.
+ *
+ * Unlike query matching, this does not look inside arrays of sub-documents.
+ * A numeric path component reads an array item.
+ *
+ * @param {any} document
+ *    The document (or any value) to read from.
+ * @param {string} path
+ *    The dot-notation path to read.
+ * @returns {any}
+ *    Returns the value at `path`, or `undefined` if it does not exist.
+ */
+export function getPath(document, path) {
+    let value = document;
+    for (const part of path.split('.')) {
+        if (value === null || typeof value !== 'object') return void 0;
+        if (Array.isArray(value) && !/^\d+$/.test(part)) return void 0;
+        value = value[part];
+    }
+    return value;
+}
+
+/**
+ * ### Resolves a dot-notation path to every value it could refer to.
+ *
+ * This is how query filters read fields. Arrays of sub-documents are
+ * traversed, so `"a.b"` in `{ a:[{ b:1 }, { b:2 }] }` resolves to `[ 1, 2 ]`.
+ *
+ * @param {any} document
+ *    The document (or any value) to read from.
+ * @param {string} path
+ *    The dot-notation path to resolve.
+ * @returns {any[]}
+ *    Returns every value found. A missing field resolves to `undefined`.
+ */
+export function resolvePath(document, path) {
+    const found = [];
+    const walk = (value, parts, i) => {
+        if (i === parts.length) return found.push(value);
+        if (Array.isArray(value)) {
+            if (/^\d+$/.test(parts[i]) && +parts[i] < value.length)
+                walk(value[+parts[i]], parts, i + 1);
+            for (const item of value)
+                if (isPlainObject(item)) walk(item, parts, i);
+            return;
+        }
+        if (value !== null && typeof value === 'object')
+            return walk(value[parts[i]], parts, i + 1);
+        found.push(void 0);
+    };
+    walk(document, path.split('.'), 0);
+    return found;
+}
+
+/**
+ * ### Describes a value in the same format as MongoDB's error messages.
+ *
+ * For example, `{ a:'b', c:[1,2] }` is described as `{a: "b", c: [1, 2]}`.
+ *
+ * @param {any} value
+ *    The value to describe.
+ * @returns {string}
+ *    Returns a short description of the value.
+ */
+export function inspectValue(value) {
+    if (value === void 0) return 'undefined';
+    if (typeof value === 'string') return JSON.stringify(value);
+    if (typeof value === 'bigint') return `${value}`;
+    if (Array.isArray(value)) return `[${value.map(inspectValue).join(', ')}]`;
+    if (value instanceof Date) return `new Date(${value.getTime()})`;
+    if (value instanceof RegExp) return `${value}`;
+    if (value === null || typeof value !== 'object') return String(value);
+    if (typeof value.inspect === 'function') return value.inspect();
+    const pairs = Object.keys(value).map(k => `${k}: ${inspectValue(value[k])}`);
+    return `{${pairs.join(', ')}}`;
+}
+
+
+/* ---------------------------------- Private ------------------------------- */
+
+function compareNumbers(a, b) {
+    if (a !== a) return b !== b ? 0 : -1; // NaN sorts before other numbers
+    if (b !== b) return 1;
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function compareStrings(a, b) {
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function compareArrays(a, b) {
+    const length = Math.min(a.length, b.length);
+    for (let i = 0; i < length; i++) {
+        const result = compareValues(a[i], b[i]);
+        if (result) return result;
+    }
+    return a.length - b.length;
+}
+
+function compareObjects(a, b) {
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    const length = Math.min(keysA.length, keysB.length);
+    for (let i = 0; i < length; i++) {
+        const result = typeRank(a[keysA[i]]) - typeRank(b[keysB[i]])
+            || compareStrings(keysA[i], keysB[i])
+            || compareValues(a[keysA[i]], b[keysB[i]]);
+        if (result) return result;
+    }
+    return keysA.length - keysB.length;
+}
+
+
+/* ---------------------------------- Tests --------------------------------- */
+
+/**
+ * ### `values.js` unit tests.
+ *
+ * @returns {void}
+ *    Does not return anything.
+ * @throws
+ *    Throws an `Error` if a test fails.
+ */
+export function valuesTest() {
+    const e2l = e => (e.stack.split('\n')[2].match(/([^\/]+\.js:\d+):\d+\)?$/)||[])[1];
+    const equal = (actual, expected) => { if (actual === expected) return;
+        try { throw Error() } catch(err) { throw Error(`actual:\n${actual}\n` +
+            `!== expected:\n${expected}\n...at ${e2l(err)}\n`) } };
+    const toStr = value => JSON.stringify(value, null, '  ');
+
+    // Values of different types should be compared in BSON type order.
+    const sorted = [ true, 'b', null, 2, new Date(5), [1], { a:1 }, 'a', -1 ]
+        .sort(compareValues);
+    equal(toStr(sorted), toStr(
+        [ null, -1, 2, 'a', 'b', { a:1 }, [1], true, new Date(5) ]));
+
+    // A missing value should compare equal to `null`.
+    equal(compareValues(void 0, null), 0);
+
+    // Objects should only be equal if their keys are in the same order.
+    equal(equalValues({ a:1, b:[2,{ c:3 }] }, { a:1, b:[2,{ c:3 }] }), true);
+    equal(equalValues({ a:1, b:2 }, { b:2, a:1 }), false);
+    equal(equalValues(new Date(1), new Date(1)), true);
+    equal(equalValues(NaN, NaN), true);
+
+    // ObjectIds should be compared by value, between arrays and booleans.
+    const oid = '64b7e6d0c2a1f3e4d5c6b7a8';
+    equal(equalValues(new ObjectId(oid), new ObjectId(oid)), true);
+    equal(compareValues(new ObjectId(oid), new ObjectId()) < 0, true);
+    equal(compareValues([1], new ObjectId(oid)) < 0, true);
+    equal(compareValues(new ObjectId(oid), false) < 0, true);
+    equal(equalValues(new ObjectId(oid), oid), false);
+    equal(typeAlias(new ObjectId(oid)), 'objectId');
+    equal(inspectValue({ _id:new ObjectId(oid) }),
+        "{_id: ObjectId('64b7e6d0c2a1f3e4d5c6b7a8')}");
+
+    // `typeAlias()` should follow the `mongodb` driver's serialisation.
+    equal(typeAlias(1), 'int');
+    equal(typeAlias(1.5), 'double');
+    equal(typeAlias(2 ** 40), 'double');
+    equal(typeAlias([]), 'array');
+    equal(typeAlias(null), 'null');
+
+    // `cloneValue()` should copy plain objects, arrays and dates.
+    const original = { a:[{ b:1 }], d:new Date(9) };
+    const copy = cloneValue(original);
+    equal(copy.a[0] !== original.a[0], true);
+    equal(copy.d !== original.d, true);
+    equal(equalValues(copy, original), true);
+
+    // `getPath()` should read nested fields and array items.
+    equal(getPath({ a:{ b:[ 'x', { c:'y' } ] } }, 'a.b.1.c'), 'y');
+    equal(getPath({ a:[{ b:1 }] }, 'a.b'), void 0);
+    equal(getPath({ a:1 }, 'a.b'), void 0);
+
+    // `resolvePath()` should look inside arrays of sub-documents.
+    equal(toStr(resolvePath({ a:[{ b:1 }, 'x', { b:[2] }, {}] }, 'a.b')),
+        toStr([ 1, [2], undefined ]));
+
+    // `inspectValue()` should look like MongoDB's error messages.
+    equal(inspectValue({ _id:'abc', a:[1, { b:null }] }),
+        '{_id: "abc", a: [1, {b: null}]}');
+}
@@ -1,14 +1,72 @@
-import PicoDB from 'picodb';
 import {
+    Admin,
+    AggregationCursor,
+    BulkWriteResult,
+    ChangeStream,
+    ClientSession,
     Collection,
     Database,
+    FindCursor,
+    ListCollectionsCursor,
+    ListIndexesCursor,
     MongoishClient,
+    ObjectId,
 } from './mongoish.js';
 
+import { adminTest } from './src/admin.js';
+import { aggregateTest } from './src/aggregate.js';
+import { aggregationCursorTest } from './src/aggregation-cursor.js';
+import { bulkWriteResultTest } from './src/bulk-write-result.js';
+import { changeStreamTest } from './src/change-stream.js';
+import { clientSessionTest } from './src/client-session.js';
 import { collectionTest } from './src/collection.js';
+import { connectionStringTest } from './src/connection-string.js';
 import { databaseTest } from './src/database.js';
+import { documentStoreTest } from './src/document-store.js';
+import { errorsTest } from './src/errors.js';
+import { expressionTest } from './src/expression.js';
+import { extendedJsonTest } from './src/extended-json.js';
+import { findCursorTest } from './src/find-cursor.js';
+import { indexesTest } from './src/indexes.js';
+import { journalTest } from './src/journal.js';
+import { jsonSchemaTest } from './src/json-schema.js';
+import { listCollectionsCursorTest } from './src/list-collections-cursor.js';
+import { listIndexesCursorTest } from './src/list-indexes-cursor.js';
 import { mongoishClientTest } from './src/mongoish-client.js';
+import { objectIdTest } from './src/object-id.js';
+import { persistenceTest } from './src/persistence.js';
+import { projectionTest } from './src/projection.js';
+import { queryTest } from './src/query.js';
+import { sortTest } from './src/sort.js';
+import { updateTest } from './src/update.js';
+import { validatorTest } from './src/validator.js';
+import { valuesTest } from './src/values.js';
 
-collectionTest(Collection, PicoDB);
+adminTest(Admin);
+aggregateTest();
+aggregationCursorTest(AggregationCursor);
+bulkWriteResultTest(BulkWriteResult);
+changeStreamTest(ChangeStream);
+clientSessionTest(ClientSession);
+collectionTest(Collection, ObjectId);
+connectionStringTest();
 databaseTest(Database);
+documentStoreTest();
+errorsTest();
+expressionTest();
+extendedJsonTest();
+findCursorTest(FindCursor);
+indexesTest();
+journalTest();
+jsonSchemaTest();
+listCollectionsCursorTest(ListCollectionsCursor);
+listIndexesCursorTest(ListIndexesCursor);
 mongoishClientTest(MongoishClient);
+objectIdTest(ObjectId);
+persistenceTest();
+projectionTest();
+queryTest();
+sortTest();
+updateTest();
+validatorTest();
+valuesTest();